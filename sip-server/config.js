@@ -5,7 +5,34 @@ const config = {
     sip: {
         port: process.env.SIP_PORT || 5060,
         host: process.env.SIP_HOST || '0.0.0.0',
-        serverAddress: process.env.SERVER_ADDRESS || '192.168.0.42'
+        serverAddress: process.env.SERVER_ADDRESS || '192.168.0.42',
+        tcpEnabled: process.env.SIP_TCP_ENABLED !== 'false',
+        tcpIdleTimeout: parseInt(process.env.SIP_TCP_IDLE_TIMEOUT) || 3600, // секунды
+        // Таймеры транзакций RFC 3261 (мс)
+        timers: {
+            t1: parseInt(process.env.SIP_TIMER_T1) || 500,
+            t2: parseInt(process.env.SIP_TIMER_T2) || 4000,
+            t4: parseInt(process.env.SIP_TIMER_T4) || 5000,
+            c: parseInt(process.env.SIP_TIMER_C) || 180000 // 3 минуты
+        }
+    },
+    
+    // SIP over TLS (SIPS)
+    tls: {
+        enabled: process.env.SIP_TLS_ENABLED === 'true',
+        port: parseInt(process.env.SIP_TLS_PORT) || 5061,
+        certFile: process.env.SIP_TLS_CERT || './certs/server.crt',
+        keyFile: process.env.SIP_TLS_KEY || './certs/server.key',
+        caFile: process.env.SIP_TLS_CA || null,
+        verifyClient: process.env.SIP_TLS_VERIFY_CLIENT === 'true', // требовать сертификат клиента
+        verifyServer: process.env.SIP_TLS_VERIFY_SERVER !== 'false' // проверять сертификат при исходящих соединениях
+    },
+    
+    // SIP over WebSocket (RFC 7118) для браузерных софтфонов
+    websocket: {
+        enabled: process.env.SIP_WS_ENABLED !== 'false', // ws:// на порту API сервера
+        path: process.env.SIP_WS_PATH || '/ws',
+        securePort: parseInt(process.env.SIP_WSS_PORT) || 8089 // wss:// при включенном TLS
     },
     
     // API сервер
@@ -23,7 +50,20 @@ const config = {
     // Валидные номера
     extensions: {
         min: parseInt(process.env.EXT_MIN) || 100,
-        max: parseInt(process.env.EXT_MAX) || 110
+        max: parseInt(process.env.EXT_MAX) || 110,
+        list: process.env.EXTENSIONS || '' // номера и диапазоны через запятую (100-110,200,300-319); задан - заменяет EXT_MIN/EXT_MAX
+    },
+    
+    // План набора: упорядоченные правила маршрутизации набранных номеров
+    dialPlan: {
+        configFile: process.env.DIAL_PLAN_FILE || null // JSON с массивом правил, загружается при старте
+    },
+    
+    // Внешние линии (SIP-транки): сервер регистрируется у провайдера и отправляет через линию вызовы по правилам trunk
+    trunks: {
+        configFile: process.env.TRUNK_CONFIG_FILE || null, // JSON с описаниями линий, загружается при старте
+        registerExpires: parseInt(process.env.TRUNK_REGISTER_EXPIRES) || 3600, // секунды регистрации по умолчанию
+        retryInterval: parseInt(process.env.TRUNK_RETRY_INTERVAL) || 60 // секунды до повтора неудачной регистрации
     },
     
     // Логирование
@@ -38,12 +78,100 @@ const config = {
     security: {
         enableAuth: process.env.ENABLE_AUTH === 'true' || false,
         authSecret: process.env.AUTH_SECRET || 'your-secret-key',
+        realm: process.env.AUTH_REALM || process.env.SERVER_ADDRESS || '192.168.0.42',
+        authAlgorithm: process.env.AUTH_ALGORITHM || 'MD5', // MD5 или SHA-256
+        nonceTtl: parseInt(process.env.AUTH_NONCE_TTL) || 300, // 5 минут
+        // Учетные данные абонентов в формате "100:secret,101:secret"
+        credentials: process.env.SIP_CREDENTIALS || '',
+        defaultPassword: process.env.SIP_DEFAULT_PASSWORD || null,
         rateLimit: {
             windowMs: parseInt(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000, // 15 минут
             max: parseInt(process.env.RATE_LIMIT_MAX) || 100 // максимум 100 запросов
         }
     },
     
+    // Проверка доступности абонентов (qualify)
+    qualify: {
+        enabled: process.env.QUALIFY_ENABLED !== 'false',
+        interval: parseInt(process.env.QUALIFY_INTERVAL) || 60, // секунды
+        maxFailures: parseInt(process.env.QUALIFY_MAX_FAILURES) || 3
+    },
+
+    // Регистратор: несколько устройств (привязок Contact) на один номер, допустимый срок регистрации (секунды)
+    registrar: {
+        maxContacts: parseInt(process.env.MAX_CONTACTS_PER_USER) || 5,
+        defaultExpires: parseInt(process.env.REGISTER_DEFAULT_EXPIRES) || 3600,
+        minExpires: parseInt(process.env.REGISTER_MIN_EXPIRES) || 60,
+        maxExpires: parseInt(process.env.REGISTER_MAX_EXPIRES) || 86400
+    },
+    
+    // Группы вызова (один номер - несколько абонентов)
+    ringGroups: {
+        min: parseInt(process.env.RING_GROUP_MIN) || 200,
+        max: parseInt(process.env.RING_GROUP_MAX) || 299,
+        memberTimeout: parseInt(process.env.RING_GROUP_MEMBER_TIMEOUT) || 20 // секунды по умолчанию
+    },
+    
+    // Голосовые меню (IVR)
+    ivr: {
+        min: parseInt(process.env.IVR_MIN) || 300,
+        max: parseInt(process.env.IVR_MAX) || 399,
+        configFile: process.env.IVR_CONFIG_FILE || null, // JSON с описаниями меню, загружается при старте
+        digitTimeout: parseInt(process.env.IVR_DIGIT_TIMEOUT) || 5, // секунды ожидания клавиши после подсказки
+        maxRetries: parseInt(process.env.IVR_MAX_RETRIES || '2') // повторы меню после неверного ввода или таймаута
+    },
+    
+    // Конференц-комнаты
+    conference: {
+        min: parseInt(process.env.CONFERENCE_MIN) || 800,
+        max: parseInt(process.env.CONFERENCE_MAX) || 809,
+        pins: process.env.CONFERENCE_PINS || '', // комната:PIN через запятую (800:1234,801:5678); без PIN вход свободный
+        maxParticipants: parseInt(process.env.CONFERENCE_MAX_PARTICIPANTS) || 10,
+        pinTimeout: parseInt(process.env.CONFERENCE_PIN_TIMEOUT) || 10, // секунды на ввод PIN
+        pinAttempts: parseInt(process.env.CONFERENCE_PIN_ATTEMPTS) || 3
+    },
+    
+    // Парковка вызовов: передача на number паркует звонок в свободный слот, слот набирают, чтобы забрать звонок
+    parking: {
+        number: process.env.PARKING_NUMBER || '700',
+        slotMin: parseInt(process.env.PARKING_SLOT_MIN) || 701,
+        slotMax: parseInt(process.env.PARKING_SLOT_MAX) || 720,
+        timeout: parseInt(process.env.PARKING_TIMEOUT) || 60, // секунды до обратного вызова парковавшего
+        musicFile: process.env.PARKING_MUSIC_FILE || null, // WAV для ожидающего абонента
+        promptsDirectory: process.env.PARKING_PROMPTS_DIR || null // 0.wav-9.wav для объявления номера слота
+    },
+    
+    // Перехват вызовов: групповой код и префикс направленного перехвата (**101)
+    pickup: {
+        groupCode: process.env.PICKUP_GROUP_CODE || '*8',
+        directedPrefix: process.env.PICKUP_DIRECTED_PREFIX || '**'
+    },
+    
+    // Не беспокоить и фильтрация вызывающих: коды включения/выключения, которые набирает абонент
+    screening: {
+        dndOnCode: process.env.DND_ON_CODE || '*78',
+        dndOffCode: process.env.DND_OFF_CODE || '*79',
+        anonymousRejectOnCode: process.env.ANONYMOUS_REJECT_ON_CODE || '*77',
+        anonymousRejectOffCode: process.env.ANONYMOUS_REJECT_OFF_CODE || '*87',
+        maxListSize: parseInt(process.env.SCREENING_MAX_LIST_SIZE) || 100 // номеров в черном и белом списке
+    },
+    
+    // Переадресация вызовов
+    forwarding: {
+        maxHops: parseInt(process.env.FORWARDING_MAX_HOPS) || 5, // максимум переадресаций одного звонка
+        noAnswerTimeout: parseInt(process.env.FORWARDING_NO_ANSWER_TIMEOUT) || 20 // секунды по умолчанию
+    },
+    
+    // Голосовая почта
+    voicemail: {
+        enabled: process.env.VOICEMAIL_ENABLED !== 'false',
+        directory: process.env.VOICEMAIL_DIR || './voicemail',
+        accessCode: process.env.VOICEMAIL_ACCESS_CODE || '*97', // номер прослушивания своих сообщений
+        noAnswerTimeout: parseInt(process.env.VOICEMAIL_NO_ANSWER_TIMEOUT) || 25, // секунды до ответа почты
+        maxMessageLength: parseInt(process.env.VOICEMAIL_MAX_MESSAGE_LENGTH) || 120, // секунды
+        greetingFile: process.env.VOICEMAIL_GREETING_FILE || null // WAV 8 кГц моно: PCM 16 бит, A-law или mu-law
+    },
+    
     // Таймауты
     timeouts: {
         callSetup: parseInt(process.env.CALL_SETUP_TIMEOUT) || 30000, // 30 секунд
@@ -52,10 +180,40 @@ const config = {
     }
 };
 
-// Генерируем список валидных номеров
+// Генерируем список валидных номеров: из EXTENSIONS или диапазона EXT_MIN-EXT_MAX
 config.validExtensions = new Set();
-for (let i = config.extensions.min; i <= config.extensions.max; i++) {
-    config.validExtensions.add(i.toString());
+const extensionRanges = config.extensions.list
+    ? config.extensions.list.split(',').map(entry => entry.trim()).filter(entry => entry)
+    : [`${config.extensions.min}-${config.extensions.max}`];
+for (const entry of extensionRanges) {
+    const [first, last = first] = entry.split('-').map(value => parseInt(value));
+    for (let i = first; i <= last; i++) {
+        config.validExtensions.add(i.toString());
+    }
+}
+
+// Разбираем учетные данные абонентов
+config.security.extensionPasswords = new Map();
+for (const entry of config.security.credentials.split(',')) {
+    const separatorIndex = entry.indexOf(':');
+    if (separatorIndex > 0) {
+        config.security.extensionPasswords.set(
+            entry.substring(0, separatorIndex).trim(),
+            entry.substring(separatorIndex + 1).trim()
+        );
+    }
+}
+
+// Разбираем PIN конференц-комнат
+config.conference.roomPins = new Map();
+for (const entry of config.conference.pins.split(',')) {
+    const separatorIndex = entry.indexOf(':');
+    if (separatorIndex > 0) {
+        config.conference.roomPins.set(
+            entry.substring(0, separatorIndex).trim(),
+            entry.substring(separatorIndex + 1).trim()
+        );
+    }
 }
 
 module.exports = config; 
\ No newline at end of file
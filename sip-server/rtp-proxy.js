@@ -1,11 +1,18 @@
 const dgram = require('dgram');
 const { rtpLogger } = require('./logger');
+const audio = require('./utils/audio');
+
+// Такт микшера конференции - один кадр G.711 (20 мс)
+const MIX_INTERVAL = 20;
+const MIX_FRAME_SAMPLES = 160;
 
 class RtpProxy {
     constructor(config) {
         this.config = config;
         this.rtpServer = dgram.createSocket('udp4');
         this.activeStreams = new Map(); // Call-ID -> { fromPort, toPort, fromAddress, toAddress }
+        this.endpoints = new Map(); // Call-ID -> { address, port, onPacket } - медиа, которое принимает сам сервер
+        this.conferences = new Map(); // комната -> { participants: Map(Call-ID -> { session, muted }), timer }
         this.serverPort = config.rtp.port;
         this.serverAddress = config.sip.serverAddress;
     }
@@ -30,6 +37,14 @@ class RtpProxy {
 
     // Обработка RTP пакетов
     handleRtpPacket(message, rinfo) {
+        // Пакеты звонков, на которые отвечает сам сервер, не пересылаются
+        for (const endpoint of this.endpoints.values()) {
+            if (rinfo.address === endpoint.address && rinfo.port === endpoint.port) {
+                endpoint.onPacket(message);
+                return;
+            }
+        }
+
         // Ищем активный поток для этого адреса/порта
         for (const [callId, stream] of this.activeStreams) {
             if (rinfo.address === stream.fromAddress && rinfo.port === stream.fromPort) {
@@ -105,6 +120,97 @@ class RtpProxy {
         }
     }
 
+    // Сервер как конечная точка RTP (голосовая почта): пакеты от address:port передаются в onPacket
+    addEndpoint(callId, address, port, onPacket) {
+        this.endpoints.set(callId, { address, port, onPacket });
+        rtpLogger.info(`RTP endpoint added`, { callId, address, port });
+    }
+
+    removeEndpoint(callId) {
+        if (this.endpoints.delete(callId)) {
+            rtpLogger.info(`RTP endpoint removed`, { callId });
+        }
+    }
+
+    // Отправка пакета с RTP-порта сервера
+    sendPacket(packet, address, port) {
+        this.rtpServer.send(packet, port, address);
+    }
+
+    // Участник конференции: session - MediaSession его звонка (сервер уже отвечает на RTP участника)
+    addConferenceParticipant(room, callId, session) {
+        let conference = this.conferences.get(room);
+        if (!conference) {
+            conference = { participants: new Map(), timer: null };
+            conference.timer = setInterval(() => this.mixConference(conference), MIX_INTERVAL);
+            this.conferences.set(room, conference);
+            rtpLogger.info(`Conference mixer started`, { room });
+        }
+
+        session.startMixing();
+        conference.participants.set(callId, { session, muted: false });
+        rtpLogger.info(`Conference participant added`, { room, callId, codec: session.codec, participants: conference.participants.size });
+    }
+
+    removeConferenceParticipant(room, callId) {
+        const conference = this.conferences.get(room);
+        const participant = conference ? conference.participants.get(callId) : null;
+        if (!participant) {
+            return;
+        }
+
+        participant.session.stopMixing();
+        conference.participants.delete(callId);
+        rtpLogger.info(`Conference participant removed`, { room, callId, participants: conference.participants.size });
+
+        if (conference.participants.size === 0) {
+            clearInterval(conference.timer);
+            this.conferences.delete(room);
+            rtpLogger.info(`Conference mixer stopped`, { room });
+        }
+    }
+
+    // Выключенный микрофон: аудио участника не попадает в микс, сам он остальных слышит
+    setConferenceParticipantMuted(room, callId, muted) {
+        const conference = this.conferences.get(room);
+        const participant = conference ? conference.participants.get(callId) : null;
+        if (!participant) {
+            return false;
+        }
+        participant.muted = muted;
+        rtpLogger.info(`Conference participant ${muted ? 'muted' : 'unmuted'}`, { room, callId });
+        return true;
+    }
+
+    // Такт микшера: декодируем по кадру от каждого участника, складываем и каждому отправляем сумму без его
+    // собственного голоса, закодированную в его кодеке
+    mixConference(conference) {
+        const frames = new Map();
+        const total = new Int32Array(MIX_FRAME_SAMPLES);
+
+        for (const [callId, participant] of conference.participants) {
+            const encoded = participant.session.readMixFrame();
+            if (!encoded || participant.muted) {
+                continue;
+            }
+            const samples = audio.decode(encoded, participant.session.codec);
+            frames.set(callId, samples);
+            for (let index = 0; index < MIX_FRAME_SAMPLES; index++) {
+                total[index] += samples[index];
+            }
+        }
+
+        for (const [callId, participant] of conference.participants) {
+            const own = frames.get(callId);
+            const mixed = new Int16Array(MIX_FRAME_SAMPLES);
+            for (let index = 0; index < MIX_FRAME_SAMPLES; index++) {
+                const value = total[index] - (own ? own[index] : 0);
+                mixed[index] = Math.max(-32768, Math.min(32767, value));
+            }
+            participant.session.writeMixFrame(audio.encode(mixed, participant.session.codec));
+        }
+    }
+
     // Модификация SDP для направления RTP через сервер
     modifySdp(sdp, callId) {
         const serverAddress = this.serverAddress;
@@ -117,7 +223,8 @@ class RtpProxy {
         
         // Заменяем IP адрес и порт в SDP
         // Важно: заменяем ВСЕ вхождения IP адреса в SDP
-        let modifiedSdp = sdp.replace(/c=IN IP4 [^\r\n]+/g, `c=IN IP4 ${serverAddress}`);
+        // c=IN IP4 0.0.0.0 (удержание по RFC 2543) оставляем как есть
+        let modifiedSdp = sdp.replace(/c=IN IP4 (?!0\.0\.0\.0\s)[^\r\n]+/g, `c=IN IP4 ${serverAddress}`);
         modifiedSdp = modifiedSdp.replace(/o=[^\s]+ [^\s]+ [^\s]+ IN IP4 [^\r\n]+/g, (match) => {
             return match.replace(/IN IP4 [^\r\n]+/, `IN IP4 ${serverAddress}`);
         });
@@ -134,6 +241,27 @@ class RtpProxy {
         return modifiedSdp;
     }
 
+    // Направление аудио в SDP: sendrecv, sendonly, recvonly или inactive
+    // Атрибут медиа-секции важнее сессионного, c=0.0.0.0 означает удержание
+    getSdpDirection(sdp) {
+        const directions = ['sendrecv', 'sendonly', 'recvonly', 'inactive'];
+        const lines = sdp.split(/\r?\n/);
+        const audioIndex = lines.findIndex(line => line.startsWith('m=audio'));
+        const sessionLines = audioIndex === -1 ? lines : lines.slice(0, audioIndex);
+        const nextMediaIndex = lines.findIndex((line, index) => index > audioIndex && line.startsWith('m='));
+        const mediaLines = audioIndex === -1 ? [] : lines.slice(audioIndex, nextMediaIndex === -1 ? lines.length : nextMediaIndex);
+
+        const findDirection = (section) => {
+            const line = section.find(item => item.startsWith('a=') && directions.includes(item.substring(2).trim()));
+            return line ? line.substring(2).trim() : null;
+        };
+
+        if ([...sessionLines, ...mediaLines].some(line => /^c=IN IP4 0\.0\.0\.0\s*$/.test(line))) {
+            return 'inactive';
+        }
+        return findDirection(mediaLines) || findDirection(sessionLines) || 'sendrecv';
+    }
+
     // Получение информации о потоках
     getStreams() {
         return Array.from(this.activeStreams.entries()).map(([callId, stream]) => ({
@@ -147,6 +275,9 @@ class RtpProxy {
 
     // Остановка RTP сервера
     stop() {
+        for (const conference of this.conferences.values()) {
+            clearInterval(conference.timer);
+        }
         this.rtpServer.close();
         rtpLogger.info(`RTP proxy stopped`);
     }
@@ -1,5 +1,6 @@
 const dgram = require('dgram');
 const crypto = require('crypto');
+const https = require('https');
 const express = require('express');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
@@ -10,11 +11,38 @@ const { sipLogger, apiLogger } = require('./logger');
 const SipValidator = require('./utils/sip-validator');
 const CallManager = require('./utils/call-manager');
 const UserManager = require('./utils/user-manager');
+const DigestAuth = require('./utils/digest-auth');
+const TransactionManager = require('./utils/transaction-manager');
+const ForwardingManager = require('./utils/forwarding-manager');
+const RingGroupManager = require('./utils/ring-group-manager');
+const VoicemailManager = require('./utils/voicemail-manager');
+const IvrManager = require('./utils/ivr-manager');
+const ConferenceManager = require('./utils/conference-manager');
+const ParkingManager = require('./utils/parking-manager');
+const ScreeningManager = require('./utils/screening-manager');
+const DialPlanManager = require('./utils/dial-plan-manager');
+const TrunkManager = require('./utils/trunk-manager');
+const MediaSession = require('./utils/media-session');
+const audio = require('./utils/audio');
+const SipMessage = require('./utils/sip-message');
+const TcpTransport = require('./utils/tcp-transport');
+const TlsTransport = require('./utils/tls-transport');
+const WebSocketTransport = require('./utils/ws-transport');
 const RtpProxy = require('./rtp-proxy');
 
 // Создаем UDP сервер для SIP
 const sipServer = dgram.createSocket('udp4');
 
+// TCP слушатель SIP на том же порту
+const tcpTransport = new TcpTransport(config);
+
+// TLS слушатель SIP (SIPS)
+const tlsTransport = new TlsTransport(config);
+
+// SIP over WebSocket: ws на HTTP сервере API, wss на отдельном порту
+const wsTransport = new WebSocketTransport(config);
+const wssTransport = new WebSocketTransport(config, true);
+
 // Создаем Express приложение для управления
 const app = express();
 
@@ -39,124 +67,289 @@ app.use(express.json());
 const sipValidator = new SipValidator(config);
 const callManager = new CallManager(config);
 const userManager = new UserManager(config);
+const digestAuth = new DigestAuth(config);
+const forwardingManager = new ForwardingManager(config);
+const ringGroupManager = new RingGroupManager(config);
+const voicemailManager = new VoicemailManager(config);
+const ivrManager = new IvrManager(config);
+const conferenceManager = new ConferenceManager(config);
+const parkingManager = new ParkingManager(config);
+const screeningManager = new ScreeningManager(config);
+const trunkManager = new TrunkManager(config);
+const dialPlanManager = new DialPlanManager(config, trunkManager);
+if (config.ivr.configFile) {
+    ivrManager.loadFromFile(config.ivr.configFile);
+}
+if (config.trunks.configFile) {
+    trunkManager.loadFromFile(config.trunks.configFile);
+}
+if (config.dialPlan.configFile) {
+    dialPlanManager.loadFromFile(config.dialPlan.configFile);
+}
+const transactionManager = new TransactionManager(config, sendSipMessage);
 
-// Создаем RTP прокси
-const rtpProxy = new RtpProxy(config);
+// Отправка SIP сообщения через транспорт, по которому работает абонент
+function sendSipMessage(message, port, address, transport = 'UDP') {
+    if (transport === 'TCP') {
+        tcpTransport.send(message, port, address);
+    } else if (transport === 'TLS') {
+        tlsTransport.send(message, port, address);
+    } else if (transport === 'WS') {
+        wsTransport.send(message, port, address);
+    } else if (transport === 'WSS') {
+        wssTransport.send(message, port, address);
+    } else {
+        sipServer.send(message, port, address);
+    }
+}
 
-// Парсинг SIP сообщений
-function parseSipMessage(message) {
-    const lines = message.toString().split('\r\n');
-    const firstLine = lines[0];
-    const headers = {};
-    let body = '';
-    let bodyStart = false;
-
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i];
-        if (line === '') {
-            bodyStart = true;
-            continue;
-        }
-        if (bodyStart) {
-            body += line + '\r\n';
-        } else {
-            const colonIndex = line.indexOf(':');
-            if (colonIndex !== -1) {
-                const key = line.substring(0, colonIndex).trim();
-                const value = line.substring(colonIndex + 1).trim();
-                headers[key] = value;
-            }
-        }
+// Порт сервера для транспорта (TLS и WebSocket слушают отдельные порты)
+function getServerPort(transport) {
+    switch (transport) {
+        case 'TLS':
+            return config.tls.port;
+        case 'WS':
+            return config.api.port;
+        case 'WSS':
+            return config.websocket.securePort;
+        default:
+            return config.sip.port;
     }
+}
 
-    return {
-        firstLine,
-        headers,
-        body: body.trim()
-    };
+// Via сервера для исходящего запроса
+function createServerVia(transport, branch) {
+    return `SIP/2.0/${transport || 'UDP'} ${config.sip.serverAddress}:${getServerPort(transport)};branch=${branch}`;
 }
 
-// Создание SIP ответа
-function createSipResponse(statusCode, statusText, headers, body = '') {
-    let response = `SIP/2.0 ${statusCode} ${statusText}\r\n`;
-    
-    for (const [key, value] of Object.entries(headers)) {
-        response += `${key}: ${value}\r\n`;
+// SIP URI абонента с учетом транспорта (TLS -> sips:)
+function createSipUri(number, address, port, transport) {
+    if (transport === 'TLS') {
+        return `sips:${number}@${address}:${port}`;
     }
-    
-    if (body) {
-        response += `Content-Length: ${body.length}\r\n`;
+    if (transport && transport !== 'UDP') {
+        return `sip:${number}@${address}:${port};transport=${transport.toLowerCase()}`;
     }
-    
-    response += '\r\n';
-    if (body) {
-        response += body;
+    return `sip:${number}@${address}:${port}`;
+}
+
+// Contact сервера для плеча с заданным транспортом (сервер сам ведет диалог)
+function createServerContact(number, transport) {
+    return `<${createSipUri(number, config.sip.serverAddress, getServerPort(transport), transport)}>`;
+}
+
+// Record-Route сервера для плеча с заданным транспортом (loose routing)
+function createRecordRoute(transport) {
+    const scheme = transport === 'TLS' ? 'sips' : 'sip';
+    const transportParam = transport && transport !== 'UDP' && transport !== 'TLS' ? `;transport=${transport.toLowerCase()}` : '';
+    return `<${scheme}:${config.sip.serverAddress}:${getServerPort(transport)}${transportParam};lr>`;
+}
+
+// URI указывает на сервер: адрес сервера и порт одного из слушателей
+function isServerUri(uri) {
+    if (!uri || uri.host !== config.sip.serverAddress) {
+        return false;
     }
-    
+    const port = Number(uri.port || (uri.scheme === 'sips' ? 5061 : 5060));
+    return ['UDP', 'TLS', 'WS', 'WSS'].some(transport => Number(getServerPort(transport)) === port);
+}
+
+// Копия запроса для пересылки следующему узлу (RFC 3261, 16.6):
+// снимаем свои Route, уменьшаем Max-Forwards, отмечаем received/rport и кладем Via сервера поверх
+function createProxiedRequest(parsed, rinfo, transport, branch) {
+    const request = parsed.clone();
+
+    let route = request.getHeader('Route');
+    while (route) {
+        const nameAddr = SipMessage.parseNameAddr(route);
+        if (!nameAddr || !isServerUri(nameAddr.uri)) {
+            break;
+        }
+        request.shiftHeader('Route');
+        route = request.getHeader('Route');
+    }
+
+    const via = request.getVia();
+    if (via) {
+        if (via.host !== rinfo.address) {
+            via.params.received = rinfo.address;
+        }
+        if ('rport' in via.params) {
+            via.params.rport = rinfo.port;
+        }
+        request.shiftHeader('Via');
+        request.prependHeader('Via', SipMessage.formatVia(via));
+    }
+
+    const maxForwards = parseInt(request.getHeader('Max-Forwards'));
+    request.setHeader('Max-Forwards', String(isNaN(maxForwards) ? 70 : maxForwards - 1));
+    request.prependHeader('Via', createServerVia(transport, branch));
+
+    return request;
+}
+
+// Запрос исчерпал Max-Forwards и не может быть переслан дальше
+function isOutOfHops(parsed) {
+    return parseInt(parsed.getHeader('Max-Forwards')) === 0;
+}
+
+// Ответ для пересылки назад: снимаем Via сервера, To tag, Contact и Record-Route сохраняются
+function createUpstreamResponse(parsed) {
+    const response = parsed.clone();
+    response.shiftHeader('Via');
     return response;
 }
 
-// Извлечение номера из SIP URI
-function extractNumber(uri) {
-    console.log(`Извлекаем номер из URI: ${uri}`);
-    // Поддерживаем разные форматы: sip:100@domain, sip:100@domain:port, sip:100@domain;user=phone
-    const match = uri.match(/sip:(\d+)@/);
-    const number = match ? match[1] : null;
+// Запрос внутри диалога отправил вызывающий (его tag в From)
+function isFromCaller(parsed, call) {
+    const from = parsed.getFrom();
+    return !!from && from.params.tag === call.callerTag;
+}
+
+// Адрес другой стороны звонка для пересылки запроса внутри диалога
+function getDialogPeer(call, fromCaller) {
+    return fromCaller
+        ? { address: call.toAddress, port: call.toPort, transport: call.toTransport }
+        : { address: call.fromAddress, port: call.fromPort, transport: call.fromTransport };
+}
+
+// Создаем RTP прокси
+const rtpProxy = new RtpProxy(config);
+
+// Возможности сервера для ответа на OPTIONS
+const ALLOWED_METHODS = ['INVITE', 'ACK', 'CANCEL', 'BYE', 'OPTIONS', 'REGISTER', 'UPDATE', 'REFER', 'NOTIFY'];
+const ACCEPTED_CONTENT_TYPES = ['application/sdp'];
+const SUPPORTED_EXTENSIONS = ['replaces'];
+
+// Извлечение номера из разобранного From/To (sip:100@domain, sips:100@domain:port, ...)
+function extractNumber(nameAddr) {
+    const user = nameAddr && nameAddr.uri ? nameAddr.uri.user : null;
+    console.log(`Извлекаем номер из URI: ${user}`);
+    const number = user && /^\+?[\d*#]+$/.test(user) ? user : null;
     console.log(`Извлеченный номер: ${number}`);
     return number;
 }
 
+// Проверка digest-аутентификации запроса
+// Возвращает true, если запрос можно обрабатывать дальше, иначе сам отправляет ответ клиенту
+function authenticateRequest(parsed, rinfo, transaction, method, expectedNumber) {
+    if (!config.security.enableAuth) {
+        return true;
+    }
+
+    // REGISTER проверяет регистратор (401), остальные запросы - прокси (407)
+    const isRegister = method === 'REGISTER';
+    const credentialsHeader = parsed.getHeader(isRegister ? 'Authorization' : 'Proxy-Authorization');
+    let stale = false;
+
+    if (credentialsHeader) {
+        const result = digestAuth.verify(credentialsHeader, method, parsed.uri, (username) => userManager.getPassword(username));
+
+        if (result.valid && result.username === expectedNumber) {
+            return true;
+        }
+
+        if (result.valid) {
+            // Пароль верный, но абонент пытается действовать от чужого номера
+            sipLogger.warn(`SIP authentication failed`, {
+                method,
+                number: expectedNumber,
+                username: result.username,
+                reason: 'Username does not match extension',
+                address: rinfo.address,
+                port: rinfo.port
+            });
+            transactionManager.sendResponse(transaction, parsed.createResponse(403, 'Forbidden'));
+            return false;
+        }
+
+        stale = !!result.stale;
+        if (!stale) {
+            sipLogger.warn(`SIP authentication failed`, {
+                method,
+                number: expectedNumber,
+                username: result.username,
+                reason: result.reason,
+                address: rinfo.address,
+                port: rinfo.port
+            });
+        }
+    }
+
+    const challengeHeader = isRegister ? 'WWW-Authenticate' : 'Proxy-Authenticate';
+    const response = parsed.createResponse(
+        isRegister ? 401 : 407,
+        isRegister ? 'Unauthorized' : 'Proxy Authentication Required',
+        { [challengeHeader]: digestAuth.createChallenge(stale) }
+    );
+
+    sipLogger.debug(`Authentication challenge sent`, {
+        method,
+        number: expectedNumber,
+        stale,
+        address: rinfo.address,
+        port: rinfo.port
+    });
+    transactionManager.sendResponse(transaction, response);
+    return false;
+}
+
 // Обработка REGISTER запросов
-function handleRegister(message, rinfo) {
+function handleRegister(parsed, rinfo, transaction) {
     try {
-        const parsed = parseSipMessage(message);
-        
         // Валидация REGISTER запроса
-        const validation = sipValidator.validateRegisterRequest(parsed);
+        const validation = sipValidator.validateRegisterRequest(parsed, rinfo.transport);
         if (!validation.valid) {
-            sipValidator.logValidationError('REGISTER', validation.errors, message.toString());
-            const response = createSipResponse(400, 'Bad Request', {
-                'Via': parsed.headers['Via'],
-                'From': parsed.headers['From'],
-                'To': parsed.headers['To'],
-                'Call-ID': parsed.headers['Call-ID'],
-                'CSeq': parsed.headers['CSeq']
-            });
-            sipServer.send(response, rinfo.port, rinfo.address);
+            sipValidator.logValidationError('REGISTER', validation.errors, parsed.toString());
+            transactionManager.sendResponse(transaction, parsed.createResponse(400, 'Bad Request'));
             return;
         }
 
-        const toHeader = parsed.headers['To'];
-        const fromHeader = parsed.headers['From'];
-        const contactHeader = parsed.headers['Contact'];
-        const expiresHeader = parsed.headers['Expires'] || '3600';
+        const number = extractNumber(parsed.getTo());
 
-        const number = extractNumber(toHeader);
-        const expires = parseInt(expiresHeader);
+        if (!authenticateRequest(parsed, rinfo, transaction, 'REGISTER', number)) {
+            return;
+        }
         
-        // Регистрируем пользователя
-        const contactUri = contactHeader.replace(/^<|>.*$/g, '');
-        const userData = userManager.registerUser(number, contactUri, rinfo.address, rinfo.port, expires);
+        // Регистрация, продление, снятие привязок или запрос их списка - решает регистратор
+        const contacts = parsed.getContacts();
+        const result = userManager.processRegister(number, {
+            contacts,
+            expires: parsed.getHeader('Expires'),
+            callId: parsed.getCallId(),
+            cseq: parsed.getCSeq().number,
+            address: rinfo.address,
+            port: rinfo.port,
+            transport: rinfo.transport,
+            connection: rinfo.connection
+        });
+
+        if (result.statusCode === 423) {
+            transactionManager.sendResponse(transaction, parsed.createResponse(423, result.reasonPhrase, {
+                'Min-Expires': String(result.minExpires)
+            }));
+            return;
+        }
+        if (result.statusCode !== 200) {
+            transactionManager.sendResponse(transaction, parsed.createResponse(result.statusCode, result.reasonPhrase));
+            return;
+        }
 
         sipLogger.info(`User registration successful`, {
             number,
             address: rinfo.address,
             port: rinfo.port,
-            expires,
-            contactUri
+            transport: rinfo.transport,
+            contacts: contacts.length,
+            bindings: result.bindings.length
         });
 
-        const response = createSipResponse(200, 'OK', {
-            'Via': parsed.headers['Via'],
-            'From': fromHeader,
-            'To': toHeader,
-            'Call-ID': parsed.headers['Call-ID'],
-            'CSeq': parsed.headers['CSeq'],
-            'Contact': contactHeader,
-            'Expires': expiresHeader
+        // 200 OK перечисляет все действующие привязки номера с оставшимся сроком
+        const response = parsed.createResponse(200, 'OK', {
+            'Contact': result.bindings.map(binding => formatBindingContact(binding))
         });
 
-        sipServer.send(response, rinfo.port, rinfo.address);
+        transactionManager.sendResponse(transaction, response);
         
     } catch (error) {
         sipLogger.error(`Error handling REGISTER request`, {
@@ -167,454 +360,3667 @@ function handleRegister(message, rinfo) {
         });
         
         // Отправляем ошибку клиенту
-        const response = createSipResponse(500, 'Internal Server Error', {
-            'Via': parsed?.headers?.['Via'],
-            'From': parsed?.headers?.['From'],
-            'To': parsed?.headers?.['To'],
-            'Call-ID': parsed?.headers?.['Call-ID'],
-            'CSeq': parsed?.headers?.['CSeq']
-        });
-        sipServer.send(response, rinfo.port, rinfo.address);
+        transactionManager.sendResponse(transaction, transaction.request.createResponse(500, 'Internal Server Error'));
+    }
+}
+
+// Contact привязки для ответа на REGISTER: URI, оставшийся срок, q и +sip.instance (RFC 5626)
+function formatBindingContact(binding) {
+    const expires = Math.max(0, Math.ceil((binding.expiresAt - Date.now()) / 1000));
+    let contact = `<${binding.uri}>;expires=${expires}`;
+    if (binding.q !== 1) {
+        contact += `;q=${binding.q}`;
     }
+    if (binding.instanceId) {
+        contact += `;+sip.instance="${binding.instanceId}"`;
+    }
+    return contact;
 }
 
 // Обработка INVITE запросов
-function handleInvite(message, rinfo) {
+function handleInvite(parsed, rinfo, transaction) {
     try {
-        const parsed = parseSipMessage(message);
-        
+        // Вызов с внешней линии: пришел с адреса провайдера, From - внешний номер, набранный номер - DID линии
+        const requestUri = parsed.getRequestUri();
+        const inboundTrunk = trunkManager.findInboundTrunk(rinfo.address, requestUri ? requestUri.user : null);
+
         // Валидация INVITE запроса
-        const validation = sipValidator.validateInviteRequest(parsed);
+        const validation = sipValidator.validateInviteRequest(parsed, rinfo.transport, !!inboundTrunk);
         if (!validation.valid) {
-            sipValidator.logValidationError('INVITE', validation.errors, message.toString());
-            const response = createSipResponse(400, 'Bad Request', {
-                'Via': parsed.headers['Via'],
-                'From': parsed.headers['From'],
-                'To': parsed.headers['To'],
-                'Call-ID': parsed.headers['Call-ID'],
-                'CSeq': parsed.headers['CSeq']
-            });
-            sipServer.send(response, rinfo.port, rinfo.address);
+            sipValidator.logValidationError('INVITE', validation.errors, parsed.toString());
+            transactionManager.sendResponse(transaction, parsed.createResponse(400, 'Bad Request'));
             return;
         }
 
-        const toHeader = parsed.headers['To'];
-        const fromHeader = parsed.headers['From'];
-        const callId = parsed.headers['Call-ID'];
+        const callId = parsed.getCallId();
+        const fromNumber = extractNumber(parsed.getFrom()) || (inboundTrunk ? 'anonymous' : null);
+        const inboundRoute = inboundTrunk
+            ? trunkManager.routeInbound(inboundTrunk, extractNumber({ uri: requestUri }), extractNumber(parsed.getTo()))
+            : null;
+        const dialedNumber = inboundRoute ? inboundRoute.number : extractNumber(parsed.getTo());
+
+        // Провайдеру доверяют по адресу: digest-аутентификации и регистрации вызывающего не требуется
+        if (!inboundTrunk && !authenticateRequest(parsed, rinfo, transaction, 'INVITE', fromNumber)) {
+            return;
+        }
 
-        const fromNumber = extractNumber(fromHeader);
-        const toNumber = extractNumber(toHeader);
+        if (isOutOfHops(parsed)) {
+            transactionManager.sendResponse(transaction, parsed.createResponse(483, 'Too Many Hops'));
+            return;
+        }
 
         sipLogger.info(`Incoming call`, {
             fromNumber,
-            toNumber,
+            toNumber: dialedNumber,
+            trunk: inboundTrunk ? inboundTrunk.name : undefined,
             callId,
             address: rinfo.address,
             port: rinfo.port
         });
 
-        // Проверяем регистрацию абонентов
-        const targetUser = userManager.getUser(toNumber);
-        const callingUser = userManager.getUser(fromNumber);
-
-        if (!targetUser || !callingUser) {
-            const missingUser = !targetUser ? toNumber : fromNumber;
-            sipLogger.warn(`User not registered`, { missingUser, fromNumber, toNumber });
-            
-            const response = createSipResponse(404, 'Not Found', {
-                'Via': parsed.headers['Via'],
-                'From': fromHeader,
-                'To': toHeader,
-                'Call-ID': callId,
-                'CSeq': parsed.headers['CSeq']
+        // INVITE без tag в To с Call-ID существующего звонка - слитый запрос (RFC 3261, 8.2.2.2)
+        if (callManager.getCall(callId)) {
+            sipLogger.warn(`Merged INVITE rejected`, { callId, address: rinfo.address, port: rinfo.port });
+            transactionManager.sendResponse(transaction, parsed.createResponse(482, 'Loop Detected'));
+            return;
+        }
+
+        // INVITE с Replaces заменяет участника установленного диалога (сопровождаемая передача, RFC 3891)
+        const replaces = parsed.getHeader('Replaces');
+        if (replaces) {
+            handleReplacesInvite(parsed, rinfo, transaction, replaces, fromNumber, dialedNumber);
+            return;
+        }
+
+        // Проверяем регистрацию вызывающего абонента
+        if (!inboundTrunk && !userManager.getUser(fromNumber)) {
+            sipLogger.warn(`User not registered`, { missingUser: fromNumber, fromNumber, toNumber: dialedNumber });
+            transactionManager.sendResponse(transaction, parsed.createResponse(404, 'Not Found'));
+            return;
+        }
+
+        // План набора: номер может быть преобразован, отклонен, направлен на внешнюю линию или сразу в голосовую почту;
+        // вызов с внешней линии направляется по DID линии
+        const route = inboundRoute || routeDialedNumber(dialedNumber);
+        if (!route.action) {
+            sipLogger.warn(`No route for dialed number`, { callId, fromNumber, dialedNumber, trunk: inboundTrunk ? inboundTrunk.name : undefined });
+            transactionManager.sendResponse(transaction, parsed.createResponse(404, 'Not Found'));
+            return;
+        }
+        if (route.action === 'reject') {
+            rejectInvite(parsed, rinfo, transaction, fromNumber, dialedNumber, {
+                statusCode: route.rule.statusCode,
+                reasonPhrase: route.rule.reasonPhrase,
+                reason: 'DIAL_PLAN_REJECTED'
             });
-            sipServer.send(response, rinfo.port, rinfo.address);
+            return;
+        }
+        if (route.action === 'trunk') {
+            routeTrunkCall(parsed, rinfo, transaction, fromNumber, dialedNumber, route);
+            return;
+        }
+        const toNumber = route.target;
+        const voicemailDirect = route.action === 'voicemail';
+        if (voicemailDirect && !isVoicemailAvailable(parsed.body, toNumber)) {
+            sipLogger.warn(`Voicemail is not available`, { callId, fromNumber, mailbox: toNumber });
+            transactionManager.sendResponse(transaction, parsed.createResponse(480, 'Temporarily Unavailable'));
+            return;
+        }
+
+        // Слот парковки забирает ожидающий звонок, коды перехвата - звонящий вызов другого абонента
+        if (parkingManager.isSlot(toNumber)) {
+            retrieveParkedCall(parsed, rinfo, transaction, fromNumber, toNumber);
+            return;
+        }
+        if (isPickupCode(toNumber)) {
+            pickupCall(parsed, rinfo, transaction, fromNumber, toNumber);
+            return;
+        }
+
+        // Прослушивание своей голосовой почты, коды "не беспокоить", голосовые меню и конференции: отвечает сам сервер
+        const voicemailAccess = voicemailManager.isEnabled() && toNumber === config.voicemail.accessCode;
+        const screeningCode = screeningManager.getFeatureCode(toNumber);
+        const ivr = ivrManager.getIvr(toNumber);
+        const conferenceRoom = conferenceManager.isRoom(toNumber) ? toNumber : null;
+        const serverAnswered = voicemailAccess || voicemailDirect || !!screeningCode || !!ivr || !!conferenceRoom;
+        if (serverAnswered && !canAnswerWithMedia(parsed.body)) {
+            sipLogger.warn(`Server-answered call rejected: no G.711 offered`, { callId, fromNumber, toNumber });
+            transactionManager.sendResponse(transaction, parsed.createResponse(488, 'Not Acceptable Here'));
+            return;
+        }
+        if (conferenceRoom && conferenceManager.isFull(conferenceRoom)) {
+            sipLogger.warn(`Conference room is full`, { callId, fromNumber, room: conferenceRoom });
+            transactionManager.sendResponse(transaction, parsed.createResponse(486, 'Busy Here'));
+            return;
+        }
+
+        // Номер группы вызова: обзвон участников вместо одного абонента
+        const ringGroup = serverAnswered ? null : ringGroupManager.getGroup(toNumber);
+
+        // Набранный абонент не принимает вызов: анонимный вызывающий, черный или белый список, "не беспокоить"
+        const rejection = ringGroup || serverAnswered ? null : screeningManager.checkCaller(toNumber, fromNumber, isAnonymousCall(parsed));
+        if (rejection) {
+            rejectInvite(parsed, rinfo, transaction, fromNumber, toNumber, rejection);
             return;
         }
 
-        // Проверяем, не занят ли целевой абонент
-        if (callManager.isNumberBusy(toNumber)) {
-            sipLogger.warn(`Target user is busy`, { toNumber });
-            const response = createSipResponse(486, 'Busy Here', {
-                'Via': parsed.headers['Via'],
-                'From': fromHeader,
-                'To': toHeader,
-                'Call-ID': callId,
-                'CSeq': parsed.headers['CSeq']
+        // Цель звонка с учетом переадресации; переадресации из входящего Diversion тоже учитываются в защите от петель
+        const routing = ringGroup || serverAnswered ? null : resolveCallTarget(inboundTrunk ? null : fromNumber, toNumber, parseDiversions(parsed));
+
+        // Абонент недоступен или занят, а переадресации нет - звонок принимает его голосовая почта
+        const voicemailFallback = !!routing && !routing.targetUser && !!VOICEMAIL_CONDITIONS[routing.statusCode] &&
+            isVoicemailAvailable(parsed.body, getVoicemailMailbox(routing.targetNumber, routing.diversions));
+        if (routing && !routing.targetUser && !voicemailFallback) {
+            sipLogger.warn(`Call target is not available`, {
+                callId,
+                toNumber: routing.targetNumber,
+                statusCode: routing.statusCode
             });
-            sipServer.send(response, rinfo.port, rinfo.address);
+            transactionManager.sendResponse(transaction, parsed.createResponse(routing.statusCode, routing.reasonPhrase));
             return;
         }
 
         // Создаем новый звонок
-        const callData = callManager.createCall(
+        callManager.createCall(
             callId, 
             fromNumber, 
-            toNumber, 
+            ringGroup ? ringGroup.number : (routing ? routing.targetNumber : toNumber), 
             rinfo.address, 
             rinfo.port, 
-            parsed.body
+            parsed.body,
+            rinfo.transport
         );
 
-        // Устанавливаем целевого абонента
-        callManager.setTarget(callId, targetUser.address, targetUser.port);
-
-        // Сохраняем оригинальные заголовки
-        callManager.updateCallState(callId, 'RINGING', {
-            originalVia: parsed.headers['Via'],
-            originalFrom: parsed.headers['From'],
-            originalTo: parsed.headers['To'],
-            originalCSeq: parsed.headers['CSeq'],
-            originalContact: parsed.headers['Contact']
+        // Сохраняем оригинальные заголовки и транзакцию вызывающего
+        callManager.updateCallState(callId, 'CALLING', {
+            originalVia: parsed.getHeaders('Via'),
+            originalFrom: parsed.getHeader('From'),
+            originalTo: parsed.getHeader('To'),
+            originalCSeq: parsed.getHeader('CSeq'),
+            originalContact: parsed.getHeader('Contact'),
+            callerTag: parsed.getFrom().params.tag,
+            callerCSeq: parsed.getCSeq().number,
+            inviteTransactionKey: transaction.key,
+            dialedNumber: dialedNumber !== toNumber ? dialedNumber : null,
+            trunk: inboundTrunk ? inboundTrunk.name : null,
+            externalCaller: !!inboundTrunk
         });
 
+        // RTP порт вызывающего из SDP сохраняем до выбора обработчика: сервер может ответить сразу
+        const fromRtpPort = parsed.hasSdp() ? extractRtpPort(parsed.body) : null;
+        if (fromRtpPort) {
+            callManager.updateCallState(callId, 'CALLING', { fromRtpPort });
+            sipLogger.info(`RTP port extracted`, {
+                callId,
+                fromNumber,
+                fromRtpPort
+            });
+        }
+
         // Отправляем 100 Trying
-        const tryingResponse = createSipResponse(100, 'Trying', {
-            'Via': parsed.headers['Via'],
-            'From': fromHeader,
-            'To': toHeader,
-            'Call-ID': callId,
-            'CSeq': parsed.headers['CSeq']
+        transactionManager.sendResponse(transaction, parsed.createResponse(100, 'Trying'));
+
+        if (voicemailAccess) {
+            startVoicemailAccess(callManager.getCall(callId), transaction);
+        } else if (voicemailDirect) {
+            divertToVoicemail(callManager.getCall(callId), 'dialPlan');
+        } else if (screeningCode) {
+            applyScreeningCode(callManager.getCall(callId), transaction, screeningCode);
+        } else if (ivr) {
+            startIvr(callManager.getCall(callId), transaction, ivr);
+        } else if (conferenceRoom) {
+            startConference(callManager.getCall(callId), transaction, conferenceRoom);
+        } else if (ringGroup) {
+            startGroupHunt(callManager.getCall(callId), ringGroup);
+        } else if (voicemailFallback) {
+            callManager.updateCallState(callId, 'CALLING', { diversions: routing.diversions });
+            divertToVoicemail(callManager.getCall(callId), VOICEMAIL_CONDITIONS[routing.statusCode]);
+        } else {
+            forwardInviteToTarget(parsed, rinfo, callManager.getCall(callId), routing);
+        }
+
+    } catch (error) {
+        sipLogger.error(`Error handling INVITE request`, {
+            error: error.message,
+            stack: error.stack,
+            address: rinfo.address,
+            port: rinfo.port
+        });
+        
+        // Отправляем ошибку клиенту
+        transactionManager.sendResponse(transaction, transaction.request.createResponse(500, 'Internal Server Error'));
+    }
+}
+
+// Маршрут набранного номера: первое совпавшее правило плана набора ({ rule, number, action, target }),
+// иначе номер обрабатывается как внутренний; action null - такого номера нет
+function routeDialedNumber(dialedNumber) {
+    return dialPlanManager.resolve(dialedNumber) ||
+        { rule: null, number: dialedNumber, action: getLocalNumberType(dialedNumber), target: dialedNumber };
+}
+
+// Вид внутреннего номера: абонент, группа вызова, IVR, конференция, парковка, код услуги; null - номера нет
+function getLocalNumberType(number) {
+    if (config.validExtensions.has(number)) {
+        return 'extension';
+    }
+    if (ringGroupManager.isGroupNumber(number)) {
+        return 'ringGroup';
+    }
+    if (ivrManager.isIvrNumber(number)) {
+        return 'ivr';
+    }
+    if (conferenceManager.isRoom(number)) {
+        return 'conference';
+    }
+    if (parkingManager.isParkNumber(number) || parkingManager.isSlot(number)) {
+        return 'parking';
+    }
+    if (sipValidator.isFeatureCode(number)) {
+        return 'featureCode';
+    }
+    return null;
+}
+
+// Вызывающий скрывает свой номер: Privacy (RFC 3323) id, user или header, display-name "Anonymous"
+// либо From без номера (sip:anonymous@anonymous.invalid с внешней линии)
+function isAnonymousCall(parsed) {
+    const privacy = (parsed.getHeader('Privacy') || '').toLowerCase().split(/[;,]/).map(value => value.trim());
+    const from = parsed.getFrom();
+    return privacy.some(value => ['id', 'user', 'header'].includes(value)) ||
+        (!!from.displayName && from.displayName.toLowerCase() === 'anonymous') || !extractNumber(from);
+}
+
+// Отказ на INVITE по настройкам вызываемого (480, 603, 433) или плану набора; звонок попадает в историю как FAILED
+// с кодом ответа и причиной отказа rejection.reason
+function rejectInvite(parsed, rinfo, transaction, fromNumber, toNumber, rejection) {
+    const callId = parsed.getCallId();
+    sipLogger.info(`Call rejected`, { callId, fromNumber, toNumber, statusCode: rejection.statusCode, reason: rejection.reason });
+    transactionManager.sendResponse(transaction, parsed.createResponse(rejection.statusCode, rejection.reasonPhrase));
+
+    callManager.createCall(callId, fromNumber, toNumber, rinfo.address, rinfo.port, parsed.body, rinfo.transport);
+    callManager.failCall(callId, rejection.statusCode, rejection.reason);
+}
+
+// Цель звонка с учетом правил переадресации (безусловная, занято, не отвечает/недоступен)
+// fromNumber - внутренний номер вызывающего для защиты от петель (null для вызова с внешней линии)
+// Возвращает { targetNumber, targetUser, diversions } или { targetNumber, statusCode, reasonPhrase }, если вызов некуда направить
+function resolveCallTarget(fromNumber, toNumber, diversions = []) {
+    let targetNumber = toNumber;
+
+    for (;;) {
+        const targetUser = userManager.getUser(targetNumber);
+        let condition;
+        let failure = null;
+
+        if (forwardingManager.getActiveRule(targetNumber, 'unconditional')) {
+            condition = 'unconditional';
+        } else if (!targetUser) {
+            condition = 'unavailable';
+            failure = { statusCode: 404, reasonPhrase: 'Not Found' };
+        } else if (!userManager.isContactReachable(targetNumber)) {
+            // Абонент не отвечает на OPTIONS - не ждем таймаута INVITE
+            condition = 'unavailable';
+            failure = { statusCode: 480, reasonPhrase: 'Temporarily Unavailable' };
+        } else if (callManager.isNumberBusy(targetNumber)) {
+            condition = 'busy';
+            failure = { statusCode: 486, reasonPhrase: 'Busy Here' };
+        } else {
+            return { targetNumber, targetUser, diversions };
+        }
+
+        const forward = forwardingManager.getForwardTarget(targetNumber, condition, fromNumber, diversions);
+        if (!forward.target) {
+            // Петля при безусловной переадресации - звонок направить некуда
+            return { targetNumber, diversions, ...(failure || { statusCode: 482, reasonPhrase: 'Loop Detected' }) };
+        }
+
+        sipLogger.info(`Call forwarded`, {
+            fromNumber,
+            number: targetNumber,
+            target: forward.target,
+            reason: forward.diversion.reason
+        });
+        diversions = [...diversions, forward.diversion];
+        targetNumber = forward.target;
+    }
+}
+
+// Переадресации, уже выполненные до сервера (заголовки Diversion входящего INVITE)
+function parseDiversions(parsed) {
+    return parsed.getHeaders('Diversion')
+        .map(value => SipMessage.parseNameAddr(value))
+        .filter(nameAddr => nameAddr && nameAddr.uri.user)
+        .map(nameAddr => ({ number: nameAddr.uri.user, reason: nameAddr.params.reason || 'unknown', external: true }));
+}
+
+// Заголовки Diversion (RFC 5806) и History-Info (RFC 7044) для переадресованного INVITE
+// В запрос добавляются только переадресации, выполненные сервером; уже имеющиеся заголовки сохраняются
+function addDiversionHeaders(request, diversions) {
+    const serverAddress = config.sip.serverAddress;
+    const ownDiversions = diversions.filter(diversion => !diversion.external);
+    if (ownDiversions.length === 0) {
+        return;
+    }
+
+    // Diversion: последняя переадресация - первой
+    ownDiversions.forEach((diversion, index) => {
+        request.prependHeader('Diversion', `<sip:${diversion.number}@${serverAddress}>;reason=${diversion.reason};counter=${diversions.indexOf(diversion) + 1}`);
+    });
+
+    // History-Info: исходная цель и каждая новая цель с кодом причины (cause, RFC 4458)
+    const historyInfo = request.getHeaders('History-Info');
+    const lastEntry = historyInfo.length > 0 ? SipMessage.parseNameAddr(historyInfo[historyInfo.length - 1]) : null;
+    let index = lastEntry && lastEntry.params.index ? lastEntry.params.index : null;
+    if (!index) {
+        index = '1';
+        request.addHeader('History-Info', `<sip:${ownDiversions[0].number}@${serverAddress}>;index=${index}`);
+    }
+    for (const diversion of ownDiversions) {
+        const parentIndex = index;
+        index = `${index}.1`;
+        request.addHeader('History-Info', `<sip:${diversion.target}@${serverAddress};cause=${diversion.cause}>;index=${index};mp=${parentIndex}`);
+    }
+}
+
+// INVITE вызывающего для отправки абоненту targetNumber на один из его зарегистрированных Contact (привязку contact)
+// Via сервера поверх Via вызывающего, Record-Route оставляет сервер в пути диалога
+function createTargetInvite(parsed, rinfo, callId, targetNumber, contact, targetBranch, diversions) {
+    const targetUri = contact.uri || createSipUri(targetNumber, contact.address, contact.port, contact.transport);
+    const inviteToTarget = createProxiedRequest(parsed, rinfo, contact.transport, targetBranch);
+    inviteToTarget.uri = targetUri;
+    inviteToTarget.removeHeader('Proxy-Authorization');
+    inviteToTarget.prependHeader('Record-Route', createRecordRoute(rinfo.transport));
+    if (contact.transport !== rinfo.transport) {
+        // Плечи на разных транспортах: по Record-Route на каждое (RFC 5658)
+        inviteToTarget.prependHeader('Record-Route', createRecordRoute(contact.transport));
+    }
+    addDiversionHeaders(inviteToTarget, diversions);
+    // Модифицируем SDP для направления RTP через сервер
+    if (parsed.hasSdp()) {
+        inviteToTarget.body = rtpProxy.modifySdp(parsed.body, callId);
+    }
+
+    sipLogger.info(`Sending INVITE to target`, {
+        callId,
+        targetUri,
+        targetAddress: contact.address,
+        targetPort: contact.port,
+        transport: contact.transport,
+        diversions: diversions.length
+    });
+
+    return inviteToTarget;
+}
+
+// Отправка INVITE вызывающего текущей цели звонка (routing - результат resolveCallTarget)
+// INVITE уходит параллельно на все устройства абонента (форкинг, call.forking); до ответа targetBranch -
+// плечо первого устройства, ответившее устройство становится целью звонка в handleContactForkResponse
+function forwardInviteToTarget(parsed, rinfo, call, routing) {
+    const callId = call.callId;
+    const { targetNumber, diversions } = routing;
+    const contacts = userManager.getContacts(targetNumber);
+    const targetBranch = transactionManager.generateBranch();
+
+    callManager.setTarget(callId, contacts[0].address, contacts[0].port, contacts[0].transport);
+    callManager.updateCallState(callId, 'CALLING', { toNumber: targetNumber, diversions, targetBranch });
+    call.forking = {
+        forks: new Map(), // branch -> { address, port, transport, instanceId, state }
+        finalFailure: null
+    };
+
+    contacts.forEach((contact, index) => {
+        const branch = index === 0 ? targetBranch : transactionManager.generateBranch();
+        const inviteToTarget = createTargetInvite(parsed, rinfo, callId, targetNumber, contact, branch, diversions);
+        call.forking.forks.set(branch, {
+            address: contact.address,
+            port: contact.port,
+            transport: contact.transport,
+            instanceId: contact.instanceId,
+            state: 'CALLING'
+        });
+        transactionManager.sendRequest(inviteToTarget, contact.port, contact.address, {
+            transport: contact.transport,
+            onTimeout: () => handleContactForkFailure(callId, branch, { statusCode: 408, response: null })
+        });
+    });
+
+    // Переадресация по неответу или голосовая почта: по таймауту текущее плечо отменяется
+    const noAnswerRule = forwardingManager.getActiveRule(targetNumber, 'noAnswer');
+    const voicemailAvailable = isVoicemailAvailable(parsed.body, getVoicemailMailbox(targetNumber, diversions));
+    const noAnswerTimeout = noAnswerRule ? noAnswerRule.timeout : (voicemailAvailable ? config.voicemail.noAnswerTimeout : null);
+    if (noAnswerTimeout) {
+        setTimeout(() => {
+            const current = callManager.getCall(callId);
+            if (current && current.targetBranch === targetBranch) {
+                redirectCall(current, 'noAnswer');
+            }
+        }, noAnswerTimeout * 1000);
+    }
+}
+
+// Приоритет финального ответа участника группы при выборе ответа вызывающему (RFC 3261, 16.7):
+// 6xx, затем занято, затем прочие 4xx, 5xx; меньше - важнее
+function getGroupResponsePriority(statusCode) {
+    if (statusCode >= 600) {
+        return 0;
+    }
+    if (statusCode === 486) {
+        return 1;
+    }
+    if (statusCode >= 400 && statusCode < 500 && statusCode !== 408 && statusCode !== 480) {
+        return 2;
+    }
+    return statusCode >= 500 ? 3 : 4;
+}
+
+// Обзвон участников группы: ringall - все сразу (форкинг), sequential/roundrobin - по одному с таймаутом на участника
+function startGroupHunt(call, group) {
+    const members = ringGroupManager.getHuntOrder(group).filter(member => member !== callManager.getLocalCaller(call));
+    call.groupNumber = group.number;
+    call.hunt = {
+        strategy: group.strategy,
+        memberTimeout: group.memberTimeout,
+        queue: members,
+        forks: new Map(), // branch -> { number, address, port, transport, state }
+        finalStatus: null,
+        finished: false
+    };
+
+    sipLogger.info(`Ring group call started`, {
+        callId: call.callId,
+        groupNumber: group.number,
+        strategy: group.strategy,
+        members: members.join(',')
+    });
+
+    if (group.strategy !== 'ringall') {
+        ringNextGroupMember(call);
+        return;
+    }
+
+    while (call.hunt.queue.length > 0) {
+        ringGroupMember(call, call.hunt.queue.shift());
+    }
+    if (!hasPendingForks(call)) {
+        finishGroupHunt(call);
+        return;
+    }
+    setTimeout(() => {
+        if (callManager.getCall(call.callId) && !call.hunt.finished) {
+            finishGroupHunt(call);
+        }
+    }, group.memberTimeout * 1000);
+}
+
+// INVITE одному участнику группы (на все его устройства); false - участник недоступен или занят
+function ringGroupMember(call, member) {
+    const hunt = call.hunt;
+    const contacts = userManager.getContacts(member);
+    if (contacts.length === 0) {
+        noteGroupFailure(call, { statusCode: 480, reasonPhrase: 'Temporarily Unavailable' });
+        return false;
+    }
+    if (callManager.isNumberBusy(member)) {
+        noteGroupFailure(call, { statusCode: 486, reasonPhrase: 'Busy Here' });
+        return false;
+    }
+    if (screeningManager.isDndEnabled(member)) {
+        noteGroupFailure(call, { statusCode: 480, reasonPhrase: 'Temporarily Unavailable' });
+        return false;
+    }
+
+    const serverTransaction = transactionManager.getServerTransaction(call.inviteTransactionKey);
+    const callerInfo = { address: serverTransaction.address, port: serverTransaction.port, transport: serverTransaction.transport };
+    const branches = [];
+    for (const contact of contacts) {
+        const branch = transactionManager.generateBranch();
+        const invite = createTargetInvite(serverTransaction.request, callerInfo, call.callId, member, contact, branch, call.diversions);
+
+        hunt.forks.set(branch, {
+            number: member,
+            address: contact.address,
+            port: contact.port,
+            transport: contact.transport,
+            state: 'CALLING'
+        });
+        transactionManager.sendRequest(invite, contact.port, contact.address, {
+            transport: contact.transport,
+            onTimeout: () => handleGroupMemberFailure(call, branch, { statusCode: 408, reasonPhrase: 'Request Timeout' })
         });
-        sipServer.send(tryingResponse, rinfo.port, rinfo.address);
+        branches.push(branch);
+    }
+
+    // При последовательном обзвоне участник звонит не дольше memberTimeout
+    if (hunt.strategy !== 'ringall') {
+        setTimeout(() => {
+            const pendingBranches = branches.filter(branch => isForkPending(hunt.forks.get(branch)));
+            if (!hunt.finished && pendingBranches.length > 0) {
+                sipLogger.info(`Ring group member did not answer`, { callId: call.callId, member });
+                pendingBranches.forEach(branch => cancelGroupFork(branch, hunt.forks.get(branch)));
+                ringNextGroupMember(call);
+            }
+        }, hunt.memberTimeout * 1000);
+    }
+    return true;
+}
+
+// Следующий участник при последовательном обзвоне; участники закончились - звонок не удался
+function ringNextGroupMember(call) {
+    while (call.hunt.queue.length > 0) {
+        if (ringGroupMember(call, call.hunt.queue.shift())) {
+            return;
+        }
+    }
+    finishGroupHunt(call);
+}
+
+function isForkPending(fork) {
+    return fork && (fork.state === 'CALLING' || fork.state === 'RINGING');
+}
+
+function hasPendingForks(call) {
+    return Array.from(call.hunt.forks.values()).some(isForkPending);
+}
+
+function cancelGroupFork(branch, fork) {
+    fork.state = 'CANCELLED';
+    transactionManager.cancel(transactionManager.getClientTransaction(branch, 'INVITE'));
+}
+
+// Отмена всех еще звонящих участников, кроме exceptBranch
+function cancelGroupForks(call, exceptBranch = null) {
+    for (const [branch, fork] of call.hunt.forks) {
+        if (branch !== exceptBranch && isForkPending(fork)) {
+            cancelGroupFork(branch, fork);
+        }
+    }
+}
+
+// Запоминаем самый важный отказ участников - он уйдет вызывающему, если никто не ответит
+function noteGroupFailure(call, failure) {
+    const current = call.hunt.finalStatus;
+    if (!current || getGroupResponsePriority(failure.statusCode) < getGroupResponsePriority(current.statusCode)) {
+        call.hunt.finalStatus = failure;
+    }
+}
+
+// Отказ или таймаут участника группы
+function handleGroupMemberFailure(call, branch, failure) {
+    const hunt = call.hunt;
+    const fork = hunt.forks.get(branch);
+    if (!isForkPending(fork)) {
+        // 487 на CANCEL сервера
+        return;
+    }
+
+    fork.state = 'FAILED';
+    noteGroupFailure(call, failure);
+    if (hunt.finished || !callManager.getCall(call.callId)) {
+        return;
+    }
+
+    if (hunt.strategy !== 'ringall') {
+        // Следующий участник - когда отказали все устройства текущего
+        if (!hasPendingForks(call)) {
+            ringNextGroupMember(call);
+        }
+    } else if (failure.statusCode >= 600 || !hasPendingForks(call)) {
+        // 6xx при форкинге завершает обзвон сразу (RFC 3261, 16.7)
+        finishGroupHunt(call);
+    }
+}
+
+// Никто из участников не ответил: вызывающий получает самый важный отказ (по умолчанию 480)
+function finishGroupHunt(call) {
+    const hunt = call.hunt;
+    hunt.finished = true;
+    cancelGroupForks(call);
+
+    const failure = hunt.finalStatus || { statusCode: 480, reasonPhrase: 'Temporarily Unavailable' };
+    sipLogger.warn(`Ring group call failed`, { callId: call.callId, groupNumber: call.groupNumber, statusCode: failure.statusCode });
+
+    const serverTransaction = transactionManager.getServerTransaction(call.inviteTransactionKey);
+    if (serverTransaction) {
+        transactionManager.sendResponse(serverTransaction, serverTransaction.request.createResponse(failure.statusCode, failure.reasonPhrase));
+    }
+    rtpProxy.removeStream(call.callId);
+    callManager.failCall(call.callId, failure.statusCode);
+}
+
+// Ответ участника группы: первый 2xx выигрывает, остальным участникам уходит CANCEL
+function handleGroupForkResponse(parsed, rinfo, call, transaction, retransmission) {
+    const statusCode = parsed.statusCode;
+    const branch = transaction.branch;
+    const fork = call.hunt.forks.get(branch);
+
+    if (statusCode === 100) {
+        return;
+    }
+
+    if (branch === call.targetBranch) {
+        // Ответивший участник: дальше звонок обрабатывается как обычный
+        handleInviteResponse(parsed, rinfo, call, retransmission);
+        return;
+    }
+
+    if (statusCode >= 200 && statusCode < 300 && (call.answerTime || call.hunt.finished || !isForkPending(fork))) {
+        // Участник ответил после другого участника или после отмены - сразу завершаем его плечо
+        if (!transaction.released) {
+            transaction.released = true;
+            releaseAnsweredLeg(parsed, transaction);
+        }
+        return;
+    }
+
+    if (!isForkPending(fork) || call.hunt.finished) {
+        return;
+    }
+
+    if (statusCode < 200) {
+        fork.state = 'RINGING';
+        handleInviteResponse(parsed, rinfo, call, retransmission);
+        return;
+    }
+
+    if (statusCode >= 300) {
+        handleGroupMemberFailure(call, branch, { statusCode, reasonPhrase: parsed.reasonPhrase });
+        return;
+    }
+
+    fork.state = 'ANSWERED';
+    call.hunt.finished = true;
+    cancelGroupForks(call, branch);
+    callManager.setTarget(call.callId, fork.address, fork.port, fork.transport);
+    callManager.updateCallState(call.callId, 'CALLING', { toNumber: fork.number, targetBranch: branch });
+
+    sipLogger.info(`Ring group answered`, { callId: call.callId, groupNumber: call.groupNumber, member: fork.number });
+    handleInviteResponse(parsed, rinfo, call, retransmission);
+}
+
+// Переадресация уже отправленного вызова (нет ответа, занято, недоступен)
+// Текущее плечо отменяется, INVITE вызывающего уходит следующей цели; false - переадресации нет
+function retargetCall(call, condition) {
+    if (call.answerTime || call.terminating) {
+        return false;
+    }
+
+    const forward = forwardingManager.getForwardTarget(call.toNumber, condition, callManager.getLocalCaller(call), call.diversions);
+    const serverTransaction = transactionManager.getServerTransaction(call.inviteTransactionKey);
+    if (!forward.target || !serverTransaction) {
+        return false;
+    }
+
+    const routing = resolveCallTarget(callManager.getLocalCaller(call), forward.target, [...call.diversions, forward.diversion]);
+    if (!routing.targetUser) {
+        sipLogger.warn(`Forwarding target is not available`, { callId: call.callId, toNumber: routing.targetNumber, statusCode: routing.statusCode });
+        return false;
+    }
+
+    sipLogger.info(`Call forwarded`, {
+        callId: call.callId,
+        fromNumber: call.fromNumber,
+        number: call.toNumber,
+        target: forward.target,
+        reason: forward.diversion.reason
+    });
+
+    // Предыдущее плечо больше не нужно: если оно еще звонит - отменяем
+    cancelTargetLeg(call);
+    rtpProxy.removeStream(call.callId);
+
+    const callerInfo = { address: serverTransaction.address, port: serverTransaction.port, transport: serverTransaction.transport };
+    forwardInviteToTarget(serverTransaction.request, callerInfo, call, routing);
+    return true;
+}
+
+// Вызов не принят: сначала переадресация по правилам абонента, затем голосовая почта
+function redirectCall(call, condition) {
+    return retargetCall(call, condition) || divertToVoicemail(call, condition);
+}
+
+// Таймаут INVITE к вызываемому абоненту (Timer B / Timer C)
+// branch - плечо, по которому истек таймаут: после переадресации старое плечо звонок не завершает
+function handleInviteTimeout(callId, branch) {
+    const call = callManager.getCall(callId);
+    if (!call || call.state === 'ESTABLISHED' || call.targetBranch !== branch) {
+        return;
+    }
+
+    if (redirectCall(call, 'noAnswer')) {
+        return;
+    }
+
+    sipLogger.warn(`Target did not answer INVITE`, {
+        callId,
+        fromNumber: call.fromNumber,
+        toNumber: call.toNumber,
+        toAddress: call.toAddress,
+        toPort: call.toPort
+    });
+
+    const response = SipMessage.createResponse(408, 'Request Timeout', {
+        'Via': call.originalVia,
+        'From': call.originalFrom,
+        'To': call.originalTo,
+        'Call-ID': callId,
+        'CSeq': call.originalCSeq
+    });
+    sendResponseToCaller(call, response);
+
+    rtpProxy.removeStream(callId);
+    callManager.failCall(callId, 408, 'TIMEOUT');
+}
+
+// Ответ одного из устройств вызываемого абонента: первый 2xx выбирает устройство, остальным уходит CANCEL;
+// отказ передается дальше (переадресация, голосовая почта, вызывающему), только когда не звонит ни одно устройство
+function handleContactForkResponse(parsed, rinfo, call, transaction, retransmission) {
+    const statusCode = parsed.statusCode;
+    const branch = transaction.branch;
+    const fork = call.forking.forks.get(branch);
+
+    if (statusCode === 100) {
+        return;
+    }
+
+    if (fork.state === 'ANSWERED') {
+        handleInviteResponse(parsed, rinfo, call, retransmission);
+        return;
+    }
+
+    if (statusCode >= 200 && statusCode < 300 && (call.answerTime || !isForkPending(fork))) {
+        // Устройство ответило после другого устройства или после отмены - сразу завершаем его плечо
+        if (!transaction.released) {
+            transaction.released = true;
+            releaseAnsweredLeg(parsed, transaction);
+        }
+        return;
+    }
+
+    if (!isForkPending(fork)) {
+        return;
+    }
+
+    if (statusCode < 200) {
+        fork.state = 'RINGING';
+        handleInviteResponse(parsed, rinfo, call, retransmission);
+        return;
+    }
+
+    if (statusCode >= 300) {
+        handleContactForkFailure(call.callId, branch, { statusCode, response: parsed, rinfo });
+        return;
+    }
+
+    fork.state = 'ANSWERED';
+    cancelTargetLeg(call);
+    if (branch !== call.targetBranch) {
+        callManager.setTarget(call.callId, fork.address, fork.port, fork.transport);
+        callManager.updateCallState(call.callId, call.state, { targetBranch: branch });
+    }
+
+    sipLogger.info(`Call answered on device`, { callId: call.callId, toNumber: call.toNumber, address: fork.address, port: fork.port });
+    handleInviteResponse(parsed, rinfo, call, retransmission);
+}
+
+// Отказ или таймаут одного устройства; failure: { statusCode, response, rinfo }, response null - таймаут
+// Самый важный отказ (как при обзвоне группы) обрабатывается, когда не осталось звонящих устройств; 6xx - сразу
+function handleContactForkFailure(callId, branch, failure) {
+    const call = callManager.getCall(callId);
+    const fork = call && call.forking ? call.forking.forks.get(branch) : null;
+    if (!isForkPending(fork)) {
+        return;
+    }
+
+    fork.state = 'FAILED';
+    const forking = call.forking;
+    if (!forking.finalFailure || getGroupResponsePriority(failure.statusCode) < getGroupResponsePriority(forking.finalFailure.statusCode)) {
+        forking.finalFailure = failure;
+    }
+    const pending = Array.from(forking.forks.values()).some(isForkPending);
+    if (pending && failure.statusCode < 600) {
+        return;
+    }
+
+    cancelTargetLeg(call);
+    const finalFailure = forking.finalFailure;
+    if (finalFailure.response) {
+        handleInviteResponse(finalFailure.response, finalFailure.rinfo, call, false);
+    } else {
+        handleInviteTimeout(callId, call.targetBranch);
+    }
+}
+
+// Отмена плеча вызываемого: всех еще звонящих устройств абонента (или единственного плеча без форкинга)
+function cancelTargetLeg(call) {
+    if (!call.forking) {
+        transactionManager.cancel(transactionManager.getClientTransaction(call.targetBranch, 'INVITE'));
+        return;
+    }
+    for (const [branch, fork] of call.forking.forks) {
+        if (isForkPending(fork)) {
+            cancelGroupFork(branch, fork);
+        }
+    }
+}
+
+// Отправка ответа вызывающему абоненту в рамках его INVITE транзакции
+function sendResponseToCaller(call, response) {
+    const transaction = transactionManager.getServerTransaction(call.inviteTransactionKey);
+    if (transaction) {
+        transactionManager.sendResponse(transaction, response);
+    } else {
+        transactionManager.sendStateless(response, call.fromPort, call.fromAddress, call.fromTransport);
+    }
+}
+
+// Пересылка запросов внутри диалога (BYE, re-INVITE, UPDATE, INFO...) другой стороне звонка
+// Request-URI (Contact другой стороны) сохраняется, адрес берется из данных звонка
+function handleInDialogRequest(parsed, rinfo, transaction) {
+    const callId = parsed.getCallId();
+
+    const validation = sipValidator.validateHeaders(parsed, ['Via', 'To', 'From', 'Call-ID', 'CSeq']);
+    if (!validation.valid) {
+        sipValidator.logValidationError(parsed.method, validation.errors, parsed.toString());
+        transactionManager.sendResponse(transaction, parsed.createResponse(400, 'Bad Request'));
+        return;
+    }
+    const call = callManager.getCall(callId) || callManager.getCallByTrunkLeg(callId);
+
+    if (!call) {
+        sipLogger.warn(`In-dialog request for unknown call`, {
+            method: parsed.method,
+            callId,
+            address: rinfo.address,
+            port: rinfo.port
+        });
+        transactionManager.sendResponse(transaction, parsed.createResponse(481, 'Call/Transaction Does Not Exist'));
+        return;
+    }
+
+    if (isOutOfHops(parsed)) {
+        transactionManager.sendResponse(transaction, parsed.createResponse(483, 'Too Many Hops'));
+        return;
+    }
+
+    // Исходящий вызов через внешнюю линию: оба диалога (с вызывающим и с провайдером) ведет сервер
+    if (call.trunkLeg) {
+        handleTrunkDialogRequest(parsed, transaction, call, callId === call.trunkLeg.callId);
+        return;
+    }
+
+    // Учитываем CSeq каждой стороны: сервер продолжает нумерацию в собственных запросах
+    const fromCaller = isFromCaller(parsed, call);
+    const cseqCounter = fromCaller ? 'callerCSeq' : 'calleeCSeq';
+    call[cseqCounter] = Math.max(call[cseqCounter] || 0, parsed.getCSeq().number);
+
+    if (call.state === 'PARKED') {
+        handleParkedCallRequest(parsed, transaction, call, fromCaller);
+        return;
+    }
+
+    // Пока медиа ведет сервер; после соединения из IVR с абонентом запросы обрабатываются как при передаче вызова
+    if (call.application && !(call.transfer && call.transfer.state === 'COMPLETED')) {
+        handleServerCallRequest(parsed, transaction, call);
+        return;
+    }
+
+    if (handleTransferDialogRequest(parsed, transaction, call, fromCaller)) {
+        return;
+    }
+
+    if (parsed.method === 'REFER') {
+        handleRefer(parsed, transaction, call, fromCaller);
+        return;
+    }
+
+    const peer = getDialogPeer(call, fromCaller);
+    const request = createProxiedRequest(parsed, rinfo, peer.transport, transactionManager.generateBranch());
+
+    // Новое SDP (re-INVITE, UPDATE) тоже направляем через RTP прокси
+    if (request.hasSdp()) {
+        request.body = rtpProxy.modifySdp(parsed.body, fromCaller ? callId : callId + '_response');
+    }
+
+    sipLogger.info(`Forwarding in-dialog request`, {
+        method: parsed.method,
+        callId,
+        direction: fromCaller ? 'caller-to-callee' : 'callee-to-caller',
+        address: peer.address,
+        port: peer.port,
+        transport: peer.transport
+    });
+
+    transactionManager.sendRequest(request, peer.port, peer.address, {
+        transport: peer.transport,
+        serverTransaction: transaction,
+        onTimeout: () => handleInDialogTimeout(parsed, transaction)
+    });
+
+    if (parsed.method === 'BYE') {
+        // Медиа больше не нужно; звонок завершится по финальному ответу на BYE
+        callManager.updateCallState(callId, 'TERMINATING', { terminating: true });
+        rtpProxy.removeStream(callId);
+    }
+}
+
+// Другая сторона не ответила на запрос внутри диалога
+function handleInDialogTimeout(parsed, transaction) {
+    const callId = parsed.getCallId();
+    transactionManager.sendResponse(transaction, parsed.createResponse(408, 'Request Timeout'));
+
+    if (parsed.method === 'BYE' && callManager.getCall(callId)) {
+        callManager.endCall(callId, 'TIMEOUT');
+    }
+}
+
+// RTP порт из SDP (0 - медиа отключено)
+function extractRtpPort(sdp) {
+    const rtpPortMatch = sdp.match(/m=audio ([0-9]+)/);
+    const port = rtpPortMatch ? parseInt(rtpPortMatch[1]) : 0;
+    return port > 0 ? port : null;
+}
+
+// Адрес медиа из SDP (c=), если это не удержание c=0.0.0.0
+function extractRtpAddress(sdp) {
+    const addressMatch = sdp.match(/c=IN IP4 ([^\s]+)/);
+    return addressMatch && addressMatch[1] !== '0.0.0.0' ? addressMatch[1] : null;
+}
+
+// Применение нового SDP после re-INVITE/UPDATE: RTP порты сторон и удержание звонка
+function applySessionUpdate(call, request, response) {
+    if (!call.answerTime || call.terminating) {
+        return;
+    }
+
+    // Предложение SDP в запросе или, если запрос без SDP, в ответе
+    const requestFromCaller = isFromCaller(request, call);
+    const offer = request.hasSdp() ? request : response;
+    if (!offer.hasSdp()) {
+        return;
+    }
+    const offerFromCaller = offer === request ? requestFromCaller : !requestFromCaller;
+
+    const callerMessage = requestFromCaller ? request : response;
+    const calleeMessage = requestFromCaller ? response : request;
+    const fromRtpPort = callerMessage.hasSdp() ? extractRtpPort(callerMessage.body) : null;
+    const toRtpPort = calleeMessage.hasSdp() ? extractRtpPort(calleeMessage.body) : null;
+    // Медиа провайдера идет с адреса из c= его SDP, а не с адреса сигнализации
+    const leg = call.trunkLeg;
+    const toRtpAddress = leg ? (calleeMessage.hasSdp() && extractRtpAddress(calleeMessage.body)) || leg.rtpAddress : call.toAddress;
+    if (callerMessage.hasSdp()) {
+        call.sdp = callerMessage.body;
+    }
+    if (calleeMessage.hasSdp()) {
+        call.answerSdp = calleeMessage.body;
+    }
+    if (fromRtpPort && toRtpPort && (fromRtpPort !== call.fromRtpPort || toRtpPort !== call.toRtpPort || (leg && toRtpAddress !== leg.rtpAddress))) {
+        callManager.setRtpPorts(call.callId, fromRtpPort, toRtpPort);
+        if (leg) {
+            leg.rtpAddress = toRtpAddress;
+        }
+        rtpProxy.addStream(call.callId, call.fromAddress, fromRtpPort, toRtpAddress, toRtpPort);
+    }
+
+    // sendonly/inactive - удерживает предлагающая сторона, recvonly - отвечающая
+    const direction = rtpProxy.getSdpDirection(offer.body);
+    if (direction === 'sendrecv') {
+        if (call.state === 'HELD') {
+            sipLogger.info(`Call resumed`, { callId: call.callId, heldBy: call.heldBy });
+            callManager.updateCallState(call.callId, 'ESTABLISHED', { heldBy: null, mediaDirection: direction });
+        }
+        return;
+    }
+
+    const offerer = offerFromCaller ? call.fromNumber : call.toNumber;
+    const answerer = offerFromCaller ? call.toNumber : call.fromNumber;
+    const heldBy = direction === 'recvonly' ? answerer : offerer;
+    if (call.state !== 'HELD' || call.heldBy !== heldBy || call.mediaDirection !== direction) {
+        sipLogger.info(`Call put on hold`, { callId: call.callId, heldBy, direction });
+        callManager.updateCallState(call.callId, 'HELD', { heldBy, mediaDirection: direction });
+    }
+}
+
+// Пересылка ответа на запрос внутри диалога его отправителю
+function relayInDialogResponse(parsed, transaction) {
+    const callId = parsed.getCallId();
+    const cseq = parsed.getCSeq();
+    const call = callManager.getCall(callId);
+    const response = createUpstreamResponse(parsed);
+
+    if (call && response.hasSdp()) {
+        // Ответ на запрос вызывающего пришел от вызываемого
+        response.body = rtpProxy.modifySdp(parsed.body, isFromCaller(parsed, call) ? callId + '_response' : callId);
+    }
+
+    transactionManager.sendResponse(transaction.serverTransaction, response);
+
+    // 2xx на re-INVITE/UPDATE завершает новое согласование SDP
+    if (call && cseq && (cseq.method === 'INVITE' || cseq.method === 'UPDATE') && parsed.statusCode >= 200 && parsed.statusCode < 300) {
+        applySessionUpdate(call, transaction.serverTransaction.request, parsed);
+    }
+
+    // Финальный ответ на BYE (200, 481, ...) завершает звонок
+    if (call && cseq && cseq.method === 'BYE' && parsed.statusCode >= 200) {
+        callManager.endCall(callId);
+    }
+}
+
+// Запрос сервера внутри диалога звонка от имени другой стороны (NOTIFY о передаче, BYE при разрыве моста)
+// toCaller - получатель: вызывающий (true) или вызываемый (false); callbacks - onResponse/onTimeout транзакции
+function sendDialogRequest(call, method, toCaller, headers = {}, body = '', callbacks = {}) {
+    const peer = getDialogPeer(call, !toCaller);
+    const cseqCounter = toCaller ? 'calleeCSeq' : 'callerCSeq';
+    call[cseqCounter] = (call[cseqCounter] || 0) + 1;
+
+    const contact = SipMessage.parseNameAddr(toCaller ? call.originalContact : call.calleeContact);
+    const number = toCaller ? call.fromNumber : call.toNumber;
+    const requestUri = contact ? SipMessage.formatUri(contact.uri) : createSipUri(number, peer.address, peer.port, peer.transport);
+
+    const request = SipMessage.createRequest(method, requestUri, {
+        'Via': createServerVia(peer.transport, transactionManager.generateBranch()),
+        'Max-Forwards': '70',
+        'From': toCaller ? call.calleeTo : call.originalFrom,
+        'To': toCaller ? call.originalFrom : call.calleeTo,
+        'Call-ID': call.callId,
+        'CSeq': `${call[cseqCounter]} ${method}`,
+        // Contact той стороны, от имени которой идет запрос: адрес для получателя не меняется
+        'Contact': toCaller ? call.calleeContact : call.originalContact,
+        ...headers
+    }, body);
+
+    // Ответы на собственные запросы сервера не пересылаются
+    transactionManager.sendRequest(request, peer.port, peer.address, {
+        transport: peer.transport,
+        onResponse: () => {},
+        ...callbacks
+    });
+}
+
+// ACK на 2xx собственного re-INVITE сервера: Request-URI, Route и поля диалога как в INVITE
+function createDialogAck(invite, transport) {
+    return SipMessage.createRequest('ACK', invite.uri, {
+        'Via': createServerVia(transport, transactionManager.generateBranch()),
+        'Max-Forwards': '70',
+        'From': invite.getHeader('From'),
+        'To': invite.getHeader('To'),
+        'Call-ID': invite.getCallId(),
+        'CSeq': `${invite.getCSeq().number} ACK`,
+        'Route': invite.getHeaders('Route')
+    });
+}
+
+// NOTIFY о ходе передачи вызова отправителю REFER (message/sipfrag, RFC 3515)
+function notifyTransferor(call, statusCode, reasonPhrase, transfer = call.transfer) {
+    if (!transfer || !transfer.subscription || transfer.transferorDetached) {
+        return;
+    }
+
+    sendDialogRequest(call, 'NOTIFY', transfer.transferorSide === 'caller', {
+        'Event': `refer;id=${transfer.referCSeq}`,
+        'Subscription-State': statusCode >= 200 ? 'terminated;reason=noresource' : 'active;expires=60',
+        'Content-Type': 'message/sipfrag;version=2.0'
+    }, `SIP/2.0 ${statusCode} ${reasonPhrase}\r\n`);
+}
+
+// Слепая передача вызова (REFER, RFC 3515): сервер сам вызывает абонента из Refer-To
+// и соединяет его со второй стороной звонка, ход передачи сообщается через NOTIFY
+function handleRefer(parsed, transaction, call, fromCaller) {
+    const callId = call.callId;
+    const referTo = parsed.getHeader('Refer-To');
+    const target = referTo ? SipMessage.parseNameAddr(referTo) : null;
+
+    if (!target) {
+        sipLogger.warn(`REFER without valid Refer-To`, { callId, referTo });
+        transactionManager.sendResponse(transaction, parsed.createResponse(400, 'Bad Request'));
+        return;
+    }
+
+    if (!call.answerTime || call.terminating || call.state === 'TRANSFERRED') {
+        transactionManager.sendResponse(transaction, parsed.createResponse(403, 'Forbidden'));
+        return;
+    }
+
+    if (call.transfer) {
+        transactionManager.sendResponse(transaction, parsed.createResponse(491, 'Request Pending'));
+        return;
+    }
+
+    // Replaces в Refer-To - сопровождаемая передача: абонент уже на линии в консультационном звонке
+    const replacesName = Object.keys(target.uri.headers).find(name => name.toLowerCase() === 'replaces');
+    let replaces = null;
+    if (replacesName) {
+        try {
+            replaces = decodeURIComponent(target.uri.headers[replacesName]);
+        } catch (error) {
+            sipLogger.warn(`REFER with malformed Replaces`, { callId, referTo, error: error.message });
+            transactionManager.sendResponse(transaction, parsed.createResponse(400, 'Bad Request'));
+            return;
+        }
+    }
+
+    // Refer-Sub: false (RFC 4488) - отправитель не ждет NOTIFY
+    const subscription = (parsed.getHeader('Refer-Sub') || '').toLowerCase() !== 'false';
+    const targetNumber = target.uri.user && /^\d+$/.test(target.uri.user) ? target.uri.user : null;
+
+    call.transfer = {
+        state: 'PENDING',
+        transferorSide: fromCaller ? 'caller' : 'callee',
+        referCSeq: parsed.getCSeq().number,
+        subscription,
+        transferorDetached: false,
+        targetNumber,
+        newCallId: null
+    };
+
+    sipLogger.info(`Call transfer requested`, {
+        callId,
+        transferor: fromCaller ? call.fromNumber : call.toNumber,
+        transferee: fromCaller ? call.toNumber : call.fromNumber,
+        targetNumber
+    });
+
+    transactionManager.sendResponse(transaction, parsed.createResponse(202, 'Accepted', subscription ? {} : { 'Refer-Sub': 'false' }));
+    notifyTransferor(call, 100, 'Trying');
+
+    if (replaces !== null) {
+        completeAttendedTransfer(call, replaces);
+        return;
+    }
+
+    // Передача на номер парковки - звонок ждет в свободном слоте
+    if (parkingManager.isParkNumber(targetNumber)) {
+        parkCall(call);
+        return;
+    }
+
+    const transferor = fromCaller ? call.fromNumber : call.toNumber;
+    startTransferLeg(call, parsed.getHeader('Referred-By') || `<sip:${transferor}@${config.sip.serverAddress}>`);
+}
+
+// Диалог из Replaces (RFC 3891): Call-ID и оба tag должны совпасть с установленным звонком
+// keepNumber - абонент, который остается на линии; вторая сторона диалога заменяется
+function findReplacedDialog(replaces, keepNumber) {
+    const notFound = { statusCode: 481, reasonPhrase: 'Call/Transaction Does Not Exist' };
+    const separatorIndex = replaces.indexOf(';');
+    const replacedCallId = (separatorIndex === -1 ? replaces : replaces.substring(0, separatorIndex)).trim();
+    const params = SipMessage.parseParams(separatorIndex === -1 ? '' : replaces.substring(separatorIndex));
+
+    const call = callManager.getCall(replacedCallId);
+    const calleeTo = call && call.calleeTo ? SipMessage.parseNameAddr(call.calleeTo) : null;
+    const tags = [params['to-tag'], params['from-tag']];
+    if (!calleeTo || !tags.includes(call.callerTag) || !tags.includes(calleeTo.params.tag)) {
+        return notFound;
+    }
+
+    // Заменять можно только установленный диалог, не участвующий в другой передаче
+    if (!call.answerTime || call.terminating || call.transfer || call.bridgedCallId) {
+        return notFound;
+    }
+    if ('early-only' in params) {
+        return { statusCode: 486, reasonPhrase: 'Busy Here' };
+    }
+
+    const keepSide = call.toNumber === keepNumber ? 'callee' : (call.fromNumber === keepNumber ? 'caller' : null);
+    return keepSide ? { call, keepSide } : notFound;
+}
+
+// Сопровождаемая передача (REFER с Replaces): вторая сторона звонка соединяется с абонентом
+// консультационного звонка, передающий отключается от консультации
+function completeAttendedTransfer(call, replaces) {
+    const replaced = findReplacedDialog(replaces, call.transfer.targetNumber);
+    if (!replaced.call || replaced.call === call) {
+        handleTransferFailure(call.callId, null, replaced.statusCode || 481, replaced.reasonPhrase || 'Call/Transaction Does Not Exist');
+        return;
+    }
+
+    const consultCall = replaced.call;
+    bridgeTransferredCall(call, consultCall, replaced.keepSide, 'attended');
+    // В консультационном звонке сервер теперь представляет передающего - отключаем его самого
+    sendDialogRequest(consultCall, 'BYE', replaced.keepSide === 'callee');
+    notifyTransferor(call, 200, 'OK');
+}
+
+// INVITE с Replaces: сервер сам отвечает новому участнику и соединяет его с абонентом,
+// который остается в замененном диалоге; замененный участник получает BYE
+function handleReplacesInvite(parsed, rinfo, transaction, replaces, fromNumber, toNumber) {
+    const callId = parsed.getCallId();
+    const replaced = findReplacedDialog(replaces, toNumber);
+    if (!replaced.call) {
+        sipLogger.warn(`Replaces does not match a dialog`, { callId, replaces, statusCode: replaced.statusCode });
+        transactionManager.sendResponse(transaction, parsed.createResponse(replaced.statusCode, replaced.reasonPhrase));
+        return;
+    }
+
+    // Замененный участник считается передающим: его плечо сервер завершает сам
+    const replacedCall = replaced.call;
+    const replacedSide = replaced.keepSide === 'caller' ? 'callee' : 'caller';
+    replacedCall.transfer = {
+        state: 'PENDING',
+        transferorSide: replacedSide,
+        referCSeq: null,
+        subscription: false,
+        transferorDetached: true,
+        targetNumber: fromNumber,
+        newCallId: null
+    };
+    const remaining = getTransferee(replacedCall);
+
+    answerBridgedInvite(parsed, rinfo, transaction, replacedCall, fromNumber, toNumber, 'attended');
+    sendDialogRequest(replacedCall, 'BYE', replacedSide === 'caller');
+
+    sipLogger.info(`Dialog replaced`, {
+        callId,
+        replacedCallId: replacedCall.callId,
+        replacedNumber: replacedSide === 'caller' ? replacedCall.fromNumber : replacedCall.toNumber,
+        newNumber: fromNumber,
+        remainingNumber: remaining.number
+    });
+}
+
+// Новый участник (INVITE) соединяется со второй стороной звонка call, для которого уже заполнен call.transfer:
+// сервер сам отвечает ему 200 OK, в SDP - медиа второй стороны через RTP прокси
+function answerBridgedInvite(parsed, rinfo, transaction, call, fromNumber, toNumber, type) {
+    const callId = parsed.getCallId();
+    const remaining = getTransferee(call);
+
+    const contactHeader = createServerContact(toNumber, rinfo.transport);
+    callManager.createCall(callId, fromNumber, toNumber, rinfo.address, rinfo.port, parsed.body, rinfo.transport);
+    callManager.setTarget(callId, remaining.address, remaining.port, remaining.transport);
+    callManager.updateCallState(callId, 'CALLING', {
+        originalFrom: parsed.getHeader('From'),
+        originalContact: parsed.getHeader('Contact'),
+        callerTag: parsed.getFrom().params.tag,
+        callerCSeq: parsed.getCSeq().number,
+        calleeTo: `${parsed.getHeader('To')};tag=${crypto.randomBytes(6).toString('hex')}`,
+        calleeContact: contactHeader,
+        inviteTransactionKey: transaction.key
+    });
+    callManager.setRtpPorts(callId, parsed.hasSdp() ? extractRtpPort(parsed.body) : null, remaining.rtpPort);
+    callManager.answerCall(callId);
+
+    const newCall = callManager.getCall(callId);
+    bridgeTransferredCall(call, newCall, 'caller', type);
+
+    // 200 OK повторяется до ACK нового участника; без ACK мост разрывается
+    transactionManager.sendAnswer(transaction, parsed.createResponse(200, 'OK', {
+        'To': newCall.calleeTo,
+        'Contact': contactHeader,
+        'Content-Type': remaining.sdp ? 'application/sdp' : null
+    }, remaining.sdp ? rtpProxy.modifySdp(remaining.sdp, callId + '_response') : ''), () => hangupBridgedCall(newCall));
+    return newCall;
+}
+
+// Разрыв моста после передачи по инициативе сервера (ответ сервера не подтвержден ACK): BYE обеим оставшимся сторонам
+function hangupBridgedCall(newCall) {
+    if (callManager.getCall(newCall.callId)) {
+        sendDialogRequest(newCall, 'BYE', newCall.bridgedPeer === 'caller');
+        rtpProxy.removeStream(newCall.callId);
+        callManager.endCall(newCall.callId);
+    }
+
+    const original = callManager.getCall(newCall.bridgedCallId);
+    if (original && original.transfer && original.transfer.state === 'COMPLETED') {
+        sendDialogRequest(original, 'BYE', original.transfer.transferorSide === 'callee');
+        callManager.endCall(original.callId, 'NORMAL', 'TRANSFERRED');
+    }
+}
+
+// Вторая сторона звонка при передаче: адрес, RTP и последнее SDP
+function getTransferee(call) {
+    return call.transfer.transferorSide === 'callee'
+        ? { number: call.fromNumber, address: call.fromAddress, port: call.fromPort, transport: call.fromTransport, rtpPort: call.fromRtpPort, sdp: call.sdp }
+        : { number: call.toNumber, address: call.toAddress, port: call.toPort, transport: call.toTransport, rtpPort: call.toRtpPort, sdp: call.answerSdp };
+}
+
+// Новое плечо передачи: INVITE от имени второй стороны к абоненту из Refer-To
+function startTransferLeg(call, referredBy) {
+    const transfer = call.transfer;
+    const targetNumber = transfer.targetNumber;
+    const targetUser = targetNumber ? userManager.getUser(targetNumber) : null;
+
+    if (!targetUser) {
+        handleTransferFailure(call.callId, null, 404, 'Not Found');
+        return;
+    }
+    if (!userManager.isContactReachable(targetNumber)) {
+        handleTransferFailure(call.callId, null, 480, 'Temporarily Unavailable');
+        return;
+    }
+    if (callManager.isNumberBusy(targetNumber)) {
+        handleTransferFailure(call.callId, null, 486, 'Busy Here');
+        return;
+    }
+
+    // Плечо передачи ведет сервер - INVITE уходит на одно, предпочтительное устройство абонента
+    const contact = userManager.getContacts(targetNumber)[0];
+    const transferee = getTransferee(call);
+    const serverAddress = config.sip.serverAddress;
+    const newCallId = `${crypto.randomBytes(12).toString('hex')}@${serverAddress}`;
+    const branch = transactionManager.generateBranch();
+    const tag = crypto.randomBytes(6).toString('hex');
+    const fromHeader = `<sip:${transferee.number}@${serverAddress}>;tag=${tag}`;
+    const contactHeader = createServerContact(transferee.number, contact.transport);
+
+    const invite = SipMessage.createRequest('INVITE', contact.uri || createSipUri(targetNumber, contact.address, contact.port, contact.transport), {
+        'Via': createServerVia(contact.transport, branch),
+        'Max-Forwards': '70',
+        'From': fromHeader,
+        'To': `<sip:${targetNumber}@${serverAddress}>`,
+        'Call-ID': newCallId,
+        'CSeq': '1 INVITE',
+        'Contact': contactHeader,
+        'Referred-By': referredBy,
+        'Content-Type': transferee.sdp ? 'application/sdp' : null
+    }, transferee.sdp ? rtpProxy.modifySdp(transferee.sdp, newCallId) : '');
+
+    callManager.createCall(newCallId, transferee.number, targetNumber, transferee.address, transferee.port, transferee.sdp, transferee.transport);
+    callManager.setTarget(newCallId, contact.address, contact.port, contact.transport);
+    callManager.updateCallState(newCallId, 'CALLING', {
+        originalFrom: fromHeader,
+        originalContact: contactHeader,
+        callerTag: tag,
+        callerCSeq: 1,
+        targetBranch: branch,
+        fromRtpPort: transferee.rtpPort,
+        bridgedCallId: call.callId,
+        bridgedPeer: 'callee'
+    });
+    transfer.newCallId = newCallId;
+
+    transactionManager.sendRequest(invite, contact.port, contact.address, {
+        transport: contact.transport,
+        onResponse: (response, transaction) => handleTransferResponse(call.callId, newCallId, response, transaction),
+        onTimeout: () => handleTransferFailure(call.callId, newCallId, 408, 'Request Timeout')
+    });
+}
+
+// Ответ абонента, которому передается вызов
+function handleTransferResponse(originalCallId, newCallId, response, transaction) {
+    const statusCode = response.statusCode;
+    const newCall = callManager.getCall(newCallId);
+    const call = callManager.getCall(originalCallId);
+
+    if (!newCall) {
+        // Новое плечо уже отменено - ответившего сразу отключаем
+        if (statusCode >= 200 && statusCode < 300 && !transaction.released) {
+            transaction.released = true;
+            releaseAnsweredLeg(response, transaction);
+        }
+        return;
+    }
+
+    if (statusCode === 100) {
+        return;
+    }
+
+    if (statusCode < 200) {
+        if (newCall.state !== 'RINGING') {
+            callManager.updateCallState(newCallId, 'RINGING');
+        }
+        if (call) {
+            notifyTransferor(call, statusCode, response.reasonPhrase);
+        }
+        return;
+    }
+
+    if (statusCode >= 300) {
+        handleTransferFailure(originalCallId, newCallId, statusCode, response.reasonPhrase);
+        return;
+    }
+
+    // Повтор 2xx - повторяем ACK
+    if (newCall.answerTime) {
+        transactionManager.sendStateless(newCall.lastAckMessage, transaction.port, transaction.address, transaction.transport);
+        return;
+    }
+
+    // INVITE отправлял сам сервер, поэтому ACK на 2xx тоже формирует он
+    const contact = SipMessage.parseNameAddr(response.getHeader('Contact'));
+    const ackMessage = SipMessage.createRequest('ACK', contact ? SipMessage.formatUri(contact.uri) : transaction.request.uri, {
+        'Via': createServerVia(transaction.transport, transactionManager.generateBranch()),
+        'Max-Forwards': '70',
+        'From': transaction.request.getHeader('From'),
+        'To': response.getHeader('To'),
+        'Call-ID': newCallId,
+        'CSeq': `${response.getCSeq().number} ACK`
+    });
+    transactionManager.sendStateless(ackMessage, transaction.port, transaction.address, transaction.transport);
+
+    callManager.answerCall(newCallId);
+    Object.assign(newCall, {
+        calleeTo: response.getHeader('To'),
+        calleeContact: response.getHeader('Contact'),
+        answerSdp: response.body,
+        lastAckMessage: ackMessage
+    });
+
+    if (!call) {
+        // Вторая сторона положила трубку, пока шел вызов
+        sendDialogRequest(newCall, 'BYE', false);
+        callManager.endCall(newCallId);
+        return;
+    }
+
+    completeTransfer(call, newCall, response);
+}
+
+// Новый абонент ответил: переключаем RTP второй стороны на него
+function completeTransfer(call, newCall, response) {
+    const toRtpPort = response.hasSdp() ? extractRtpPort(response.body) : null;
+    if (newCall.fromRtpPort && toRtpPort) {
+        callManager.setRtpPorts(newCall.callId, newCall.fromRtpPort, toRtpPort);
+    }
+
+    bridgeTransferredCall(call, newCall, 'callee', call.transfer.type || 'blind');
+    notifyTransferor(call, 200, 'OK');
+}
+
+// Соединение второй стороны переданного звонка (call) с абонентом другого диалога (bridgedCall)
+// bridgedPeer - сторона bridgedCall, которая остается на линии; вторую сторону этого диалога представляет сервер
+// RTP переключается одной заменой потока, без пересогласования SDP, поэтому разрыва в медиа нет
+function bridgeTransferredCall(call, bridgedCall, bridgedPeer, type) {
+    const transfer = call.transfer;
+    const transferee = getTransferee(call);
+    const peer = bridgedPeer === 'caller'
+        ? { address: bridgedCall.fromAddress, rtpPort: bridgedCall.fromRtpPort, number: bridgedCall.fromNumber }
+        : { address: bridgedCall.toAddress, rtpPort: bridgedCall.toRtpPort, number: bridgedCall.toNumber };
+
+    // Медиа, которое вел сам сервер (IVR, парковка), больше не нужно: RTP второй стороны уходит новому абоненту
+    if (call.state === 'PARKED') {
+        releaseParkingSlot(call);
+    }
+    if (call.mediaSession) {
+        call.mediaSession.stop();
+    }
+    rtpProxy.removeStream(call.callId);
+    rtpProxy.removeStream(bridgedCall.callId);
+    if (transferee.rtpPort && peer.rtpPort) {
+        rtpProxy.addStream(bridgedCall.callId, transferee.address, transferee.rtpPort, peer.address, peer.rtpPort);
+    }
+
+    transfer.state = 'COMPLETED';
+    transfer.newCallId = bridgedCall.callId;
+    bridgedCall.bridgedCallId = call.callId;
+    bridgedCall.bridgedPeer = bridgedPeer;
+    callManager.updateCallState(call.callId, 'TRANSFERRED');
+    callManager.recordTransfer(call.callId, bridgedCall.callId, {
+        type,
+        transferor: transfer.transferorSide === 'caller' ? call.fromNumber : call.toNumber,
+        transferee: transferee.number,
+        target: peer.number
+    });
+}
+
+// Передача не удалась: отправитель REFER узнает код ответа, звонок остается как был
+function handleTransferFailure(originalCallId, newCallId, statusCode, reasonPhrase) {
+    if (newCallId) {
+        callManager.failCall(newCallId, statusCode);
+    }
+
+    const call = callManager.getCall(originalCallId);
+    if (!call || !call.transfer || call.transfer.newCallId !== newCallId) {
+        return;
+    }
+
+    sipLogger.warn(`Call transfer failed`, { callId: originalCallId, targetNumber: call.transfer.targetNumber, statusCode });
+    notifyTransferor(call, statusCode, reasonPhrase);
+
+    const transfer = call.transfer;
+    call.transfer = null;
+
+    if (call.ivr) {
+        handleIvrDialFailure(call);
+        return;
+    }
+    if (call.state === 'PARKED') {
+        // Парковавший не ответил на обратный вызов - звонок остается в слоте
+        startParkingTimer(call);
+        return;
+    }
+
+    if (transfer.transferorDetached) {
+        // Передающий уже положил трубку - вторую сторону не с кем соединить
+        sendDialogRequest(call, 'BYE', transfer.transferorSide === 'callee');
+        rtpProxy.removeStream(call.callId);
+        callManager.endCall(call.callId, 'TRANSFER_FAILED');
+    }
+}
+
+// Запросы внутри диалогов, затронутых передачей вызова; возвращает true, если запрос обработан здесь
+function handleTransferDialogRequest(parsed, transaction, call, fromCaller) {
+    const method = parsed.method;
+
+    // Диалог, соединенный с переданным звонком: на линии только сторона bridgedPeer, другую представляет сервер
+    if (call.bridgedCallId) {
+        if ((call.bridgedPeer === 'caller') !== fromCaller) {
+            // Замененный участник (Replaces) уже получил BYE от сервера
+            transactionManager.sendResponse(transaction, parsed.createResponse(481, 'Call/Transaction Does Not Exist'));
+            return true;
+        }
+        if (method !== 'BYE') {
+            rejectSessionChange(parsed, transaction);
+            return true;
+        }
+
+        transactionManager.sendResponse(transaction, parsed.createResponse(200, 'OK'));
+        rtpProxy.removeStream(call.callId);
+        callManager.endCall(call.callId);
+
+        const original = callManager.getCall(call.bridgedCallId);
+        if (original && original.transfer && original.transfer.state === 'COMPLETED') {
+            sendDialogRequest(original, 'BYE', original.transfer.transferorSide === 'callee');
+            callManager.endCall(original.callId, 'NORMAL', 'TRANSFERRED');
+        }
+        return true;
+    }
+
+    const transfer = call.transfer;
+    if (!transfer) {
+        return false;
+    }
+
+    // Запрос от передающего
+    if ((transfer.transferorSide === 'caller') === fromCaller) {
+        if (method === 'BYE') {
+            // Передающий кладет трубку: его плечо закрывает сервер, вторая сторона остается на линии
+            transfer.transferorDetached = true;
+            transactionManager.sendResponse(transaction, parsed.createResponse(200, 'OK'));
+            return true;
+        }
+        if (transfer.state === 'COMPLETED') {
+            transactionManager.sendResponse(transaction, parsed.createResponse(481, 'Call/Transaction Does Not Exist'));
+            return true;
+        }
+        return false;
+    }
+
+    // Запрос от второй стороны исходного звонка
+    if (transfer.state === 'COMPLETED') {
+        if (method !== 'BYE') {
+            rejectSessionChange(parsed, transaction);
+            return true;
+        }
+
+        transactionManager.sendResponse(transaction, parsed.createResponse(200, 'OK'));
+        const newCall = callManager.getCall(transfer.newCallId);
+        if (newCall) {
+            sendDialogRequest(newCall, 'BYE', newCall.bridgedPeer === 'caller');
+            rtpProxy.removeStream(newCall.callId);
+            callManager.endCall(newCall.callId);
+        }
+        callManager.endCall(call.callId, 'NORMAL', 'TRANSFERRED');
+        return true;
+    }
+
+    if (method === 'BYE') {
+        // Вторая сторона положила трубку до ответа нового абонента - отменяем новое плечо
+        const newCall = transfer.newCallId ? callManager.getCall(transfer.newCallId) : null;
+        if (newCall) {
+            transactionManager.cancel(transactionManager.getClientTransaction(newCall.targetBranch, 'INVITE'));
+            callManager.cancelCall(newCall.callId);
+        }
+        notifyTransferor(call, 487, 'Request Terminated');
+        call.transfer = null;
+
+        if (transfer.transferorDetached) {
+            transactionManager.sendResponse(transaction, parsed.createResponse(200, 'OK'));
+            rtpProxy.removeStream(call.callId);
+            callManager.endCall(call.callId);
+            return true;
+        }
+    }
+    return false;
+}
+
+// Изменение сессии не поддерживается, когда медиа ведет сервер (мост после передачи, голосовая почта)
+function rejectSessionChange(parsed, transaction) {
+    const response = parsed.method === 'INVITE' || parsed.method === 'UPDATE'
+        ? parsed.createResponse(488, 'Not Acceptable Here')
+        : parsed.createResponse(501, 'Not Implemented');
+    transactionManager.sendResponse(transaction, response);
+}
+
+// Условия, при которых звонок принимает голосовая почта абонента: код отказа -> условие
+const VOICEMAIL_CONDITIONS = { 404: 'unavailable', 480: 'unavailable', 486: 'busy' };
+
+// G.711 из предложения SDP в порядке предпочтения вызывающего (PCMU или PCMA), null - общего кодека нет
+function selectG711Codec(sdp) {
+    const mediaMatch = sdp.match(/m=audio \d+ RTP\/AVP ([\d ]+)/);
+    if (!mediaMatch) {
+        return null;
+    }
+    const codecs = mediaMatch[1].trim().split(/\s+/).map(payloadType => audio.getCodecByPayloadType(parseInt(payloadType)));
+    return codecs.find(codec => codec) || null;
+}
+
+// Ящик голосовой почты: номер, который набирал вызывающий (до переадресаций сервера)
+function getVoicemailMailbox(targetNumber, diversions) {
+    const firstDiversion = diversions.find(diversion => !diversion.external);
+    return firstDiversion ? firstDiversion.number : targetNumber;
+}
+
+// Payload type событий DTMF (telephone-event, RFC 4733) из предложения SDP или null
+function selectTelephoneEvent(sdp) {
+    const rtpmapMatch = sdp.match(/a=rtpmap:(\d+) telephone-event\/8000/i);
+    return rtpmapMatch ? parseInt(rtpmapMatch[1]) : null;
+}
+
+// Сервер может сам ответить на звонок: вызывающий предлагает G.711 и RTP-порт
+function canAnswerWithMedia(sdp) {
+    return !!sdp && !!selectG711Codec(sdp) && !!extractRtpPort(sdp);
+}
+
+// Голосовая почта может ответить на INVITE с SDP sdp: ящик существует, есть общий кодек
+function isVoicemailAvailable(sdp, mailbox) {
+    return voicemailManager.isEnabled() && voicemailManager.isMailbox(mailbox) && canAnswerWithMedia(sdp);
+}
+
+// SDP ответа сервера: один кодек G.711 и, если вызывающий их предложил, события DTMF; медиа на порт rtpProxy
+function createServerSdp(codec, telephoneEventPayloadType) {
+    const serverAddress = config.sip.serverAddress;
+    const payloadType = audio.CODECS[codec].payloadType;
+    const sessionId = Date.now();
+    const formats = telephoneEventPayloadType !== null ? `${payloadType} ${telephoneEventPayloadType}` : `${payloadType}`;
+    return [
+        'v=0',
+        `o=- ${sessionId} ${sessionId} IN IP4 ${serverAddress}`,
+        's=-',
+        `c=IN IP4 ${serverAddress}`,
+        't=0 0',
+        `m=audio ${rtpProxy.serverPort} RTP/AVP ${formats}`,
+        `a=rtpmap:${payloadType} ${codec}/8000`,
+        ...(telephoneEventPayloadType !== null
+            ? [`a=rtpmap:${telephoneEventPayloadType} telephone-event/8000`, `a=fmtp:${telephoneEventPayloadType} 0-15`]
+            : []),
+        'a=ptime:20',
+        'a=sendrecv',
+        ''
+    ].join('\r\n');
+}
+
+// Ответ сервера на INVITE вызывающего от своего имени: 200 OK с SDP сервера, медиа ведет MediaSession
+// application - voicemail (запись сообщения), voicemail-access (прослушивание), ivr (голосовое меню) или conference
+function answerServerCall(call, serverTransaction, application) {
+    const request = serverTransaction.request;
+    const codec = selectG711Codec(request.body);
+    const telephoneEventPayloadType = selectTelephoneEvent(request.body);
+    const fromRtpPort = extractRtpPort(request.body);
+    const contactHeader = createServerContact(call.toNumber, call.fromTransport);
+
+    callManager.updateCallState(call.callId, call.state, {
+        application,
+        fromRtpPort,
+        targetBranch: null,
+        calleeTo: `${call.originalTo};tag=${crypto.randomBytes(6).toString('hex')}`,
+        calleeContact: contactHeader
+    });
+    callManager.answerCall(call.callId);
+
+    // 200 OK повторяется до ACK; без ACK вызывающий диалог не установил - звонок завершается
+    transactionManager.sendAnswer(serverTransaction, request.createResponse(200, 'OK', {
+        'To': call.calleeTo,
+        'Contact': contactHeader,
+        'Content-Type': 'application/sdp'
+    }, createServerSdp(codec, telephoneEventPayloadType)), () => {
+        if (callManager.getCall(call.callId)) {
+            hangupServerCall(call);
+        }
+    });
+
+    const session = new MediaSession(rtpProxy, {
+        callId: call.callId,
+        address: call.fromAddress,
+        port: fromRtpPort,
+        codec,
+        telephoneEventPayloadType
+    });
+    session.start();
+    call.mediaSession = session;
+    return session;
+}
+
+// Звонок принимает голосовая почта: приветствие, сигнал, запись сообщения
+// condition - busy, noAnswer, unavailable или dialPlan (правило плана набора); false - почта недоступна, звонок обрабатывается как раньше
+function divertToVoicemail(call, condition) {
+    const serverTransaction = transactionManager.getServerTransaction(call.inviteTransactionKey);
+    const mailbox = getVoicemailMailbox(call.toNumber, call.diversions);
+    if (call.answerTime || call.terminating || call.hunt || !serverTransaction || !isVoicemailAvailable(serverTransaction.request.body, mailbox)) {
+        return false;
+    }
+
+    // Плечо к абоненту больше не нужно: если оно еще звонит - отменяем
+    if (call.targetBranch) {
+        cancelTargetLeg(call);
+        rtpProxy.removeStream(call.callId);
+    }
+
+    sipLogger.info(`Call diverted to voicemail`, {
+        callId: call.callId,
+        fromNumber: call.fromNumber,
+        mailbox,
+        condition
+    });
+
+    answerServerCall(call, serverTransaction, 'voicemail');
+    startVoicemailRecording(call, mailbox);
+    return true;
+}
+
+// Запись сообщения в уже отвеченном сервером звонке: приветствие ящика, сигнал, затем RTP вызывающего
+function startVoicemailRecording(call, mailbox) {
+    const session = call.mediaSession;
+    call.voicemail = { mailbox, timer: null };
+
+    session.play(voicemailManager.getGreeting(mailbox), () => {
+        session.play(voicemailManager.getBeep(), () => {
+            session.startRecording();
+            // Длина сообщения ограничена: по таймеру сервер сам завершает звонок
+            call.voicemail.timer = setTimeout(() => {
+                sipLogger.info(`Voicemail message length limit reached`, { callId: call.callId, mailbox });
+                hangupServerCall(call);
+            }, config.voicemail.maxMessageLength * 1000);
+        });
+    });
+}
+
+// Прослушивание своей голосовой почты: сначала новые сообщения (от старых к новым), затем прочитанные
+// Прослушанное сообщение помечается прочитанным, после последнего сервер завершает звонок
+function startVoicemailAccess(call, serverTransaction) {
+    const mailbox = call.fromNumber;
+    const messages = voicemailManager.getMessages(mailbox).reverse()
+        .sort((first, second) => Number(first.read) - Number(second.read));
+
+    sipLogger.info(`Voicemail access started`, {
+        callId: call.callId,
+        mailbox,
+        messages: messages.length,
+        unread: messages.filter(message => !message.read).length
+    });
+
+    const session = answerServerCall(call, serverTransaction, 'voicemail-access');
+    call.voicemail = { mailbox, timer: null };
+
+    const playMessage = (index) => {
+        if (index >= messages.length) {
+            session.play(voicemailManager.getEndTone(), () => hangupServerCall(call));
+            return;
+        }
+
+        const message = messages[index];
+        let samples;
+        try {
+            samples = voicemailManager.readMessageAudio(mailbox, message.id);
+        } catch (error) {
+            sipLogger.warn(`Voicemail message skipped`, { mailbox, messageId: message.id, error: error.message });
+            playMessage(index + 1);
+            return;
+        }
+
+        session.play(audio.concatSamples([voicemailManager.getBeep(), samples]), () => {
+            voicemailManager.setRead(mailbox, message.id, true);
+            playMessage(index + 1);
+        });
+    };
+    playMessage(0);
+}
+
+// Голосовое меню (IVR): сервер отвечает на звонок, проигрывает подсказки и выполняет действие по клавише DTMF (RFC 2833)
+function startIvr(call, serverTransaction, ivr) {
+    sipLogger.info(`IVR started`, { callId: call.callId, fromNumber: call.fromNumber, ivrNumber: ivr.number });
+
+    const session = answerServerCall(call, serverTransaction, 'ivr');
+    call.ivr = { definition: ivr, menuId: null, retries: 0, state: 'menu', timer: null, dial: null };
+    session.onDtmf = (digit) => handleIvrDigit(call, digit);
+    enterIvrMenu(call, ivr.start);
+}
+
+// Переход в меню: попытки ввода считаются заново
+function enterIvrMenu(call, menuId) {
+    Object.assign(call.ivr, { menuId, retries: 0, state: 'menu', dial: null });
+    playIvrMenu(call, null);
+}
+
+// Подсказка меню (перед ней - сообщение об ошибке ввода preface), после нее ждем клавишу menu.timeout секунд
+function playIvrMenu(call, preface) {
+    const menu = call.ivr.definition.menus[call.ivr.menuId];
+    const prompt = ivrManager.getPrompt(menu.prompt);
+
+    clearTimeout(call.ivr.timer);
+    call.mediaSession.play(preface ? audio.concatSamples([preface, prompt]) : prompt, () => {
+        call.ivr.timer = setTimeout(() => handleIvrInput(call, null), menu.timeout * 1000);
+    });
+}
+
+// Клавиша прерывает подсказку; пока идет соединение с абонентом, нажатия не обрабатываются
+function handleIvrDigit(call, digit) {
+    if (call.ivr.state !== 'menu') {
+        return;
+    }
+    clearTimeout(call.ivr.timer);
+    call.mediaSession.stopPlayback();
+    handleIvrInput(call, digit);
+}
+
+// Выбор пункта меню; digit = null - клавишу не нажали вовремя
+// Неверный ввод и таймаут повторяют меню до menu.maxRetries раз, затем выполняется menu.failureAction
+function handleIvrInput(call, digit) {
+    const menu = call.ivr.definition.menus[call.ivr.menuId];
+    const option = digit !== null ? menu.options[digit] : null;
+
+    sipLogger.info(`IVR input`, {
+        callId: call.callId,
+        ivrNumber: call.ivr.definition.number,
+        menu: call.ivr.menuId,
+        digit,
+        action: option ? option.action : null
+    });
+
+    if (option) {
+        runIvrAction(call, option);
+        return;
+    }
+
+    call.ivr.retries++;
+    if (call.ivr.retries > menu.maxRetries) {
+        sipLogger.warn(`IVR retries exhausted`, { callId: call.callId, menu: call.ivr.menuId, action: menu.failureAction.action });
+        runIvrAction(call, menu.failureAction);
+        return;
+    }
+    playIvrMenu(call, menu.invalidPrompt ? ivrManager.getPrompt(menu.invalidPrompt) : ivrManager.getInvalidTone());
+}
+
+// Действие пункта меню: { action, target }
+function runIvrAction(call, action) {
+    clearTimeout(call.ivr.timer);
+
+    if (action.action === 'menu') {
+        enterIvrMenu(call, action.target);
+    } else if (action.action === 'dial') {
+        startIvrDial(call, [action.target], action.timeout, action);
+    } else if (action.action === 'ringGroup') {
+        const group = ringGroupManager.getGroup(action.target);
+        if (!group) {
+            sipLogger.warn(`IVR ring group not found`, { callId: call.callId, groupNumber: action.target });
+            enterIvrMenu(call, call.ivr.menuId);
+            return;
+        }
+        startIvrDial(call, ringGroupManager.getHuntOrder(group), group.memberTimeout, action);
+    } else if (action.action === 'voicemail' && voicemailManager.isEnabled()) {
+        call.ivr.state = 'finished';
+        callManager.updateCallState(call.callId, call.state, { application: 'voicemail' });
+        startVoicemailRecording(call, action.target);
+    } else {
+        hangupServerCall(call);
+    }
+}
+
+// Соединение вызывающего с абонентом: новое плечо ведет сервер, как при передаче вызова (startTransferLeg),
+// участники группы вызываются по очереди; пока идет вызов, вызывающий слышит сигнал контроля посылки вызова
+function startIvrDial(call, numbers, timeout, action) {
+    Object.assign(call.ivr, { state: 'dialing', dial: { numbers, index: 0, timeout, action } });
+    playIvrRingback(call);
+    dialNextIvrTarget(call);
+}
+
+function playIvrRingback(call) {
+    call.mediaSession.play(ivrManager.getRingbackTone(), () => {
+        if (call.ivr.state === 'dialing') {
+            playIvrRingback(call);
+        }
+    });
+}
+
+function dialNextIvrTarget(call) {
+    const dial = call.ivr.dial;
+    const targetNumber = dial.numbers[dial.index++];
+    const transfer = {
+        state: 'PENDING',
+        type: 'ivr',
+        transferorSide: 'callee',
+        referCSeq: null,
+        subscription: false,
+        transferorDetached: false,
+        targetNumber,
+        newCallId: null
+    };
+    call.transfer = transfer;
+
+    sipLogger.info(`IVR dialing`, { callId: call.callId, fromNumber: call.fromNumber, targetNumber });
+    startTransferLeg(call, null);
+    limitTransferLegRinging(call, transfer, dial.timeout);
+}
+
+// Плечо, которое сервер ведет сам (startTransferLeg), звонит не дольше timeout секунд: затем CANCEL,
+// дальше - как при отказе (handleTransferFailure)
+function limitTransferLegRinging(call, transfer, timeout) {
+    if (call.transfer !== transfer || !transfer.newCallId) {
+        return;
+    }
+    setTimeout(() => {
+        const newCall = callManager.getCall(transfer.newCallId);
+        if (call.transfer === transfer && transfer.state === 'PENDING' && newCall) {
+            transactionManager.cancel(transactionManager.getClientTransaction(newCall.targetBranch, 'INVITE'));
+        }
+    }, timeout * 1000);
+}
+
+// Абонент не ответил или отказал (вызывается из handleTransferFailure): следующий участник группы,
+// затем голосовая почта набранного абонента или возврат в меню
+function handleIvrDialFailure(call) {
+    const dial = call.ivr.dial;
+    if (call.ivr.state !== 'dialing') {
+        return;
+    }
+
+    if (dial.index < dial.numbers.length) {
+        dialNextIvrTarget(call);
+        return;
+    }
+    if (dial.action.action === 'dial' && isVoicemailAvailable(call.sdp, dial.action.target)) {
+        runIvrAction(call, { action: 'voicemail', target: dial.action.target });
+        return;
+    }
+    enterIvrMenu(call, call.ivr.menuId);
+}
+
+// Конференция: сервер отвечает на звонок, при необходимости запрашивает PIN (цифры DTMF, в конце #),
+// затем аудио участника смешивается с остальными в rtpProxy
+function startConference(call, serverTransaction, room) {
+    sipLogger.info(`Conference call started`, { callId: call.callId, fromNumber: call.fromNumber, room });
+
+    const session = answerServerCall(call, serverTransaction, 'conference');
+    call.conference = { room, state: 'pin', digits: '', attempts: 0, timer: null };
+    session.onDtmf = (digit) => handleConferenceDigit(call, digit);
+
+    if (conferenceManager.isPinProtected(room)) {
+        promptConferencePin(call, null);
+    } else {
+        joinConference(call);
+    }
+}
+
+// Приглашение ввести PIN; ввод ограничен CONFERENCE_PIN_TIMEOUT секундами с последней клавиши
+function promptConferencePin(call, preface) {
+    const prompt = conferenceManager.getPinPrompt();
+    call.conference.digits = '';
+    call.mediaSession.play(preface ? audio.concatSamples([preface, prompt]) : prompt, () => restartConferencePinTimer(call));
+}
+
+function restartConferencePinTimer(call) {
+    clearTimeout(call.conference.timer);
+    call.conference.timer = setTimeout(() => checkConferencePin(call), config.conference.pinTimeout * 1000);
+}
+
+// Клавиши после входа в комнату не обрабатываются
+function handleConferenceDigit(call, digit) {
+    if (call.conference.state !== 'pin') {
+        return;
+    }
+    call.mediaSession.stopPlayback();
+
+    if (digit === '#') {
+        checkConferencePin(call);
+        return;
+    }
+    call.conference.digits += digit;
+    restartConferencePinTimer(call);
+}
+
+// Проверка введенного PIN: после CONFERENCE_PIN_ATTEMPTS неудачных попыток сервер завершает звонок
+function checkConferencePin(call) {
+    clearTimeout(call.conference.timer);
+    if (conferenceManager.checkPin(call.conference.room, call.conference.digits)) {
+        joinConference(call);
+        return;
+    }
+
+    call.conference.attempts++;
+    sipLogger.warn(`Conference PIN rejected`, { callId: call.callId, room: call.conference.room, attempts: call.conference.attempts });
+    if (call.conference.attempts >= config.conference.pinAttempts) {
+        hangupServerCall(call);
+        return;
+    }
+    promptConferencePin(call, conferenceManager.getInvalidPinTone());
+}
+
+// Вход в комнату: пока шел ввод PIN, комната могла заполниться
+function joinConference(call) {
+    const room = call.conference.room;
+    if (conferenceManager.isFull(room)) {
+        sipLogger.warn(`Conference room is full`, { callId: call.callId, room });
+        hangupServerCall(call);
+        return;
+    }
+
+    call.conference.state = 'joined';
+    conferenceManager.addParticipant(room, call.callId, call.fromNumber);
+    rtpProxy.addConferenceParticipant(room, call.callId, call.mediaSession);
+    call.mediaSession.play(conferenceManager.getJoinTone());
+}
+
+// Сервер сам завершает свой звонок: BYE вызывающему
+// Коды "не беспокоить" и отказа анонимным вызовам: настройка вызывающего меняется сразу,
+// сервер отвечает на звонок, подтверждает сигналом и кладет трубку
+function applyScreeningCode(call, serverTransaction, screeningCode) {
+    screeningManager.setSettings(call.fromNumber, { [screeningCode.field]: screeningCode.enabled });
+    sipLogger.info(`Call screening changed by feature code`, {
+        callId: call.callId,
+        number: call.fromNumber,
+        code: call.toNumber,
+        [screeningCode.field]: screeningCode.enabled
+    });
+
+    const session = answerServerCall(call, serverTransaction, 'feature-code');
+    session.play(screeningManager.getConfirmationTone(screeningCode.enabled), () => hangupServerCall(call));
+}
+
+function hangupServerCall(call) {
+    sendDialogRequest(call, 'BYE', true);
+    finishServerCall(call);
+}
+
+// Запросы вызывающего в звонке, который ведет сервер: BYE завершает звонок, изменение сессии не поддерживается
+function handleServerCallRequest(parsed, transaction, call) {
+    if (parsed.method === 'BYE') {
+        transactionManager.sendResponse(transaction, parsed.createResponse(200, 'OK'));
+        finishServerCall(call);
+        return;
+    }
+    rejectSessionChange(parsed, transaction);
+}
+
+// Завершение звонка, который вел сервер: медиа останавливается, записанное сообщение сохраняется в ящик,
+// незавершенное соединение из IVR отменяется, участник конференции покидает комнату
+function finishServerCall(call) {
+    if (!callManager.getCall(call.callId)) {
+        return;
+    }
+
+    if (call.voicemail) {
+        clearTimeout(call.voicemail.timer);
+    }
+    if (call.ivr) {
+        clearTimeout(call.ivr.timer);
+        call.ivr.state = 'finished';
+    }
+    if (call.conference) {
+        clearTimeout(call.conference.timer);
+        call.conference.state = 'finished';
+        rtpProxy.removeConferenceParticipant(call.conference.room, call.callId);
+        conferenceManager.removeParticipant(call.conference.room, call.callId);
+    }
+    cancelPendingTransferLeg(call);
+
+    const recording = call.mediaSession.stopRecording();
+    call.mediaSession.stop();
+
+    if (call.application === 'voicemail' && recording.length > 0) {
+        try {
+            voicemailManager.saveMessage(call.voicemail.mailbox, {
+                from: call.fromNumber,
+                callId: call.callId,
+                codec: call.mediaSession.codec,
+                audioData: recording
+            });
+        } catch (error) {
+            sipLogger.error(`Voicemail message save failed`, { callId: call.callId, mailbox: call.voicemail.mailbox, error: error.message });
+        }
+    }
+
+    callManager.endCall(call.callId);
+}
+
+// Отмена плеча, которое сервер еще вызывает для звонка call (соединение из IVR, обратный вызов с парковки)
+function cancelPendingTransferLeg(call) {
+    const pendingCall = call.transfer && call.transfer.newCallId ? callManager.getCall(call.transfer.newCallId) : null;
+    if (pendingCall) {
+        transactionManager.cancel(transactionManager.getClientTransaction(pendingCall.targetBranch, 'INVITE'));
+        callManager.cancelCall(pendingCall.callId);
+    }
+    call.transfer = null;
+}
+
+// Парковка (REFER на PARKING_NUMBER): вторая сторона ждет в свободном слоте под музыку, парковавший слышит
+// номер слота, затем получает NOTIFY 200 и BYE от сервера; звонок остается в своем диалоге в состоянии PARKED
+function parkCall(call) {
+    const transfer = call.transfer;
+    const transferee = getTransferee(call);
+    const parkerIsCaller = transfer.transferorSide === 'caller';
+    const parker = parkerIsCaller
+        ? { number: call.fromNumber, address: call.fromAddress, rtpPort: call.fromRtpPort, sdp: call.sdp }
+        : { number: call.toNumber, address: call.toAddress, rtpPort: call.toRtpPort, sdp: call.answerSdp };
+
+    const slot = parkingManager.findFreeSlot();
+    const codec = transferee.sdp ? selectG711Codec(transferee.sdp) : null;
+    if (!slot || !codec || !transferee.rtpPort) {
+        sipLogger.warn(`Call parking failed`, { callId: call.callId, slot, codec });
+        handleTransferFailure(call.callId, null, slot ? 488 : 486, slot ? 'Not Acceptable Here' : 'Busy Here');
+        return;
+    }
+
+    rtpProxy.removeStream(call.callId);
+    callManager.updateCallState(call.callId, 'PARKED', { parkedSlot: slot, parkedNumber: transferee.number });
+    call.park = { parkerIsCaller, parkerDetached: transfer.transferorDetached, request: transfer, announcement: null };
+    parkingManager.park(slot, { callId: call.callId, parkedNumber: transferee.number, parkedBy: parker.number });
+    startParkingTimer(call);
+
+    call.mediaSession = new MediaSession(rtpProxy, { callId: call.callId, address: transferee.address, port: transferee.rtpPort, codec });
+    call.mediaSession.start();
+    playParkingMusic(call);
+
+    const parkerCodec = parker.sdp ? selectG711Codec(parker.sdp) : null;
+    if (call.park.parkerDetached || !parkerCodec || !parker.rtpPort) {
+        detachParker(call);
+        return;
+    }
+    const announcement = new MediaSession(rtpProxy, {
+        callId: `${call.callId}_parker`,
+        address: parker.address,
+        port: parker.rtpPort,
+        codec: parkerCodec
+    });
+    call.park.announcement = announcement;
+    announcement.start();
+    announcement.play(parkingManager.getSlotAnnouncement(slot), () => detachParker(call));
+}
+
+function playParkingMusic(call) {
+    call.mediaSession.play(parkingManager.getHoldMusic(), () => {
+        if (call.state === 'PARKED') {
+            playParkingMusic(call);
+        }
+    });
+}
+
+// Парковавший больше не участвует в звонке: объявление прерывается, его плечо завершает сервер
+function detachParker(call) {
+    const park = call.park;
+    if (park.announcement) {
+        park.announcement.stop();
+        park.announcement = null;
+    }
+    if (!park.parkerDetached) {
+        // Звонок могли забрать, пока звучит объявление: NOTIFY относится к исходному REFER
+        notifyTransferor(call, 200, 'OK', park.request);
+        sendDialogRequest(call, 'BYE', park.parkerIsCaller);
+        park.parkerDetached = true;
+    }
+    if (call.transfer === park.request) {
+        call.transfer = null;
+    }
+}
+
+function startParkingTimer(call) {
+    parkingManager.setTimer(call.parkedSlot, () => ringBackParker(call));
+}
+
+// Звонок слишком долго ждет на парковке: сервер вызывает парковавшего (как при передаче вызова),
+// не ответил - звонок остается в слоте до следующего таймаута
+function ringBackParker(call) {
+    const parked = parkingManager.getParked(call.parkedSlot);
+    if (!parked || parked.callId !== call.callId || !callManager.getCall(call.callId)) {
+        return;
+    }
+    if (call.transfer) {
+        startParkingTimer(call);
+        return;
+    }
+
+    sipLogger.info(`Parked call timeout, calling parker back`, { callId: call.callId, slot: parked.slot, parkedBy: parked.parkedBy });
+    const transfer = {
+        state: 'PENDING',
+        type: 'park',
+        transferorSide: call.park.parkerIsCaller ? 'caller' : 'callee',
+        referCSeq: null,
+        subscription: false,
+        transferorDetached: true,
+        targetNumber: parked.parkedBy,
+        newCallId: null
+    };
+    call.transfer = transfer;
+    startTransferLeg(call, null);
+    limitTransferLegRinging(call, transfer, config.forwarding.noAnswerTimeout);
+}
+
+// Звонок покидает слот: его забрали, парковавший ответил на обратный вызов или ожидающий положил трубку
+function releaseParkingSlot(call) {
+    parkingManager.unpark(call.parkedSlot);
+    detachParker(call);
+    call.mediaSession.stop();
+    callManager.updateCallState(call.callId, call.state, { parkedSlot: null, parkedNumber: null });
+}
+
+// Запросы в припаркованном звонке: BYE ожидающего освобождает слот, BYE парковавшего отключает только его плечо;
+// изменение сессии не поддерживается, пока медиа ведет сервер
+function handleParkedCallRequest(parsed, transaction, call, fromCaller) {
+    const fromParker = fromCaller === call.park.parkerIsCaller;
+    if (fromParker && call.park.parkerDetached) {
+        transactionManager.sendResponse(transaction, parsed.createResponse(481, 'Call/Transaction Does Not Exist'));
+        return;
+    }
+    if (parsed.method !== 'BYE') {
+        rejectSessionChange(parsed, transaction);
+        return;
+    }
+
+    transactionManager.sendResponse(transaction, parsed.createResponse(200, 'OK'));
+    if (fromParker) {
+        call.park.parkerDetached = true;
+        detachParker(call);
+        return;
+    }
+
+    sipLogger.info(`Parked call ended by waiting party`, { callId: call.callId, slot: call.parkedSlot });
+    cancelPendingTransferLeg(call);
+    releaseParkingSlot(call);
+    callManager.endCall(call.callId);
+}
+
+// Набран слот парковки: сервер отвечает набравшему и соединяет его с ожидающим абонентом
+function retrieveParkedCall(parsed, rinfo, transaction, fromNumber, slot) {
+    const parked = parkingManager.getParked(slot);
+    const call = parked ? callManager.getCall(parked.callId) : null;
+    if (!call) {
+        sipLogger.warn(`Parking slot is empty`, { callId: parsed.getCallId(), fromNumber, slot });
+        transactionManager.sendResponse(transaction, parsed.createResponse(404, 'Not Found'));
+        return;
+    }
+
+    // Обратный вызов парковавшего, если он уже звонит, больше не нужен
+    cancelPendingTransferLeg(call);
+    call.transfer = {
+        state: 'PENDING',
+        type: 'park',
+        transferorSide: call.park.parkerIsCaller ? 'caller' : 'callee',
+        referCSeq: null,
+        subscription: false,
+        transferorDetached: true,
+        targetNumber: fromNumber,
+        newCallId: null
+    };
+
+    sipLogger.info(`Parked call retrieved`, { callId: call.callId, slot, retrievedBy: fromNumber, parkedNumber: parked.parkedNumber });
+    answerBridgedInvite(parsed, rinfo, transaction, call, fromNumber, slot, 'park');
+}
+
+function isPickupCode(number) {
+    const { groupCode, directedPrefix } = config.pickup;
+    return number === groupCode || number.startsWith(directedPrefix);
+}
+
+// Звонящий вызов для перехвата: самый ранний, для направленного перехвата - к targetNumber
+// (в группе вызова - если звонит этот участник); свои звонки, вызовы, которые ведет сервер, и вызовы через внешнюю линию не перехватываются
+function findRingingCall(pickerNumber, targetNumber) {
+    return callManager.getRingingCalls().find(call => {
+        const serverTransaction = transactionManager.getServerTransaction(call.inviteTransactionKey);
+        if (!serverTransaction || serverTransaction.state !== 'PROCEEDING' || call.application || call.trunkLeg || callManager.getLocalCaller(call) === pickerNumber) {
+            return false;
+        }
+        if (!targetNumber) {
+            return true;
+        }
+        return call.toNumber === targetNumber ||
+            (!!call.hunt && Array.from(call.hunt.forks.values()).some(fork => fork.number === targetNumber && isForkPending(fork)));
+    });
+}
+
+// Перехват (*8 - любой звонящий вызов, **101 - вызов к 101): звонящее плечо отменяется, INVITE вызывающего
+// получает 200 OK от сервера с медиа перехватившего, затем оба диалога соединяются как при передаче вызова
+function pickupCall(parsed, rinfo, transaction, fromNumber, toNumber) {
+    const callId = parsed.getCallId();
+    const { groupCode, directedPrefix } = config.pickup;
+    const targetNumber = toNumber === groupCode ? null : toNumber.substring(directedPrefix.length);
+
+    const ringingCall = findRingingCall(fromNumber, targetNumber);
+    if (!ringingCall) {
+        sipLogger.warn(`No ringing call to pick up`, { callId, fromNumber, targetNumber });
+        transactionManager.sendResponse(transaction, parsed.createResponse(404, 'Not Found'));
+        return;
+    }
+    if (!parsed.hasSdp() || !extractRtpPort(parsed.body)) {
+        transactionManager.sendResponse(transaction, parsed.createResponse(488, 'Not Acceptable Here'));
+        return;
+    }
+
+    sipLogger.info(`Call picked up`, {
+        callId,
+        pickedCallId: ringingCall.callId,
+        pickedBy: fromNumber,
+        callerNumber: ringingCall.fromNumber,
+        ringingNumber: ringingCall.toNumber
+    });
+
+    if (ringingCall.hunt) {
+        ringingCall.hunt.finished = true;
+        cancelGroupForks(ringingCall);
+    } else {
+        cancelTargetLeg(ringingCall);
+    }
+    rtpProxy.removeStream(ringingCall.callId);
+
+    // Вызывающему отвечает сервер от имени вызванного номера; ответы отмененного плеча игнорируются по branch
+    const contactHeader = createServerContact(ringingCall.toNumber, ringingCall.fromTransport);
+    callManager.updateCallState(ringingCall.callId, ringingCall.state, {
+        targetBranch: null,
+        calleeTo: `${ringingCall.originalTo};tag=${crypto.randomBytes(6).toString('hex')}`,
+        calleeContact: contactHeader,
+        transfer: {
+            state: 'PENDING',
+            type: 'pickup',
+            transferorSide: 'callee',
+            referCSeq: null,
+            subscription: false,
+            transferorDetached: true,
+            targetNumber: fromNumber,
+            newCallId: null
+        }
+    });
+    callManager.answerCall(ringingCall.callId);
+
+    // 200 OK вызывающему повторяется до его ACK; без ACK соединение с перехватившим разрывается
+    const serverTransaction = transactionManager.getServerTransaction(ringingCall.inviteTransactionKey);
+    transactionManager.sendAnswer(serverTransaction, serverTransaction.request.createResponse(200, 'OK', {
+        'To': ringingCall.calleeTo,
+        'Contact': contactHeader,
+        'Content-Type': 'application/sdp'
+    }, rtpProxy.modifySdp(parsed.body, ringingCall.callId + '_response')), () => {
+        const pickerCall = callManager.getCall(callId);
+        if (pickerCall) {
+            hangupBridgedCall(pickerCall);
+        }
+    });
+
+    answerBridgedInvite(parsed, rinfo, transaction, ringingCall, fromNumber, toNumber, 'pickup');
+}
+
+// Исходящий вызов по правилу trunk: сервер - B2BUA, вызывающему отвечает сам, к провайдеру ведет свое плечо
+// Линия должна быть доступна (зарегистрирована), INVITE вызывающего - с SDP, потому что второе плечо строит сервер
+function routeTrunkCall(parsed, rinfo, transaction, fromNumber, dialedNumber, route) {
+    const callId = parsed.getCallId();
+    const toNumber = route.number;
+    const trunk = trunkManager.getTrunk(route.target);
+
+    if (!trunkManager.isAvailable(route.target)) {
+        sipLogger.warn(`Trunk is not available`, { callId, fromNumber, dialedNumber, trunk: route.target });
+        rejectInvite(parsed, rinfo, transaction, fromNumber, toNumber, {
+            statusCode: 503,
+            reasonPhrase: 'Service Unavailable',
+            reason: 'TRUNK_UNAVAILABLE'
+        });
+        return;
+    }
+    if (!parsed.hasSdp() || !extractRtpPort(parsed.body)) {
+        transactionManager.sendResponse(transaction, parsed.createResponse(488, 'Not Acceptable Here'));
+        return;
+    }
+
+    callManager.createCall(callId, fromNumber, toNumber, rinfo.address, rinfo.port, parsed.body, rinfo.transport);
+    callManager.setTarget(callId, trunk.host, trunk.port, trunk.transport);
+    callManager.updateCallState(callId, 'CALLING', {
+        originalVia: parsed.getHeaders('Via'),
+        originalFrom: parsed.getHeader('From'),
+        originalTo: parsed.getHeader('To'),
+        originalCSeq: parsed.getHeader('CSeq'),
+        originalContact: parsed.getHeader('Contact'),
+        callerTag: parsed.getFrom().params.tag,
+        callerCSeq: parsed.getCSeq().number,
+        inviteTransactionKey: transaction.key,
+        dialedNumber: dialedNumber !== toNumber ? dialedNumber : null,
+        fromRtpPort: extractRtpPort(parsed.body),
+        trunk: trunk.name,
+        // Диалог с вызывающим ведет сервер: свой tag в To и свой Contact
+        calleeTo: `${parsed.getHeader('To')};tag=${crypto.randomBytes(6).toString('hex')}`,
+        calleeContact: createServerContact(toNumber, rinfo.transport)
+    });
+
+    transactionManager.sendResponse(transaction, parsed.createResponse(100, 'Trying'));
+    startTrunkLeg(callManager.getCall(callId), trunk);
+}
+
+// Плечо к провайдеру: INVITE с новым Call-ID, в From - номер линии (callerId), SDP вызывающего через RTP прокси
+function startTrunkLeg(call, trunk) {
+    const serverAddress = config.sip.serverAddress;
+    const legCallId = `${crypto.randomBytes(12).toString('hex')}@${serverAddress}`;
+    const invite = SipMessage.createRequest('INVITE', createSipUri(call.toNumber, trunk.host, trunk.port, trunk.transport), {
+        'Via': createServerVia(trunk.transport, transactionManager.generateBranch()),
+        'Max-Forwards': '70',
+        'From': `<sip:${trunk.callerId}@${trunk.domain}>;tag=${crypto.randomBytes(6).toString('hex')}`,
+        'To': `<sip:${call.toNumber}@${trunk.domain}>`,
+        'Call-ID': legCallId,
+        'CSeq': '1 INVITE',
+        'Contact': createServerContact(trunk.callerId, trunk.transport),
+        'Content-Type': 'application/sdp'
+    }, rtpProxy.modifySdp(call.sdp, call.callId));
+
+    // Диалог сервера с провайдером: To, Contact и route set станут известны из 2xx
+    call.trunkLeg = {
+        callId: legCallId,
+        cseq: 1,
+        from: invite.getHeader('From'),
+        to: null,
+        remoteTarget: null,
+        routeSet: [],
+        ackMessage: null,
+        rtpAddress: null
+    };
+
+    sipLogger.info(`Sending INVITE to trunk`, {
+        callId: call.callId,
+        legCallId,
+        trunk: trunk.name,
+        host: trunk.host,
+        port: trunk.port,
+        toNumber: call.toNumber,
+        callerId: trunk.callerId
+    });
+    sendTrunkInvite(call, trunk, invite);
+}
+
+// Отправка INVITE плеча; его branch становится targetBranch звонка, поэтому CANCEL вызывающего отменяет именно его
+function sendTrunkInvite(call, trunk, invite) {
+    const callId = call.callId;
+    const branch = transactionManager.getBranch(invite);
+    call.targetBranch = branch;
+
+    transactionManager.sendRequest(invite, trunk.port, trunk.host, {
+        transport: trunk.transport,
+        onResponse: (response, transaction) => handleTrunkInviteResponse(callId, trunk, response, transaction),
+        onTimeout: () => {
+            const current = callManager.getCall(callId);
+            if (current && current.targetBranch === branch && !current.answerTime) {
+                failTrunkCall(current, 408, 'Request Timeout');
+            }
+        }
+    });
+}
+
+// Ответ провайдера на INVITE: вызывающий получает его от имени сервера (свой To tag и Contact),
+// на запрос аутентификации отвечает сервер, ACK на 2xx формирует тоже сервер
+function handleTrunkInviteResponse(callId, trunk, response, transaction) {
+    const statusCode = response.statusCode;
+    const call = callManager.getCall(callId);
+
+    if (!call || call.targetBranch !== transaction.branch) {
+        // Вызывающий уже отменил вызов - ответившего провайдера сразу отключаем
+        if (statusCode >= 200 && statusCode < 300 && !transaction.released) {
+            transaction.released = true;
+            releaseAnsweredLeg(response, transaction);
+        }
+        return;
+    }
+
+    if (statusCode === 100) {
+        return;
+    }
+
+    const leg = call.trunkLeg;
+    if (statusCode >= 200 && statusCode < 300 && call.answerTime) {
+        // Повтор 2xx - повторяем ACK
+        transactionManager.sendStateless(leg.ackMessage, transaction.port, transaction.address, transaction.transport);
+        return;
+    }
+
+    if (statusCode === 401 || statusCode === 407) {
+        const authenticated = createTrunkAuthRequest(trunk, transaction.request, response);
+        if (authenticated) {
+            leg.cseq = authenticated.getCSeq().number;
+            sendTrunkInvite(call, trunk, authenticated);
+            return;
+        }
+        // Запрос аутентификации провайдера вызывающему не передается: для него линия недоступна
+        sipLogger.warn(`Trunk authentication failed`, { callId, trunk: trunk.name, statusCode });
+        failTrunkCall(call, 503, 'Service Unavailable');
+        return;
+    }
+
+    if (statusCode >= 300) {
+        failTrunkCall(call, statusCode, response.reasonPhrase);
+        return;
+    }
+
+    // Медиа провайдера часто идет не с адреса сигнализации: адрес RTP берется из c= его SDP
+    if (response.hasSdp()) {
+        leg.rtpAddress = extractRtpAddress(response.body) || transaction.address;
+        setupRtpStream(call, response, { address: leg.rtpAddress });
+    }
+
+    if (statusCode < 200) {
+        sendTrunkCallResponse(call, statusCode, response.reasonPhrase, response.hasSdp() ? response.body : null);
+        if (call.state !== 'RINGING') {
+            callManager.updateCallState(callId, 'RINGING');
+        }
+        return;
+    }
+
+    // INVITE отправлял сервер, поэтому ACK на 2xx тоже формирует он; route set - Record-Route ответа в обратном порядке
+    const contact = SipMessage.parseNameAddr(response.getHeader('Contact'));
+    Object.assign(leg, {
+        to: response.getHeader('To'),
+        remoteTarget: contact ? SipMessage.formatUri(contact.uri) : transaction.request.uri,
+        routeSet: response.getHeaders('Record-Route').reverse()
+    });
+    leg.ackMessage = createTrunkLegRequest(call, trunk, 'ACK', response.getCSeq().number);
+    transactionManager.sendStateless(leg.ackMessage, transaction.port, transaction.address, transaction.transport);
+
+    sipLogger.info(`Trunk call answered`, { callId, legCallId: leg.callId, trunk: trunk.name, toNumber: call.toNumber });
+    callManager.answerCall(callId);
+    call.answerSdp = response.body;
+    sendTrunkCallResponse(call, 200, 'OK', response.hasSdp() ? response.body : null);
+}
+
+// Повтор запроса к провайдеру с ответом на его запрос аутентификации (401 - Authorization, 407 - Proxy-Authorization):
+// новый branch и CSeq, те же Call-ID и From tag; null - нет пароля, алгоритм не поддерживается или ответ уже отвергнут
+function createTrunkAuthRequest(trunk, request, response) {
+    const proxyAuth = response.statusCode === 407;
+    const authorizationHeader = proxyAuth ? 'Proxy-Authorization' : 'Authorization';
+    const challenges = response.getHeaders(proxyAuth ? 'Proxy-Authenticate' : 'WWW-Authenticate');
+    const stale = challenges.some(challenge => /stale\s*=\s*"?true/i.test(challenge));
+    if (trunk.password === null || (request.hasHeader(authorizationHeader) && !stale)) {
+        return null;
+    }
+
+    const authorization = challenges
+        .map(challenge => digestAuth.createAuthorization(challenge, request.method, request.uri, trunk.authUsername, trunk.password))
+        .find(Boolean);
+    if (!authorization) {
+        return null;
+    }
+
+    const authenticated = request.clone();
+    authenticated.setHeader('Via', createServerVia(trunk.transport, transactionManager.generateBranch()));
+    authenticated.setHeader('CSeq', `${request.getCSeq().number + 1} ${request.method}`);
+    authenticated.setHeader(authorizationHeader, authorization);
+    return authenticated;
+}
+
+// Ответ вызывающему в диалоге исходящего вызова через линию (сервер отвечает от своего имени)
+function sendTrunkCallResponse(call, statusCode, reasonPhrase, sdp = null) {
+    const response = SipMessage.createResponse(statusCode, reasonPhrase, {
+        'Via': call.originalVia,
+        'From': call.originalFrom,
+        'To': call.calleeTo,
+        'Call-ID': call.callId,
+        'CSeq': call.originalCSeq,
+        'Contact': statusCode < 300 ? call.calleeContact : null,
+        'Content-Type': sdp ? 'application/sdp' : null
+    }, sdp ? rtpProxy.modifySdp(sdp, call.callId + '_response') : '');
+
+    const transaction = transactionManager.getServerTransaction(call.inviteTransactionKey);
+    if (statusCode >= 200 && statusCode < 300 && transaction) {
+        // 200 OK повторяется до ACK вызывающего; без ACK разрываются оба диалога
+        transactionManager.sendAnswer(transaction, response, () => {
+            if (callManager.getCall(call.callId)) {
+                hangupTrunkCall(call);
+            }
+        });
+        return;
+    }
+    sendResponseToCaller(call, response);
+}
+
+// Завершение звонка через линию по инициативе сервера: BYE вызывающему и провайдеру
+function hangupTrunkCall(call) {
+    sipLogger.info(`Trunk call ended`, { callId: call.callId, trunk: call.trunk, endedBy: 'server' });
+    sendDialogRequest(call, 'BYE', true);
+    sendTrunkLegBye(call);
+    rtpProxy.removeStream(call.callId);
+    callManager.endCall(call.callId);
+}
+
+// BYE в диалоге с провайдером
+function sendTrunkLegBye(call) {
+    const trunk = trunkManager.getTrunk(call.trunk);
+    call.trunkLeg.cseq++;
+    transactionManager.sendRequest(createTrunkLegRequest(call, trunk, 'BYE', call.trunkLeg.cseq), trunk.port, trunk.host, {
+        transport: trunk.transport,
+        onResponse: () => {}
+    });
+}
+
+// Провайдер отказал или не ответил: код отказа получает вызывающий и история звонков
+function failTrunkCall(call, statusCode, reasonPhrase) {
+    sipLogger.warn(`Trunk call failed`, { callId: call.callId, trunk: call.trunk, toNumber: call.toNumber, statusCode });
+    sendTrunkCallResponse(call, statusCode, reasonPhrase);
+    rtpProxy.removeStream(call.callId);
+    callManager.failCall(call.callId, statusCode, statusCode === 408 ? 'TIMEOUT' : 'REJECTED');
+}
+
+// Запрос сервера в диалоге с провайдером (ACK на 2xx, BYE, re-INVITE и UPDATE вызывающего)
+function createTrunkLegRequest(call, trunk, method, cseqNumber, headers = {}, body = '') {
+    const leg = call.trunkLeg;
+    return SipMessage.createRequest(method, leg.remoteTarget, {
+        'Via': createServerVia(trunk.transport, transactionManager.generateBranch()),
+        'Max-Forwards': '70',
+        'From': leg.from,
+        'To': leg.to,
+        'Call-ID': leg.callId,
+        'CSeq': `${cseqNumber} ${method}`,
+        'Route': leg.routeSet,
+        ...headers
+    }, body);
+}
+
+// Запросы в диалогах исходящего вызова через линию: BYE любой стороны завершает оба диалога,
+// re-INVITE и UPDATE сервер повторяет в другом диалоге
+function handleTrunkDialogRequest(parsed, transaction, call, fromTrunk) {
+    if (parsed.method === 'INVITE' || parsed.method === 'UPDATE') {
+        relayTrunkSessionUpdate(parsed, transaction, call, fromTrunk);
+        return;
+    }
+
+    if (parsed.method !== 'BYE') {
+        rejectSessionChange(parsed, transaction);
+        return;
+    }
+
+    transactionManager.sendResponse(transaction, parsed.createResponse(200, 'OK'));
+    sipLogger.info(`Trunk call ended`, { callId: call.callId, trunk: call.trunk, endedBy: fromTrunk ? 'trunk' : 'caller' });
+
+    if (fromTrunk) {
+        sendDialogRequest(call, 'BYE', true);
+    } else if (call.answerTime) {
+        sendTrunkLegBye(call);
+    } else {
+        // BYE до ответа провайдера - отменяем INVITE плеча
+        transactionManager.cancel(transactionManager.getClientTransaction(call.targetBranch, 'INVITE'));
+    }
+
+    rtpProxy.removeStream(call.callId);
+    callManager.endCall(call.callId);
+}
+
+// Изменение сессии (удержание, смена кодека или адреса медиа) одной стороной звонка через линию:
+// сервер отправляет такой же запрос в другом диалоге от своего имени, SDP обеих сторон идет через RTP прокси,
+// ответ возвращается отправителю, 2xx на re-INVITE подтверждает ACK и повторяется до его ACK
+function relayTrunkSessionUpdate(parsed, transaction, call, fromTrunk) {
+    if (!call.answerTime || call.terminating) {
+        rejectSessionChange(parsed, transaction);
+        return;
+    }
+
+    const callId = call.callId;
+    const trunk = trunkManager.getTrunk(call.trunk);
+    const body = parsed.hasSdp() ? rtpProxy.modifySdp(parsed.body, fromTrunk ? callId + '_response' : callId) : '';
+    const headers = { 'Content-Type': body ? 'application/sdp' : null };
+    let ackMessage = null;
+
+    sipLogger.info(`Relaying session update on trunk call`, {
+        method: parsed.method,
+        callId,
+        trunk: call.trunk,
+        direction: fromTrunk ? 'trunk-to-caller' : 'caller-to-trunk'
+    });
+
+    const onResponse = (response, requestTransaction) => {
+        const statusCode = response.statusCode;
+        if (statusCode < 200) {
+            return;
+        }
+        const reliable = statusCode < 300 && parsed.method === 'INVITE';
+
+        // Провайдер может запросить аутентификацию и внутри диалога
+        if (!fromTrunk && (statusCode === 401 || statusCode === 407)) {
+            const authenticated = createTrunkAuthRequest(trunk, requestTransaction.request, response);
+            if (authenticated) {
+                call.trunkLeg.cseq = authenticated.getCSeq().number;
+                sendToTrunk(authenticated);
+                return;
+            }
+        }
+
+        if (ackMessage) {
+            // Повтор 2xx - повторяем ACK
+            transactionManager.sendStateless(ackMessage, requestTransaction.port, requestTransaction.address, requestTransaction.transport);
+            return;
+        }
+        if (reliable) {
+            ackMessage = createDialogAck(requestTransaction.request, requestTransaction.transport);
+            transactionManager.sendStateless(ackMessage, requestTransaction.port, requestTransaction.address, requestTransaction.transport);
+        }
+
+        const answer = parsed.createResponse(statusCode, response.reasonPhrase, {
+            'Contact': statusCode < 300 ? (fromTrunk ? createServerContact(trunk.callerId, trunk.transport) : call.calleeContact) : null,
+            'Content-Type': response.hasSdp() ? 'application/sdp' : null
+        }, response.hasSdp() ? rtpProxy.modifySdp(response.body, fromTrunk ? callId : callId + '_response') : '');
+
+        if (reliable) {
+            transactionManager.sendAnswer(transaction, answer, () => {
+                if (callManager.getCall(callId)) {
+                    hangupTrunkCall(call);
+                }
+            });
+        } else {
+            transactionManager.sendResponse(transaction, answer);
+        }
+
+        if (statusCode < 300 && callManager.getCall(callId)) {
+            applySessionUpdate(call, parsed, response);
+        }
+    };
+    const onTimeout = () => handleInDialogTimeout(parsed, transaction);
+    const sendToTrunk = (request) => transactionManager.sendRequest(request, trunk.port, trunk.host, {
+        transport: trunk.transport,
+        onResponse,
+        onTimeout
+    });
+
+    if (fromTrunk) {
+        sendDialogRequest(call, parsed.method, true, headers, body, { onResponse, onTimeout });
+        return;
+    }
+
+    call.trunkLeg.cseq++;
+    sendToTrunk(createTrunkLegRequest(call, trunk, parsed.method, call.trunkLeg.cseq, {
+        'Contact': createServerContact(trunk.callerId, trunk.transport),
+        ...headers
+    }, body));
+}
+
+// Обработка CANCEL запросов
+function handleCancel(parsed, rinfo, transaction) {
+    const callId = parsed.getCallId();
+
+    const validation = sipValidator.validateHeaders(parsed, ['Via', 'To', 'From', 'Call-ID', 'CSeq']);
+    if (!validation.valid) {
+        sipValidator.logValidationError('CANCEL', validation.errors, parsed.toString());
+        transactionManager.sendResponse(transaction, parsed.createResponse(400, 'Bad Request'));
+        return;
+    }
+
+    // CANCEL относится к INVITE транзакции с тем же branch
+    const inviteTransaction = transactionManager.getServerTransaction(
+        transactionManager.getServerKey(parsed, 'INVITE')
+    );
+    if (!inviteTransaction) {
+        sipLogger.warn(`CANCEL for unknown transaction`, { callId, address: rinfo.address, port: rinfo.port });
+        transactionManager.sendResponse(transaction, parsed.createResponse(481, 'Call/Transaction Does Not Exist'));
+        return;
+    }
+
+    transactionManager.sendResponse(transaction, parsed.createResponse(200, 'OK'));
+
+    const call = callManager.getCall(callId);
+    if (inviteTransaction.state !== 'PROCEEDING' || !call || call.inviteTransactionKey !== inviteTransaction.key) {
+        // Финальный ответ на INVITE уже отправлен - CANCEL ни на что не влияет
+        sipLogger.info(`CANCEL ignored: INVITE already completed`, { callId, state: inviteTransaction.state });
+        return;
+    }
+
+    sipLogger.info(`Call cancelled by caller`, {
+        callId,
+        fromNumber: call.fromNumber,
+        toNumber: call.toNumber
+    });
+
+    // Отменяем INVITE к вызываемому абоненту (всем его устройствам, при обзвоне группы - всем звонящим участникам)
+    if (call.hunt) {
+        call.hunt.finished = true;
+        cancelGroupForks(call);
+    } else {
+        cancelTargetLeg(call);
+    }
+
+    // Завершаем INVITE вызывающего ответом 487
+    transactionManager.sendResponse(inviteTransaction, inviteTransaction.request.createResponse(487, 'Request Terminated'));
+
+    rtpProxy.removeStream(callId);
+    callManager.cancelCall(callId);
+}
+
+// Завершение плеча, ответившего 200 OK уже после CANCEL (гонка CANCEL и 200 OK)
+// ACK и BYE идут в диалог плеча: на Contact ответа по Record-Route в обратном порядке без записей самого сервера
+function releaseAnsweredLeg(parsed, transaction) {
+    const contact = SipMessage.parseNameAddr(parsed.getHeader('Contact'));
+    const remoteTarget = contact ? SipMessage.formatUri(contact.uri) : transaction.request.uri;
+    const routeSet = parsed.getHeaders('Record-Route').reverse().filter(route => {
+        const nameAddr = SipMessage.parseNameAddr(route);
+        return !nameAddr || !isServerUri(nameAddr.uri);
+    });
+    const cseq = parsed.getCSeq();
+    const dialogHeaders = {
+        'Max-Forwards': '70',
+        'From': parsed.getHeader('From'),
+        'To': parsed.getHeader('To'),
+        'Call-ID': parsed.getCallId()
+    };
+
+    const ackMessage = SipMessage.createRequest('ACK', remoteTarget, {
+        'Via': createServerVia(transaction.transport, transactionManager.generateBranch()),
+        ...dialogHeaders,
+        'CSeq': `${cseq.number} ACK`,
+        'Route': routeSet
+    });
+    transactionManager.sendStateless(ackMessage, transaction.port, transaction.address, transaction.transport);
+
+    const byeMessage = SipMessage.createRequest('BYE', remoteTarget, {
+        'Via': createServerVia(transaction.transport, transactionManager.generateBranch()),
+        ...dialogHeaders,
+        'CSeq': `${cseq.number + 1} BYE`,
+        'Route': routeSet
+    });
+    transactionManager.sendRequest(byeMessage, transaction.port, transaction.address, {
+        transport: transaction.transport
+    });
+
+    sipLogger.info(`Released leg answered after CANCEL`, {
+        callId: parsed.getCallId(),
+        address: transaction.address,
+        port: transaction.port
+    });
+}
+
+// Обработка OPTIONS запросов (мониторинг и keepalive телефонов)
+function handleOptions(parsed, rinfo, transaction) {
+    sipLogger.debug(`OPTIONS received`, {
+        requestUri: parsed.uri,
+        address: rinfo.address,
+        port: rinfo.port
+    });
+
+    const response = parsed.createResponse(200, 'OK', {
+        'Allow': ALLOWED_METHODS.join(', '),
+        'Accept': ACCEPTED_CONTENT_TYPES.join(', '),
+        'Supported': SUPPORTED_EXTENSIONS.length > 0 ? SUPPORTED_EXTENSIONS.join(', ') : null
+    });
+    transactionManager.sendResponse(transaction, response);
+}
+
+// Проверка доступности устройства абонента (qualify) запросом OPTIONS
+function qualifyContact(number, contact, callback) {
+    const serverAddress = config.sip.serverAddress;
+    const optionsMessage = SipMessage.createRequest('OPTIONS', createSipUri(number, contact.address, contact.port, contact.transport), {
+        'Via': createServerVia(contact.transport, transactionManager.generateBranch()),
+        'Max-Forwards': '70',
+        'From': `<sip:qualify@${serverAddress}>;tag=${crypto.randomBytes(6).toString('hex')}`,
+        'To': `<sip:${number}@${contact.address}>`,
+        'Call-ID': `${crypto.randomBytes(12).toString('hex')}@${serverAddress}`,
+        'CSeq': '1 OPTIONS'
+    });
+
+    let answered = false;
+    transactionManager.sendRequest(optionsMessage, contact.port, contact.address, {
+        transport: contact.transport,
+        // Любой ответ (даже 404 или 405) означает, что абонент доступен
+        onResponse: (parsed, transaction) => {
+            if (!answered) {
+                answered = true;
+                callback(Date.now() - transaction.sentAt);
+            }
+        },
+        onTimeout: () => callback(null)
+    });
+}
+
+// Регистрация на внешней линии (RFC 3261, 10.2): REGISTER от имени username линии с Contact сервера,
+// Call-ID и From tag линии сохраняются между продлениями; результат - trunkManager.setRegistered/setRegistrationFailed
+function registerTrunk(trunk) {
+    const registration = trunk.registration;
+    const addressOfRecord = `<sip:${trunk.username}@${trunk.domain}>`;
+    registration.cseq++;
+
+    const request = SipMessage.createRequest('REGISTER', `${trunk.transport === 'TLS' ? 'sips' : 'sip'}:${trunk.domain}`, {
+        'Via': createServerVia(trunk.transport, transactionManager.generateBranch()),
+        'Max-Forwards': '70',
+        'From': `${addressOfRecord};tag=${registration.tag}`,
+        'To': addressOfRecord,
+        'Call-ID': registration.callId,
+        'CSeq': `${registration.cseq} REGISTER`,
+        'Contact': createServerContact(trunk.username, trunk.transport),
+        'Expires': String(trunk.expires)
+    });
+    sendTrunkRegister(trunk, request);
+}
+
+function sendTrunkRegister(trunk, request) {
+    transactionManager.sendRequest(request, trunk.port, trunk.host, {
+        transport: trunk.transport,
+        onResponse: (response, transaction, rinfo) => handleTrunkRegisterResponse(trunk, request, response, rinfo),
+        onTimeout: () => trunkManager.setRegistrationFailed(trunk.name, 408, 'Request Timeout')
+    });
+}
+
+// Ответ провайдера на REGISTER: запрос аутентификации, 423 с Min-Expires, подтверждение или отказ
+// rinfo - откуда пришел ответ: с этого адреса провайдер будет присылать вызовы на зарегистрированный Contact
+function handleTrunkRegisterResponse(trunk, request, response, rinfo) {
+    const statusCode = response.statusCode;
+    if (statusCode < 200) {
+        return;
+    }
+
+    if (statusCode === 401 || statusCode === 407) {
+        const authenticated = createTrunkAuthRequest(trunk, request, response);
+        if (!authenticated) {
+            trunkManager.setRegistrationFailed(trunk.name, statusCode, 'Authentication rejected');
+            return;
+        }
+        trunk.registration.cseq = authenticated.getCSeq().number;
+        sendTrunkRegister(trunk, authenticated);
+        return;
+    }
+
+    // Срок регистрации слишком короткий для провайдера - регистрируемся на его минимальный срок
+    const minExpires = parseInt(response.getHeader('Min-Expires'));
+    if (statusCode === 423 && minExpires > trunk.expires) {
+        trunk.expires = minExpires;
+        trunkManager.sendRegister(trunk);
+        return;
+    }
+
+    if (statusCode >= 300) {
+        trunkManager.setRegistrationFailed(trunk.name, statusCode, response.reasonPhrase);
+        return;
+    }
+
+    // Срок, назначенный провайдером: expires нашего Contact в ответе, иначе Expires, иначе запрошенный
+    const ownContact = response.getContacts().find(contact => contact.uri &&
+        contact.uri.user === trunk.username && contact.uri.host === config.sip.serverAddress);
+    const expires = parseInt(ownContact && ownContact.params.expires) || parseInt(response.getHeader('Expires')) || trunk.expires;
+    trunkManager.setRegistered(trunk.name, expires, rinfo.address);
+}
+
+// Обработка ACK на 2xx: пересылается другой стороне звонка без транзакции (RFC 3261, 16.11)
+// ACK на отрицательные ответы поглощает слой транзакций
+function handleAck(parsed, rinfo) {
+    const callId = parsed.getCallId();
+    const call = callManager.getCall(callId);
+
+    if (!call) {
+        sipLogger.debug(`ACK for unknown call dropped`, { callId, address: rinfo.address, port: rinfo.port });
+        return;
+    }
+
+    // После передачи вызова, в звонках голосовой почты и через внешнюю линию вторую сторону диалога ведет сам сервер
+    if (call.bridgedCallId || call.state === 'TRANSFERRED' || call.state === 'PARKED' || call.application || call.trunkLeg) {
+        return;
+    }
+
+    if (isOutOfHops(parsed)) {
+        return;
+    }
+
+    const fromCaller = isFromCaller(parsed, call);
+    const peer = getDialogPeer(call, fromCaller);
+
+    // Branch вычисляется из branch ACK: повторный ACK уходит с тем же branch
+    const ackMessage = createProxiedRequest(parsed, rinfo, peer.transport, transactionManager.generateStatelessBranch(parsed));
+    if (ackMessage.hasSdp()) {
+        ackMessage.body = rtpProxy.modifySdp(parsed.body, fromCaller ? callId : callId + '_response');
+    }
+
+    sipLogger.debug(`Relaying ACK`, { callId, address: peer.address, port: peer.port, transport: peer.transport });
+    transactionManager.sendStateless(ackMessage, peer.port, peer.address, peer.transport);
+
+    if (fromCaller) {
+        // ACK получен: сохраняем его на случай ретрансмиссии 200 OK вызываемым
+        call.waitingForAck = false;
+        call.lastAckMessage = ackMessage;
+    }
+}
+
+// Настройка RTP потока по SDP ответа вызываемого (183 с ранним медиа или 2xx)
+function setupRtpStream(call, parsed, rinfo) {
+    const toRtpPort = extractRtpPort(parsed.body);
+    if (toRtpPort && call.fromRtpPort) {
+        call.toRtpPort = toRtpPort;
+        sipLogger.debug(`RTP stream setup`, {
+            callId: call.callId,
+            fromAddress: call.fromAddress,
+            fromRtpPort: call.fromRtpPort,
+            toAddress: rinfo.address,
+            toRtpPort
+        });
+        rtpProxy.addStream(call.callId, call.fromAddress, call.fromRtpPort, rinfo.address, toRtpPort);
+    }
+}
+
+// Ответ вызываемого на INVITE: пересылается вызывающему в его INVITE транзакции,
+// состояние звонка обновляется по коду ответа
+function handleInviteResponse(parsed, rinfo, call, retransmission) {
+    const callId = call.callId;
+    const statusCode = parsed.statusCode;
+
+    // 100 Trying действует на одном участке, вызывающий уже получил свой
+    if (statusCode === 100) {
+        return;
+    }
+
+    if (statusCode >= 200 && statusCode < 300 && (retransmission || call.answerTime)) {
+        // Повторный 2xx не обрабатываем заново, а повторяем уже отправленные сообщения
+        if (call.waitingForAck) {
+            // Вызывающий мог не получить 200 OK - повторяем пересланный ответ
+            sipLogger.debug(`Repeated 2xx, retransmitting response to caller`, { callId, fromNumber: call.fromNumber });
+            transactionManager.retransmitResponse(transactionManager.getServerTransaction(call.inviteTransactionKey));
+        } else if (call.lastAckMessage) {
+            // Вызываемый не получил ACK - повторяем его
+            sipLogger.debug(`Repeated 2xx, retransmitting ACK to callee`, { callId, toNumber: call.toNumber });
+            transactionManager.sendStateless(call.lastAckMessage, call.toPort, call.toAddress, call.toTransport);
+        }
+        return;
+    }
+
+    // Занято или недоступен на самом устройстве - проверяем переадресацию и голосовую почту до пересылки ответа
+    if ((statusCode === 486 || statusCode === 600) && redirectCall(call, 'busy')) {
+        return;
+    }
+    if ((statusCode === 480 || statusCode === 408) && redirectCall(call, 'noAnswer')) {
+        return;
+    }
+
+    // Пересылаем ответ вызывающему: снимаем Via сервера,
+    // Contact и Record-Route вызываемого сохраняются для маршрутизации запросов диалога
+    const response = createUpstreamResponse(parsed);
+    if (statusCode < 300 && parsed.hasSdp()) {
+        setupRtpStream(call, parsed, rinfo);
+        response.body = rtpProxy.modifySdp(parsed.body, callId + '_response');
+    }
+
+    sipLogger.info(`Relaying INVITE response to caller`, {
+        callId,
+        statusCode,
+        fromNumber: call.fromNumber,
+        toNumber: call.toNumber
+    });
+    sendResponseToCaller(call, response);
+
+    if (statusCode < 200) {
+        // 180 Ringing, 183 Session Progress и другие предварительные ответы
+        if (call.state !== 'RINGING') {
+            callManager.updateCallState(callId, 'RINGING');
+        }
+    } else if (statusCode < 300) {
+        callManager.answerCall(callId);
+        call.waitingForAck = true;
+        // Данные диалога вызываемого нужны серверу для собственных запросов (NOTIFY, BYE при передаче)
+        call.calleeTo = parsed.getHeader('To');
+        call.calleeContact = parsed.getHeader('Contact');
+        call.answerSdp = parsed.body;
+    } else {
+        // 3xx-6xx: установка звонка не удалась, код ответа сохраняется в истории
+        rtpProxy.removeStream(callId);
+        callManager.failCall(callId, statusCode);
+    }
+}
+
+// Обработка входящих SIP сообщений (любой транспорт)
+// rinfo: { address, port, transport }
+function handleSipMessage(message, rinfo) {
+    const messageStr = message.toString();
+    const firstLine = messageStr.split('\r\n')[0];
+    
+    console.log(`\n=== SIP СООБЩЕНИЕ ===`);
+    console.log(`Получено SIP сообщение от ${rinfo.address}:${rinfo.port} (${rinfo.transport}): ${firstLine}`);
+    console.log(`Тип сообщения: ${firstLine.split(' ')[0]}`);
+    console.log(`Полное сообщение:\n${messageStr}`);
+    console.log(`=== КОНЕЦ SIP СООБЩЕНИЯ ===\n`);
+
+    let parsed;
+    try {
+        parsed = SipMessage.parse(message);
+    } catch (error) {
+        sipLogger.warn(`Malformed SIP message dropped`, {
+            error: error.message,
+            address: rinfo.address,
+            port: rinfo.port,
+            transport: rinfo.transport
+        });
+        return;
+    }
+
+    if (parsed.isRequest) {
+        // Запросы проходят через слой транзакций: ретрансмиссии поглощаются
+        const { absorbed, transaction } = transactionManager.receiveRequest(parsed, rinfo);
+        if (absorbed) {
+            sipLogger.debug(`Request retransmission absorbed by transaction layer`, { method: parsed.method, callId: parsed.getCallId() });
+            return;
+        }
+
+        // Запрос внутри диалога определяется по tag в To
+        const to = parsed.getTo();
+        const inDialog = !!(to && to.params.tag);
+
+        try {
+            if (parsed.method === 'REGISTER') {
+                handleRegister(parsed, rinfo, transaction);
+            } else if (parsed.method === 'CANCEL') {
+                handleCancel(parsed, rinfo, transaction);
+            } else if (parsed.method === 'ACK') {
+                handleAck(parsed, rinfo);
+            } else if (inDialog || parsed.method === 'BYE') {
+                handleInDialogRequest(parsed, rinfo, transaction);
+            } else if (parsed.method === 'INVITE') {
+                handleInvite(parsed, rinfo, transaction);
+            } else if (parsed.method === 'OPTIONS') {
+                handleOptions(parsed, rinfo, transaction);
+            } else if (ALLOWED_METHODS.includes(parsed.method)) {
+                // UPDATE, REFER и NOTIFY имеют смысл только внутри диалога
+                transactionManager.sendResponse(transaction, parsed.createResponse(481, 'Call/Transaction Does Not Exist'));
+            } else {
+                // Неподдерживаемый метод (MESSAGE, SUBSCRIBE, INFO, PUBLISH...) - 405 со списком поддерживаемых
+                transactionManager.sendResponse(transaction, parsed.createResponse(405, 'Method Not Allowed', {
+                    'Allow': ALLOWED_METHODS.join(', ')
+                }));
+            }
+        } catch (error) {
+            // Ошибка обработки одного запроса не должна останавливать сервер: отвечаем 500, если ответа еще не было
+            sipLogger.error(`SIP request handling failed`, {
+                method: parsed.method,
+                callId: parsed.getCallId(),
+                error: error.message,
+                stack: error.stack
+            });
+            if (transaction && (transaction.state === 'TRYING' || transaction.state === 'PROCEEDING')) {
+                transactionManager.sendResponse(transaction, parsed.createResponse(500, 'Server Internal Error'));
+            }
+        }
+    } else {
+        // Обработка ответов
+        const statusLine = parsed.getStartLine();
+        const callId = parsed.getCallId();
+
+        const { absorbed, transaction, retransmission } = transactionManager.receiveResponse(parsed);
+        if (absorbed) {
+            sipLogger.debug(`Response retransmission absorbed`, { statusLine, callId });
+            return;
+        }
+
+        // Ответы на собственные запросы сервера (например, OPTIONS) обрабатывает их отправитель
+        if (transaction && transaction.onResponse) {
+            transaction.onResponse(parsed, transaction, rinfo);
+            return;
+        }
+
+        // Ответы на пересланные запросы внутри диалога возвращаются их отправителю
+        if (transaction && transaction.serverTransaction) {
+            relayInDialogResponse(parsed, transaction);
+            return;
+        }
+        
+        console.log(`Получен ответ: ${statusLine} от ${rinfo.address}:${rinfo.port}`);
+        console.log(`Call-ID ответа: ${callId}`);
+        
+        const call = callManager.getCall(callId);
+        console.log(`🎯 200 OK ОБРАБОТКА: Call-ID: ${callId}`);
+        console.log(`🎯 200 OK ОБРАБОТКА: Звонок найден: ${!!call}`);
+        console.log(`🎯 200 OK ОБРАБОТКА: Звонок завершается: ${call ? call.terminating : 'N/A'}`);
+        if (call && call.terminating) {
+            console.log(`🎯 200 OK ОБРАБОТКА: ВНИМАНИЕ! Звонок уже помечен как завершающийся!`);
+        }
+        
+        // Проверяем CSeq для определения типа ответа
+        const cseq = parsed.getCSeq();
+        const cseqNumber = cseq ? cseq.number : 0;
+        const cseqMethod = cseq ? cseq.method : '';
+        const statusCode = parsed.statusCode;
+        
+        console.log(`🎯 200 OK ОБРАБОТКА: CSeq: ${cseqNumber} ${cseqMethod}`);
+        
+        if (transaction && transaction.timedOut && statusCode >= 200 && statusCode < 300 && cseqMethod === 'INVITE') {
+            // Плечо ответило после Timer C и CANCEL - сервер от него уже отказался
+            releaseAnsweredLeg(parsed, transaction);
+        } else if (call && cseqMethod === 'INVITE' && transaction && call.hunt && call.hunt.forks.has(transaction.branch)) {
+            handleGroupForkResponse(parsed, rinfo, call, transaction, retransmission);
+        } else if (call && cseqMethod === 'INVITE' && transaction && call.forking && call.forking.forks.has(transaction.branch)) {
+            handleContactForkResponse(parsed, rinfo, call, transaction, retransmission);
+        } else if (call && cseqMethod === 'INVITE' && transaction && transaction.branch === call.targetBranch) {
+            handleInviteResponse(parsed, rinfo, call, retransmission);
+        } else if (transaction && transaction.cancelled && statusCode >= 200 && statusCode < 300 && cseqMethod === 'INVITE') {
+            // Вызываемый ответил уже после CANCEL (или после переадресации на другого абонента) - подтверждаем и сразу завершаем его плечо
+            releaseAnsweredLeg(parsed, transaction);
+        } else if (!call) {
+            // Звонок не найден (возможно, уже удален)
+            console.log(`🎯 200 OK ОБРАБОТКА: Звонок ${callId} не найден, игнорируем сообщение`);
+        } else if (call && cseqMethod === 'INVITE' && !transaction && statusCode >= 200 && statusCode < 300) {
+            // Повтор 2xx после завершения клиентской транзакции
+            handleInviteResponse(parsed, rinfo, call, true);
+        }
+    }
+}
+
+// Ошибка в обработке ответа или запроса логируется, процесс продолжает обслуживать остальные звонки
+function receiveSipMessage(message, rinfo) {
+    try {
+        handleSipMessage(message, rinfo);
+    } catch (error) {
+        sipLogger.error(`SIP message handling failed`, {
+            error: error.message,
+            stack: error.stack,
+            address: rinfo.address,
+            port: rinfo.port,
+            transport: rinfo.transport
+        });
+    }
+}
+
+sipServer.on('message', (message, rinfo) => {
+    receiveSipMessage(message, { address: rinfo.address, port: rinfo.port, transport: 'UDP' });
+});
+
+tcpTransport.on('message', receiveSipMessage);
+tlsTransport.on('message', receiveSipMessage);
+wsTransport.on('message', receiveSipMessage);
+wssTransport.on('message', receiveSipMessage);
+
+// Браузерный абонент недоступен после закрытия вкладки - снимаем его регистрацию
+function handleWebSocketClose(connection) {
+    userManager.unregisterConnection(connection);
+}
+wsTransport.on('close', handleWebSocketClose);
+wssTransport.on('close', handleWebSocketClose);
+
+// Express API для управления
+app.get('/api/users', (req, res) => {
+    try {
+        const users = userManager.getAllUsers();
+        apiLogger.info(`Users list requested`, { count: users.length });
+        res.json(users);
+    } catch (error) {
+        apiLogger.error(`Error getting users`, { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/extensions', (req, res) => {
+    try {
+        const extensions = Array.from(config.validExtensions);
+        res.json(extensions);
+    } catch (error) {
+        apiLogger.error(`Error getting extensions`, { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/ring-groups', (req, res) => {
+    try {
+        res.json(ringGroupManager.getAllGroups());
+    } catch (error) {
+        apiLogger.error(`Error getting ring groups`, { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/ring-groups/:number', (req, res) => {
+    try {
+        const group = ringGroupManager.getGroup(req.params.number);
+        if (!group) {
+            res.status(404).json({ error: 'Ring group not found' });
+            return;
+        }
+        res.json(group);
+    } catch (error) {
+        apiLogger.error(`Error getting ring group`, { error: error.message, number: req.params.number });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/ring-groups', (req, res) => {
+    try {
+        const number = req.body && req.body.number !== undefined ? String(req.body.number) : '';
+        if (ringGroupManager.getGroup(number)) {
+            res.status(409).json({ error: 'Ring group already exists' });
+            return;
+        }
+
+        const result = ringGroupManager.saveGroup(number, req.body);
+        if (!result.valid) {
+            apiLogger.warn(`Invalid ring group`, { number, error: result.error });
+            res.status(400).json({ error: result.error });
+            return;
+        }
+
+        apiLogger.info(`Ring group created via API`, { number });
+        res.status(201).json(result.group);
+    } catch (error) {
+        apiLogger.error(`Error creating ring group`, { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/ring-groups/:number', (req, res) => {
+    try {
+        const number = req.params.number;
+        if (!ringGroupManager.getGroup(number)) {
+            res.status(404).json({ error: 'Ring group not found' });
+            return;
+        }
+
+        const result = ringGroupManager.saveGroup(number, req.body || {});
+        if (!result.valid) {
+            apiLogger.warn(`Invalid ring group`, { number, error: result.error });
+            res.status(400).json({ error: result.error });
+            return;
+        }
+
+        apiLogger.info(`Ring group updated via API`, { number });
+        res.json(result.group);
+    } catch (error) {
+        apiLogger.error(`Error updating ring group`, { error: error.message, number: req.params.number });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/ring-groups/:number', (req, res) => {
+    try {
+        const number = req.params.number;
+        if (!ringGroupManager.deleteGroup(number)) {
+            res.status(404).json({ error: 'Ring group not found' });
+            return;
+        }
+
+        apiLogger.info(`Ring group deleted via API`, { number });
+        res.json({ message: `Ring group ${number} deleted` });
+    } catch (error) {
+        apiLogger.error(`Error deleting ring group`, { error: error.message, number: req.params.number });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// План набора: правила проверяются по порядку, первое совпавшее определяет маршрут
+app.get('/api/dialplan', (req, res) => {
+    try {
+        res.json(dialPlanManager.getRules());
+    } catch (error) {
+        apiLogger.error(`Error getting dial plan`, { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Замена всего плана набора (массив правил)
+app.put('/api/dialplan', (req, res) => {
+    try {
+        const result = dialPlanManager.setRules(req.body);
+        if (!result.valid) {
+            apiLogger.warn(`Invalid dial plan`, { error: result.error });
+            res.status(400).json({ error: result.error });
+            return;
+        }
+
+        apiLogger.info(`Dial plan replaced via API`, { rules: result.rules.length });
+        res.json(result.rules);
+    } catch (error) {
+        apiLogger.error(`Error replacing dial plan`, { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Проверка без звонка: как будет направлен номер ?number=...
+app.get('/api/dialplan/route', (req, res) => {
+    try {
+        const dialedNumber = String(req.query.number || '');
+        if (!/^\+?[\d*#]+$/.test(dialedNumber)) {
+            res.status(400).json({ error: 'Query parameter "number" must contain digits, *, # and leading +' });
+            return;
+        }
+
+        const route = routeDialedNumber(dialedNumber);
+        res.json({
+            dialedNumber,
+            rule: route.rule,
+            action: route.action,
+            number: route.number,
+            target: route.action ? route.target : null,
+            statusCode: route.action === 'reject' ? route.rule.statusCode : (route.action ? null : 404)
+        });
+    } catch (error) {
+        apiLogger.error(`Error resolving dial plan route`, { error: error.message, number: req.query.number });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Добавление правила: position - место в плане (по умолчанию - в конец)
+app.post('/api/dialplan/rules', (req, res) => {
+    try {
+        const { position, ...data } = req.body || {};
+        if (data.id !== undefined && dialPlanManager.getRule(String(data.id))) {
+            res.status(409).json({ error: 'Dial plan rule already exists' });
+            return;
+        }
+        if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+            res.status(400).json({ error: 'Field "position" must be a non-negative integer' });
+            return;
+        }
+
+        const result = dialPlanManager.saveRule(data, position !== undefined ? position : null);
+        if (!result.valid) {
+            apiLogger.warn(`Invalid dial plan rule`, { error: result.error });
+            res.status(400).json({ error: result.error });
+            return;
+        }
+
+        apiLogger.info(`Dial plan rule created via API`, { id: result.rule.id });
+        res.status(201).json(result.rule);
+    } catch (error) {
+        apiLogger.error(`Error creating dial plan rule`, { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/dialplan/rules/:id', (req, res) => {
+    try {
+        const id = req.params.id;
+        if (!dialPlanManager.getRule(id)) {
+            res.status(404).json({ error: 'Dial plan rule not found' });
+            return;
+        }
+        const { position, ...data } = req.body || {};
+        if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+            res.status(400).json({ error: 'Field "position" must be a non-negative integer' });
+            return;
+        }
+
+        const result = dialPlanManager.saveRule({ ...data, id }, position !== undefined ? position : null);
+        if (!result.valid) {
+            apiLogger.warn(`Invalid dial plan rule`, { id, error: result.error });
+            res.status(400).json({ error: result.error });
+            return;
+        }
+
+        apiLogger.info(`Dial plan rule updated via API`, { id });
+        res.json(result.rule);
+    } catch (error) {
+        apiLogger.error(`Error updating dial plan rule`, { error: error.message, id: req.params.id });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/dialplan/rules/:id', (req, res) => {
+    try {
+        const id = req.params.id;
+        if (!dialPlanManager.deleteRule(id)) {
+            res.status(404).json({ error: 'Dial plan rule not found' });
+            return;
+        }
+
+        apiLogger.info(`Dial plan rule deleted via API`, { id });
+        res.json({ message: `Dial plan rule ${id} deleted` });
+    } catch (error) {
+        apiLogger.error(`Error deleting dial plan rule`, { error: error.message, id: req.params.id });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/ivr', (req, res) => {
+    try {
+        res.json(ivrManager.getAllIvrs());
+    } catch (error) {
+        apiLogger.error(`Error getting IVRs`, { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/ivr/:number', (req, res) => {
+    try {
+        const ivr = ivrManager.getIvr(req.params.number);
+        if (!ivr) {
+            res.status(404).json({ error: 'IVR not found' });
+            return;
+        }
+        res.json(ivr);
+    } catch (error) {
+        apiLogger.error(`Error getting IVR`, { error: error.message, number: req.params.number });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/ivr', (req, res) => {
+    try {
+        const number = req.body && req.body.number !== undefined ? String(req.body.number) : '';
+        if (ivrManager.getIvr(number)) {
+            res.status(409).json({ error: 'IVR already exists' });
+            return;
+        }
+
+        const result = ivrManager.saveIvr(number, req.body);
+        if (!result.valid) {
+            apiLogger.warn(`Invalid IVR`, { number, error: result.error });
+            res.status(400).json({ error: result.error });
+            return;
+        }
+
+        apiLogger.info(`IVR created via API`, { number });
+        res.status(201).json(result.ivr);
+    } catch (error) {
+        apiLogger.error(`Error creating IVR`, { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        // Модифицируем SDP для направления RTP через сервер
-        let modifiedSdp = parsed.body;
-        if (parsed.body && parsed.headers['Content-Type']?.includes('application/sdp')) {
-            modifiedSdp = rtpProxy.modifySdp(parsed.body, callId);
+app.put('/api/ivr/:number', (req, res) => {
+    try {
+        const number = req.params.number;
+        if (!ivrManager.getIvr(number)) {
+            res.status(404).json({ error: 'IVR not found' });
+            return;
         }
 
-        // Создаем INVITE к вызываемому абоненту
-        const targetUri = `sip:${toNumber}@${targetUser.address}:${targetUser.port}`;
-        const serverAddress = config.sip.serverAddress;
-        
-        let inviteToTarget = `INVITE ${targetUri} SIP/2.0\r\n` +
-            `Via: SIP/2.0/UDP ${serverAddress}:${config.sip.port}\r\n` +
-            `From: ${fromHeader}\r\n` +
-            `To: ${toHeader}\r\n` +
-            `Call-ID: ${callId}\r\n` +
-            `CSeq: ${parsed.headers['CSeq']}\r\n` +
-            `Contact: ${parsed.headers['Contact']}\r\n`;
-        
-        if (parsed.headers['Content-Type']) {
-            inviteToTarget += `Content-Type: ${parsed.headers['Content-Type']}\r\n`;
-        }
-        
-        if (modifiedSdp) {
-            inviteToTarget += `Content-Length: ${modifiedSdp.length}\r\n`;
-        }
-        
-        inviteToTarget += '\r\n';
-        
-        if (modifiedSdp) {
-            inviteToTarget += modifiedSdp;
+        const result = ivrManager.saveIvr(number, req.body || {});
+        if (!result.valid) {
+            apiLogger.warn(`Invalid IVR`, { number, error: result.error });
+            res.status(400).json({ error: result.error });
+            return;
         }
 
-        sipLogger.info(`Sending INVITE to target`, {
-            callId,
-            targetUri,
-            targetAddress: targetUser.address,
-            targetPort: targetUser.port
-        });
+        apiLogger.info(`IVR updated via API`, { number });
+        res.json(result.ivr);
+    } catch (error) {
+        apiLogger.error(`Error updating IVR`, { error: error.message, number: req.params.number });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        sipServer.send(inviteToTarget, targetUser.port, targetUser.address);
-
-        // Извлекаем RTP порт из SDP
-        if (parsed.body && parsed.headers['Content-Type']?.includes('application/sdp')) {
-            const rtpPortMatch = parsed.body.match(/m=audio ([0-9]+)/);
-            if (rtpPortMatch) {
-                const fromRtpPort = parseInt(rtpPortMatch[1]);
-                callManager.updateCallState(callId, 'RINGING', { fromRtpPort });
-                sipLogger.info(`RTP port extracted`, {
-                    callId,
-                    fromNumber,
-                    fromRtpPort
-                });
-            }
+app.delete('/api/ivr/:number', (req, res) => {
+    try {
+        const number = req.params.number;
+        if (!ivrManager.deleteIvr(number)) {
+            res.status(404).json({ error: 'IVR not found' });
+            return;
         }
 
+        apiLogger.info(`IVR deleted via API`, { number });
+        res.json({ message: `IVR ${number} deleted` });
     } catch (error) {
-        sipLogger.error(`Error handling INVITE request`, {
-            error: error.message,
-            stack: error.stack,
-            address: rinfo.address,
-            port: rinfo.port
-        });
-        
-        // Отправляем ошибку клиенту
-        const response = createSipResponse(500, 'Internal Server Error', {
-            'Via': parsed?.headers?.['Via'],
-            'From': parsed?.headers?.['From'],
-            'To': parsed?.headers?.['To'],
-            'Call-ID': parsed?.headers?.['Call-ID'],
-            'CSeq': parsed?.headers?.['CSeq']
-        });
-        sipServer.send(response, rinfo.port, rinfo.address);
+        apiLogger.error(`Error deleting IVR`, { error: error.message, number: req.params.number });
+        res.status(500).json({ error: 'Internal server error' });
     }
-}
+});
 
-// Обработка BYE запросов
-function handleBye(message, rinfo) {
-    const parsed = parseSipMessage(message);
-    const callId = parsed.headers['Call-ID'];
-    
-    console.log(`🎯 BYE ОБРАБОТКА: Получен BYE для звонка ${callId} от ${rinfo.address}:${rinfo.port}`);
-    
-    const call = callManager.getCall(callId);
-    if (call) {
-        console.log(`🎯 BYE ОБРАБОТКА: Найден активный звонок, пересылаем BYE к ${call.toNumber}`);
-        
-        // Пересылаем BYE другому участнику
-        // ВАЖНО: используем To заголовок из 200 OK ответа (с tag), а не из BYE клиента
-        const toHeader = call.responseToHeader || parsed.headers['To'];
-        
-        const byeMessage = `BYE sip:${call.toNumber}@${call.toAddress}:${call.toPort} SIP/2.0\r\n` +
-            `Via: SIP/2.0/UDP ${config.sip.serverAddress}:${config.sip.port};branch=z9hG4bK-${Math.random().toString(36).substr(2, 9)}\r\n` +
-            `From: ${parsed.headers['From']}\r\n` +
-            `To: ${toHeader}\r\n` +
-            `Call-ID: ${callId}\r\n` +
-            `CSeq: ${parsed.headers['CSeq']}\r\n` +
-            `Content-Length: 0\r\n` +
-            '\r\n';
-        
-        console.log(`🎯 BYE ОБРАБОТКА: Отправляем BYE к ${call.toNumber}:\n${byeMessage}`);
-        sipServer.send(byeMessage, call.toPort, call.toAddress);
-        
-        // Помечаем звонок как завершающийся
-        console.log(`🎯 BYE ОБРАБОТКА: Устанавливаем terminating = true для звонка ${callId}`);
-        callManager.updateCallState(callId, 'TERMINATING', { terminating: true });
-        rtpProxy.removeStream(callId);
-        console.log(`🎯 BYE ОБРАБОТКА: Звонок ${callId} помечен как завершающийся`);
-    } else {
-        console.log(`🎯 BYE ОБРАБОТКА: Звонок ${callId} НЕ НАЙДЕН в активных звонках`);
+app.get('/api/conferences', (req, res) => {
+    try {
+        res.json(conferenceManager.getAllRooms());
+    } catch (error) {
+        apiLogger.error(`Error getting conferences`, { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
     }
+});
 
-    // Отправляем 200 OK на BYE
-    const response = createSipResponse(200, 'OK', {
-        'Via': parsed.headers['Via'],
-        'From': parsed.headers['From'],
-        'To': parsed.headers['To'],
-        'Call-ID': callId,
-        'CSeq': parsed.headers['CSeq']
-    });
-    console.log(`🎯 BYE ОБРАБОТКА: Отправляем 200 OK на BYE к ${rinfo.address}:${rinfo.port}`);
-    sipServer.send(response, rinfo.port, rinfo.address);
-}
-
-// Обработка ACK запросов
-function handleAck(message, rinfo) {
-    const parsed = parseSipMessage(message);
-    const callId = parsed.headers['Call-ID'];
-    
-    console.log(`🎯 ACK ОБРАБОТКА: Получен ACK для звонка ${callId} от ${rinfo.address}:${rinfo.port}`);
-    console.log(`🎯 ACK ОБРАБОТКА: Call-ID: ${callId}`);
-    
-    const call = callManager.getCall(callId);
-    if (call) {
-        console.log(`🎯 ACK ОБРАБОТКА: Найден активный звонок`);
-        console.log(`🎯 ACK ОБРАБОТКА: Пересылаем ACK к ${call.toNumber} на ${call.toAddress}:${call.toPort}`);
-        console.log(`🎯 ACK ОБРАБОТКА: call.toAddress = ${call.toAddress}, call.toPort = ${call.toPort}`);
-        
-        // Проверяем, не завершается ли звонок
-        if (call.terminating) {
-            console.log(`🎯 ACK ОБРАБОТКА: Звонок завершается, но все равно пересылаем ACK`);
+app.get('/api/conferences/:room', (req, res) => {
+    try {
+        const room = req.params.room;
+        if (!conferenceManager.isRoom(room)) {
+            res.status(404).json({ error: 'Conference room not found' });
+            return;
         }
-        
-        // Пересылаем ACK другому участнику
-        // ВАЖНО: используем branch из оригинального INVITE, а не из ACK
-        const originalVia = call.originalVia || parsed.headers['Via'];
-        const branchMatch = originalVia.match(/branch=([^;]+)/);
-        const branch = branchMatch ? branchMatch[1] : 'z9hG4bK-' + Math.random().toString(36).substr(2, 9);
-        
-        // ВАЖНО: используем To заголовок из 200 OK ответа (с tag), а не из ACK клиента
-        const toHeader = call.responseToHeader || parsed.headers['To'];
-        
-        let ackMessage = `ACK sip:${call.toNumber}@${call.toAddress}:${call.toPort} SIP/2.0\r\n` +
-            `Via: SIP/2.0/UDP ${config.sip.serverAddress}:${config.sip.port};branch=${branch}\r\n` +
-            `From: ${parsed.headers['From']}\r\n` +
-            `To: ${toHeader}\r\n` +
-            `Call-ID: ${callId}\r\n` +
-            `CSeq: ${parsed.headers['CSeq']}\r\n`;
-        
-        if (parsed.headers['Contact']) {
-            ackMessage += `Contact: ${parsed.headers['Contact']}\r\n`;
+        res.json(conferenceManager.getRoom(room));
+    } catch (error) {
+        apiLogger.error(`Error getting conference`, { error: error.message, room: req.params.room });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Выключение и включение микрофона участника: { muted: true|false }
+app.put('/api/conferences/:room/participants/:callId', (req, res) => {
+    try {
+        const { room, callId } = req.params;
+        if (!conferenceManager.getParticipant(room, callId)) {
+            res.status(404).json({ error: 'Participant not found' });
+            return;
         }
-        
-        // ВАЖНО: добавляем Content-Length заголовок
-        const bodyLength = parsed.body ? parsed.body.length : 0;
-        ackMessage += `Content-Length: ${bodyLength}\r\n`;
-        
-        ackMessage += '\r\n';
-        
-        if (parsed.body) {
-            ackMessage += parsed.body;
+        if (!req.body || typeof req.body.muted !== 'boolean') {
+            res.status(400).json({ error: 'Field "muted" must be a boolean' });
+            return;
         }
-        
-        console.log(`🎯 ACK ОБРАБОТКА: Отправляем ACK:\n${ackMessage}`);
-        sipServer.send(ackMessage, call.toPort, call.toAddress);
-        console.log(`🎯 ACK ОБРАБОТКА: ACK переслан к ${call.toNumber} на ${call.toAddress}:${call.toPort}`);
-    } else {
-        console.log(`🎯 ACK ОБРАБОТКА: Звонок ${callId} НЕ НАЙДЕН в активных звонках`);
-        const activeCalls = callManager.getActiveCalls();
-        console.log(`🎯 ACK ОБРАБОТКА: Все активные звонки: ${activeCalls.map(c => c.callId).join(', ')}`);
-    }
-}
 
-// Обработка входящих SIP сообщений
-sipServer.on('message', (message, rinfo) => {
-    const messageStr = message.toString();
-    const firstLine = messageStr.split('\r\n')[0];
-    
-    console.log(`\n=== SIP СООБЩЕНИЕ ===`);
-    console.log(`Получено SIP сообщение от ${rinfo.address}:${rinfo.port}: ${firstLine}`);
-    console.log(`Тип сообщения: ${firstLine.split(' ')[0]}`);
-    console.log(`Полное сообщение:\n${messageStr}`);
-    console.log(`=== КОНЕЦ SIP СООБЩЕНИЯ ===\n`);
+        rtpProxy.setConferenceParticipantMuted(room, callId, req.body.muted);
+        const participant = conferenceManager.setMuted(room, callId, req.body.muted);
+        apiLogger.info(`Conference participant updated via API`, { room, callId, muted: req.body.muted });
+        res.json(participant);
+    } catch (error) {
+        apiLogger.error(`Error updating conference participant`, { error: error.message, room: req.params.room, callId: req.params.callId });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-    if (firstLine.startsWith('REGISTER')) {
-        handleRegister(message, rinfo);
-    } else if (firstLine.startsWith('INVITE')) {
-        handleInvite(message, rinfo);
-    } else if (firstLine.startsWith('BYE')) {
-        handleBye(message, rinfo);
-    } else if (firstLine.startsWith('ACK')) {
-        console.log(`\n🔍 ОБРАБОТКА ACK 🔍`);
-        handleAck(message, rinfo);
-        console.log(`🔍 КОНЕЦ ОБРАБОТКИ ACK 🔍\n`);
-    } else if (firstLine.startsWith('SIP/2.0')) {
-        // Обработка ответов
-        const parsed = parseSipMessage(message);
-        const statusLine = parsed.firstLine;
-        const callId = parsed.headers['Call-ID'];
-        
-        console.log(`Получен ответ: ${statusLine} от ${rinfo.address}:${rinfo.port}`);
-        console.log(`Call-ID ответа: ${callId}`);
-        
+// Исключение участника: сервер завершает его звонок (BYE)
+app.delete('/api/conferences/:room/participants/:callId', (req, res) => {
+    try {
+        const { room, callId } = req.params;
         const call = callManager.getCall(callId);
-        console.log(`🎯 200 OK ОБРАБОТКА: Call-ID: ${callId}`);
-        console.log(`🎯 200 OK ОБРАБОТКА: Звонок найден: ${!!call}`);
-        console.log(`🎯 200 OK ОБРАБОТКА: Звонок завершается: ${call ? call.terminating : 'N/A'}`);
-        if (call && call.terminating) {
-            console.log(`🎯 200 OK ОБРАБОТКА: ВНИМАНИЕ! Звонок уже помечен как завершающийся!`);
-        }
-        
-        // Проверяем CSeq для определения типа ответа
-        const cseqHeader = parsed.headers['CSeq'];
-        const cseqMatch = cseqHeader ? cseqHeader.match(/(\d+) (\w+)/) : null;
-        const cseqNumber = cseqMatch ? parseInt(cseqMatch[1]) : 0;
-        const cseqMethod = cseqMatch ? cseqMatch[2] : '';
-        
-        console.log(`🎯 200 OK ОБРАБОТКА: CSeq: ${cseqNumber} ${cseqMethod}`);
-        
-        if (call && statusLine.includes('200 OK') && call.terminating) {
-            // Это ответ на BYE запрос
-            console.log(`🎯 200 OK НА BYE: Получен 200 OK на BYE от ${call.toNumber}`);
-            console.log(`🎯 200 OK НА BYE: Удаляем звонок ${callId} из активных звонков`);
-            callManager.endCall(callId);
-            console.log('🎯 200 OK НА BYE: Звонок полностью завершен');
-        } else if (call && statusLine.includes('200 OK') && cseqMethod === 'INVITE') {
-            // Проверяем, не ожидаем ли мы уже ACK (чтобы избежать повторных 200 OK)
-            if (call.waitingForAck) {
-                console.log(`🎯 200 OK ОБРАБОТКА: ИГНОРИРУЕМ повторный 200 OK от ${call.toNumber} - уже ожидаем ACK`);
-                return;
-            }
-            
-            console.log(`Пересылаем 200 OK к ${call.fromNumber} на ${call.fromAddress}:${call.fromPort}`);
-            
-            // Настраиваем RTP поток если есть SDP в ответе
-            if (parsed.body && parsed.headers['Content-Type'] && parsed.headers['Content-Type'].includes('application/sdp')) {
-                // Извлекаем RTP порты из SDP ответа
-                const rtpPortMatch = parsed.body.match(/m=audio ([0-9]+)/);
-                if (rtpPortMatch && call.fromRtpPort) {
-                    const toRtpPort = parseInt(rtpPortMatch[1]);
-                    console.log(`Настройка RTP потока: ${call.fromAddress}:${call.fromRtpPort} <-> ${rinfo.address}:${toRtpPort}`);
-                    rtpProxy.addStream(callId, call.fromAddress, call.fromRtpPort, rinfo.address, toRtpPort);
-                }
-            }
-            
-            // Создаем правильные заголовки для 200 OK
-            // Важно: используем оригинальные заголовки из INVITE, а не из ответа
-            const responseHeaders = {
-                'Via': call.originalVia || parsed.headers['Via'], // Оригинальный Via из INVITE
-                'From': call.originalFrom || parsed.headers['From'], // Оригинальный From из INVITE
-                'To': call.originalTo || parsed.headers['To'], // Оригинальный To из INVITE
-                'Call-ID': callId,
-                'CSeq': call.originalCSeq || parsed.headers['CSeq'] // Оригинальный CSeq из INVITE
-            };
-            
-            // Изменяем Contact заголовок, чтобы ACK шел через сервер
-            responseHeaders['Contact'] = `<sip:101@192.168.0.42:5060>`;
-            
-            if (parsed.headers['Content-Type']) {
-                responseHeaders['Content-Type'] = parsed.headers['Content-Type'];
-            }
-            
-            // Модифицируем SDP в ответе, чтобы ACK шел через сервер
-            let responseBody = parsed.body || '';
-            if (responseBody && parsed.headers['Content-Type'] && parsed.headers['Content-Type'].includes('application/sdp')) {
-                responseBody = rtpProxy.modifySdp(responseBody, callId + '_response');
-                console.log(`SDP в ответе модифицирован для направления ACK через сервер`);
-            }
-            
-            // Пересылаем 200 OK вызывающему абоненту
-            const okResponse = createSipResponse(200, 'OK', responseHeaders, responseBody);
-            console.log(`Отправляем 200 OK к ${call.fromNumber}:\n${okResponse}`);
-            sipServer.send(okResponse, call.fromPort, call.fromAddress);
-            
-            // Сохраняем To заголовок из 200 OK для использования в ACK
-            callManager.updateCallState(callId, 'ESTABLISHED', { 
-                waitingForAck: true,
-                responseToHeader: parsed.headers['To'] // Сохраняем To из 200 OK
-            });
-            console.log(`Звонок ${callId} помечен как ожидающий ACK от ${call.fromNumber}`);
-        } else if (!call) {
-            // Звонок не найден (возможно, уже удален)
-            console.log(`🎯 200 OK ОБРАБОТКА: Звонок ${callId} не найден, игнорируем сообщение`);
-        } else if (call && (statusLine.includes('404') || statusLine.includes('486') || statusLine.includes('487') || statusLine.includes('481'))) {
-            console.log(`Пересылаем ${statusLine} к ${call.fromNumber}`);
-            
-            // Если это 481 ошибка на BYE, завершаем звонок
-            if (statusLine.includes('481') && cseqMethod === 'BYE') {
-                console.log(`🎯 481 ОБРАБОТКА: Завершаем звонок ${callId} из-за 481 ошибки на BYE`);
-                callManager.endCall(callId);
-            }
-            
-            // Пересылаем ошибку вызывающему абоненту
-            const errorResponse = createSipResponse(
-                statusLine.split(' ')[1], 
-                statusLine.split(' ').slice(2).join(' '), 
-                {
-                    'Via': parsed.headers['Via'],
-                    'From': parsed.headers['From'],
-                    'To': parsed.headers['To'],
-                    'Call-ID': callId,
-                    'CSeq': parsed.headers['CSeq']
-                }
-            );
-            
-            sipServer.send(errorResponse, call.fromPort, call.fromAddress);
+        if (!conferenceManager.getParticipant(room, callId) || !call) {
+            res.status(404).json({ error: 'Participant not found' });
+            return;
         }
+
+        hangupServerCall(call);
+        apiLogger.info(`Conference participant removed via API`, { room, callId });
+        res.json({ message: `Participant ${callId} removed from conference ${room}` });
+    } catch (error) {
+        apiLogger.error(`Error removing conference participant`, { error: error.message, room: req.params.room, callId: req.params.callId });
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Express API для управления
-app.get('/api/users', (req, res) => {
+// Припаркованные звонки: слот, Call-ID, ожидающий абонент, кто припарковал и когда
+app.get('/api/parking', (req, res) => {
     try {
-        const users = userManager.getAllUsers();
-        apiLogger.info(`Users list requested`, { count: users.length });
-        res.json(users);
+        res.json(parkingManager.getAllParked());
     } catch (error) {
-        apiLogger.error(`Error getting users`, { error: error.message });
+        apiLogger.error(`Error getting parked calls`, { error: error.message });
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-app.get('/api/extensions', (req, res) => {
+app.get('/api/parking/:slot', (req, res) => {
     try {
-        const extensions = Array.from(config.validExtensions);
-        res.json(extensions);
+        const parked = parkingManager.getAllParked().find(parkedCall => parkedCall.slot === req.params.slot);
+        if (!parked) {
+            res.status(404).json({ error: 'Parking slot is empty' });
+            return;
+        }
+        res.json(parked);
     } catch (error) {
-        apiLogger.error(`Error getting extensions`, { error: error.message });
+        apiLogger.error(`Error getting parked call`, { error: error.message, slot: req.params.slot });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Внешние линии (описания без паролей) и состояние регистрации у провайдера
+app.get('/api/trunks', (req, res) => {
+    try {
+        const trunks = trunkManager.getAllTrunks();
+        apiLogger.info(`Trunks requested`, { count: trunks.length });
+        res.json(trunks);
+    } catch (error) {
+        apiLogger.error(`Error getting trunks`, { error: error.message });
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -630,12 +4036,24 @@ app.get('/api/calls', (req, res) => {
     }
 });
 
+app.get('/api/calls/:callId/transfers', (req, res) => {
+    try {
+        const chain = callManager.getTransferChain(req.params.callId);
+        apiLogger.info(`Transfer chain requested`, { callId: req.params.callId, count: chain.transfers.length });
+        res.json(chain);
+    } catch (error) {
+        apiLogger.error(`Error getting transfer chain`, { error: error.message, callId: req.params.callId });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 app.get('/api/calls/history', (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 50;
         const offset = parseInt(req.query.offset) || 0;
-        const history = callManager.getCallHistory(limit, offset);
-        apiLogger.info(`Call history requested`, { limit, offset, count: history.length });
+        const conversationId = req.query.conversationId || null;
+        const history = callManager.getCallHistory(limit, offset, conversationId);
+        apiLogger.info(`Call history requested`, { limit, offset, conversationId, count: history.length });
         res.json(history);
     } catch (error) {
         apiLogger.error(`Error getting call history`, { error: error.message });
@@ -650,8 +4068,15 @@ app.get('/api/statistics', (req, res) => {
         const rtpStats = rtpProxy.getStreams();
         
         const statistics = {
+            transports: {
+                tcpConnections: tcpTransport.getConnections().length,
+                tlsConnections: tlsTransport.getConnections().length,
+                wsConnections: wsTransport.getConnections().length + wssTransport.getConnections().length
+            },
             calls: callStats,
             users: userStats,
+            transactions: transactionManager.getStatistics(),
+            trunks: trunkManager.getStatistics(),
             rtp: {
                 activeStreams: rtpStats.length
             },
@@ -711,6 +4136,191 @@ app.get('/api/users/:username/calls', (req, res) => {
     }
 });
 
+app.get('/api/users/:username/forwarding', (req, res) => {
+    try {
+        const username = req.params.username;
+        if (!config.validExtensions.has(username)) {
+            res.status(404).json({ error: 'Extension not found' });
+            return;
+        }
+        res.json(forwardingManager.getRules(username));
+    } catch (error) {
+        apiLogger.error(`Error getting forwarding rules`, { error: error.message, username: req.params.username });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/users/:username/forwarding', (req, res) => {
+    try {
+        const username = req.params.username;
+        if (!config.validExtensions.has(username)) {
+            res.status(404).json({ error: 'Extension not found' });
+            return;
+        }
+
+        const result = forwardingManager.setRules(username, req.body || {});
+        if (!result.valid) {
+            apiLogger.warn(`Invalid forwarding rules`, { username, error: result.error });
+            res.status(400).json({ error: result.error });
+            return;
+        }
+
+        apiLogger.info(`Forwarding rules updated via API`, { username });
+        res.json(result.rules);
+    } catch (error) {
+        apiLogger.error(`Error updating forwarding rules`, { error: error.message, username: req.params.username });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/users/:username/forwarding', (req, res) => {
+    try {
+        const username = req.params.username;
+        forwardingManager.clearRules(username);
+        apiLogger.info(`Forwarding rules cleared via API`, { username });
+        res.json({ message: `Forwarding rules for ${username} cleared` });
+    } catch (error) {
+        apiLogger.error(`Error clearing forwarding rules`, { error: error.message, username: req.params.username });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// "Не беспокоить", отказ анонимным вызовам, черный и белый списки вызывающих
+app.get('/api/users/:username/screening', (req, res) => {
+    try {
+        const username = req.params.username;
+        if (!config.validExtensions.has(username)) {
+            res.status(404).json({ error: 'Extension not found' });
+            return;
+        }
+        res.json(screeningManager.getSettings(username));
+    } catch (error) {
+        apiLogger.error(`Error getting call screening`, { error: error.message, username: req.params.username });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/users/:username/screening', (req, res) => {
+    try {
+        const username = req.params.username;
+        if (!config.validExtensions.has(username)) {
+            res.status(404).json({ error: 'Extension not found' });
+            return;
+        }
+
+        const result = screeningManager.setSettings(username, req.body || {});
+        if (!result.valid) {
+            apiLogger.warn(`Invalid call screening settings`, { username, error: result.error });
+            res.status(400).json({ error: result.error });
+            return;
+        }
+
+        apiLogger.info(`Call screening updated via API`, { username });
+        res.json(result.settings);
+    } catch (error) {
+        apiLogger.error(`Error updating call screening`, { error: error.message, username: req.params.username });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/users/:username/screening', (req, res) => {
+    try {
+        const username = req.params.username;
+        screeningManager.clearSettings(username);
+        apiLogger.info(`Call screening cleared via API`, { username });
+        res.json({ message: `Call screening for ${username} cleared` });
+    } catch (error) {
+        apiLogger.error(`Error clearing call screening`, { error: error.message, username: req.params.username });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Голосовая почта абонента
+app.get('/api/users/:username/voicemail', (req, res) => {
+    try {
+        const username = req.params.username;
+        if (!voicemailManager.isMailbox(username)) {
+            res.status(404).json({ error: 'Extension not found' });
+            return;
+        }
+
+        const messages = voicemailManager.getMessages(username);
+        res.json({
+            mailbox: username,
+            total: messages.length,
+            unread: messages.filter(message => !message.read).length,
+            messages
+        });
+    } catch (error) {
+        apiLogger.error(`Error getting voicemail messages`, { error: error.message, username: req.params.username });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Скачивание записи сообщения (WAV)
+app.get('/api/users/:username/voicemail/:messageId', (req, res) => {
+    try {
+        const { username, messageId } = req.params;
+        const message = voicemailManager.isMailbox(username) ? voicemailManager.getMessage(username, messageId) : null;
+        if (!message) {
+            res.status(404).json({ error: 'Voicemail message not found' });
+            return;
+        }
+
+        res.download(voicemailManager.getMessageFile(username, messageId), `voicemail-${username}-${messageId}.wav`, (error) => {
+            if (error) {
+                apiLogger.error(`Error sending voicemail message`, { error: error.message, username, messageId });
+                if (!res.headersSent) {
+                    res.status(500).json({ error: 'Internal server error' });
+                }
+            }
+        });
+    } catch (error) {
+        apiLogger.error(`Error getting voicemail message`, { error: error.message, username: req.params.username });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Отметка о прочтении: { "read": true | false }
+app.put('/api/users/:username/voicemail/:messageId', (req, res) => {
+    try {
+        const { username, messageId } = req.params;
+        const read = req.body ? req.body.read : undefined;
+        if (typeof read !== 'boolean') {
+            res.status(400).json({ error: 'Field "read" must be a boolean' });
+            return;
+        }
+
+        const message = voicemailManager.isMailbox(username) ? voicemailManager.setRead(username, messageId, read) : null;
+        if (!message) {
+            res.status(404).json({ error: 'Voicemail message not found' });
+            return;
+        }
+
+        apiLogger.info(`Voicemail message updated via API`, { username, messageId, read });
+        res.json(message);
+    } catch (error) {
+        apiLogger.error(`Error updating voicemail message`, { error: error.message, username: req.params.username });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/users/:username/voicemail/:messageId', (req, res) => {
+    try {
+        const { username, messageId } = req.params;
+        if (!voicemailManager.isMailbox(username) || !voicemailManager.deleteMessage(username, messageId)) {
+            res.status(404).json({ error: 'Voicemail message not found' });
+            return;
+        }
+
+        apiLogger.info(`Voicemail message deleted via API`, { username, messageId });
+        res.json({ message: `Voicemail message ${messageId} deleted` });
+    } catch (error) {
+        apiLogger.error(`Error deleting voicemail message`, { error: error.message, username: req.params.username });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 app.get('/api/users/expiring', (req, res) => {
     try {
         const withinMinutes = parseInt(req.query.within) || 30;
@@ -758,6 +4368,9 @@ sipServer.bind(config.sip.port, config.sip.host, () => {
     console.log(`SIP сервер запущен на порту ${config.sip.port}`);
     console.log(`Сервер слушает на всех интерфейсах (${config.sip.host}:${config.sip.port})`);
     console.log(`Поддерживаемые номера: ${Array.from(config.validExtensions).join(', ')}`);
+
+    // Регистрация на внешних линиях - после открытия SIP порта, с которого уходят запросы
+    trunkManager.startRegistration(registerTrunk);
 });
 
 // Обработка ошибок SIP сервера
@@ -765,10 +4378,28 @@ sipServer.on('error', (error) => {
     sipLogger.error(`SIP server error`, { error: error.message });
 });
 
+// Запускаем TCP слушатель SIP
+if (config.sip.tcpEnabled) {
+    tcpTransport.start();
+}
+
+// Запускаем TLS слушатель SIP и WSS с тем же сертификатом
+if (config.tls.enabled && tlsTransport.start() && config.websocket.enabled) {
+    const secureServer = https.createServer(tlsTransport.credentials, (req, res) => {
+        // Порт WSS принимает только WebSocket соединения
+        res.writeHead(426, { 'Upgrade': 'websocket' });
+        res.end();
+    });
+    wssTransport.start(secureServer, config.websocket.securePort);
+}
+
 // Запускаем RTP прокси
 rtpProxy.start();
 
-app.listen(config.api.port, config.api.host, () => {
+// Запускаем проверку доступности абонентов
+userManager.startQualifyTimer(qualifyContact);
+
+const apiServer = app.listen(config.api.port, config.api.host, () => {
     apiLogger.info(`API server started`, {
         port: config.api.port,
         host: config.api.host
@@ -777,21 +4408,34 @@ app.listen(config.api.port, config.api.host, () => {
     console.log('Доступные эндпоинты:');
     console.log(`  GET  http://localhost:${config.api.port}/api/users - список зарегистрированных пользователей`);
     console.log(`  GET  http://localhost:${config.api.port}/api/extensions - список валидных номеров`);
+    console.log(`  GET/POST http://localhost:${config.api.port}/api/ring-groups - группы вызова (PUT/DELETE /api/ring-groups/:number)`);
     console.log(`  GET  http://localhost:${config.api.port}/api/calls - активные звонки`);
-    console.log(`  GET  http://localhost:${config.api.port}/api/calls/history - история звонков`);
+    console.log(`  GET  http://localhost:${config.api.port}/api/calls/history?conversationId=... - история звонков`);
+    console.log(`  GET  http://localhost:${config.api.port}/api/calls/:callId/transfers - цепочка передач звонка`);
     console.log(`  GET  http://localhost:${config.api.port}/api/statistics - статистика сервера`);
+    console.log(`  GET  http://localhost:${config.api.port}/api/trunks - внешние линии и их регистрация`);
     console.log(`  GET  http://localhost:${config.api.port}/api/rtp-streams - активные RTP потоки`);
     console.log(`  DELETE http://localhost:${config.api.port}/api/users/:username - удалить регистрацию пользователя`);
     console.log(`  GET  http://localhost:${config.api.port}/api/users/:username/calls - звонки пользователя`);
+    console.log(`  GET/PUT/DELETE http://localhost:${config.api.port}/api/users/:username/forwarding - правила переадресации`);
     console.log(`  GET  http://localhost:${config.api.port}/api/users/expiring - пользователи с истекающей регистрацией`);
 });
 
+// SIP over WebSocket на том же HTTP сервере
+if (config.websocket.enabled) {
+    wsTransport.start(apiServer);
+}
+
 // Обработка завершения работы
 process.on('SIGINT', () => {
     console.log('Завершение работы SIP сервера...');
     sipLogger.info(`Server shutdown initiated`);
     
     sipServer.close();
+    tcpTransport.stop();
+    tlsTransport.stop();
+    wsTransport.stop();
+    wssTransport.stop();
     rtpProxy.stop();
     
     console.log('Сервер остановлен');
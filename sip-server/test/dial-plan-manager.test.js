@@ -0,0 +1,118 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const DialPlanManager = require('../utils/dial-plan-manager');
+
+const config = {
+    validExtensions: new Set(['100', '101', '102']),
+    ringGroups: { min: 200, max: 299 },
+    ivr: { min: 300, max: 399 }
+};
+const trunkManager = { getTrunk: (name) => name === 'main' ? { name } : null };
+
+const route = (dialPlan, number) => {
+    const result = dialPlan.resolve(number);
+    return result && { rule: result.rule.id, action: result.action, number: result.number, target: result.target };
+};
+
+describe('DialPlanManager', () => {
+    let dialPlan;
+
+    beforeEach(() => {
+        dialPlan = new DialPlanManager(config, trunkManager);
+    });
+
+    it('matches Asterisk-style patterns', () => {
+        assert.strictEqual(dialPlan.setRules([
+            { id: 'local', match: 'pattern', pattern: '_1XX', action: 'extension' },
+            { id: 'mobile', match: 'pattern', pattern: '_9Z[0-35]NX.', action: 'trunk', target: 'main' },
+            { id: 'any', match: 'pattern', pattern: '_*7!', action: 'reject', statusCode: 404 }
+        ]).valid, true);
+
+        assert.strictEqual(route(dialPlan, '105').rule, 'local');
+        assert.strictEqual(route(dialPlan, '1050'), null);
+        assert.strictEqual(route(dialPlan, '9135200').rule, 'mobile');
+        // Z - 1-9, [0-35] - 0..3 или 5, N - 2-9, . - хотя бы одна цифра
+        assert.strictEqual(route(dialPlan, '9035200'), null);
+        assert.strictEqual(route(dialPlan, '9145200'), null);
+        assert.strictEqual(route(dialPlan, '9131200'), null);
+        assert.strictEqual(route(dialPlan, '91352'), null);
+        assert.strictEqual(route(dialPlan, '*7').rule, 'any');
+        assert.strictEqual(route(dialPlan, '*71').rule, 'any');
+    });
+
+    it('uses the first matching rule in order', () => {
+        dialPlan.setRules([
+            { id: 'emergency', match: 'exact', pattern: '112', action: 'trunk', target: 'main' },
+            { id: 'short', match: 'regex', pattern: '^1\\d\\d$', action: 'extension' },
+            { id: 'international', match: 'prefix', pattern: '8', action: 'trunk', target: 'main' }
+        ]);
+
+        assert.strictEqual(route(dialPlan, '112').rule, 'emergency');
+        assert.strictEqual(route(dialPlan, '113').rule, 'short');
+        assert.strictEqual(route(dialPlan, '8112').rule, 'international');
+        assert.strictEqual(route(dialPlan, '7112'), null);
+    });
+
+    it('strips and prepends digits before routing', () => {
+        dialPlan.setRules([
+            { id: 'outbound', match: 'prefix', pattern: '9', action: 'trunk', target: 'main', strip: 1, prepend: '+7' },
+            { id: 'short', match: 'pattern', pattern: '_5XX', action: 'extension', strip: 1, prepend: '1' },
+            { id: 'operator', match: 'exact', pattern: '0', action: 'extension', target: '100' }
+        ]);
+
+        assert.deepStrictEqual(route(dialPlan, '94951234567'), { rule: 'outbound', action: 'trunk', number: '+74951234567', target: 'main' });
+        assert.deepStrictEqual(route(dialPlan, '501'), { rule: 'short', action: 'extension', number: '101', target: '101' });
+        assert.deepStrictEqual(route(dialPlan, '0'), { rule: 'operator', action: 'extension', number: '0', target: '100' });
+    });
+
+    it('rejects invalid rules and keeps the previous plan', () => {
+        dialPlan.setRules([{ id: 'local', match: 'pattern', pattern: '_1XX', action: 'extension' }]);
+
+        const invalid = [
+            [{ match: 'glob', pattern: '1', action: 'extension' }, /match must be one of/],
+            [{ match: 'pattern', pattern: '_1Q', action: 'extension' }, /Invalid symbol Q/],
+            [{ match: 'regex', pattern: '(', action: 'extension' }, /Invalid regular expression/],
+            [{ match: 'prefix', pattern: '9', action: 'trunk', target: 'backup' }, /unknown trunk backup/],
+            [{ match: 'prefix', pattern: '9', action: 'extension', target: '999' }, /invalid extension 999/],
+            [{ match: 'prefix', pattern: '9', action: 'ringGroup', target: '300' }, /invalid ring group number 300/],
+            [{ match: 'prefix', pattern: '9', action: 'reject', statusCode: 200 }, /statusCode must be a number between 400 and 699/],
+            [{ match: 'prefix', pattern: '9', action: 'extension', prepend: 'abc' }, /prepend may contain only/]
+        ];
+        for (const [rule, error] of invalid) {
+            const result = dialPlan.setRules([rule]);
+            assert.strictEqual(result.valid, false);
+            assert.match(result.error, error);
+        }
+
+        const duplicate = dialPlan.setRules([
+            { id: 'a', match: 'exact', pattern: '1', action: 'reject' },
+            { id: 'a', match: 'exact', pattern: '2', action: 'reject' }
+        ]);
+        assert.strictEqual(duplicate.error, 'Duplicate rule id: a');
+        assert.deepStrictEqual(dialPlan.getRules().map(rule => rule.id), ['local']);
+    });
+
+    it('inserts, replaces and deletes rules by id', () => {
+        dialPlan.setRules([
+            { id: 'local', match: 'pattern', pattern: '_1XX', action: 'extension' },
+            { id: 'outbound', match: 'prefix', pattern: '9', action: 'trunk', target: 'main', strip: 1 }
+        ]);
+
+        const blocked = dialPlan.saveRule({ id: 'blocked', match: 'exact', pattern: '105', action: 'reject' }, 0);
+        assert.strictEqual(blocked.rule.reasonPhrase, 'Forbidden');
+        assert.deepStrictEqual(route(dialPlan, '105'), { rule: 'blocked', action: 'reject', number: '105', target: '105' });
+
+        // Замена сохраняет место правила в плане
+        dialPlan.saveRule({ id: 'local', match: 'pattern', pattern: '_1XX', action: 'voicemail' });
+        assert.deepStrictEqual(dialPlan.getRules().map(rule => rule.id), ['blocked', 'local', 'outbound']);
+        assert.strictEqual(route(dialPlan, '101').action, 'voicemail');
+
+        const generated = dialPlan.saveRule({ match: 'exact', pattern: '555', action: 'reject', statusCode: 486 });
+        assert.strictEqual(generated.rule.id, 'rule-4');
+        assert.strictEqual(generated.rule.reasonPhrase, 'Rejected');
+
+        assert.strictEqual(dialPlan.deleteRule('blocked'), true);
+        assert.strictEqual(dialPlan.deleteRule('blocked'), false);
+        assert.strictEqual(route(dialPlan, '105').rule, 'local');
+    });
+});
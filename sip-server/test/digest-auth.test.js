@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const DigestAuth = require('../utils/digest-auth');
+
+const REQUEST_URI = 'sip:example.com';
+const passwords = { '100': 'secret100' };
+const getPassword = (username) => passwords[username] || null;
+
+const createDigestAuth = (overrides = {}) => new DigestAuth({
+    security: { realm: 'example.com', authAlgorithm: 'MD5', nonceTtl: 300, authSecret: 'test-secret', ...overrides },
+    timeouts: { cleanup: 60000 }
+});
+
+// Следующий ответ клиента на тот же nonce: createAuthorization всегда отвечает с nc=00000001
+const withNonceCount = (digestAuth, authorization, nonceCount, password) => {
+    const params = digestAuth.parseAuthorization(authorization);
+    const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+    const ha1 = md5(`${params.username}:${params.realm}:${password}`);
+    const ha2 = md5(`REGISTER:${params.uri}`);
+    return authorization
+        .replace('nc=00000001', `nc=${nonceCount}`)
+        .replace(params.response, md5(`${ha1}:${params.nonce}:${nonceCount}:${params.cnonce}:auth:${ha2}`));
+};
+
+describe('DigestAuth.verify', () => {
+    it('accepts a response to its own challenge', () => {
+        const digestAuth = createDigestAuth();
+        const challenge = digestAuth.createChallenge();
+        assert.match(challenge, /^Digest realm="example\.com", nonce="[^"]+", algorithm=MD5, qop="auth"$/);
+
+        const authorization = digestAuth.createAuthorization(challenge, 'REGISTER', REQUEST_URI, '100', 'secret100');
+        assert.deepStrictEqual(digestAuth.verify(authorization, 'REGISTER', REQUEST_URI, getPassword), { valid: true, username: '100' });
+    });
+
+    it('supports SHA-256 (RFC 8760)', () => {
+        const digestAuth = createDigestAuth({ authAlgorithm: 'SHA-256' });
+        const authorization = digestAuth.createAuthorization(digestAuth.createChallenge(), 'INVITE', REQUEST_URI, '100', 'secret100');
+        assert.match(authorization, /algorithm=SHA-256/);
+        assert.strictEqual(digestAuth.verify(authorization, 'INVITE', REQUEST_URI, getPassword).valid, true);
+    });
+
+    it('rejects a wrong password, an unknown user and a wrong method', () => {
+        const digestAuth = createDigestAuth();
+        const challenge = digestAuth.createChallenge();
+
+        const wrongPassword = digestAuth.createAuthorization(challenge, 'REGISTER', REQUEST_URI, '100', 'guess');
+        assert.strictEqual(digestAuth.verify(wrongPassword, 'REGISTER', REQUEST_URI, getPassword).reason, 'Wrong password');
+
+        const unknownUser = digestAuth.createAuthorization(challenge, 'REGISTER', REQUEST_URI, '999', 'secret100');
+        assert.strictEqual(digestAuth.verify(unknownUser, 'REGISTER', REQUEST_URI, getPassword).reason, 'Unknown user');
+
+        const otherMethod = digestAuth.createAuthorization(challenge, 'REGISTER', REQUEST_URI, '100', 'secret100');
+        assert.strictEqual(digestAuth.verify(otherMethod, 'INVITE', REQUEST_URI, getPassword).reason, 'Wrong password');
+    });
+
+    it('requires a strictly increasing nonce count', () => {
+        const digestAuth = createDigestAuth();
+        const authorization = digestAuth.createAuthorization(digestAuth.createChallenge(), 'REGISTER', REQUEST_URI, '100', 'secret100');
+
+        assert.strictEqual(digestAuth.verify(authorization, 'REGISTER', REQUEST_URI, getPassword).valid, true);
+        assert.deepStrictEqual(digestAuth.verify(authorization, 'REGISTER', REQUEST_URI, getPassword),
+            { valid: false, username: '100', reason: 'Replayed nonce count' });
+
+        const next = withNonceCount(digestAuth, authorization, '00000002', 'secret100');
+        assert.strictEqual(digestAuth.verify(next, 'REGISTER', REQUEST_URI, getPassword).valid, true);
+        assert.strictEqual(digestAuth.verify(next, 'REGISTER', REQUEST_URI, getPassword).reason, 'Replayed nonce count');
+
+        // nc входит в хеш ответа, поэтому его нельзя поднять без пароля
+        const forged = withNonceCount(digestAuth, authorization, '00000003', 'guess');
+        assert.strictEqual(digestAuth.verify(forged, 'REGISTER', REQUEST_URI, getPassword).reason, 'Wrong password');
+    });
+
+    it('accepts a nonce without qop only once', () => {
+        const digestAuth = createDigestAuth();
+        const challenge = digestAuth.createChallenge().replace(', qop="auth"', '');
+        const authorization = digestAuth.createAuthorization(challenge, 'REGISTER', REQUEST_URI, '100', 'secret100');
+        assert.doesNotMatch(authorization, /qop=/);
+
+        assert.strictEqual(digestAuth.verify(authorization, 'REGISTER', REQUEST_URI, getPassword).valid, true);
+        assert.strictEqual(digestAuth.verify(authorization, 'REGISTER', REQUEST_URI, getPassword).reason, 'Replayed nonce');
+    });
+
+    it('rejects forged and expired nonces', async () => {
+        const digestAuth = createDigestAuth({ nonceTtl: 0.05 });
+        const forged = digestAuth.createAuthorization(
+            `Digest realm="example.com", nonce="${Buffer.from('1:2:3').toString('base64')}", qop="auth"`,
+            'REGISTER', REQUEST_URI, '100', 'secret100');
+        assert.deepStrictEqual(digestAuth.verify(forged, 'REGISTER', REQUEST_URI, getPassword),
+            { valid: false, username: '100', stale: false, reason: 'Invalid nonce' });
+
+        // Nonce другого сервера (другой секрет) тоже не принимается
+        const foreignChallenge = createDigestAuth({ authSecret: 'other-secret' }).createChallenge();
+        const foreign = digestAuth.createAuthorization(foreignChallenge, 'REGISTER', REQUEST_URI, '100', 'secret100');
+        assert.strictEqual(digestAuth.verify(foreign, 'REGISTER', REQUEST_URI, getPassword).reason, 'Invalid nonce');
+
+        const expired = digestAuth.createAuthorization(digestAuth.createChallenge(), 'REGISTER', REQUEST_URI, '100', 'secret100');
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const result = digestAuth.verify(expired, 'REGISTER', REQUEST_URI, getPassword);
+        assert.strictEqual(result.stale, true);
+        assert.strictEqual(result.reason, 'Nonce expired');
+    });
+
+    it('compares the digest uri with the Request-URI as SIP URIs', () => {
+        const digestAuth = createDigestAuth();
+        const authorization = digestAuth.createAuthorization(digestAuth.createChallenge(), 'REGISTER', 'sip:EXAMPLE.com:5060', '100', 'secret100');
+        assert.strictEqual(digestAuth.verify(authorization, 'REGISTER', 'sip:example.com', getPassword).valid, true);
+
+        const otherUri = digestAuth.createAuthorization(digestAuth.createChallenge(), 'REGISTER', 'sip:other.example.com', '100', 'secret100');
+        assert.strictEqual(digestAuth.verify(otherUri, 'REGISTER', REQUEST_URI, getPassword).reason,
+            'Digest uri sip:other.example.com does not match Request-URI');
+    });
+
+    it('rejects an unknown realm and malformed credentials', () => {
+        const digestAuth = createDigestAuth();
+        const challenge = createDigestAuth({ realm: 'other.example.com' }).createChallenge();
+        const authorization = digestAuth.createAuthorization(challenge, 'REGISTER', REQUEST_URI, '100', 'secret100');
+        assert.strictEqual(digestAuth.verify(authorization, 'REGISTER', REQUEST_URI, getPassword).reason, 'Unknown realm: other.example.com');
+
+        assert.strictEqual(digestAuth.verify('Basic MTAwOnNlY3JldA==', 'REGISTER', REQUEST_URI, getPassword).reason,
+            'Missing or malformed credentials');
+        assert.strictEqual(digestAuth.verify('Digest username="100"', 'REGISTER', REQUEST_URI, getPassword).reason, 'Incomplete credentials');
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const SipMessage = require('../utils/sip-message');
+
+const lines = (...items) => items.join('\r\n');
+
+describe('SipMessage.parse', () => {
+    it('keeps repeated and comma-separated headers in order', () => {
+        const message = SipMessage.parse(lines(
+            'INVITE sip:101@example.com SIP/2.0',
+            'Via: SIP/2.0/UDP proxy.example.com;branch=z9hG4bKproxy',
+            'Via: SIP/2.0/UDP 10.0.0.1:5062;branch=z9hG4bKphone, SIP/2.0/TCP 10.0.0.2;branch=z9hG4bKfirst',
+            'Record-Route: <sip:a.example.com;lr>',
+            'Record-Route: <sip:b.example.com;lr>',
+            'Content-Length: 0',
+            '',
+            ''
+        ));
+
+        assert.deepStrictEqual(message.getVias().map(via => via.params.branch), ['z9hG4bKproxy', 'z9hG4bKphone', 'z9hG4bKfirst']);
+        assert.deepStrictEqual(message.getVias()[1], { transport: 'UDP', host: '10.0.0.1', port: 5062, params: { branch: 'z9hG4bKphone' } });
+        assert.deepStrictEqual(message.getHeaders('Record-Route'), ['<sip:a.example.com;lr>', '<sip:b.example.com;lr>']);
+    });
+
+    it('accepts compact forms, any header case and folded lines', () => {
+        const message = SipMessage.parse(lines(
+            'BYE sip:100@10.0.0.1 SIP/2.0',
+            'v: SIP/2.0/UDP 10.0.0.2;branch=z9hG4bKbye',
+            'f: <sip:101@example.com>;tag=abc',
+            't: "Alice" <sip:100@example.com>',
+            '  ;tag=def',
+            'i: call-1@example.com',
+            'CSEQ: 2 BYE',
+            'l: 0',
+            '',
+            ''
+        ));
+
+        assert.strictEqual(message.getCallId(), 'call-1@example.com');
+        assert.strictEqual(message.getFrom().params.tag, 'abc');
+        assert.strictEqual(message.getTo().displayName, 'Alice');
+        assert.strictEqual(message.getTo().params.tag, 'def');
+        assert.deepStrictEqual(message.getCSeq(), { number: 2, method: 'BYE' });
+        assert.ok(message.toString().includes('\r\nCall-ID: call-1@example.com\r\n'));
+    });
+
+    it('frames the body by Content-Length', () => {
+        const message = SipMessage.parse(lines(
+            'MESSAGE sip:101@example.com SIP/2.0',
+            'Content-Type: text/plain',
+            'Content-Length: 5',
+            '',
+            'helloEXTRA'
+        ));
+        assert.strictEqual(message.body, 'hello');
+
+        assert.throws(() => SipMessage.parse(lines('MESSAGE sip:101@example.com SIP/2.0', 'Content-Length: 20', '', 'short')),
+            /shorter than Content-Length/);
+        assert.throws(() => SipMessage.parse(lines('MESSAGE sip:101@example.com SIP/2.0', 'Content-Length: -1', '', '')),
+            /Invalid Content-Length/);
+    });
+
+    it('rejects malformed start and header lines', () => {
+        assert.throws(() => SipMessage.parse('HELLO\r\n\r\n'), /Invalid start line/);
+        assert.throws(() => SipMessage.parse(lines('OPTIONS sip:example.com SIP/2.0', 'no colon here', '', '')), /Malformed header line/);
+    });
+
+    it('parses responses and recomputes Content-Length on serialization', () => {
+        const message = SipMessage.parse(lines('SIP/2.0 180 Ringing', 'Content-Length: 0', '', ''));
+        assert.strictEqual(message.statusCode, 180);
+        assert.strictEqual(message.reasonPhrase, 'Ringing');
+
+        message.body = 'v=0\r\n';
+        assert.ok(message.toString().startsWith(lines('SIP/2.0 180 Ringing', 'Content-Length: 5', '', '')));
+    });
+});
+
+describe('SipMessage URI and name-addr helpers', () => {
+    it('parses SIP URIs with user, port, parameters and headers', () => {
+        assert.deepStrictEqual(SipMessage.parseUri('sip:100:secret@[2001:db8::1]:5070;transport=TCP;lr?Subject=hi'), {
+            scheme: 'sip',
+            user: '100',
+            password: 'secret',
+            host: '[2001:db8::1]',
+            port: 5070,
+            params: { transport: 'TCP', lr: null },
+            headers: { Subject: 'hi' }
+        });
+        assert.strictEqual(SipMessage.parseUri('http://example.com'), null);
+    });
+
+    it('keeps header parameters outside angle brackets apart from URI parameters', () => {
+        const contact = SipMessage.parseNameAddr('"Bob \\"B\\"" <sip:101@10.0.0.3;transport=udp>;expires=60;q=0.5');
+        assert.strictEqual(contact.displayName, 'Bob "B"');
+        assert.deepStrictEqual(contact.uri.params, { transport: 'udp' });
+        assert.deepStrictEqual(contact.params, { expires: '60', q: '0.5' });
+
+        // Без угловых скобок параметры относятся к заголовку
+        assert.deepStrictEqual(SipMessage.parseNameAddr('sip:101@10.0.0.3;tag=x').params, { tag: 'x' });
+    });
+
+    it('returns the wildcard Contact as a marker', () => {
+        const message = SipMessage.parse(lines('REGISTER sip:example.com SIP/2.0', 'Contact: *', 'Expires: 0', '', ''));
+        assert.deepStrictEqual(message.getContacts(), [{ wildcard: true, uri: null, params: {} }]);
+    });
+});
@@ -0,0 +1,171 @@
+const dgram = require('dgram');
+const crypto = require('crypto');
+const SipMessage = require('../../utils/sip-message');
+
+// Заменитель SIP провайдера и телефонов в тестах: UDP сокет и очередь принятых сообщений
+// С options.uas отвечает как провайдер: регистратор и UAS, REGISTER и INVITE проходят digest аутентификацию
+class SipEndpoint {
+    constructor(options = {}) {
+        this.address = options.address || '127.0.0.1';
+        this.port = options.port || 0;
+        this.uas = !!options.uas;
+        this.credentials = options.credentials || null; // { username, password, realm }
+        this.rtpPort = options.rtpPort || 40000;
+        this.socket = dgram.createSocket('udp4');
+        this.queue = [];
+        this.waiters = [];
+        this.nonces = new Set();
+    }
+
+    // Привязка сокета; port 0 - свободный порт, назначенный системой
+    start() {
+        return new Promise((resolve, reject) => {
+            this.socket.once('error', reject);
+            this.socket.bind(this.port, this.address, () => {
+                this.port = this.socket.address().port;
+                this.socket.on('message', (data, rinfo) => this.handleMessage(data, rinfo));
+                resolve(this);
+            });
+        });
+    }
+
+    stop() {
+        for (const waiter of this.waiters.splice(0)) {
+            clearTimeout(waiter.timer);
+            waiter.resolve(null);
+        }
+        return new Promise(resolve => this.socket.close(resolve));
+    }
+
+    send(message, port, address = '127.0.0.1') {
+        this.socket.send(message.toString(), port, address);
+    }
+
+    // Первое сообщение (уже принятое или следующее), для которого predicate вернет true; null по истечении timeout
+    waitFor(predicate, timeout = 2000) {
+        const index = this.queue.findIndex(predicate);
+        if (index !== -1) {
+            return Promise.resolve(this.queue.splice(index, 1)[0]);
+        }
+
+        return new Promise(resolve => {
+            const waiter = { predicate, resolve };
+            waiter.timer = setTimeout(() => {
+                this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                resolve(null);
+            }, timeout);
+            this.waiters.push(waiter);
+        });
+    }
+
+    handleMessage(data, rinfo) {
+        let message;
+        try {
+            message = SipMessage.parse(data);
+        } catch (error) {
+            return;
+        }
+        message.rinfo = rinfo;
+
+        if (message.isRequest) {
+            this.handleRequest(message, rinfo);
+        }
+
+        const index = this.waiters.findIndex(waiter => waiter.predicate(message));
+        if (index !== -1) {
+            const waiter = this.waiters.splice(index, 1)[0];
+            clearTimeout(waiter.timer);
+            waiter.resolve(message);
+        } else {
+            this.queue.push(message);
+        }
+    }
+
+    // Ответы на запросы: BYE подтверждается всегда, REGISTER и INVITE - только в режиме провайдера
+    handleRequest(request, rinfo) {
+        const reply = (response) => this.send(response, rinfo.port, rinfo.address);
+
+        if (request.method === 'BYE') {
+            reply(request.createResponse(200, 'OK'));
+            return;
+        }
+        if (!this.uas || (request.method !== 'REGISTER' && request.method !== 'INVITE')) {
+            return;
+        }
+
+        // 401 на REGISTER, 407 на INVITE (RFC 3261, 22.2 и 22.3)
+        const isRegister = request.method === 'REGISTER';
+        if (this.credentials && !this.checkAuthorization(request, isRegister ? 'Authorization' : 'Proxy-Authorization')) {
+            reply(request.createResponse(isRegister ? 401 : 407, isRegister ? 'Unauthorized' : 'Proxy Authentication Required', {
+                [isRegister ? 'WWW-Authenticate' : 'Proxy-Authenticate']: this.createChallenge()
+            }));
+            return;
+        }
+
+        if (isRegister) {
+            const expires = request.getHeader('Expires') || '3600';
+            reply(request.createResponse(200, 'OK', {
+                'Contact': `${request.getHeader('Contact')};expires=${expires}`,
+                'Expires': expires
+            }));
+            return;
+        }
+
+        // re-INVITE (To с tag) принимается так же, в существующем диалоге
+        const to = request.getTo();
+        reply(request.createResponse(100, 'Trying'));
+        reply(request.createResponse(200, 'OK', {
+            'To': to.params.tag ? request.getHeader('To') : `${request.getHeader('To')};tag=${crypto.randomBytes(4).toString('hex')}`,
+            'Contact': `<sip:uas@${this.address}:${this.port}>`,
+            'Content-Type': 'application/sdp'
+        }, this.createSdp()));
+    }
+
+    createChallenge() {
+        const nonce = crypto.randomBytes(16).toString('hex');
+        this.nonces.add(nonce);
+        return `Digest realm="${this.credentials.realm}", nonce="${nonce}", algorithm=MD5, qop="auth"`;
+    }
+
+    // Независимая от DigestAuth проверка ответа (RFC 2617, qop=auth); отмечает запрос как authenticated
+    checkAuthorization(request, headerName) {
+        const header = request.getHeader(headerName);
+        if (!header) {
+            return false;
+        }
+
+        const params = {};
+        header.replace(/(\w+)=(?:"([^"]*)"|([^\s,]+))/g, (match, name, quoted, token) => {
+            params[name.toLowerCase()] = quoted !== undefined ? quoted : token;
+        });
+
+        const { username, password, realm } = this.credentials;
+        if (params.username !== username || params.realm !== realm || !this.nonces.has(params.nonce)) {
+            return false;
+        }
+
+        const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+        const ha1 = md5(`${username}:${realm}:${password}`);
+        const ha2 = md5(`${request.method}:${params.uri}`);
+        const expected = md5(`${ha1}:${params.nonce}:${params.nc}:${params.cnonce}:auth:${ha2}`);
+        request.authenticated = params.uri === request.uri && params.response === expected;
+        return request.authenticated;
+    }
+
+    createSdp(rtpPort = this.rtpPort) {
+        return [
+            'v=0',
+            `o=- 1 1 IN IP4 ${this.address}`,
+            's=-',
+            `c=IN IP4 ${this.address}`,
+            't=0 0',
+            `m=audio ${rtpPort} RTP/AVP 0 8`,
+            'a=rtpmap:0 PCMU/8000',
+            'a=rtpmap:8 PCMA/8000',
+            'a=sendrecv',
+            ''
+        ].join('\r\n');
+    }
+}
+
+module.exports = SipEndpoint;
@@ -0,0 +1,145 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const SipMessage = require('../utils/sip-message');
+const TransactionManager = require('../utils/transaction-manager');
+
+// Короткие таймеры: T1 = 10 мс, 64*T1 = 640 мс
+const T1 = 10;
+const T2 = 40;
+const TIMER_C = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createRequest = (method, branch, { cseq = 1, callId = 'call-1@10.0.0.1' } = {}) =>
+    SipMessage.createRequest(method, 'sip:101@10.0.0.2', {
+        'Via': `SIP/2.0/UDP 10.0.0.1:5060;branch=${branch}`,
+        'From': '<sip:100@10.0.0.1>;tag=caller',
+        'To': '<sip:101@10.0.0.2>',
+        'Call-ID': callId,
+        'CSeq': `${cseq} ${method}`
+    });
+
+describe('TransactionManager timers', () => {
+    let manager;
+    let sent;
+
+    const sentMethods = () => sent.map(message => message.split(' ')[0]);
+    const rinfo = { address: '10.0.0.1', port: 5060, transport: 'UDP' };
+
+    beforeEach(() => {
+        sent = [];
+        manager = new TransactionManager({ sip: { timers: { t1: T1, t2: T2, t4: 5 * T1, c: TIMER_C } } }, (message) => sent.push(message));
+    });
+
+    // Незавершенные транзакции держат таймеры (Timer D - 32 с) и не дали бы процессу теста завершиться
+    afterEach(() => {
+        for (const transaction of [...manager.serverTransactions.values(), ...manager.clientTransactions.values()]) {
+            manager.terminate(transaction);
+        }
+    });
+
+    it('retransmits a non-INVITE request with Timer E capped at T2 until Timer F', async () => {
+        const timedOut = new Promise(resolve => {
+            manager.sendRequest(createRequest('OPTIONS', 'z9hG4bKoptions'), 5060, '10.0.0.2', { onTimeout: resolve });
+        });
+
+        await sleep(5 * T1);
+        // 0, T1, 3*T1: интервал удваивается
+        assert.strictEqual(sent.length, 3);
+
+        const transaction = await timedOut;
+        assert.strictEqual(transaction.state, 'TERMINATED');
+        assert.strictEqual(manager.getClientTransaction('z9hG4bKoptions', 'OPTIONS'), undefined);
+        // После 3*T1 интервал не превышает T2: (64*T1 - 3*T1) / T2 повторов
+        assert.ok(sent.length >= 15 && sent.length <= 19, `unexpected retransmission count ${sent.length}`);
+    });
+
+    it('does not retransmit over a reliable transport', async () => {
+        const timedOut = new Promise(resolve => {
+            manager.sendRequest(createRequest('OPTIONS', 'z9hG4bKtcp'), 5060, '10.0.0.2', { transport: 'TCP', onTimeout: resolve });
+        });
+        await timedOut;
+        assert.strictEqual(sent.length, 1);
+    });
+
+    it('stops INVITE retransmissions on 1xx and sends CANCEL on Timer C', async () => {
+        const invite = createRequest('INVITE', 'z9hG4bKinvite');
+        let timeouts = 0;
+        manager.sendRequest(invite, 5060, '10.0.0.2', { onTimeout: () => timeouts++ });
+
+        await sleep(2 * T1);
+        const result = manager.receiveResponse(invite.createResponse(180, 'Ringing'));
+        assert.strictEqual(result.absorbed, false);
+        const sentBeforeRinging = sent.length;
+
+        await sleep(TIMER_C + 3 * T1);
+        assert.strictEqual(timeouts, 1);
+        // CANCEL - своя транзакция, до ответа на него повторяется по Timer E
+        const afterRinging = sentMethods().slice(sentBeforeRinging);
+        assert.ok(afterRinging.length > 0 && afterRinging.every(method => method === 'CANCEL'), afterRinging.join());
+        manager.receiveResponse(createRequest('CANCEL', 'z9hG4bKinvite').createResponse(200, 'OK'));
+
+        // Транзакция ждет финальный ответ на CANCEL: 1xx и 487 поглощаются, 487 подтверждается ACK
+        const transaction = manager.getClientTransaction('z9hG4bKinvite', 'INVITE');
+        assert.ok(transaction && transaction.timedOut);
+        assert.strictEqual(manager.receiveResponse(invite.createResponse(180, 'Ringing')).absorbed, true);
+        assert.strictEqual(manager.receiveResponse(invite.createResponse(487, 'Request Terminated')).absorbed, true);
+        assert.strictEqual(sentMethods().pop(), 'ACK');
+        assert.strictEqual(transaction.state, 'COMPLETED');
+    });
+
+    it('absorbs INVITE retransmissions and repeats a negative response with Timer G until ACK', async () => {
+        const invite = createRequest('INVITE', 'z9hG4bKserver');
+        const { absorbed, transaction } = manager.receiveRequest(invite, rinfo);
+        assert.strictEqual(absorbed, false);
+
+        manager.sendResponse(transaction, invite.createResponse(486, 'Busy Here'));
+        const retransmission = manager.receiveRequest(invite, rinfo);
+        assert.strictEqual(retransmission.absorbed, true);
+        assert.strictEqual(retransmission.transaction, transaction);
+        assert.strictEqual(sent.length, 2);
+
+        await sleep(4 * T1);
+        assert.ok(sent.length >= 4, 'Timer G retransmissions expected');
+
+        const ack = manager.receiveRequest(createRequest('ACK', 'z9hG4bKserver'), rinfo);
+        assert.strictEqual(ack.absorbed, true);
+        assert.strictEqual(transaction.state, 'CONFIRMED');
+        const sentAtAck = sent.length;
+        await sleep(4 * T1);
+        assert.strictEqual(sent.length, sentAtAck);
+    });
+
+    it('repeats a server 2xx until ACK arrives for its Call-ID and CSeq', async () => {
+        const invite = createRequest('INVITE', 'z9hG4bKanswer');
+        const { transaction } = manager.receiveRequest(invite, rinfo);
+        let ackTimeouts = 0;
+        manager.sendAnswer(transaction, invite.createResponse(200, 'OK'), () => ackTimeouts++);
+
+        await sleep(4 * T1);
+        assert.ok(sent.length >= 3, '2xx retransmissions expected');
+
+        // ACK на 2xx - отдельная транзакция с новым branch: обработчику он передается как есть
+        const ack = manager.receiveRequest(createRequest('ACK', 'z9hG4bKack'), rinfo);
+        assert.deepStrictEqual(ack, { absorbed: false, transaction: null });
+        const sentAtAck = sent.length;
+
+        await sleep(64 * T1);
+        assert.strictEqual(sent.length, sentAtAck);
+        assert.strictEqual(ackTimeouts, 0);
+        assert.strictEqual(transaction.state, 'TERMINATED');
+    });
+
+    it('reports a server 2xx without ACK after 64*T1', async () => {
+        const invite = createRequest('INVITE', 'z9hG4bKlost');
+        const { transaction } = manager.receiveRequest(invite, rinfo);
+
+        const ackTimeout = new Promise(resolve => manager.sendAnswer(transaction, invite.createResponse(200, 'OK'), resolve));
+        // ACK другого запроса диалога (CSeq 2) не подтверждает этот ответ
+        manager.receiveRequest(createRequest('ACK', 'z9hG4bKother', { cseq: 2 }), rinfo);
+
+        assert.strictEqual(await ackTimeout, transaction);
+        assert.strictEqual(transaction.state, 'TERMINATED');
+        assert.strictEqual(manager.pendingAnswers.size, 0);
+    });
+});
@@ -0,0 +1,246 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SipMessage = require('../utils/sip-message');
+const SipEndpoint = require('./support/sip-endpoint');
+
+// Исходящие вызовы через линию: сервер запускается отдельным процессом, провайдер - SipEndpoint на 127.0.0.2
+// (адрес провайдера не должен совпадать с адресом телефона, иначе вызов телефона считается входящим с линии)
+const SIP_PORT = 25060;
+const API_PORT = 23000;
+const T1 = 50;
+const T2 = 200;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('outbound calls through a trunk', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sip-server-test-'));
+    const provider = new SipEndpoint({
+        address: '127.0.0.2',
+        uas: true,
+        credentials: { username: '74950001', password: 'secret', realm: 'provider.test' }
+    });
+    const phone = new SipEndpoint({ rtpPort: 41000 });
+    let server;
+    let cseq = 0;
+
+    // Запрос телефона 100 к серверу
+    const phoneRequest = (method, uri, headers, body = '') => SipMessage.createRequest(method, uri, {
+        'Via': `SIP/2.0/UDP 127.0.0.1:${phone.port};branch=z9hG4bK${Date.now().toString(16)}${++cseq}`,
+        'Max-Forwards': '70',
+        'From': '<sip:100@127.0.0.1>;tag=phone100',
+        'Contact': `<sip:100@127.0.0.1:${phone.port}>`,
+        ...headers
+    }, body);
+
+    const placeCall = (callId) => {
+        const invite = phoneRequest('INVITE', 'sip:912345@127.0.0.1', {
+            'To': '<sip:912345@127.0.0.1>',
+            'Call-ID': callId,
+            'CSeq': '1 INVITE',
+            'Content-Type': 'application/sdp'
+        }, phone.createSdp());
+        phone.send(invite, SIP_PORT);
+    };
+
+    const isFinalResponse = (callId) => (message) =>
+        !message.isRequest && message.statusCode >= 200 && message.getCallId() === callId;
+
+    before(async () => {
+        await provider.start();
+        await phone.start();
+
+        fs.writeFileSync(path.join(directory, 'trunks.json'), JSON.stringify([{
+            name: 'provider',
+            host: '127.0.0.2',
+            port: provider.port,
+            username: '74950001',
+            password: 'secret',
+            expires: 300
+        }]));
+        fs.writeFileSync(path.join(directory, 'dialplan.json'), JSON.stringify([
+            { id: 'outbound', match: 'prefix', pattern: '9', action: 'trunk', target: 'provider', strip: 1 }
+        ]));
+
+        server = spawn(process.execPath, ['server.js'], {
+            cwd: path.join(__dirname, '..'),
+            stdio: 'ignore',
+            env: {
+                ...process.env,
+                NODE_ENV: 'test',
+                SIP_PORT: String(SIP_PORT),
+                SIP_HOST: '127.0.0.1',
+                SIP_TCP_ENABLED: 'false',
+                SIP_WS_ENABLED: 'false',
+                SERVER_ADDRESS: '127.0.0.1',
+                API_PORT: String(API_PORT),
+                API_HOST: '127.0.0.1',
+                RTP_PORT: '24000',
+                RTP_HOST: '127.0.0.1',
+                ENABLE_AUTH: 'false',
+                QUALIFY_ENABLED: 'false',
+                VOICEMAIL_ENABLED: 'false',
+                LOG_LEVEL: 'error',
+                LOG_FILE: path.join(directory, 'sip-server.log'),
+                SIP_TIMER_T1: String(T1),
+                SIP_TIMER_T2: String(T2),
+                TRUNK_CONFIG_FILE: path.join(directory, 'trunks.json'),
+                DIAL_PLAN_FILE: path.join(directory, 'dialplan.json')
+            }
+        });
+
+        const register = phoneRequest('REGISTER', 'sip:127.0.0.1', {
+            'To': '<sip:100@127.0.0.1>',
+            'Call-ID': 'register-100@127.0.0.1',
+            'CSeq': '1 REGISTER',
+            'Expires': '3600'
+        });
+        // Сервер готов, когда линия начала регистрацию
+        assert.ok(await provider.waitFor(message => message.method === 'REGISTER', 5000), 'trunk REGISTER expected');
+        phone.send(register, SIP_PORT);
+        const registered = await phone.waitFor(message => message.getCallId() === 'register-100@127.0.0.1');
+        assert.strictEqual(registered && registered.statusCode, 200);
+    });
+
+    after(async () => {
+        if (server) {
+            const exited = new Promise(resolve => server.once('exit', resolve));
+            server.kill();
+            await exited;
+        }
+        await provider.stop();
+        await phone.stop();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('registers the trunk by answering the provider digest challenge', async () => {
+        const authenticated = await provider.waitFor(message => message.method === 'REGISTER' && message.authenticated);
+        assert.ok(authenticated, 'REGISTER with valid Authorization expected');
+
+        let trunk;
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const trunks = await (await fetch(`http://127.0.0.1:${API_PORT}/api/trunks`)).json();
+            trunk = trunks.find(item => item.name === 'provider');
+            if (trunk.registration.state === 'registered') {
+                break;
+            }
+            await sleep(50);
+        }
+        assert.strictEqual(trunk.registration.state, 'registered');
+    });
+
+    it('retransmits 200 OK to the caller until ACK and relays BYE to the provider', async () => {
+        const callId = 'trunk-call-1@127.0.0.1';
+        placeCall(callId);
+
+        const challenged = await provider.waitFor(message => message.method === 'INVITE' && !message.authenticated);
+        assert.ok(challenged, 'INVITE without credentials expected');
+        const invite = await provider.waitFor(message => message.method === 'INVITE' && message.authenticated);
+        assert.ok(invite, 'INVITE with valid Proxy-Authorization expected');
+        assert.strictEqual(SipMessage.parseUri(invite.uri).user, '12345');
+
+        const answer = await phone.waitFor(isFinalResponse(callId));
+        assert.strictEqual(answer && answer.statusCode, 200);
+        const retransmission = await phone.waitFor(isFinalResponse(callId), 4 * T1);
+        assert.ok(retransmission, '200 OK retransmission expected before ACK');
+        assert.strictEqual(retransmission.getHeader('To'), answer.getHeader('To'));
+
+        const dialog = {
+            'To': answer.getHeader('To'),
+            'Call-ID': callId
+        };
+        const contact = SipMessage.parseNameAddr(answer.getHeader('Contact'));
+        phone.send(phoneRequest('ACK', SipMessage.formatUri(contact.uri), { ...dialog, 'CSeq': '1 ACK' }), SIP_PORT);
+        await sleep(T2);
+        phone.queue.length = 0;
+        assert.strictEqual(await phone.waitFor(isFinalResponse(callId), 3 * T2), null, 'no retransmissions after ACK');
+
+        phone.send(phoneRequest('BYE', SipMessage.formatUri(contact.uri), { ...dialog, 'CSeq': '2 BYE' }), SIP_PORT);
+        const byeResponse = await phone.waitFor(message => !message.isRequest && message.getCSeq().method === 'BYE');
+        assert.strictEqual(byeResponse && byeResponse.statusCode, 200);
+        assert.ok(await provider.waitFor(message => message.method === 'BYE'), 'BYE to the provider expected');
+    });
+
+    it('relays re-INVITE in both directions with SDP through the RTP proxy', async () => {
+        const callId = 'trunk-call-3@127.0.0.1';
+        provider.queue.length = 0;
+        placeCall(callId);
+
+        const answer = await phone.waitFor(isFinalResponse(callId));
+        assert.strictEqual(answer && answer.statusCode, 200);
+        const dialog = { 'To': answer.getHeader('To'), 'Call-ID': callId };
+        const target = SipMessage.formatUri(SipMessage.parseNameAddr(answer.getHeader('Contact')).uri);
+        phone.send(phoneRequest('ACK', target, { ...dialog, 'CSeq': '1 ACK' }), SIP_PORT);
+        const legAck = await provider.waitFor(message => message.method === 'ACK');
+        assert.ok(legAck, 'ACK to the provider expected');
+        const legCallId = legAck.getCallId();
+
+        // Удержание телефоном: провайдер получает re-INVITE от сервера (после своего запроса аутентификации)
+        phone.send(phoneRequest('INVITE', target, {
+            ...dialog,
+            'CSeq': '2 INVITE',
+            'Content-Type': 'application/sdp'
+        }, phone.createSdp(41002).replace('a=sendrecv', 'a=sendonly')), SIP_PORT);
+        const reinvite = await provider.waitFor(message => message.method === 'INVITE' && message.authenticated && message.getTo().params.tag);
+        assert.ok(reinvite, 're-INVITE with valid Proxy-Authorization expected');
+        assert.strictEqual(reinvite.getCallId(), legCallId);
+        assert.match(reinvite.body, /c=IN IP4 127\.0\.0\.1/);
+        assert.match(reinvite.body, /a=sendonly/);
+        assert.doesNotMatch(reinvite.body, /m=audio 41002 /);
+
+        const holdAnswer = await phone.waitFor(message => isFinalResponse(callId)(message) && message.getCSeq().number === 2);
+        assert.strictEqual(holdAnswer && holdAnswer.statusCode, 200);
+        assert.match(holdAnswer.body, /c=IN IP4 127\.0\.0\.1/);
+        assert.ok(await provider.waitFor(message => message.method === 'ACK' && message.getCSeq().number === reinvite.getCSeq().number),
+            'ACK for the re-INVITE expected');
+        phone.send(phoneRequest('ACK', target, { ...dialog, 'CSeq': '2 ACK' }), SIP_PORT);
+
+        const findCall = async () => (await (await fetch(`http://127.0.0.1:${API_PORT}/api/calls`)).json())
+            .find(call => call.callId === callId);
+        assert.strictEqual((await findCall()).state, 'HELD');
+
+        // Снятие с удержания провайдером: re-INVITE в диалоге плеча сервер передает телефону
+        provider.send(SipMessage.createRequest('INVITE', `sip:74950001@127.0.0.1:${SIP_PORT}`, {
+            'Via': `SIP/2.0/UDP 127.0.0.2:${provider.port};branch=z9hG4bKresume${Date.now().toString(16)}`,
+            'Max-Forwards': '70',
+            'From': legAck.getHeader('To'),
+            'To': legAck.getHeader('From'),
+            'Call-ID': legCallId,
+            'CSeq': '1 INVITE',
+            'Contact': `<sip:uas@127.0.0.2:${provider.port}>`,
+            'Content-Type': 'application/sdp'
+        }, provider.createSdp(40002)), SIP_PORT);
+
+        const resume = await phone.waitFor(message => message.method === 'INVITE' && message.getCallId() === callId);
+        assert.ok(resume, 're-INVITE to the phone expected');
+        assert.doesNotMatch(resume.body, /m=audio 40002 /);
+        phone.send(resume.createResponse(200, 'OK', {
+            'Contact': `<sip:100@127.0.0.1:${phone.port}>`,
+            'Content-Type': 'application/sdp'
+        }, phone.createSdp(41004)), resume.rinfo.port);
+
+        const resumeAnswer = await provider.waitFor(message => !message.isRequest && message.getCallId() === legCallId);
+        assert.strictEqual(resumeAnswer && resumeAnswer.statusCode, 200);
+        assert.match(resumeAnswer.body, /c=IN IP4 127\.0\.0\.1/);
+        assert.ok(await phone.waitFor(message => message.method === 'ACK' && message.getCallId() === callId), 'ACK to the phone expected');
+        assert.strictEqual((await findCall()).state, 'ESTABLISHED');
+
+        phone.send(phoneRequest('BYE', target, { ...dialog, 'CSeq': '3 BYE' }), SIP_PORT);
+        assert.ok(await provider.waitFor(message => message.method === 'BYE'), 'BYE to the provider expected');
+    });
+
+    it('hangs up both dialogs when the caller never acknowledges 200 OK', async () => {
+        const callId = 'trunk-call-2@127.0.0.1';
+        placeCall(callId);
+
+        const answer = await phone.waitFor(message => isFinalResponse(callId)(message));
+        assert.strictEqual(answer && answer.statusCode, 200);
+
+        const bye = await phone.waitFor(message => message.method === 'BYE' && message.getCallId() === callId, 64 * T1 + 1000);
+        assert.ok(bye, 'BYE to the caller expected after 64*T1');
+        assert.ok(await provider.waitFor(message => message.method === 'BYE'), 'BYE to the provider expected');
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const SipMessage = require('../utils/sip-message');
+const UserManager = require('../utils/user-manager');
+
+const createUserManager = () => new UserManager({
+    security: { extensionPasswords: [], defaultPassword: null },
+    registrar: { maxContacts: 5, defaultExpires: 3600, minExpires: 60, maxExpires: 7200 },
+    timeouts: { cleanup: 60000 },
+    validExtensions: new Set(['100', '101'])
+});
+
+// Данные REGISTER в виде, который processRegister получает от handleRegister
+const createRegister = (contacts, { expires = null, callId = 'reg-1@10.0.0.1', cseq = 1 } = {}) => {
+    const message = SipMessage.createRequest('REGISTER', 'sip:example.com', { 'Contact': contacts });
+    return {
+        contacts: message.getContacts(),
+        expires,
+        callId,
+        cseq,
+        address: '10.0.0.1',
+        port: 5060,
+        transport: 'UDP',
+        connection: null
+    };
+};
+
+const summary = (bindings) => bindings.map(binding => [binding.uri, binding.expires]);
+
+describe('UserManager.processRegister', () => {
+    let userManager;
+
+    beforeEach(() => {
+        userManager = createUserManager();
+    });
+
+    it('takes expires from the Contact parameter, then the Expires header, then the default', () => {
+        const result = userManager.processRegister('100', createRegister([
+            '<sip:100@10.0.0.1:5060>;expires=120',
+            '<sip:100@10.0.0.1:5062>',
+            '<sip:100@10.0.0.1:5064>;expires=99999'
+        ], { expires: '300' }));
+
+        assert.strictEqual(result.statusCode, 200);
+        assert.deepStrictEqual(summary(result.bindings).sort(), [
+            ['sip:100@10.0.0.1:5060', 120],
+            ['sip:100@10.0.0.1:5062', 300],
+            ['sip:100@10.0.0.1:5064', 7200]
+        ]);
+
+        const withDefault = createUserManager().processRegister('101', createRegister(['<sip:101@10.0.0.2>']));
+        assert.deepStrictEqual(summary(withDefault.bindings), [['sip:101@10.0.0.2', 3600]]);
+    });
+
+    it('answers 423 with Min-Expires and applies nothing when any contact is too brief', () => {
+        const result = userManager.processRegister('100', createRegister([
+            '<sip:100@10.0.0.1:5060>;expires=600',
+            '<sip:100@10.0.0.1:5062>;expires=30'
+        ]));
+
+        assert.strictEqual(result.statusCode, 423);
+        assert.strictEqual(result.minExpires, 60);
+        assert.deepStrictEqual(userManager.getBindings('100'), []);
+    });
+
+    it('removes one binding with expires=0 and all bindings with the wildcard', () => {
+        userManager.processRegister('100', createRegister(['<sip:100@10.0.0.1:5060>', '<sip:100@10.0.0.1:5062>']));
+
+        const removed = userManager.processRegister('100', createRegister(['<sip:100@10.0.0.1:5060>;expires=0'], { cseq: 2 }));
+        assert.deepStrictEqual(summary(removed.bindings), [['sip:100@10.0.0.1:5062', 3600]]);
+
+        const cleared = userManager.processRegister('100', createRegister(['*'], { expires: '0', cseq: 3 }));
+        assert.deepStrictEqual(cleared, { statusCode: 200, reasonPhrase: 'OK', bindings: [] });
+        assert.strictEqual(userManager.isUserRegistered('100'), false);
+    });
+
+    it('lists current bindings without changing them when Contact is absent', () => {
+        userManager.processRegister('100', createRegister(['<sip:100@10.0.0.1:5060>']));
+
+        const result = userManager.processRegister('100', createRegister([], { cseq: 2 }));
+        assert.strictEqual(result.statusCode, 200);
+        assert.deepStrictEqual(summary(result.bindings), [['sip:100@10.0.0.1:5060', 3600]]);
+    });
+
+    it('rejects an out-of-order REGISTER from the same Call-ID', () => {
+        userManager.processRegister('100', createRegister(['<sip:100@10.0.0.1:5060>;expires=600'], { cseq: 5 }));
+
+        const stale = userManager.processRegister('100', createRegister(['<sip:100@10.0.0.1:5060>;expires=0'], { cseq: 4 }));
+        assert.strictEqual(stale.statusCode, 500);
+        assert.deepStrictEqual(summary(userManager.getBindings('100')), [['sip:100@10.0.0.1:5060', 600]]);
+
+        const staleWildcard = userManager.processRegister('100', createRegister(['*'], { expires: '0', cseq: 5 }));
+        assert.strictEqual(staleWildcard.statusCode, 500);
+
+        // Другой Call-ID (например, после перезагрузки телефона) начинает свою последовательность CSeq
+        const rebooted = userManager.processRegister('100', createRegister(['<sip:100@10.0.0.1:5060>'], { callId: 'reg-2@10.0.0.1', cseq: 1 }));
+        assert.strictEqual(rebooted.statusCode, 200);
+    });
+
+    it('orders bindings by q and keys them by +sip.instance', () => {
+        userManager.processRegister('100', createRegister([
+            '<sip:100@10.0.0.1:5060>;q=0.5',
+            '<sip:100@10.0.0.3:5060>;q=0.9;+sip.instance="<urn:uuid:desk>"'
+        ]));
+        // Устройство с тем же instance ID сменило адрес: привязка обновляется, а не добавляется
+        userManager.processRegister('100', createRegister(['<sip:100@10.0.0.4:5060>;q=0.9;+sip.instance="<urn:uuid:desk>"'], { cseq: 2 }));
+
+        assert.deepStrictEqual(userManager.getBindings('100').map(binding => [binding.uri, binding.q]), [
+            ['sip:100@10.0.0.4:5060', 0.9],
+            ['sip:100@10.0.0.1:5060', 0.5]
+        ]);
+    });
+});
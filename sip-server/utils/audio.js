@@ -0,0 +1,207 @@
+// Работа со звуком: G.711 (RFC 3551: PCMU/PCMA, 8 кГц моно) и WAV-файлы
+const SAMPLE_RATE = 8000;
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+const ALAW_SEGMENT_END = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+
+// Коды формата WAV: 1 - 16-битный PCM, 6 - A-law, 7 - mu-law
+const WAV_FORMATS = { PCM: 1, PCMA: 6, PCMU: 7 };
+
+function linearToMulaw(sample) {
+    const sign = sample < 0 ? 0x80 : 0;
+    let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0F;
+    return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+function mulawToLinear(value) {
+    const inverted = ~value & 0xFF;
+    const exponent = (inverted >> 4) & 0x07;
+    const magnitude = ((((inverted & 0x0F) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+    return inverted & 0x80 ? -magnitude : magnitude;
+}
+
+function linearToAlaw(sample) {
+    let value = sample >> 3;
+    let mask = 0xD5;
+    if (value < 0) {
+        mask = 0x55;
+        value = -value - 1;
+    }
+
+    const segment = ALAW_SEGMENT_END.findIndex(end => value <= end);
+    if (segment === -1) {
+        return 0x7F ^ mask;
+    }
+    const mantissa = segment < 2 ? (value >> 1) & 0x0F : (value >> segment) & 0x0F;
+    return ((segment << 4) | mantissa) ^ mask;
+}
+
+function alawToLinear(value) {
+    const toggled = value ^ 0x55;
+    const segment = (toggled & 0x70) >> 4;
+    let magnitude = ((toggled & 0x0F) << 4) + (segment === 0 ? 8 : 0x108);
+    if (segment > 1) {
+        magnitude <<= segment - 1;
+    }
+    return toggled & 0x80 ? magnitude : -magnitude;
+}
+
+// Таблицы декодирования: 256 значений на кодек
+const MULAW_TABLE = Int16Array.from({ length: 256 }, (item, index) => mulawToLinear(index));
+const ALAW_TABLE = Int16Array.from({ length: 256 }, (item, index) => alawToLinear(index));
+
+// Кодеки G.711 со статическими payload type (RFC 3551)
+const CODECS = {
+    PCMU: { payloadType: 0, encodeSample: linearToMulaw, table: MULAW_TABLE },
+    PCMA: { payloadType: 8, encodeSample: linearToAlaw, table: ALAW_TABLE }
+};
+
+function getCodecByPayloadType(payloadType) {
+    return Object.keys(CODECS).find(name => CODECS[name].payloadType === payloadType) || null;
+}
+
+// Int16Array (линейный PCM) -> Buffer в кодеке codec
+function encode(samples, codec) {
+    const { encodeSample } = CODECS[codec];
+    const encoded = Buffer.alloc(samples.length);
+    for (let index = 0; index < samples.length; index++) {
+        encoded[index] = encodeSample(samples[index]);
+    }
+    return encoded;
+}
+
+// Buffer в кодеке codec -> Int16Array
+function decode(encoded, codec) {
+    const { table } = CODECS[codec];
+    const samples = new Int16Array(encoded.length);
+    for (let index = 0; index < encoded.length; index++) {
+        samples[index] = table[encoded[index]];
+    }
+    return samples;
+}
+
+// Синусоидальный тон заданной длительности
+function generateTone(frequency, durationMs, amplitude = 8000) {
+    const samples = new Int16Array(Math.round(SAMPLE_RATE * durationMs / 1000));
+    for (let index = 0; index < samples.length; index++) {
+        samples[index] = Math.round(amplitude * Math.sin(2 * Math.PI * frequency * index / SAMPLE_RATE));
+    }
+    return samples;
+}
+
+function generateSilence(durationMs) {
+    return new Int16Array(Math.round(SAMPLE_RATE * durationMs / 1000));
+}
+
+// Склейка нескольких фрагментов Int16Array
+function concatSamples(parts) {
+    const result = new Int16Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+// WAV-файл с G.711 без перекодирования (формат 6/7, 8 бит, 8 кГц моно)
+function createWav(encoded, codec) {
+    const fmt = Buffer.alloc(26);
+    fmt.write('fmt ', 0);
+    fmt.writeUInt32LE(18, 4);
+    fmt.writeUInt16LE(WAV_FORMATS[codec], 8);
+    fmt.writeUInt16LE(1, 10);
+    fmt.writeUInt32LE(SAMPLE_RATE, 12);
+    fmt.writeUInt32LE(SAMPLE_RATE, 16);
+    fmt.writeUInt16LE(1, 20);
+    fmt.writeUInt16LE(8, 22);
+    fmt.writeUInt16LE(0, 24);
+
+    // Для сжатых форматов обязателен блок fact с числом отсчетов
+    const fact = Buffer.alloc(12);
+    fact.write('fact', 0);
+    fact.writeUInt32LE(4, 4);
+    fact.writeUInt32LE(encoded.length, 8);
+
+    const dataHeader = Buffer.alloc(8);
+    dataHeader.write('data', 0);
+    dataHeader.writeUInt32LE(encoded.length, 4);
+    const padding = encoded.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0);
+
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(4 + fmt.length + fact.length + dataHeader.length + encoded.length + padding.length, 4);
+    header.write('WAVE', 8);
+
+    return Buffer.concat([header, fmt, fact, dataHeader, encoded, padding]);
+}
+
+// Чтение WAV: поддерживаются 16-битный PCM, A-law и mu-law, 8 кГц моно
+// Возвращает отсчеты Int16Array; при неподдерживаемом формате бросает Error
+function readWav(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const chunkId = buffer.toString('ascii', offset, offset + 4);
+        const chunkSize = buffer.readUInt32LE(offset + 4);
+        const chunkStart = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            format = {
+                code: buffer.readUInt16LE(chunkStart),
+                channels: buffer.readUInt16LE(chunkStart + 2),
+                sampleRate: buffer.readUInt32LE(chunkStart + 4),
+                bitsPerSample: buffer.readUInt16LE(chunkStart + 14)
+            };
+        } else if (chunkId === 'data') {
+            if (!format) {
+                throw new Error('WAV data chunk before fmt chunk');
+            }
+            if (format.channels !== 1 || format.sampleRate !== SAMPLE_RATE) {
+                throw new Error(`Unsupported WAV layout: ${format.channels} channels, ${format.sampleRate} Hz (need mono ${SAMPLE_RATE} Hz)`);
+            }
+
+            const data = buffer.subarray(chunkStart, Math.min(chunkStart + chunkSize, buffer.length));
+            if (format.code === WAV_FORMATS.PCMU) {
+                return decode(data, 'PCMU');
+            }
+            if (format.code === WAV_FORMATS.PCMA) {
+                return decode(data, 'PCMA');
+            }
+            if (format.code === WAV_FORMATS.PCM && format.bitsPerSample === 16) {
+                const samples = new Int16Array(Math.floor(data.length / 2));
+                for (let index = 0; index < samples.length; index++) {
+                    samples[index] = data.readInt16LE(index * 2);
+                }
+                return samples;
+            }
+            throw new Error(`Unsupported WAV format: ${format.code}/${format.bitsPerSample} bit`);
+        }
+
+        offset = chunkStart + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('WAV file has no data chunk');
+}
+
+module.exports = {
+    SAMPLE_RATE,
+    CODECS,
+    getCodecByPayloadType,
+    encode,
+    decode,
+    generateTone,
+    generateSilence,
+    concatSamples,
+    createWav,
+    readWav
+};
@@ -6,21 +6,25 @@ class CallManager {
         this.activeCalls = new Map();
         this.callHistory = [];
         this.maxHistorySize = 1000;
+        // Передачи вызовов: исходный Call-ID -> { newCallId, type, ... }
+        this.transferLinks = new Map();
         
         // Запускаем периодическую очистку
         this.startCleanupTimer();
     }
 
     // Создание нового звонка
-    createCall(callId, fromNumber, toNumber, fromAddress, fromPort, sdp = null) {
+    createCall(callId, fromNumber, toNumber, fromAddress, fromPort, sdp = null, fromTransport = 'UDP') {
         const callData = {
             callId,
             fromNumber,
             toNumber,
             fromAddress,
             fromPort,
+            fromTransport,
             toAddress: null,
             toPort: null,
+            toTransport: null,
             fromRtpPort: null,
             toRtpPort: null,
             sdp,
@@ -30,10 +34,24 @@ class CallManager {
             endTime: null,
             duration: 0,
             terminating: false,
+            disposition: null, // код SIP ответа, которым завершилась установка звонка
+            heldBy: null, // номер, поставивший звонок на удержание
+            mediaDirection: 'sendrecv',
             originalVia: null,
             originalFrom: null,
             originalTo: null,
             originalCSeq: null,
+            callerTag: null,
+            conversationId: callId, // при передаче вызова новый звонок продолжает разговор исходного
+            diversions: [], // переадресации звонка: { number, target, reason }
+            groupNumber: null, // номер группы вызова, если звонили в группу
+            dialedNumber: null, // номер, который набрал вызывающий, если план набора его изменил
+            trunk: null, // внешняя линия вызова (исходящего или входящего); trunkLeg - диалог сервера с провайдером исходящего вызова
+            trunkLeg: null,
+            externalCaller: false, // вызов с внешней линии: fromNumber - номер внешнего абонента, а не внутренний
+            application: null, // звонок, на который ответил сам сервер: voicemail - запись сообщения, voicemail-access - прослушивание, ivr - голосовое меню, conference - конференция, feature-code - код услуги
+            parkedSlot: null, // слот парковки и ожидающий в нем абонент (состояние PARKED)
+            parkedNumber: null,
             retryCount: 0,
             maxRetries: 3
         };
@@ -54,6 +72,11 @@ class CallManager {
         return this.activeCalls.get(callId);
     }
 
+    // Внутренний номер вызывающего; у вызова с внешней линии его нет, даже если внешний номер совпал с абонентом
+    getLocalCaller(call) {
+        return call.externalCaller ? null : call.fromNumber;
+    }
+
     // Обновление состояния звонка
     updateCallState(callId, state, additionalData = {}) {
         const call = this.activeCalls.get(callId);
@@ -79,7 +102,7 @@ class CallManager {
     }
 
     // Установка целевого абонента
-    setTarget(callId, toAddress, toPort) {
+    setTarget(callId, toAddress, toPort, toTransport = 'UDP') {
         const call = this.activeCalls.get(callId);
         if (!call) {
             return false;
@@ -87,12 +110,14 @@ class CallManager {
 
         call.toAddress = toAddress;
         call.toPort = toPort;
-        call.state = 'RINGING';
+        call.toTransport = toTransport;
+        call.state = 'CALLING';
 
         sipLogger.info(`Call target set`, {
             callId,
             toAddress,
             toPort,
+            toTransport,
             state: call.state
         });
 
@@ -127,6 +152,7 @@ class CallManager {
 
         call.state = 'ESTABLISHED';
         call.answerTime = new Date();
+        call.disposition = 200;
 
         sipLogger.info(`Call answered`, {
             callId,
@@ -139,13 +165,14 @@ class CallManager {
     }
 
     // Завершение звонка
-    endCall(callId, reason = 'NORMAL') {
+    // finalState - состояние, с которым звонок попадает в историю (TERMINATED, CANCELLED, TRANSFERRED)
+    endCall(callId, reason = 'NORMAL', finalState = 'TERMINATED') {
         const call = this.activeCalls.get(callId);
         if (!call) {
             return false;
         }
 
-        call.state = 'TERMINATED';
+        call.state = finalState;
         call.endTime = new Date();
         call.terminating = true;
         call.terminationReason = reason;
@@ -171,6 +198,80 @@ class CallManager {
         return call;
     }
 
+    // Отмена неотвеченного звонка (CANCEL от вызывающего)
+    cancelCall(callId) {
+        const call = this.activeCalls.get(callId);
+        if (call) {
+            call.disposition = 487;
+        }
+        return this.endCall(callId, 'CANCELLED', 'CANCELLED');
+    }
+
+    // Неуспешный звонок: финальный ответ 3xx-6xx на INVITE, код ответа попадает в историю
+    failCall(callId, statusCode, reason = 'REJECTED') {
+        const call = this.activeCalls.get(callId);
+        if (!call) {
+            return false;
+        }
+
+        call.disposition = statusCode;
+        return this.endCall(callId, reason, 'FAILED');
+    }
+
+    // Запись передачи вызова: исходный звонок продолжается новым
+    // details - { type, transferor, transferee, target }
+    recordTransfer(originalCallId, newCallId, details = {}) {
+        const originalCall = this.activeCalls.get(originalCallId);
+        const newCall = this.activeCalls.get(newCallId);
+        if (originalCall) {
+            originalCall.transferredTo = newCallId;
+        }
+        if (newCall) {
+            newCall.transferredFrom = originalCallId;
+            newCall.conversationId = originalCall ? originalCall.conversationId : originalCallId;
+        }
+
+        this.transferLinks.set(originalCallId, {
+            originalCallId,
+            newCallId,
+            ...details,
+            time: new Date()
+        });
+
+        // Ограничиваем число хранимых передач так же, как историю
+        if (this.transferLinks.size > this.maxHistorySize) {
+            this.transferLinks.delete(this.transferLinks.keys().next().value);
+        }
+
+        sipLogger.info(`Call transferred`, { originalCallId, newCallId, ...details });
+        return true;
+    }
+
+    // Цепочка передач, в которую входит звонок: от первого звонка до последнего
+    getTransferChain(callId) {
+        const previous = new Map();
+        for (const link of this.transferLinks.values()) {
+            previous.set(link.newCallId, link.originalCallId);
+        }
+
+        let rootCallId = callId;
+        const visited = new Set([rootCallId]);
+        while (previous.has(rootCallId) && !visited.has(previous.get(rootCallId))) {
+            rootCallId = previous.get(rootCallId);
+            visited.add(rootCallId);
+        }
+
+        const transfers = [];
+        let currentCallId = rootCallId;
+        while (this.transferLinks.has(currentCallId) && transfers.length < this.transferLinks.size) {
+            const link = this.transferLinks.get(currentCallId);
+            transfers.push(link);
+            currentCallId = link.newCallId;
+        }
+
+        return { rootCallId, transfers };
+    }
+
     // Добавление в историю звонков
     addToHistory(call) {
         this.callHistory.push({
@@ -195,13 +296,30 @@ class CallManager {
             answerTime: call.answerTime,
             duration: call.duration,
             fromAddress: call.fromAddress,
-            toAddress: call.toAddress
+            toAddress: call.toAddress,
+            fromTransport: call.fromTransport,
+            toTransport: call.toTransport,
+            heldBy: call.heldBy,
+            mediaDirection: call.mediaDirection,
+            conversationId: call.conversationId,
+            diversions: call.diversions,
+            groupNumber: call.groupNumber,
+            dialedNumber: call.dialedNumber,
+            trunk: call.trunk,
+            externalCaller: call.externalCaller,
+            application: call.application,
+            parkedSlot: call.parkedSlot,
+            parkedNumber: call.parkedNumber,
+            transferredFrom: call.transferredFrom,
+            transferredTo: call.transferredTo
         }));
     }
 
     // Получение истории звонков
-    getCallHistory(limit = 50, offset = 0) {
+    // conversationId - только звонки одного разговора (исходный звонок и все его передачи)
+    getCallHistory(limit = 50, offset = 0, conversationId = null) {
         return this.callHistory
+            .filter(call => !conversationId || call.conversationId === conversationId)
             .slice(offset, offset + limit)
             .map(call => ({
                 callId: call.callId,
@@ -212,7 +330,17 @@ class CallManager {
                 answerTime: call.answerTime,
                 endTime: call.endTime,
                 duration: call.duration,
-                terminationReason: call.terminationReason
+                terminationReason: call.terminationReason,
+                disposition: call.disposition,
+                conversationId: call.conversationId,
+                diversions: call.diversions,
+                groupNumber: call.groupNumber,
+                dialedNumber: call.dialedNumber,
+                trunk: call.trunk,
+                externalCaller: call.externalCaller,
+                application: call.application,
+                transferredFrom: call.transferredFrom,
+                transferredTo: call.transferredTo
             }));
     }
 
@@ -234,12 +362,21 @@ class CallManager {
             ? completedCalls.reduce((sum, call) => sum + call.duration, 0) / completedCalls.length 
             : 0;
 
+        // Неуспешные звонки по кодам ответа
+        const failedCalls = this.callHistory.filter(call => call.state === 'FAILED');
+        const dispositionStats = {};
+        for (const call of failedCalls) {
+            dispositionStats[call.disposition] = (dispositionStats[call.disposition] || 0) + 1;
+        }
+
         return {
             activeCalls,
             totalCalls,
             stateStats,
             averageDuration: Math.round(avgDuration),
             completedCalls: completedCalls.length,
+            failedCalls: failedCalls.length,
+            dispositionStats,
             serverUptime: process.uptime()
         };
     }
@@ -286,7 +423,7 @@ class CallManager {
         const calls = [];
         
         for (const [callId, call] of this.activeCalls.entries()) {
-            if (call.fromNumber === number || call.toNumber === number) {
+            if (this.getLocalCaller(call) === number || call.toNumber === number) {
                 calls.push({
                     callId,
                     fromNumber: call.fromNumber,
@@ -302,11 +439,33 @@ class CallManager {
         return calls;
     }
 
+    // Исходящий вызов через внешнюю линию по Call-ID плеча сервера к провайдеру
+    getCallByTrunkLeg(legCallId) {
+        return Array.from(this.activeCalls.values()).find(call => call.trunkLeg && call.trunkLeg.callId === legCallId) || null;
+    }
+
+    // Звонящие вызовы (RINGING), самые ранние первыми - кандидаты для перехвата
+    getRingingCalls() {
+        return Array.from(this.activeCalls.values())
+            .filter(call => call.state === 'RINGING' && !call.answerTime && !call.terminating)
+            .sort((first, second) => first.inviteTime - second.inviteTime);
+    }
+
     // Проверка, занят ли номер
     isNumberBusy(number) {
         for (const call of this.activeCalls.values()) {
-            if ((call.fromNumber === number || call.toNumber === number) && 
-                (call.state === 'RINGING' || call.state === 'ESTABLISHED')) {
+            // Припаркованный звонок занимает только ожидающего абонента: парковавший уже свободен
+            if (call.state === 'PARKED') {
+                if (call.parkedNumber === number) {
+                    return true;
+                }
+                continue;
+            }
+
+            // Звонок, на который ответил сервер (голосовая почта), занимает только вызывающего
+            const isCallParty = this.getLocalCaller(call) === number || (call.toNumber === number && !call.application);
+            if (isCallParty &&
+                ['CALLING', 'RINGING', 'ESTABLISHED', 'HELD'].includes(call.state)) {
                 return true;
             }
         }
@@ -318,6 +477,7 @@ class CallManager {
         const count = this.activeCalls.size;
         this.activeCalls.clear();
         this.callHistory = [];
+        this.transferLinks.clear();
         sipLogger.info(`All calls cleared`, { count });
     }
 }
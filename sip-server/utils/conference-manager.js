@@ -0,0 +1,102 @@
+const { sipLogger } = require('../logger');
+const audio = require('./audio');
+
+// Конференц-комнаты meet-me: номер комнаты из диапазона, вход по PIN (если задан), аудио смешивает rtpProxy
+class ConferenceManager {
+    constructor(config) {
+        this.config = config;
+        this.rooms = new Map(); // комната -> Map(Call-ID -> { callId, number, joinedAt, muted })
+    }
+
+    isRoom(number) {
+        const value = parseInt(number);
+        return /^\d+$/.test(number) && value >= this.config.conference.min && value <= this.config.conference.max;
+    }
+
+    isPinProtected(room) {
+        return this.config.conference.roomPins.has(room);
+    }
+
+    checkPin(room, pin) {
+        return !this.isPinProtected(room) || this.config.conference.roomPins.get(room) === pin;
+    }
+
+    isFull(room) {
+        return this.getParticipants(room).length >= this.config.conference.maxParticipants;
+    }
+
+    getParticipants(room) {
+        const participants = this.rooms.get(room);
+        return participants ? Array.from(participants.values()) : [];
+    }
+
+    getParticipant(room, callId) {
+        const participants = this.rooms.get(room);
+        return participants ? participants.get(callId) || null : null;
+    }
+
+    // Описание комнаты для API
+    getRoom(room) {
+        return {
+            room,
+            pinProtected: this.isPinProtected(room),
+            maxParticipants: this.config.conference.maxParticipants,
+            participants: this.getParticipants(room)
+        };
+    }
+
+    getAllRooms() {
+        const rooms = [];
+        for (let value = this.config.conference.min; value <= this.config.conference.max; value++) {
+            rooms.push(this.getRoom(value.toString()));
+        }
+        return rooms;
+    }
+
+    addParticipant(room, callId, number) {
+        if (!this.rooms.has(room)) {
+            this.rooms.set(room, new Map());
+        }
+        const participant = { callId, number, joinedAt: new Date().toISOString(), muted: false };
+        this.rooms.get(room).set(callId, participant);
+        sipLogger.info(`Conference participant joined`, { room, callId, number, participants: this.rooms.get(room).size });
+        return participant;
+    }
+
+    removeParticipant(room, callId) {
+        const participants = this.rooms.get(room);
+        if (!participants || !participants.delete(callId)) {
+            return false;
+        }
+        if (participants.size === 0) {
+            this.rooms.delete(room);
+        }
+        sipLogger.info(`Conference participant left`, { room, callId, participants: participants.size });
+        return true;
+    }
+
+    setMuted(room, callId, muted) {
+        const participant = this.getParticipant(room, callId);
+        if (!participant) {
+            return null;
+        }
+        participant.muted = muted;
+        return participant;
+    }
+
+    // Приглашение ввести PIN (завершается #)
+    getPinPrompt() {
+        return audio.concatSamples([audio.generateSilence(200), audio.generateTone(440, 200), audio.generateSilence(100), audio.generateTone(440, 200)]);
+    }
+
+    getInvalidPinTone() {
+        return audio.concatSamples([audio.generateSilence(200), audio.generateTone(480, 200), audio.generateTone(620, 200)]);
+    }
+
+    // Сигнал входа в комнату
+    getJoinTone() {
+        return audio.concatSamples([audio.generateSilence(200), audio.generateTone(660, 150), audio.generateTone(880, 150)]);
+    }
+}
+
+module.exports = ConferenceManager;
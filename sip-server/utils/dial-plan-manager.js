@@ -0,0 +1,249 @@
+const fs = require('fs');
+const { sipLogger } = require('../logger');
+
+// Виды шаблонов: exact - номер целиком, prefix - начало номера, regex - регулярное выражение,
+// pattern - шаблон в стиле Asterisk (_1XX: X - любая цифра, Z - 1-9, N - 2-9, [15-7] - набор, . - одна и более, ! - ноль и более)
+const MATCH_TYPES = ['exact', 'prefix', 'regex', 'pattern'];
+
+// Действия: extension - абонент, ringGroup - группа вызова, ivr - голосовое меню, voicemail - голосовая почта,
+// trunk - внешняя линия, reject - отказ с кодом statusCode
+const DIAL_PLAN_ACTIONS = ['extension', 'ringGroup', 'ivr', 'voicemail', 'trunk', 'reject'];
+const DIALED_DIGITS = /^[\d*#+]*$/;
+
+// Шаблон Asterisk -> регулярное выражение для номера целиком
+function compileDialPattern(pattern) {
+    let source = '';
+    const body = pattern.startsWith('_') ? pattern.substring(1) : pattern;
+    for (let index = 0; index < body.length; index++) {
+        const symbol = body[index].toUpperCase();
+        if (symbol === 'X') {
+            source += '\\d';
+        } else if (symbol === 'Z') {
+            source += '[1-9]';
+        } else if (symbol === 'N') {
+            source += '[2-9]';
+        } else if (symbol === '.') {
+            source += '[\\d*#]+';
+        } else if (symbol === '!') {
+            source += '[\\d*#]*';
+        } else if (symbol === '[') {
+            const closeIndex = body.indexOf(']', index);
+            const set = closeIndex > index ? body.substring(index + 1, closeIndex) : '';
+            if (!/^[\d-]+$/.test(set)) {
+                throw new Error(`Invalid character set in pattern ${pattern}`);
+            }
+            source += `[${set}]`;
+            index = closeIndex;
+        } else if (DIALED_DIGITS.test(symbol)) {
+            source += symbol.replace(/[*+]/g, '\\$&');
+        } else {
+            throw new Error(`Invalid symbol ${body[index]} in pattern ${pattern}`);
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+// План набора: упорядоченные правила, первое совпавшее правило определяет маршрут набранного номера
+// trunkManager нужен для проверки имени внешней линии в правилах trunk
+class DialPlanManager {
+    constructor(config, trunkManager) {
+        this.config = config;
+        this.trunkManager = trunkManager;
+        this.rules = []; // { id, description, match, pattern, action, target, strip, prepend, statusCode, reasonPhrase }
+        this.matchers = new Map(); // id правила -> функция проверки номера
+    }
+
+    getRules() {
+        return this.rules;
+    }
+
+    getRule(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    }
+
+    // Загрузка правил из JSON-файла (массив правил); при ошибке план набора остается пустым
+    loadFromFile(configFile) {
+        let definitions;
+        try {
+            definitions = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        } catch (error) {
+            sipLogger.error(`Dial plan read failed`, { configFile, error: error.message });
+            return;
+        }
+
+        const result = this.setRules(Array.isArray(definitions) ? definitions : [definitions]);
+        if (!result.valid) {
+            sipLogger.error(`Invalid dial plan ignored`, { configFile, error: result.error });
+        }
+    }
+
+    // Функция проверки номера по шаблону правила; исключение - шаблон некорректен
+    createMatcher(match, pattern) {
+        if (match === 'exact') {
+            return number => number === pattern;
+        }
+        if (match === 'prefix') {
+            return number => number.startsWith(pattern);
+        }
+        const expression = match === 'regex' ? new RegExp(pattern) : compileDialPattern(pattern);
+        return number => expression.test(number);
+    }
+
+    // Проверка правила; возвращает { valid, error, rule, matcher }
+    validateRule(data = {}, id) {
+        const label = `Rule ${id}`;
+        if (!MATCH_TYPES.includes(data.match)) {
+            return { valid: false, error: `${label}: match must be one of ${MATCH_TYPES.join(', ')}` };
+        }
+        const pattern = data.pattern !== undefined && data.pattern !== null ? String(data.pattern) : '';
+        if (!pattern) {
+            return { valid: false, error: `${label}: pattern is required` };
+        }
+
+        let matcher;
+        try {
+            matcher = this.createMatcher(data.match, pattern);
+        } catch (error) {
+            return { valid: false, error: `${label}: ${error.message}` };
+        }
+
+        if (!DIAL_PLAN_ACTIONS.includes(data.action)) {
+            return { valid: false, error: `${label}: action must be one of ${DIAL_PLAN_ACTIONS.join(', ')}` };
+        }
+
+        const target = data.target !== undefined && data.target !== null ? String(data.target) : null;
+        const targetError = this.validateTarget(data.action, target);
+        if (targetError) {
+            return { valid: false, error: `${label}: ${targetError}` };
+        }
+
+        const strip = data.strip !== undefined ? parseInt(data.strip) : 0;
+        if (isNaN(strip) || strip < 0 || strip > 20) {
+            return { valid: false, error: `${label}: strip must be a number between 0 and 20` };
+        }
+        const prepend = data.prepend !== undefined && data.prepend !== null ? String(data.prepend) : '';
+        if (!DIALED_DIGITS.test(prepend)) {
+            return { valid: false, error: `${label}: prepend may contain only digits, *, # and +` };
+        }
+
+        const rule = {
+            id,
+            description: data.description || '',
+            match: data.match,
+            pattern,
+            action: data.action,
+            target,
+            strip,
+            prepend
+        };
+        if (data.action === 'reject') {
+            const statusCode = data.statusCode !== undefined ? parseInt(data.statusCode) : 403;
+            if (isNaN(statusCode) || statusCode < 400 || statusCode > 699) {
+                return { valid: false, error: `${label}: statusCode must be a number between 400 and 699` };
+            }
+            rule.statusCode = statusCode;
+            rule.reasonPhrase = data.reasonPhrase ? String(data.reasonPhrase) : (statusCode === 403 ? 'Forbidden' : 'Rejected');
+        }
+
+        return { valid: true, rule, matcher };
+    }
+
+    // Цель правила (если задана) должна существовать в своем диапазоне; без цели используется преобразованный номер
+    validateTarget(action, target) {
+        if (action === 'trunk') {
+            if (!target) {
+                return 'trunk action requires target (trunk name)';
+            }
+            return this.trunkManager.getTrunk(target) ? null : `unknown trunk ${target}`;
+        }
+        if (!target || action === 'reject') {
+            return null;
+        }
+
+        const value = parseInt(target);
+        const inRange = (range) => /^\d+$/.test(target) && value >= range.min && value <= range.max;
+        if ((action === 'extension' || action === 'voicemail') && !this.config.validExtensions.has(target)) {
+            return `invalid extension ${target}`;
+        }
+        if (action === 'ringGroup' && !inRange(this.config.ringGroups)) {
+            return `invalid ring group number ${target}`;
+        }
+        if (action === 'ivr' && !inRange(this.config.ivr)) {
+            return `invalid IVR number ${target}`;
+        }
+        return null;
+    }
+
+    // Замена всего плана набора; порядок правил в массиве - порядок проверки
+    setRules(definitions) {
+        if (!Array.isArray(definitions)) {
+            return { valid: false, error: 'Dial plan must be an array of rules' };
+        }
+
+        const rules = [];
+        const matchers = new Map();
+        for (const [index, data] of definitions.entries()) {
+            const id = data && data.id !== undefined && data.id !== null ? String(data.id) : `rule-${index + 1}`;
+            if (matchers.has(id)) {
+                return { valid: false, error: `Duplicate rule id: ${id}` };
+            }
+            const validation = this.validateRule(data || {}, id);
+            if (!validation.valid) {
+                return validation;
+            }
+            rules.push(validation.rule);
+            matchers.set(id, validation.matcher);
+        }
+
+        this.rules = rules;
+        this.matchers = matchers;
+        sipLogger.info(`Dial plan updated`, { rules: rules.map(rule => rule.id).join(',') });
+        return { valid: true, rules };
+    }
+
+    // Добавление правила или замена правила с тем же id; position - место в плане (по умолчанию - прежнее или в конце)
+    saveRule(data = {}, position = null) {
+        const id = data.id !== undefined && data.id !== null ? String(data.id) : this.createRuleId();
+        const existingIndex = this.rules.findIndex(rule => rule.id === id);
+        const definitions = this.rules.filter(rule => rule.id !== id);
+        const index = position !== null
+            ? Math.max(0, Math.min(position, definitions.length))
+            : (existingIndex !== -1 ? existingIndex : definitions.length);
+        definitions.splice(index, 0, { ...data, id });
+
+        const result = this.setRules(definitions);
+        return result.valid ? { valid: true, rule: this.getRule(id) } : result;
+    }
+
+    createRuleId() {
+        let index = this.rules.length + 1;
+        while (this.rules.some(rule => rule.id === `rule-${index}`)) {
+            index++;
+        }
+        return `rule-${index}`;
+    }
+
+    deleteRule(id) {
+        const index = this.rules.findIndex(rule => rule.id === id);
+        if (index === -1) {
+            return false;
+        }
+        this.rules.splice(index, 1);
+        this.matchers.delete(id);
+        sipLogger.info(`Dial plan rule deleted`, { id });
+        return true;
+    }
+
+    // Маршрут набранного номера: { rule, number, action, target } по первому совпавшему правилу или null
+    // number - номер после отбрасывания strip цифр и добавления prepend; target - цель правила или этот номер
+    resolve(dialedNumber) {
+        const rule = this.rules.find(candidate => this.matchers.get(candidate.id)(dialedNumber));
+        if (!rule) {
+            return null;
+        }
+        const number = rule.prepend + dialedNumber.substring(rule.strip);
+        return { rule, number, action: rule.action, target: rule.target || number };
+    }
+}
+
+module.exports = DialPlanManager;
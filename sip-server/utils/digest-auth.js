@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const SipMessage = require('./sip-message');
+const { sipLogger } = require('../logger');
+
+// Поддерживаемые алгоритмы хеширования (RFC 2617 / RFC 8760)
+const HASH_ALGORITHMS = {
+    'MD5': 'md5',
+    'SHA-256': 'sha256'
+};
+
+class DigestAuth {
+    constructor(config) {
+        this.config = config;
+        this.realm = config.security.realm;
+        this.algorithm = config.security.authAlgorithm;
+        this.nonceTtl = config.security.nonceTtl * 1000;
+        this.usedNonces = new Map(); // nonce -> { lastNonceCount, expiresAt }; запись появляется при первом верном ответе
+
+        // Запускаем периодическую очистку
+        this.startCleanupTimer();
+    }
+
+    // Хеширование строки выбранным алгоритмом
+    hash(algorithm, value) {
+        const hashName = HASH_ALGORITHMS[algorithm] || HASH_ALGORITHMS['MD5'];
+        return crypto.createHash(hashName).update(value).digest('hex');
+    }
+
+    // Подпись nonce секретом сервера
+    signNonce(timestamp, salt) {
+        return crypto.createHmac('sha256', this.config.security.authSecret)
+            .update(`${timestamp}:${salt}`)
+            .digest('hex');
+    }
+
+    // Генерация nonce: время выдачи + случайная соль + подпись
+    // Выданный nonce не запоминается: подлинность проверяется подписью, поэтому запросы без ответа память не расходуют
+    generateNonce() {
+        const timestamp = Date.now().toString(16);
+        const salt = crypto.randomBytes(8).toString('hex');
+        return Buffer.from(`${timestamp}:${salt}:${this.signNonce(timestamp, salt)}`).toString('base64');
+    }
+
+    // Проверка подписи и срока действия nonce
+    checkNonce(nonce) {
+        const decoded = Buffer.from(nonce, 'base64').toString();
+        const [timestamp, salt, signature] = decoded.split(':');
+        if (!timestamp || !salt || !signature) {
+            return { valid: false, stale: false };
+        }
+
+        const expectedSignature = this.signNonce(timestamp, salt);
+        if (signature.length !== expectedSignature.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature))) {
+            return { valid: false, stale: false };
+        }
+
+        const issuedAt = parseInt(timestamp, 16);
+        if (isNaN(issuedAt) || Date.now() - issuedAt > this.nonceTtl) {
+            // Подпись верна, но nonce устарел - клиент может повторить запрос с новым nonce
+            return { valid: false, stale: true };
+        }
+
+        return { valid: true, stale: false, expiresAt: issuedAt + this.nonceTtl };
+    }
+
+    // Учет использованного nonce до конца его срока: lastNonceCount Infinity - одноразовый nonce без qop уже использован
+    markNonceUsed(nonce, nonceCount, expiresAt) {
+        this.usedNonces.set(nonce, { lastNonceCount: nonceCount, expiresAt });
+    }
+
+    // Формирование значения заголовка WWW-Authenticate / Proxy-Authenticate
+    createChallenge(stale = false) {
+        let challenge = `Digest realm="${this.realm}", nonce="${this.generateNonce()}", ` +
+            `algorithm=${this.algorithm}, qop="auth"`;
+
+        if (stale) {
+            challenge += ', stale=true';
+        }
+
+        return challenge;
+    }
+
+    // Разбор заголовка Authorization / Proxy-Authorization
+    parseAuthorization(header) {
+        if (!header || typeof header !== 'string') {
+            return null;
+        }
+
+        const schemeMatch = header.match(/^\s*Digest\s+(.*)$/i);
+        if (!schemeMatch) {
+            return null;
+        }
+
+        const params = {};
+        const paramPattern = /([a-zA-Z0-9_-]+)\s*=\s*(?:"([^"]*)"|([^\s,]+))/g;
+        let match;
+        while ((match = paramPattern.exec(schemeMatch[1])) !== null) {
+            params[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : match[3];
+        }
+
+        return params;
+    }
+
+    // Проверка учетных данных клиента
+    // requestUri - Request-URI запроса, с ним должен совпадать параметр uri ответа
+    // getPassword(username) должен вернуть пароль или null, если пользователь неизвестен
+    verify(header, method, requestUri, getPassword) {
+        const params = this.parseAuthorization(header);
+        if (!params) {
+            return { valid: false, reason: 'Missing or malformed credentials' };
+        }
+
+        const { username, realm, nonce, uri, response } = params;
+        if (!username || !realm || !nonce || !uri || !response) {
+            return { valid: false, username, reason: 'Incomplete credentials' };
+        }
+
+        if (realm !== this.realm) {
+            return { valid: false, username, reason: `Unknown realm: ${realm}` };
+        }
+
+        // Ответ, подсмотренный для другого Request-URI, не подходит (RFC 2617, 3.2.2.5); равнозначная запись URI допустима
+        if (uri !== requestUri && !SipMessage.uriEquals(uri, requestUri)) {
+            return { valid: false, username, reason: `Digest uri ${uri} does not match Request-URI` };
+        }
+
+        const algorithm = params.algorithm || 'MD5';
+        if (!HASH_ALGORITHMS[algorithm]) {
+            return { valid: false, username, reason: `Unsupported algorithm: ${algorithm}` };
+        }
+
+        const nonceCheck = this.checkNonce(nonce);
+        if (!nonceCheck.valid) {
+            return {
+                valid: false,
+                username,
+                stale: nonceCheck.stale,
+                reason: nonceCheck.stale ? 'Nonce expired' : 'Invalid nonce'
+            };
+        }
+
+        const password = getPassword(username);
+        if (password === null || password === undefined) {
+            return { valid: false, username, reason: 'Unknown user' };
+        }
+
+        const ha1 = this.hash(algorithm, `${username}:${realm}:${password}`);
+        const ha2 = this.hash(algorithm, `${method}:${uri}`);
+
+        let expectedResponse;
+        if (params.qop) {
+            if (params.qop !== 'auth' || !params.nc || !params.cnonce) {
+                return { valid: false, username, reason: 'Invalid qop parameters' };
+            }
+
+            // Защита от повторного использования: nonce-count должен строго возрастать
+            const nonceCount = parseInt(params.nc, 16);
+            const nonceState = this.usedNonces.get(nonce);
+            if (isNaN(nonceCount) || (nonceState && nonceCount <= nonceState.lastNonceCount)) {
+                return { valid: false, username, reason: 'Replayed nonce count' };
+            }
+
+            expectedResponse = this.hash(algorithm, `${ha1}:${nonce}:${params.nc}:${params.cnonce}:${params.qop}:${ha2}`);
+            if (expectedResponse === response.toLowerCase()) {
+                this.markNonceUsed(nonce, nonceCount, nonceCheck.expiresAt);
+            }
+        } else {
+            // Без qop (RFC 2069) nonce одноразовый
+            if (this.usedNonces.has(nonce)) {
+                return { valid: false, username, reason: 'Replayed nonce' };
+            }
+            expectedResponse = this.hash(algorithm, `${ha1}:${nonce}:${ha2}`);
+            if (expectedResponse === response.toLowerCase()) {
+                this.markNonceUsed(nonce, Infinity, nonceCheck.expiresAt);
+            }
+        }
+
+        if (expectedResponse !== response.toLowerCase()) {
+            return { valid: false, username, reason: 'Wrong password' };
+        }
+
+        return { valid: true, username };
+    }
+
+    // Ответ на запрос аутентификации вышестоящего сервера (WWW-Authenticate / Proxy-Authenticate) -
+    // значение Authorization / Proxy-Authorization; null, если схема или алгоритм не поддерживаются
+    // Каждый запрос отвечает на свежий nonce, поэтому nonce-count всегда 00000001
+    createAuthorization(challenge, method, uri, username, password) {
+        const params = this.parseAuthorization(challenge);
+        if (!params || !params.realm || !params.nonce) {
+            return null;
+        }
+
+        const algorithm = (params.algorithm || 'MD5').toUpperCase();
+        if (!HASH_ALGORITHMS[algorithm]) {
+            return null;
+        }
+
+        const ha1 = this.hash(algorithm, `${username}:${params.realm}:${password}`);
+        const ha2 = this.hash(algorithm, `${method}:${uri}`);
+        let authorization = `Digest username="${username}", realm="${params.realm}", nonce="${params.nonce}", ` +
+            `uri="${uri}", algorithm=${algorithm}`;
+
+        const qops = (params.qop || '').split(',').map(value => value.trim());
+        if (qops.includes('auth')) {
+            const nonceCount = '00000001';
+            const cnonce = crypto.randomBytes(8).toString('hex');
+            const response = this.hash(algorithm, `${ha1}:${params.nonce}:${nonceCount}:${cnonce}:auth:${ha2}`);
+            authorization += `, response="${response}", qop=auth, nc=${nonceCount}, cnonce="${cnonce}"`;
+        } else {
+            authorization += `, response="${this.hash(algorithm, `${ha1}:${params.nonce}:${ha2}`)}"`;
+        }
+
+        if (params.opaque) {
+            authorization += `, opaque="${params.opaque}"`;
+        }
+        return authorization;
+    }
+
+    // Очистка истекших nonce
+    cleanup() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const [nonce, state] of this.usedNonces.entries()) {
+            if (now > state.expiresAt) {
+                this.usedNonces.delete(nonce);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            sipLogger.debug(`Cleaned up ${removed} expired nonces`);
+        }
+    }
+
+    // Запуск таймера очистки; фоновая очистка не удерживает процесс (тесты, остановка сервера)
+    startCleanupTimer() {
+        setInterval(() => {
+            this.cleanup();
+        }, this.config.timeouts.cleanup).unref();
+    }
+}
+
+module.exports = DigestAuth;
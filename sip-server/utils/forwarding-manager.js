@@ -0,0 +1,124 @@
+const { sipLogger } = require('../logger');
+
+// Типы переадресации и причины для Diversion (RFC 5806) и History-Info (cause, RFC 4458)
+const FORWARDING_TYPES = ['unconditional', 'busy', 'noAnswer'];
+const DIVERSION_REASONS = {
+    unconditional: { reason: 'unconditional', cause: 302 },
+    busy: { reason: 'user-busy', cause: 486 },
+    noAnswer: { reason: 'no-answer', cause: 408 },
+    unavailable: { reason: 'unavailable', cause: 404 }
+};
+
+class ForwardingManager {
+    constructor(config) {
+        this.config = config;
+        this.rules = new Map(); // номер -> { unconditional, busy, noAnswer }
+    }
+
+    // Пустые правила: все виды переадресации выключены
+    createEmptyRules() {
+        return {
+            unconditional: { enabled: false, target: null },
+            busy: { enabled: false, target: null },
+            noAnswer: { enabled: false, target: null, timeout: this.config.forwarding.noAnswerTimeout }
+        };
+    }
+
+    // Правила переадресации абонента
+    getRules(number) {
+        return this.rules.get(number) || this.createEmptyRules();
+    }
+
+    // Установка правил; неуказанные виды переадресации выключаются
+    setRules(number, rules = {}) {
+        if (!this.config.validExtensions.has(number)) {
+            return { valid: false, error: `Invalid extension number: ${number}` };
+        }
+
+        const unknownTypes = Object.keys(rules).filter(type => !FORWARDING_TYPES.includes(type));
+        if (unknownTypes.length > 0) {
+            return { valid: false, error: `Unknown forwarding types: ${unknownTypes.join(', ')}` };
+        }
+
+        const newRules = this.createEmptyRules();
+        for (const type of FORWARDING_TYPES) {
+            const rule = rules[type];
+            if (!rule) {
+                continue;
+            }
+
+            const target = rule.target !== undefined && rule.target !== null ? String(rule.target) : null;
+            const enabled = rule.enabled !== undefined ? rule.enabled === true : target !== null;
+            if (enabled && !this.config.validExtensions.has(target)) {
+                return { valid: false, error: `Invalid ${type} forwarding target: ${target}` };
+            }
+            if (enabled && target === number) {
+                return { valid: false, error: `Cannot forward ${type} to the same extension` };
+            }
+
+            newRules[type] = { enabled, target };
+            if (type === 'noAnswer') {
+                const timeout = rule.timeout !== undefined ? parseInt(rule.timeout) : this.config.forwarding.noAnswerTimeout;
+                if (isNaN(timeout) || timeout < 5 || timeout > 300) {
+                    return { valid: false, error: 'No-answer timeout must be a number between 5 and 300 seconds' };
+                }
+                newRules.noAnswer.timeout = timeout;
+            }
+        }
+
+        this.rules.set(number, newRules);
+        sipLogger.info(`Forwarding rules updated`, {
+            number,
+            unconditional: newRules.unconditional.enabled ? newRules.unconditional.target : null,
+            busy: newRules.busy.enabled ? newRules.busy.target : null,
+            noAnswer: newRules.noAnswer.enabled ? newRules.noAnswer.target : null
+        });
+
+        return { valid: true, rules: newRules };
+    }
+
+    // Удаление всех правил абонента
+    clearRules(number) {
+        const removed = this.rules.delete(number);
+        if (removed) {
+            sipLogger.info(`Forwarding rules cleared`, { number });
+        }
+        return removed;
+    }
+
+    // Активное правило заданного вида или null
+    getActiveRule(number, type) {
+        const rules = this.rules.get(number);
+        const rule = rules ? rules[type] : null;
+        return rule && rule.enabled ? rule : null;
+    }
+
+    // Следующий номер переадресации
+    // condition - unconditional, busy, noAnswer или unavailable (не зарегистрирован/недоступен - по правилу noAnswer)
+    // diversions - уже выполненные переадресации [{ number, target, reason, cause }] для защиты от петель
+    getForwardTarget(number, condition, callerNumber, diversions = []) {
+        const rule = this.getActiveRule(number, condition === 'unavailable' ? 'noAnswer' : condition);
+        if (!rule) {
+            return { target: null };
+        }
+
+        if (diversions.length >= this.config.forwarding.maxHops) {
+            sipLogger.warn(`Forwarding hop limit reached`, { number, target: rule.target, hops: diversions.length });
+            return { target: null, loop: true };
+        }
+
+        // Петля: номер уже участвовал в цепочке или переадресация возвращает звонок вызывающему
+        const visited = new Set([callerNumber, ...diversions.map(item => item.number)]);
+        if (visited.has(rule.target) || rule.target === number) {
+            sipLogger.warn(`Forwarding loop detected`, { number, target: rule.target, callerNumber });
+            return { target: null, loop: true };
+        }
+
+        return {
+            target: rule.target,
+            diversion: { number, target: rule.target, ...DIVERSION_REASONS[condition] }
+        };
+    }
+}
+
+module.exports = ForwardingManager;
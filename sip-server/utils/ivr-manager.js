@@ -0,0 +1,222 @@
+const fs = require('fs');
+const { sipLogger } = require('../logger');
+const audio = require('./audio');
+
+// Действия пункта меню: dial - абонент, ringGroup - группа вызова, voicemail - голосовая почта,
+// menu - переход в другое меню, hangup - завершение звонка
+const IVR_ACTIONS = ['dial', 'ringGroup', 'voicemail', 'menu', 'hangup'];
+const DTMF_KEYS = /^[0-9*#]$/;
+
+class IvrManager {
+    constructor(config) {
+        this.config = config;
+        this.ivrs = new Map(); // номер -> { number, name, start, menus }
+        this.prompts = new Map(); // путь к WAV -> отсчеты Int16Array
+    }
+
+    // Номер из диапазона IVR (само меню может быть еще не создано)
+    isIvrNumber(number) {
+        const value = parseInt(number);
+        return /^\d+$/.test(number) && value >= this.config.ivr.min && value <= this.config.ivr.max;
+    }
+
+    getIvr(number) {
+        return this.ivrs.get(number) || null;
+    }
+
+    getAllIvrs() {
+        return Array.from(this.ivrs.values());
+    }
+
+    // Загрузка описаний из JSON-файла (массив IVR); некорректные описания пропускаются
+    loadFromFile(configFile) {
+        let definitions;
+        try {
+            definitions = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        } catch (error) {
+            sipLogger.error(`IVR config read failed`, { configFile, error: error.message });
+            return;
+        }
+
+        for (const definition of Array.isArray(definitions) ? definitions : [definitions]) {
+            const result = this.saveIvr(String(definition.number), definition);
+            if (!result.valid) {
+                sipLogger.error(`Invalid IVR definition skipped`, { configFile, number: definition.number, error: result.error });
+            }
+        }
+    }
+
+    // Проверка действия пункта меню (или действия после исчерпания попыток)
+    validateAction(action, menus, label) {
+        if (!action || !IVR_ACTIONS.includes(action.action)) {
+            return `${label}: action must be one of ${IVR_ACTIONS.join(', ')}`;
+        }
+
+        const target = action.target !== undefined && action.target !== null ? String(action.target) : null;
+        if ((action.action === 'dial' || action.action === 'voicemail') && !this.config.validExtensions.has(target)) {
+            return `${label}: invalid extension ${target}`;
+        }
+        if (action.action === 'ringGroup') {
+            const value = parseInt(target);
+            if (!/^\d+$/.test(target || '') || value < this.config.ringGroups.min || value > this.config.ringGroups.max) {
+                return `${label}: invalid ring group number ${target}`;
+            }
+        }
+        if (action.action === 'menu' && !menus[target]) {
+            return `${label}: unknown menu ${target}`;
+        }
+        if (action.action === 'dial' && action.timeout !== undefined) {
+            const timeout = parseInt(action.timeout);
+            if (isNaN(timeout) || timeout < 5 || timeout > 300) {
+                return `${label}: dial timeout must be a number between 5 and 300 seconds`;
+            }
+        }
+        return null;
+    }
+
+    // Проверка файла подсказки: WAV 8 кГц моно
+    validatePrompt(promptFile, label) {
+        if (promptFile === undefined || promptFile === null) {
+            return null;
+        }
+        try {
+            audio.readWav(fs.readFileSync(promptFile));
+            return null;
+        } catch (error) {
+            return `${label}: ${error.message}`;
+        }
+    }
+
+    // Проверка описания IVR; возвращает { valid, error, ivr }
+    validateIvr(number, data = {}) {
+        if (!this.isIvrNumber(number)) {
+            return { valid: false, error: `Invalid IVR number: ${number}. Valid range: ${this.config.ivr.min}-${this.config.ivr.max}` };
+        }
+
+        const menus = data.menus;
+        if (!menus || typeof menus !== 'object' || Array.isArray(menus) || Object.keys(menus).length === 0) {
+            return { valid: false, error: 'Menus must be a non-empty object: menu id -> menu' };
+        }
+
+        const start = data.start || 'main';
+        if (!menus[start]) {
+            return { valid: false, error: `Start menu not found: ${start}` };
+        }
+
+        const normalizedMenus = {};
+        for (const [menuId, menu] of Object.entries(menus)) {
+            if (!menu || typeof menu !== 'object') {
+                return { valid: false, error: `Menu ${menuId} must be an object` };
+            }
+            const options = menu.options || {};
+            const invalidKeys = Object.keys(options).filter(key => !DTMF_KEYS.test(key));
+            if (invalidKeys.length > 0) {
+                return { valid: false, error: `Menu ${menuId}: invalid keys ${invalidKeys.join(', ')}` };
+            }
+
+            const errors = [
+                this.validatePrompt(menu.prompt, `Menu ${menuId} prompt`),
+                this.validatePrompt(menu.invalidPrompt, `Menu ${menuId} invalidPrompt`),
+                ...Object.entries(options).map(([key, action]) => this.validateAction(action, menus, `Menu ${menuId} key ${key}`)),
+                menu.failureAction ? this.validateAction(menu.failureAction, menus, `Menu ${menuId} failureAction`) : null
+            ].filter(error => error);
+            if (errors.length > 0) {
+                return { valid: false, error: errors[0] };
+            }
+
+            const timeout = menu.timeout !== undefined ? parseInt(menu.timeout) : this.config.ivr.digitTimeout;
+            if (isNaN(timeout) || timeout < 1 || timeout > 60) {
+                return { valid: false, error: `Menu ${menuId}: timeout must be a number between 1 and 60 seconds` };
+            }
+            const maxRetries = menu.maxRetries !== undefined ? parseInt(menu.maxRetries) : this.config.ivr.maxRetries;
+            if (isNaN(maxRetries) || maxRetries < 0 || maxRetries > 10) {
+                return { valid: false, error: `Menu ${menuId}: maxRetries must be a number between 0 and 10` };
+            }
+
+            normalizedMenus[menuId] = {
+                prompt: menu.prompt || null,
+                invalidPrompt: menu.invalidPrompt || null,
+                timeout,
+                maxRetries,
+                options: Object.fromEntries(Object.entries(options).map(([key, action]) => [key, this.normalizeAction(action)])),
+                failureAction: menu.failureAction ? this.normalizeAction(menu.failureAction) : { action: 'hangup', target: null }
+            };
+        }
+
+        return {
+            valid: true,
+            ivr: {
+                number,
+                name: data.name || `IVR ${number}`,
+                start,
+                menus: normalizedMenus
+            }
+        };
+    }
+
+    normalizeAction(action) {
+        const normalized = {
+            action: action.action,
+            target: action.target !== undefined && action.target !== null ? String(action.target) : null
+        };
+        if (action.action === 'dial') {
+            normalized.timeout = action.timeout !== undefined ? parseInt(action.timeout) : this.config.forwarding.noAnswerTimeout;
+        }
+        return normalized;
+    }
+
+    // Создание или замена IVR
+    saveIvr(number, data) {
+        const validation = this.validateIvr(number, data);
+        if (!validation.valid) {
+            return validation;
+        }
+
+        this.ivrs.set(number, validation.ivr);
+        this.prompts.clear();
+        sipLogger.info(`IVR saved`, {
+            number,
+            start: validation.ivr.start,
+            menus: Object.keys(validation.ivr.menus).join(',')
+        });
+
+        return validation;
+    }
+
+    deleteIvr(number) {
+        const removed = this.ivrs.delete(number);
+        if (removed) {
+            sipLogger.info(`IVR deleted`, { number });
+        }
+        return removed;
+    }
+
+    // Отсчеты подсказки; без файла (или если файл испорчен) - короткий сигнал
+    getPrompt(promptFile) {
+        if (promptFile && this.prompts.has(promptFile)) {
+            return this.prompts.get(promptFile);
+        }
+        if (promptFile) {
+            try {
+                const samples = audio.readWav(fs.readFileSync(promptFile));
+                this.prompts.set(promptFile, samples);
+                return samples;
+            } catch (error) {
+                sipLogger.warn(`IVR prompt ignored`, { promptFile, error: error.message });
+            }
+        }
+        return audio.concatSamples([audio.generateSilence(200), audio.generateTone(425, 300)]);
+    }
+
+    // Сигнал ошибки ввода, если у меню нет своей подсказки invalidPrompt
+    getInvalidTone() {
+        return audio.concatSamples([audio.generateSilence(200), audio.generateTone(480, 200), audio.generateTone(620, 200)]);
+    }
+
+    // Один период сигнала контроля посылки вызова: 1 с тона, 4 с паузы
+    getRingbackTone() {
+        return audio.concatSamples([audio.generateTone(425, 1000), audio.generateSilence(4000)]);
+    }
+}
+
+module.exports = IvrManager;
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { rtpLogger } = require('../logger');
+const audio = require('./audio');
+
+// Один RTP-пакет G.711 - 20 мс (160 отсчетов при 8 кГц)
+const FRAME_SAMPLES = 160;
+const FRAME_INTERVAL = 20;
+const RTP_HEADER_SIZE = 12;
+
+// Очереди микшера конференции: не больше 10 кадров (200 мс), старые отбрасываются
+const MIX_QUEUE_FRAMES = 10;
+
+// Коды событий telephone-event (RFC 4733): 0-9, *, #, A-D
+const DTMF_EVENTS = '0123456789*#ABCD';
+
+// Медиа звонка, на который отвечает сам сервер (голосовая почта, IVR, конференция): воспроизведение и запись G.711
+// через порт rtpProxy, прием DTMF по RFC 2833/4733, обмен кадрами с микшером конференции
+class MediaSession {
+    constructor(rtpProxy, options) {
+        this.rtpProxy = rtpProxy;
+        this.callId = options.callId;
+        this.address = options.address;
+        this.port = options.port;
+        this.codec = options.codec;
+        this.payloadType = audio.CODECS[options.codec].payloadType;
+        this.telephoneEventPayloadType = options.telephoneEventPayloadType || null;
+        this.sequenceNumber = crypto.randomBytes(2).readUInt16BE(0);
+        this.timestamp = crypto.randomBytes(4).readUInt32BE(0);
+        this.ssrc = crypto.randomBytes(4).readUInt32BE(0);
+        this.silenceFrame = audio.encode(audio.generateSilence(FRAME_INTERVAL), options.codec);
+        this.playback = null; // { data, offset, onDone }
+        this.recording = null; // массив полезных нагрузок принятых пакетов
+        this.timer = null;
+        this.lastEventTimestamp = null; // RTP timestamp последнего принятого события DTMF
+        this.onDtmf = null; // обработчик нажатой клавиши: (digit) => {}
+        this.mixInput = null; // принятое аудио для микшера (Buffer в кодеке сессии), null - не в конференции
+        this.mixOutput = null; // кадры от микшера к отправке
+    }
+
+    start() {
+        this.rtpProxy.addEndpoint(this.callId, this.address, this.port, (packet) => this.handlePacket(packet));
+        this.timer = setInterval(() => this.sendFrame(), FRAME_INTERVAL);
+        rtpLogger.info(`Media session started`, {
+            callId: this.callId,
+            remote: `${this.address}:${this.port}`,
+            codec: this.codec
+        });
+    }
+
+    stop() {
+        if (!this.timer) {
+            return;
+        }
+        clearInterval(this.timer);
+        this.timer = null;
+        this.playback = null;
+        this.rtpProxy.removeEndpoint(this.callId);
+        rtpLogger.info(`Media session stopped`, { callId: this.callId });
+    }
+
+    // Воспроизведение отсчетов Int16Array; onDone вызывается после отправки последнего пакета
+    play(samples, onDone = null) {
+        this.playback = { data: audio.encode(samples, this.codec), offset: 0, onDone, marker: true };
+    }
+
+    // Прерывание воспроизведения (например, абонент нажал клавишу во время подсказки); onDone не вызывается
+    stopPlayback() {
+        this.playback = null;
+    }
+
+    startRecording() {
+        this.recording = [];
+    }
+
+    // Остановка записи; возвращает записанное аудио в кодеке сессии
+    stopRecording() {
+        const recorded = this.recording ? Buffer.concat(this.recording) : Buffer.alloc(0);
+        this.recording = null;
+        return recorded;
+    }
+
+    // Длительность текущей записи в секундах
+    getRecordedDuration() {
+        const bytes = this.recording ? this.recording.reduce((total, part) => total + part.length, 0) : 0;
+        return bytes / audio.SAMPLE_RATE;
+    }
+
+    // Подключение к микшеру конференции: принятое аудио копится в mixInput, вместо тишины отправляются кадры микшера
+    startMixing() {
+        this.mixInput = Buffer.alloc(0);
+        this.mixOutput = [];
+    }
+
+    stopMixing() {
+        this.mixInput = null;
+        this.mixOutput = null;
+    }
+
+    // Очередной кадр 20 мс принятого аудио для микшера или null, если данных нет
+    readMixFrame() {
+        if (!this.mixInput || this.mixInput.length < FRAME_SAMPLES) {
+            return null;
+        }
+        const frame = this.mixInput.subarray(0, FRAME_SAMPLES);
+        this.mixInput = this.mixInput.subarray(FRAME_SAMPLES);
+        return frame;
+    }
+
+    // Кадр микшера в кодеке сессии
+    writeMixFrame(frame) {
+        if (!this.mixOutput) {
+            return;
+        }
+        this.mixOutput.push(frame);
+        if (this.mixOutput.length > MIX_QUEUE_FRAMES) {
+            this.mixOutput.shift();
+        }
+    }
+
+    // Разбор входящего RTP (RFC 3550): пропускаем CSRC, расширение заголовка и padding
+    handlePacket(packet) {
+        if (packet.length < RTP_HEADER_SIZE || (packet[0] >> 6) !== 2) {
+            return;
+        }
+
+        const payloadType = packet[1] & 0x7F;
+        let payloadStart = RTP_HEADER_SIZE + (packet[0] & 0x0F) * 4;
+        if (packet[0] & 0x10) {
+            if (packet.length < payloadStart + 4) {
+                return;
+            }
+            payloadStart += 4 + packet.readUInt16BE(payloadStart + 2) * 4;
+        }
+        const payloadEnd = packet[0] & 0x20 ? packet.length - packet[packet.length - 1] : packet.length;
+        if (payloadStart >= payloadEnd) {
+            return;
+        }
+
+        if (payloadType === this.payloadType) {
+            const payload = packet.subarray(payloadStart, payloadEnd);
+            if (this.recording) {
+                this.recording.push(Buffer.from(payload));
+            }
+            if (this.mixInput) {
+                // Пакеты могут быть длиннее 20 мс: микшер забирает аудио кадрами по FRAME_SAMPLES
+                const mixInput = Buffer.concat([this.mixInput, payload]);
+                this.mixInput = mixInput.subarray(Math.max(0, mixInput.length - FRAME_SAMPLES * MIX_QUEUE_FRAMES));
+            }
+        } else if (payloadType === this.telephoneEventPayloadType) {
+            this.handleTelephoneEvent(packet.readUInt32BE(4), packet.subarray(payloadStart, payloadEnd));
+        }
+    }
+
+    // Событие DTMF (RFC 4733): все пакеты одного нажатия имеют одинаковый timestamp,
+    // клавиша сообщается один раз - по первому пакету с битом End
+    handleTelephoneEvent(timestamp, payload) {
+        if (payload.length < 4 || !(payload[1] & 0x80) || timestamp === this.lastEventTimestamp) {
+            return;
+        }
+        this.lastEventTimestamp = timestamp;
+
+        const digit = DTMF_EVENTS[payload[0]];
+        rtpLogger.debug(`DTMF received`, { callId: this.callId, digit });
+        if (digit && this.onDtmf) {
+            this.onDtmf(digit);
+        }
+    }
+
+    // Очередной пакет: кадр воспроизведения, кадр микшера или тишина (поток не прерывается)
+    sendFrame() {
+        let payload = this.silenceFrame;
+        let marker = false;
+        const playback = this.playback;
+        const mixFrame = this.mixOutput ? this.mixOutput.shift() : null;
+
+        if (playback) {
+            payload = Buffer.from(this.silenceFrame);
+            playback.data.copy(payload, 0, playback.offset, playback.offset + FRAME_SAMPLES);
+            playback.offset += FRAME_SAMPLES;
+            marker = playback.marker;
+            playback.marker = false;
+        } else if (mixFrame) {
+            payload = mixFrame;
+        }
+
+        const header = Buffer.alloc(RTP_HEADER_SIZE);
+        header[0] = 0x80;
+        header[1] = (marker ? 0x80 : 0) | this.payloadType;
+        header.writeUInt16BE(this.sequenceNumber, 2);
+        header.writeUInt32BE(this.timestamp, 4);
+        header.writeUInt32BE(this.ssrc, 8);
+        this.rtpProxy.sendPacket(Buffer.concat([header, payload]), this.address, this.port);
+
+        this.sequenceNumber = (this.sequenceNumber + 1) & 0xFFFF;
+        this.timestamp = (this.timestamp + FRAME_SAMPLES) >>> 0;
+
+        if (playback && playback.offset >= playback.data.length && this.playback === playback) {
+            this.playback = null;
+            if (playback.onDone) {
+                playback.onDone();
+            }
+        }
+    }
+}
+
+module.exports = MediaSession;
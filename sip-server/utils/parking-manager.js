@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { sipLogger } = require('../logger');
+const audio = require('./audio');
+
+// Частоты DTMF (строка, столбец): номер слота объявляется тонами, если нет записанных цифр
+const DTMF_FREQUENCIES = {
+    '1': [697, 1209], '2': [697, 1336], '3': [697, 1477],
+    '4': [770, 1209], '5': [770, 1336], '6': [770, 1477],
+    '7': [852, 1209], '8': [852, 1336], '9': [852, 1477],
+    '0': [941, 1336]
+};
+
+// Парковка вызовов: слоты config.parking.slotMin-slotMax, в каждом не больше одного ожидающего звонка
+class ParkingManager {
+    constructor(config) {
+        this.config = config;
+        this.slots = new Map(); // слот -> { slot, callId, parkedNumber, parkedBy, parkedAt, timer }
+    }
+
+    isParkNumber(number) {
+        return number === this.config.parking.number;
+    }
+
+    isSlot(number) {
+        const value = parseInt(number);
+        return /^\d+$/.test(number) && value >= this.config.parking.slotMin && value <= this.config.parking.slotMax;
+    }
+
+    findFreeSlot() {
+        for (let value = this.config.parking.slotMin; value <= this.config.parking.slotMax; value++) {
+            if (!this.slots.has(value.toString())) {
+                return value.toString();
+            }
+        }
+        return null;
+    }
+
+    getParked(slot) {
+        return this.slots.get(slot) || null;
+    }
+
+    // Припаркованные звонки для API (без таймеров)
+    getAllParked() {
+        return Array.from(this.slots.values()).map(({ timer, ...parked }) => parked);
+    }
+
+    park(slot, { callId, parkedNumber, parkedBy }) {
+        const parked = { slot, callId, parkedNumber, parkedBy, parkedAt: new Date().toISOString(), timer: null };
+        this.slots.set(slot, parked);
+        sipLogger.info(`Call parked`, { slot, callId, parkedNumber, parkedBy });
+        return parked;
+    }
+
+    // Таймер обратного вызова парковавшего; новый таймер заменяет прежний
+    setTimer(slot, callback) {
+        const parked = this.slots.get(slot);
+        if (!parked) {
+            return;
+        }
+        clearTimeout(parked.timer);
+        parked.timer = setTimeout(callback, this.config.parking.timeout * 1000);
+    }
+
+    unpark(slot) {
+        const parked = this.slots.get(slot);
+        if (!parked) {
+            return null;
+        }
+        clearTimeout(parked.timer);
+        this.slots.delete(slot);
+        sipLogger.info(`Call unparked`, { slot, callId: parked.callId });
+        return parked;
+    }
+
+    // Музыка для ожидающего абонента: файл из конфигурации, иначе редкие тональные сигналы
+    getHoldMusic() {
+        const musicFile = this.config.parking.musicFile;
+        if (musicFile) {
+            try {
+                return audio.readWav(fs.readFileSync(musicFile));
+            } catch (error) {
+                sipLogger.warn(`Parking music ignored`, { musicFile, error: error.message });
+            }
+        }
+        return audio.concatSamples([
+            audio.generateTone(523, 200, 4000),
+            audio.generateTone(659, 200, 4000),
+            audio.generateTone(784, 200, 4000),
+            audio.generateSilence(2400)
+        ]);
+    }
+
+    // Объявление слота парковавшему: записи цифр из promptsDirectory (0.wav-9.wav), иначе тоны DTMF
+    getSlotAnnouncement(slot) {
+        const parts = [audio.generateSilence(300)];
+        for (const digit of slot) {
+            parts.push(this.getDigitPrompt(digit), audio.generateSilence(200));
+        }
+        return audio.concatSamples(parts);
+    }
+
+    getDigitPrompt(digit) {
+        const promptsDirectory = this.config.parking.promptsDirectory;
+        const promptFile = promptsDirectory ? path.join(promptsDirectory, `${digit}.wav`) : null;
+        if (promptFile && fs.existsSync(promptFile)) {
+            try {
+                return audio.readWav(fs.readFileSync(promptFile));
+            } catch (error) {
+                sipLogger.warn(`Parking digit prompt ignored`, { promptFile, error: error.message });
+            }
+        }
+
+        const [low, high] = DTMF_FREQUENCIES[digit];
+        const lowTone = audio.generateTone(low, 200, 5000);
+        const highTone = audio.generateTone(high, 200, 5000);
+        return lowTone.map((sample, index) => sample + highTone[index]);
+    }
+}
+
+module.exports = ParkingManager;
@@ -0,0 +1,107 @@
+const { sipLogger } = require('../logger');
+
+// Стратегии обзвона: ringall - все участники одновременно, sequential - по порядку,
+// roundrobin - по порядку, начиная со следующего после участника, с которого начинался прошлый звонок
+const RING_STRATEGIES = ['ringall', 'sequential', 'roundrobin'];
+
+class RingGroupManager {
+    constructor(config) {
+        this.config = config;
+        this.groups = new Map(); // номер группы -> { number, name, strategy, members, memberTimeout }
+        this.roundRobinIndex = new Map(); // номер группы -> индекс участника, с которого начнется следующий звонок
+    }
+
+    // Номер из диапазона групп (сама группа может быть еще не создана)
+    isGroupNumber(number) {
+        const value = parseInt(number);
+        return /^\d+$/.test(number) && value >= this.config.ringGroups.min && value <= this.config.ringGroups.max;
+    }
+
+    getGroup(number) {
+        return this.groups.get(number) || null;
+    }
+
+    getAllGroups() {
+        return Array.from(this.groups.values());
+    }
+
+    // Проверка описания группы; возвращает { valid, error, group }
+    validateGroup(number, data = {}) {
+        if (!this.isGroupNumber(number)) {
+            return { valid: false, error: `Invalid ring group number: ${number}. Valid range: ${this.config.ringGroups.min}-${this.config.ringGroups.max}` };
+        }
+
+        const strategy = data.strategy || 'ringall';
+        if (!RING_STRATEGIES.includes(strategy)) {
+            return { valid: false, error: `Invalid strategy: ${strategy}. Supported: ${RING_STRATEGIES.join(', ')}` };
+        }
+
+        if (!Array.isArray(data.members) || data.members.length === 0) {
+            return { valid: false, error: 'Members must be a non-empty array of extensions' };
+        }
+        const members = data.members.map(member => String(member));
+        const invalidMembers = members.filter(member => !this.config.validExtensions.has(member));
+        if (invalidMembers.length > 0) {
+            return { valid: false, error: `Invalid members: ${invalidMembers.join(', ')}` };
+        }
+        if (new Set(members).size !== members.length) {
+            return { valid: false, error: 'Members must not repeat' };
+        }
+
+        const memberTimeout = data.memberTimeout !== undefined ? parseInt(data.memberTimeout) : this.config.ringGroups.memberTimeout;
+        if (isNaN(memberTimeout) || memberTimeout < 5 || memberTimeout > 300) {
+            return { valid: false, error: 'Member timeout must be a number between 5 and 300 seconds' };
+        }
+
+        return {
+            valid: true,
+            group: {
+                number,
+                name: data.name || `Group ${number}`,
+                strategy,
+                members,
+                memberTimeout
+            }
+        };
+    }
+
+    // Создание или замена группы
+    saveGroup(number, data) {
+        const validation = this.validateGroup(number, data);
+        if (!validation.valid) {
+            return validation;
+        }
+
+        this.groups.set(number, validation.group);
+        this.roundRobinIndex.delete(number);
+        sipLogger.info(`Ring group saved`, {
+            number,
+            strategy: validation.group.strategy,
+            members: validation.group.members.join(',')
+        });
+
+        return validation;
+    }
+
+    deleteGroup(number) {
+        const removed = this.groups.delete(number);
+        this.roundRobinIndex.delete(number);
+        if (removed) {
+            sipLogger.info(`Ring group deleted`, { number });
+        }
+        return removed;
+    }
+
+    // Порядок обзвона участников для нового звонка в группу
+    getHuntOrder(group) {
+        if (group.strategy !== 'roundrobin') {
+            return [...group.members];
+        }
+
+        const startIndex = (this.roundRobinIndex.get(group.number) || 0) % group.members.length;
+        this.roundRobinIndex.set(group.number, (startIndex + 1) % group.members.length);
+        return [...group.members.slice(startIndex), ...group.members.slice(0, startIndex)];
+    }
+}
+
+module.exports = RingGroupManager;
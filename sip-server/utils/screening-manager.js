@@ -0,0 +1,134 @@
+const { sipLogger } = require('../logger');
+const audio = require('./audio');
+
+// Номер в черном и белом списке: внутренний или внешний, с необязательным +
+const CALLER_NUMBER = /^\+?\d{1,20}$/;
+
+// Причины отказа: код ответа на INVITE и terminationReason в истории
+const REJECTIONS = {
+    anonymous: { statusCode: 433, reasonPhrase: 'Anonymity Disallowed', reason: 'ANONYMOUS_REJECTED' },
+    blocked: { statusCode: 603, reasonPhrase: 'Decline', reason: 'CALLER_BLOCKED' },
+    dnd: { statusCode: 480, reasonPhrase: 'Temporarily Unavailable', reason: 'DO_NOT_DISTURB' }
+};
+
+// Фильтрация входящих вызовов абонента: "не беспокоить", отказ анонимным вызовам, черный и белый списки
+class ScreeningManager {
+    constructor(config) {
+        this.config = config;
+        this.settings = new Map(); // номер -> { dnd, rejectAnonymous, blocklist, allowlist }
+    }
+
+    // Настройки по умолчанию: абонент принимает все вызовы
+    createEmptySettings() {
+        return { dnd: false, rejectAnonymous: false, blocklist: [], allowlist: [] };
+    }
+
+    getSettings(number) {
+        return this.settings.get(number) || this.createEmptySettings();
+    }
+
+    // Изменение настроек; неуказанные поля сохраняют прежние значения
+    // Белый список, если он не пуст, пропускает только перечисленных вызывающих
+    setSettings(number, data = {}) {
+        if (!this.config.validExtensions.has(number)) {
+            return { valid: false, error: `Invalid extension number: ${number}` };
+        }
+
+        const settings = { ...this.getSettings(number) };
+        for (const field of ['dnd', 'rejectAnonymous']) {
+            if (data[field] === undefined) {
+                continue;
+            }
+            if (typeof data[field] !== 'boolean') {
+                return { valid: false, error: `Field "${field}" must be a boolean` };
+            }
+            settings[field] = data[field];
+        }
+
+        for (const field of ['blocklist', 'allowlist']) {
+            if (data[field] === undefined) {
+                continue;
+            }
+            if (!Array.isArray(data[field])) {
+                return { valid: false, error: `Field "${field}" must be an array of numbers` };
+            }
+            const numbers = [...new Set(data[field].map(value => String(value)))];
+            const invalidNumbers = numbers.filter(value => !CALLER_NUMBER.test(value));
+            if (invalidNumbers.length > 0) {
+                return { valid: false, error: `Invalid numbers in ${field}: ${invalidNumbers.join(', ')}` };
+            }
+            if (numbers.length > this.config.screening.maxListSize) {
+                return { valid: false, error: `${field} cannot contain more than ${this.config.screening.maxListSize} numbers` };
+            }
+            settings[field] = numbers;
+        }
+
+        this.settings.set(number, settings);
+        sipLogger.info(`Call screening updated`, {
+            number,
+            dnd: settings.dnd,
+            rejectAnonymous: settings.rejectAnonymous,
+            blocklist: settings.blocklist.length,
+            allowlist: settings.allowlist.length
+        });
+
+        return { valid: true, settings };
+    }
+
+    clearSettings(number) {
+        const removed = this.settings.delete(number);
+        if (removed) {
+            sipLogger.info(`Call screening cleared`, { number });
+        }
+        return removed;
+    }
+
+    isDndEnabled(number) {
+        return this.getSettings(number).dnd;
+    }
+
+    // Проверка вызова к абоненту number; null - вызов пропускается, иначе { statusCode, reasonPhrase, reason }
+    checkCaller(number, callerNumber, anonymous) {
+        const settings = this.settings.get(number);
+        if (!settings) {
+            return null;
+        }
+
+        if (anonymous && settings.rejectAnonymous) {
+            return REJECTIONS.anonymous;
+        }
+        if (settings.blocklist.includes(callerNumber) ||
+            (settings.allowlist.length > 0 && !settings.allowlist.includes(callerNumber))) {
+            return REJECTIONS.blocked;
+        }
+        if (settings.dnd) {
+            return REJECTIONS.dnd;
+        }
+        return null;
+    }
+
+    // Код услуги, который меняет настройку: { field, enabled } или null
+    getFeatureCode(code) {
+        const { dndOnCode, dndOffCode, anonymousRejectOnCode, anonymousRejectOffCode } = this.config.screening;
+        const codes = {
+            [dndOnCode]: { field: 'dnd', enabled: true },
+            [dndOffCode]: { field: 'dnd', enabled: false },
+            [anonymousRejectOnCode]: { field: 'rejectAnonymous', enabled: true },
+            [anonymousRejectOffCode]: { field: 'rejectAnonymous', enabled: false }
+        };
+        return codes[code] || null;
+    }
+
+    // Подтверждение кода услуги: восходящий сигнал - включено, нисходящий - выключено
+    getConfirmationTone(enabled) {
+        const [first, second] = enabled ? [600, 900] : [900, 600];
+        return audio.concatSamples([
+            audio.generateSilence(200),
+            audio.generateTone(first, 200),
+            audio.generateTone(second, 200),
+            audio.generateSilence(200)
+        ]);
+    }
+}
+
+module.exports = ScreeningManager;
@@ -0,0 +1,644 @@
+// Компактные формы заголовков (RFC 3261, 7.3.3 и расширения)
+const COMPACT_FORMS = {
+    'a': 'Accept-Contact',
+    'b': 'Referred-By',
+    'c': 'Content-Type',
+    'd': 'Request-Disposition',
+    'e': 'Content-Encoding',
+    'f': 'From',
+    'i': 'Call-ID',
+    'j': 'Reject-Contact',
+    'k': 'Supported',
+    'l': 'Content-Length',
+    'm': 'Contact',
+    'o': 'Event',
+    'r': 'Refer-To',
+    's': 'Subject',
+    't': 'To',
+    'u': 'Allow-Events',
+    'v': 'Via',
+    'x': 'Session-Expires',
+    'y': 'Identity'
+};
+
+// Имена заголовков, которые не приводятся к виду Word-Word
+const SPECIAL_NAMES = {
+    'call-id': 'Call-ID',
+    'cseq': 'CSeq',
+    'www-authenticate': 'WWW-Authenticate',
+    'mime-version': 'MIME-Version',
+    'rack': 'RAck',
+    'rseq': 'RSeq',
+    'sip-etag': 'SIP-ETag',
+    'sip-if-match': 'SIP-If-Match'
+};
+
+// Заголовки, значения которых можно перечислять через запятую (RFC 3261, 7.3.1)
+const LIST_HEADERS = new Set([
+    'Via', 'Contact', 'Route', 'Record-Route', 'Path', 'Service-Route',
+    'Allow', 'Allow-Events', 'Supported', 'Require', 'Proxy-Require', 'Unsupported',
+    'Accept', 'Accept-Encoding', 'Accept-Language', 'Content-Encoding',
+    'In-Reply-To', 'History-Info', 'Diversion'
+]);
+
+// Разбиение строки по разделителю вне кавычек и угловых скобок
+function splitOutside(value, separator) {
+    const parts = [];
+    let current = '';
+    let inQuotes = false;
+    let angleDepth = 0;
+
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+
+        if (inQuotes && char === '\\' && i + 1 < value.length) {
+            current += char + value[++i];
+            continue;
+        }
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && char === '<') {
+            angleDepth++;
+        } else if (!inQuotes && char === '>' && angleDepth > 0) {
+            angleDepth--;
+        } else if (!inQuotes && angleDepth === 0 && char === separator) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts;
+}
+
+class SipMessage {
+    constructor() {
+        this.method = null;        // метод запроса
+        this.uri = null;           // Request-URI запроса
+        this.statusCode = null;    // код ответа
+        this.reasonPhrase = null;  // текст ответа
+        this.headers = [];         // [{ name, value }] в порядке следования
+        this.body = '';
+    }
+
+    get isRequest() {
+        return this.method !== null;
+    }
+
+    get isResponse() {
+        return this.statusCode !== null;
+    }
+
+    // Каноническое имя заголовка: компактные формы и регистр букв не важны
+    static canonicalName(name) {
+        const lower = name.trim().toLowerCase();
+        if (COMPACT_FORMS[lower]) {
+            return COMPACT_FORMS[lower];
+        }
+        if (SPECIAL_NAMES[lower]) {
+            return SPECIAL_NAMES[lower];
+        }
+        return lower.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('-');
+    }
+
+    // Разбор сообщения из буфера или строки
+    // Бросает ошибку, если сообщение не соответствует RFC 3261
+    static parse(data) {
+        let buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+
+        // Пустые строки перед стартовой строкой игнорируются (RFC 3261, 7.5)
+        let start = 0;
+        while (start < buffer.length && (buffer[start] === 0x0d || buffer[start] === 0x0a)) {
+            start++;
+        }
+        buffer = buffer.subarray(start);
+
+        // Конец заголовков; некоторые клиенты разделяют строки только LF
+        let headerEnd = buffer.indexOf('\r\n\r\n');
+        let separatorLength = 4;
+        if (headerEnd === -1 && buffer.indexOf('\n\n') !== -1) {
+            headerEnd = buffer.indexOf('\n\n');
+            separatorLength = 2;
+        }
+
+        const headerText = (headerEnd === -1 ? buffer : buffer.subarray(0, headerEnd)).toString();
+        const bodyBuffer = headerEnd === -1 ? Buffer.alloc(0) : buffer.subarray(headerEnd + separatorLength);
+        const lines = headerText.split(/\r?\n/);
+        const message = new SipMessage();
+
+        const startLine = lines[0];
+        const responseMatch = startLine.match(/^SIP\/2\.0\s+(\d{3})(?:\s+(.*))?$/);
+        const requestMatch = startLine.match(/^([A-Za-z]+)\s+(\S+)\s+SIP\/2\.0$/);
+        if (responseMatch) {
+            message.statusCode = parseInt(responseMatch[1]);
+            message.reasonPhrase = responseMatch[2] || '';
+        } else if (requestMatch) {
+            message.method = requestMatch[1];
+            message.uri = requestMatch[2];
+        } else {
+            throw new Error(`Invalid start line: ${startLine.substring(0, 100)}`);
+        }
+
+        for (let i = 1; i < lines.length; i++) {
+            const line = lines[i];
+            if (line === '') {
+                continue;
+            }
+
+            // Перенос строки заголовка (folding): продолжение предыдущего значения
+            if (line[0] === ' ' || line[0] === '\t') {
+                const previous = message.headers[message.headers.length - 1];
+                if (!previous) {
+                    throw new Error('Header continuation without header');
+                }
+                previous.value = `${previous.value} ${line.trim()}`.trim();
+                continue;
+            }
+
+            const colonIndex = line.indexOf(':');
+            if (colonIndex <= 0) {
+                throw new Error(`Malformed header line: ${line.substring(0, 100)}`);
+            }
+
+            message.headers.push({
+                name: SipMessage.canonicalName(line.substring(0, colonIndex)),
+                value: line.substring(colonIndex + 1).trim()
+            });
+        }
+
+        // Тело определяется по Content-Length; без него - до конца датаграммы
+        const contentLength = message.getHeader('Content-Length');
+        if (contentLength !== undefined) {
+            if (!/^\d+$/.test(contentLength)) {
+                throw new Error(`Invalid Content-Length: ${contentLength}`);
+            }
+            const length = parseInt(contentLength);
+            if (bodyBuffer.length < length) {
+                throw new Error('Message body is shorter than Content-Length');
+            }
+            message.body = bodyBuffer.subarray(0, length).toString();
+        } else {
+            message.body = bodyBuffer.toString();
+        }
+
+        return message;
+    }
+
+    // Создание запроса; headers - { имя: значение или массив значений }
+    static createRequest(method, uri, headers = {}, body = '') {
+        const message = new SipMessage();
+        message.method = method;
+        message.uri = uri;
+        message.setHeaders(headers);
+        message.body = body || '';
+        return message;
+    }
+
+    // Создание ответа с заданными заголовками
+    static createResponse(statusCode, reasonPhrase, headers = {}, body = '') {
+        const message = new SipMessage();
+        message.statusCode = parseInt(statusCode);
+        message.reasonPhrase = reasonPhrase;
+        message.setHeaders(headers);
+        message.body = body || '';
+        return message;
+    }
+
+    // Ответ на этот запрос: Via, From, To, Call-ID и CSeq копируются (RFC 3261, 8.2.6.2)
+    createResponse(statusCode, reasonPhrase, headers = {}, body = '') {
+        return SipMessage.createResponse(statusCode, reasonPhrase, {
+            'Via': this.getHeaders('Via'),
+            'From': this.getHeader('From'),
+            'To': this.getHeader('To'),
+            'Call-ID': this.getHeader('Call-ID'),
+            'CSeq': this.getHeader('CSeq'),
+            ...headers
+        }, body);
+    }
+
+    // Копия сообщения
+    clone() {
+        const message = new SipMessage();
+        message.method = this.method;
+        message.uri = this.uri;
+        message.statusCode = this.statusCode;
+        message.reasonPhrase = this.reasonPhrase;
+        message.headers = this.headers.map(header => ({ ...header }));
+        message.body = this.body;
+        return message;
+    }
+
+    // Все значения заголовка; списочные заголовки разбиваются по запятой
+    getHeaders(name) {
+        const canonical = SipMessage.canonicalName(name);
+        const values = this.headers.filter(header => header.name === canonical).map(header => header.value);
+
+        if (!LIST_HEADERS.has(canonical)) {
+            return values;
+        }
+        return values.flatMap(value => splitOutside(value, ',').map(item => item.trim()).filter(Boolean));
+    }
+
+    // Первое значение заголовка (для Via - верхний)
+    getHeader(name) {
+        return this.getHeaders(name)[0];
+    }
+
+    hasHeader(name) {
+        const canonical = SipMessage.canonicalName(name);
+        return this.headers.some(header => header.name === canonical);
+    }
+
+    // Добавление значений в конец сообщения; null и undefined пропускаются
+    addHeader(name, value) {
+        const canonical = SipMessage.canonicalName(name);
+        for (const item of [].concat(value)) {
+            if (item !== null && item !== undefined) {
+                this.headers.push({ name: canonical, value: String(item) });
+            }
+        }
+    }
+
+    // Добавление значения перед существующими (например, Via прокси)
+    prependHeader(name, value) {
+        const canonical = SipMessage.canonicalName(name);
+        const index = this.headers.findIndex(header => header.name === canonical);
+        this.headers.splice(index === -1 ? 0 : index, 0, { name: canonical, value: String(value) });
+    }
+
+    // Удаление верхнего значения заголовка (Via прокси, свой Route); возвращает удаленное значение
+    shiftHeader(name) {
+        const canonical = SipMessage.canonicalName(name);
+        const index = this.headers.findIndex(header => header.name === canonical);
+        if (index === -1) {
+            return undefined;
+        }
+
+        const values = splitOutside(this.headers[index].value, ',').map(item => item.trim()).filter(Boolean);
+        const first = values.shift();
+        if (values.length > 0) {
+            this.headers[index].value = values.join(', ');
+        } else {
+            this.headers.splice(index, 1);
+        }
+        return first;
+    }
+
+    // Замена всех значений заголовка
+    setHeader(name, value) {
+        const canonical = SipMessage.canonicalName(name);
+        const index = this.headers.findIndex(header => header.name === canonical);
+        this.removeHeader(canonical);
+
+        const values = [].concat(value)
+            .filter(item => item !== null && item !== undefined)
+            .map(item => ({ name: canonical, value: String(item) }));
+        this.headers.splice(index === -1 ? this.headers.length : index, 0, ...values);
+    }
+
+    // Установка нескольких заголовков из объекта
+    setHeaders(headers) {
+        for (const [name, value] of Object.entries(headers)) {
+            this.setHeader(name, value);
+        }
+    }
+
+    removeHeader(name) {
+        const canonical = SipMessage.canonicalName(name);
+        this.headers = this.headers.filter(header => header.name !== canonical);
+    }
+
+    // Разобранный Request-URI
+    getRequestUri() {
+        return SipMessage.parseUri(this.uri);
+    }
+
+    // Верхний Via
+    getVia() {
+        const via = this.getHeader('Via');
+        return via ? SipMessage.parseVia(via) : null;
+    }
+
+    // Все Via сверху вниз
+    getVias() {
+        return this.getHeaders('Via').map(via => SipMessage.parseVia(via));
+    }
+
+    getFrom() {
+        const from = this.getHeader('From');
+        return from ? SipMessage.parseNameAddr(from) : null;
+    }
+
+    getTo() {
+        const to = this.getHeader('To');
+        return to ? SipMessage.parseNameAddr(to) : null;
+    }
+
+    getCallId() {
+        return this.getHeader('Call-ID') || null;
+    }
+
+    getCSeq() {
+        const cseq = this.getHeader('CSeq');
+        return cseq ? SipMessage.parseCSeq(cseq) : null;
+    }
+
+    // Контакты; "*" (отмена всех регистраций) возвращается как { wildcard: true }
+    getContacts() {
+        return this.getHeaders('Contact')
+            .map(contact => contact === '*' ? { wildcard: true, uri: null, params: {} } : SipMessage.parseNameAddr(contact))
+            .filter(Boolean);
+    }
+
+    // Тип тела без параметров (application/sdp)
+    getContentType() {
+        const contentType = this.getHeader('Content-Type');
+        return contentType ? contentType.split(';')[0].trim().toLowerCase() : null;
+    }
+
+    // Есть ли в сообщении SDP
+    hasSdp() {
+        return !!this.body && this.getContentType() === 'application/sdp';
+    }
+
+    // Стартовая строка (для логов)
+    getStartLine() {
+        return this.isRequest
+            ? `${this.method} ${this.uri} SIP/2.0`
+            : `SIP/2.0 ${this.statusCode} ${this.reasonPhrase}`;
+    }
+
+    // Сериализация; Content-Length всегда вычисляется по телу (обязателен для потоковых транспортов)
+    toString() {
+        const lines = [this.getStartLine()];
+
+        for (const header of this.headers) {
+            if (header.name !== 'Content-Length') {
+                lines.push(`${header.name}: ${header.value}`);
+            }
+        }
+        lines.push(`Content-Length: ${Buffer.byteLength(this.body || '')}`);
+
+        return lines.join('\r\n') + '\r\n\r\n' + (this.body || '');
+    }
+
+    // Разбор параметров ";name=value;flag" (имена в нижнем регистре, флаги - null)
+    static parseParams(value) {
+        const params = {};
+        if (!value) {
+            return params;
+        }
+
+        for (const part of splitOutside(value, ';')) {
+            const param = part.trim();
+            if (!param) {
+                continue;
+            }
+            const equalsIndex = param.indexOf('=');
+            if (equalsIndex === -1) {
+                params[param.toLowerCase()] = null;
+            } else {
+                params[param.substring(0, equalsIndex).trim().toLowerCase()] = param.substring(equalsIndex + 1).trim();
+            }
+        }
+
+        return params;
+    }
+
+    static formatParams(params) {
+        return Object.entries(params || {})
+            .map(([name, value]) => value === null || value === undefined ? `;${name}` : `;${name}=${value}`)
+            .join('');
+    }
+
+    // Разбор хоста с портом (IPv6 в квадратных скобках)
+    static parseHostPort(value) {
+        const match = value.trim().match(/^(\[[0-9a-fA-F:.]+\]|[^:\s]+)(?::(\d+))?$/);
+        if (!match) {
+            return null;
+        }
+        return {
+            host: match[1],
+            port: match[2] ? parseInt(match[2]) : null
+        };
+    }
+
+    // Разбор URI sip:, sips: и tel:
+    static parseUri(value) {
+        if (!value || typeof value !== 'string') {
+            return null;
+        }
+
+        const schemeMatch = value.trim().match(/^(sips?|tel):(.+)$/i);
+        if (!schemeMatch) {
+            return null;
+        }
+
+        const uri = {
+            scheme: schemeMatch[1].toLowerCase(),
+            user: null,
+            password: null,
+            host: null,
+            port: null,
+            params: {},
+            headers: {}
+        };
+        let rest = schemeMatch[2];
+
+        const headersIndex = rest.indexOf('?');
+        if (headersIndex !== -1) {
+            for (const pair of rest.substring(headersIndex + 1).split('&')) {
+                const [name, headerValue = ''] = pair.split('=');
+                if (name) {
+                    uri.headers[name] = headerValue;
+                }
+            }
+            rest = rest.substring(0, headersIndex);
+        }
+
+        if (uri.scheme === 'tel') {
+            const semicolonIndex = rest.indexOf(';');
+            uri.user = semicolonIndex === -1 ? rest : rest.substring(0, semicolonIndex);
+            uri.params = SipMessage.parseParams(semicolonIndex === -1 ? '' : rest.substring(semicolonIndex));
+            return uri;
+        }
+
+        const atIndex = rest.lastIndexOf('@');
+        if (atIndex !== -1) {
+            const userInfo = rest.substring(0, atIndex);
+            const colonIndex = userInfo.indexOf(':');
+            uri.user = colonIndex === -1 ? userInfo : userInfo.substring(0, colonIndex);
+            uri.password = colonIndex === -1 ? null : userInfo.substring(colonIndex + 1);
+            rest = rest.substring(atIndex + 1);
+        }
+
+        const semicolonIndex = rest.indexOf(';');
+        const hostPort = SipMessage.parseHostPort(semicolonIndex === -1 ? rest : rest.substring(0, semicolonIndex));
+        if (!hostPort) {
+            return null;
+        }
+
+        uri.host = hostPort.host;
+        uri.port = hostPort.port;
+        uri.params = SipMessage.parseParams(semicolonIndex === -1 ? '' : rest.substring(semicolonIndex));
+
+        return uri;
+    }
+
+    // Сравнение URI (RFC 3261, 19.1.4): схема и хост без учета регистра, порт по умолчанию 5060/5061,
+    // параметры transport, user, method, ttl и maddr должны совпадать, остальные - если заданы в обоих URI
+    static uriEquals(first, second) {
+        const firstUri = typeof first === 'string' ? SipMessage.parseUri(first) : first;
+        const secondUri = typeof second === 'string' ? SipMessage.parseUri(second) : second;
+        if (!firstUri || !secondUri || firstUri.scheme !== secondUri.scheme) {
+            return false;
+        }
+        if (firstUri.scheme === 'tel') {
+            return firstUri.user === secondUri.user;
+        }
+
+        const defaultPort = firstUri.scheme === 'sips' ? 5061 : 5060;
+        if (firstUri.user !== secondUri.user || firstUri.password !== secondUri.password ||
+            String(firstUri.host).toLowerCase() !== String(secondUri.host).toLowerCase() ||
+            Number(firstUri.port || defaultPort) !== Number(secondUri.port || defaultPort)) {
+            return false;
+        }
+
+        const names = new Set([...Object.keys(firstUri.params), ...Object.keys(secondUri.params)]);
+        for (const name of names) {
+            const inBoth = name in firstUri.params && name in secondUri.params;
+            if (!inBoth && !['transport', 'user', 'method', 'ttl', 'maddr'].includes(name)) {
+                continue;
+            }
+            if (String(firstUri.params[name]).toLowerCase() !== String(secondUri.params[name]).toLowerCase()) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    static formatUri(uri) {
+        if (uri.scheme === 'tel') {
+            return `tel:${uri.user}${SipMessage.formatParams(uri.params)}`;
+        }
+
+        let result = `${uri.scheme}:`;
+        if (uri.user) {
+            result += uri.password !== null && uri.password !== undefined ? `${uri.user}:${uri.password}@` : `${uri.user}@`;
+        }
+        result += uri.host;
+        if (uri.port) {
+            result += `:${uri.port}`;
+        }
+        result += SipMessage.formatParams(uri.params);
+
+        const headers = Object.entries(uri.headers || {});
+        if (headers.length > 0) {
+            result += '?' + headers.map(([name, value]) => `${name}=${value}`).join('&');
+        }
+
+        return result;
+    }
+
+    // Разбор name-addr / addr-spec: "Имя" <sip:100@host>;tag=abc
+    static parseNameAddr(value) {
+        if (!value || typeof value !== 'string') {
+            return null;
+        }
+
+        const trimmed = value.trim();
+        let angleIndex = -1;
+        let inQuotes = false;
+        for (let i = 0; i < trimmed.length && angleIndex === -1; i++) {
+            if (inQuotes && trimmed[i] === '\\') {
+                i++;
+            } else if (trimmed[i] === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && trimmed[i] === '<') {
+                angleIndex = i;
+            }
+        }
+
+        let displayName = null;
+        let uriString;
+        let paramString;
+
+        if (angleIndex !== -1) {
+            const closeIndex = trimmed.indexOf('>', angleIndex);
+            if (closeIndex === -1) {
+                return null;
+            }
+            displayName = trimmed.substring(0, angleIndex).trim();
+            if (displayName.startsWith('"') && displayName.endsWith('"') && displayName.length >= 2) {
+                displayName = displayName.slice(1, -1).replace(/\\(.)/g, '$1');
+            }
+            displayName = displayName || null;
+            uriString = trimmed.substring(angleIndex + 1, closeIndex);
+            paramString = trimmed.substring(closeIndex + 1);
+        } else {
+            // Без угловых скобок параметры после URI относятся к заголовку (RFC 3261, 20.10)
+            const semicolonIndex = trimmed.indexOf(';');
+            uriString = semicolonIndex === -1 ? trimmed : trimmed.substring(0, semicolonIndex);
+            paramString = semicolonIndex === -1 ? '' : trimmed.substring(semicolonIndex);
+        }
+
+        const uri = SipMessage.parseUri(uriString);
+        if (!uri) {
+            return null;
+        }
+
+        return {
+            displayName,
+            uri,
+            params: SipMessage.parseParams(paramString)
+        };
+    }
+
+    static formatNameAddr(nameAddr) {
+        const displayName = nameAddr.displayName
+            ? `"${nameAddr.displayName.replace(/(["\\])/g, '\\$1')}" `
+            : '';
+        return `${displayName}<${SipMessage.formatUri(nameAddr.uri)}>${SipMessage.formatParams(nameAddr.params)}`;
+    }
+
+    // Разбор Via: SIP/2.0/UDP host:port;branch=z9hG4bK...
+    static parseVia(value) {
+        const match = value && value.trim().match(/^SIP\s*\/\s*2\.0\s*\/\s*([A-Za-z]+)\s+([^;\s]+)\s*(;.*)?$/i);
+        if (!match) {
+            return null;
+        }
+
+        const hostPort = SipMessage.parseHostPort(match[2]);
+        if (!hostPort) {
+            return null;
+        }
+
+        return {
+            transport: match[1].toUpperCase(),
+            host: hostPort.host,
+            port: hostPort.port,
+            params: SipMessage.parseParams(match[3] || '')
+        };
+    }
+
+    static formatVia(via) {
+        const sentBy = via.port ? `${via.host}:${via.port}` : via.host;
+        return `SIP/2.0/${via.transport} ${sentBy}${SipMessage.formatParams(via.params)}`;
+    }
+
+    // Разбор CSeq: "1 INVITE" -> { number: 1, method: 'INVITE' }
+    static parseCSeq(value) {
+        const match = value && value.trim().match(/^(\d+)\s+([A-Za-z]+)$/);
+        if (!match) {
+            return null;
+        }
+        return {
+            number: parseInt(match[1]),
+            method: match[2]
+        };
+    }
+}
+
+module.exports = SipMessage;
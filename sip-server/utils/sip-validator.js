@@ -1,68 +1,72 @@
+const SipMessage = require('./sip-message');
 const { sipLogger } = require('../logger');
 
 class SipValidator {
     constructor(config) {
         this.config = config;
+        // Транспорты, которые сервер принимает в Via
+        this.supportedTransports = ['UDP', 'TCP', 'TLS', 'WS', 'WSS'];
     }
 
-    // Извлечение URI из заголовка (убирает отображаемое имя)
-    extractUri(header) {
-        if (!header || typeof header !== 'string') {
-            return null;
-        }
-        
-        // Ищем URI в угловых скобках <sip:...>
-        const bracketMatch = header.match(/<([^>]+)>/);
-        if (bracketMatch) {
-            return bracketMatch[1];
-        }
-        
-        // Если нет скобок, считаем что весь заголовок - это URI
-        return header.trim();
-    }
-
-    // Валидация SIP URI
-    validateSipUri(uri) {
-        if (!uri || typeof uri !== 'string') {
-            return { valid: false, error: 'URI is required and must be a string' };
+    // Валидация SIP URI (строка или результат SipMessage.parseUri)
+    // dialedNumber - номер, набранный вызывающим: маршрут (или 404) выбирает план набора, диапазоны номеров не проверяются
+    validateSipUri(uri, dialedNumber = false) {
+        const parsedUri = typeof uri === 'string' ? SipMessage.parseUri(uri) : uri;
+        if (!parsedUri) {
+            return { valid: false, error: 'Invalid SIP URI format' };
         }
 
-        // Проверяем формат sip:number@domain с возможными параметрами
-        const sipUriPattern = /^sip:(\d+)@([^:]+)(?::(\d+))?(?:;[^;]*)*$/;
-        const match = uri.match(sipUriPattern);
-        
-        if (!match) {
+        // Ожидаем sip:number@domain (или sips:) с возможными параметрами; номер - цифры, *, # и + в начале (*97, **101, +7495...)
+        if ((parsedUri.scheme !== 'sip' && parsedUri.scheme !== 'sips') || !parsedUri.user || !/^\+?[\d*#]+$/.test(parsedUri.user)) {
             return { valid: false, error: 'Invalid SIP URI format' };
         }
 
-        const number = match[1];
-        const domain = match[2];
-        const port = match[3];
-
-        // Проверяем номер
-        if (!this.config.validExtensions.has(number)) {
+        const secure = parsedUri.scheme === 'sips';
+        const number = parsedUri.user;
+
+        // Проверяем номер: абонент, номер из диапазона групп вызова, IVR или конференций, парковка, код услуги
+        const numberValue = parseInt(number);
+        const isGroupNumber = numberValue >= this.config.ringGroups.min && numberValue <= this.config.ringGroups.max;
+        const isIvrNumber = numberValue >= this.config.ivr.min && numberValue <= this.config.ivr.max;
+        const isConferenceRoom = numberValue >= this.config.conference.min && numberValue <= this.config.conference.max;
+        const isParkingNumber = number === this.config.parking.number ||
+            (numberValue >= this.config.parking.slotMin && numberValue <= this.config.parking.slotMax);
+        if (!dialedNumber && !this.config.validExtensions.has(number) && !isGroupNumber && !isIvrNumber && !isConferenceRoom && !isParkingNumber &&
+            !this.isFeatureCode(number)) {
             return { 
                 valid: false, 
-                error: `Invalid extension number: ${number}. Valid range: ${this.config.extensions.min}-${this.config.extensions.max}` 
+                error: `Invalid extension number: ${number}` 
             };
         }
 
         return { 
             valid: true, 
             number, 
-            domain, 
-            port: port || '5060' 
+            domain: parsedUri.host, 
+            port: parsedUri.port ? String(parsedUri.port) : (secure ? '5061' : '5060'),
+            secure
         };
     }
 
-    // Валидация SIP заголовков
-    validateHeaders(headers, requiredHeaders = []) {
+    // Коды услуг, которые набирает абонент: прослушивание голосовой почты, групповой и направленный перехват,
+    // включение и выключение "не беспокоить" и отказа анонимным вызовам
+    isFeatureCode(number) {
+        const { groupCode, directedPrefix } = this.config.pickup;
+        const { dndOnCode, dndOffCode, anonymousRejectOnCode, anonymousRejectOffCode } = this.config.screening;
+        return number === this.config.voicemail.accessCode || number === groupCode ||
+            [dndOnCode, dndOffCode, anonymousRejectOnCode, anonymousRejectOffCode].includes(number) ||
+            (number.startsWith(directedPrefix) && this.config.validExtensions.has(number.substring(directedPrefix.length)));
+    }
+
+    // Валидация SIP заголовков разобранного сообщения (SipMessage)
+    // transport - транспорт, по которому пришло сообщение (сверяется с Via)
+    validateHeaders(message, requiredHeaders = [], transport = null) {
         const errors = [];
         const missingHeaders = [];
 
         // Проверяем обязательные заголовки
         for (const header of requiredHeaders) {
-            if (!headers[header]) {
+            if (!message.getHeader(header)) {
                 missingHeaders.push(header);
             }
         }
@@ -72,26 +76,34 @@ class SipValidator {
         }
 
         // Валидация Call-ID
-        if (headers['Call-ID']) {
+        const callId = message.getCallId();
+        if (callId) {
             const callIdPattern = /^[a-zA-Z0-9._-]+(?:@[a-zA-Z0-9._-]+)?(?:-[a-zA-Z0-9._-]+)?$/;
-            if (!callIdPattern.test(headers['Call-ID'])) {
+            if (!callIdPattern.test(callId)) {
                 errors.push('Invalid Call-ID format');
             }
         }
 
-        // Валидация CSeq
-        if (headers['CSeq']) {
-            const cseqPattern = /^\d+\s+[A-Z]+$/;
-            if (!cseqPattern.test(headers['CSeq'])) {
+        // Валидация CSeq: метод должен совпадать с методом запроса
+        if (message.getHeader('CSeq')) {
+            const cseq = message.getCSeq();
+            if (!cseq) {
                 errors.push('Invalid CSeq format');
+            } else if (message.isRequest && cseq.method !== message.method) {
+                errors.push(`CSeq method ${cseq.method} does not match ${message.method}`);
             }
         }
 
-        // Валидация Via
-        if (headers['Via']) {
-            const viaPattern = /^SIP\/2\.0\/UDP\s+[^:]+:\d+(?:;[^;]*)*$/;
-            if (!viaPattern.test(headers['Via'])) {
+        // Валидация Via: все значения должны разбираться, транспорт проверяем у верхнего
+        if (message.getHeader('Via')) {
+            const vias = message.getVias();
+            const via = vias[0];
+            if (vias.some(item => !item)) {
                 errors.push('Invalid Via header format');
+            } else if (!this.supportedTransports.includes(via.transport)) {
+                errors.push(`Unsupported Via transport: ${via.transport}`);
+            } else if (transport && via.transport !== transport) {
+                errors.push(`Via transport ${via.transport} does not match ${transport}`);
             }
         }
 
@@ -156,30 +168,31 @@ class SipValidator {
     }
 
     // Валидация REGISTER запроса
-    validateRegisterRequest(parsedMessage) {
-        const requiredHeaders = ['To', 'From', 'Call-ID', 'CSeq', 'Contact'];
-        const headerValidation = this.validateHeaders(parsedMessage.headers, requiredHeaders);
+    // REGISTER без Contact - запрос текущих привязок
+    validateRegisterRequest(parsedMessage, transport = null) {
+        const requiredHeaders = ['To', 'From', 'Call-ID', 'CSeq'];
+        const headerValidation = this.validateHeaders(parsedMessage, requiredHeaders, transport);
         
         if (!headerValidation.valid) {
             return headerValidation;
         }
 
         // Валидация To заголовка
-        const toUri = this.extractUri(parsedMessage.headers['To']);
-        if (!toUri) {
+        const to = parsedMessage.getTo();
+        if (!to) {
             return { valid: false, error: 'Invalid To header format' };
         }
-        const toValidation = this.validateSipUri(toUri);
+        const toValidation = this.validateSipUri(to.uri);
         if (!toValidation.valid) {
             return toValidation;
         }
 
         // Валидация From заголовка
-        const fromUri = this.extractUri(parsedMessage.headers['From']);
-        if (!fromUri) {
+        const from = parsedMessage.getFrom();
+        if (!from) {
             return { valid: false, error: 'Invalid From header format' };
         }
-        const fromValidation = this.validateSipUri(fromUri);
+        const fromValidation = this.validateSipUri(from.uri);
         if (!fromValidation.valid) {
             return fromValidation;
         }
@@ -192,46 +205,53 @@ class SipValidator {
             };
         }
 
-        // Валидация Expires заголовка
-        const expires = parsedMessage.headers['Expires'];
-        if (expires) {
-            const expiresNum = parseInt(expires);
-            if (isNaN(expiresNum) || expiresNum < 0 || expiresNum > 86400) {
-                return { 
-                    valid: false, 
-                    error: 'Expires must be a number between 0 and 86400' 
-                };
-            }
+        // Валидация Expires заголовка; слишком долгий срок регистратор сокращает сам
+        const expires = parsedMessage.getHeader('Expires');
+        if (expires && !/^\d+$/.test(expires.trim())) {
+            return { 
+                valid: false, 
+                error: 'Expires must be a non-negative number of seconds' 
+            };
+        }
+
+        // Валидация Contact: каждый должен разбираться, "*" допустим только один и только с Expires: 0 (RFC 3261, 10.3)
+        const contacts = parsedMessage.getContacts();
+        if (contacts.length !== parsedMessage.getHeaders('Contact').length) {
+            return { valid: false, error: 'Invalid Contact header format' };
+        }
+        if (contacts.some(contact => contact.wildcard) && (contacts.length > 1 || !expires || parseInt(expires) !== 0)) {
+            return { valid: false, error: 'Contact: * must be the only Contact and requires Expires: 0' };
         }
 
         return { valid: true };
     }
 
     // Валидация INVITE запроса
-    validateInviteRequest(parsedMessage) {
+    // external - вызов с внешней линии: From содержит номер внешнего абонента (или anonymous), он не проверяется
+    validateInviteRequest(parsedMessage, transport = null, external = false) {
         const requiredHeaders = ['To', 'From', 'Call-ID', 'CSeq', 'Contact'];
-        const headerValidation = this.validateHeaders(parsedMessage.headers, requiredHeaders);
+        const headerValidation = this.validateHeaders(parsedMessage, requiredHeaders, transport);
         
         if (!headerValidation.valid) {
             return headerValidation;
         }
 
         // Валидация To заголовка
-        const toUri = this.extractUri(parsedMessage.headers['To']);
-        if (!toUri) {
+        const to = parsedMessage.getTo();
+        if (!to) {
             return { valid: false, error: 'Invalid To header format' };
         }
-        const toValidation = this.validateSipUri(toUri);
+        const toValidation = this.validateSipUri(to.uri, true);
         if (!toValidation.valid) {
             return toValidation;
         }
 
         // Валидация From заголовка
-        const fromUri = this.extractUri(parsedMessage.headers['From']);
-        if (!fromUri) {
+        const from = parsedMessage.getFrom();
+        if (!from) {
             return { valid: false, error: 'Invalid From header format' };
         }
-        const fromValidation = this.validateSipUri(fromUri);
+        const fromValidation = external ? { valid: true, number: null } : this.validateSipUri(from.uri);
         if (!fromValidation.valid) {
             return fromValidation;
         }
@@ -245,7 +265,7 @@ class SipValidator {
         }
 
         // Валидация SDP если присутствует
-        if (parsedMessage.body && parsedMessage.headers['Content-Type']?.includes('application/sdp')) {
+        if (parsedMessage.hasSdp()) {
             const sdpValidation = this.validateSdp(parsedMessage.body);
             if (!sdpValidation.valid) {
                 return sdpValidation;
@@ -258,20 +278,22 @@ class SipValidator {
     // Валидация BYE запроса
     validateByeRequest(parsedMessage) {
         const requiredHeaders = ['To', 'From', 'Call-ID', 'CSeq'];
-        const headerValidation = this.validateHeaders(parsedMessage.headers, requiredHeaders);
+        const headerValidation = this.validateHeaders(parsedMessage, requiredHeaders);
         
         if (!headerValidation.valid) {
             return headerValidation;
         }
 
         // Валидация To заголовка
-        const toValidation = this.validateSipUri(parsedMessage.headers['To']);
+        const to = parsedMessage.getTo();
+        const toValidation = this.validateSipUri(to ? to.uri : null);
         if (!toValidation.valid) {
             return toValidation;
         }
 
         // Валидация From заголовка
-        const fromValidation = this.validateSipUri(parsedMessage.headers['From']);
+        const from = parsedMessage.getFrom();
+        const fromValidation = this.validateSipUri(from ? from.uri : null);
         if (!fromValidation.valid) {
             return fromValidation;
         }
@@ -0,0 +1,199 @@
+const net = require('net');
+const EventEmitter = require('events');
+const { sipLogger } = require('../logger');
+
+// Максимальный размер SIP сообщения в потоке
+const MAX_MESSAGE_SIZE = 65535;
+
+class TcpTransport extends EventEmitter {
+    constructor(config) {
+        super();
+        this.config = config;
+        this.transportName = 'TCP';
+        this.port = config.sip.port;
+        this.host = config.sip.host;
+        this.server = null;
+        this.connections = new Map(); // "address:port" -> socket
+    }
+
+    // Ключ соединения
+    getConnectionKey(address, port) {
+        return `${address}:${port}`;
+    }
+
+    // Нормализация IPv4-mapped адресов (::ffff:192.168.0.1)
+    normalizeAddress(address) {
+        return address && address.startsWith('::ffff:') ? address.substring(7) : address;
+    }
+
+    // Создание сервера (переопределяется для TLS)
+    createServer(onConnection) {
+        return net.createServer(onConnection);
+    }
+
+    // Исходящее соединение (переопределяется для TLS)
+    connect(port, address) {
+        return net.connect({ port, host: address });
+    }
+
+    // Запуск сервера
+    start() {
+        this.server = this.createServer((socket) => this.addConnection(socket));
+
+        this.server.on('error', (error) => {
+            sipLogger.error(`SIP ${this.transportName} server error`, { error: error.message });
+        });
+
+        this.server.listen(this.port, this.host, () => {
+            sipLogger.info(`SIP ${this.transportName} listener started`, {
+                port: this.port,
+                host: this.host
+            });
+        });
+    }
+
+    // Регистрация соединения и настройка разбора потока
+    addConnection(socket, address, port) {
+        const remoteAddress = address || this.normalizeAddress(socket.remoteAddress);
+        const remotePort = port || socket.remotePort;
+        const key = this.getConnectionKey(remoteAddress, remotePort);
+        let buffer = Buffer.alloc(0);
+
+        this.connections.set(key, socket);
+        socket.setTimeout(this.config.sip.tcpIdleTimeout * 1000);
+
+        sipLogger.debug(`SIP ${this.transportName} connection opened`, { address: remoteAddress, port: remotePort });
+
+        socket.on('data', (data) => {
+            let messages;
+            try {
+                ({ messages, rest: buffer } = this.extractMessages(Buffer.concat([buffer, data]), socket));
+            } catch (error) {
+                sipLogger.error(`SIP ${this.transportName} framing error`, {
+                    error: error.message,
+                    address: remoteAddress,
+                    port: remotePort
+                });
+                socket.destroy();
+                return;
+            }
+
+            for (const message of messages) {
+                this.emit('message', message, {
+                    address: remoteAddress,
+                    port: remotePort,
+                    transport: this.transportName,
+                    size: message.length
+                });
+            }
+        });
+
+        socket.on('timeout', () => {
+            sipLogger.debug(`SIP ${this.transportName} connection idle timeout`, { address: remoteAddress, port: remotePort });
+            socket.destroy();
+        });
+
+        socket.on('error', (error) => {
+            sipLogger.warn(`SIP ${this.transportName} connection error`, {
+                error: error.message,
+                address: remoteAddress,
+                port: remotePort
+            });
+        });
+
+        socket.on('close', () => {
+            if (this.connections.get(key) === socket) {
+                this.connections.delete(key);
+            }
+            sipLogger.debug(`SIP ${this.transportName} connection closed`, { address: remoteAddress, port: remotePort });
+        });
+
+        return socket;
+    }
+
+    // Выделение SIP сообщений из потока по Content-Length
+    // Возвращает { messages, rest }, где rest - необработанный остаток буфера
+    extractMessages(buffer, socket) {
+        const messages = [];
+
+        while (buffer.length > 0) {
+            // Keepalive RFC 5626: CRLFCRLF - ping, отвечаем CRLF
+            if (buffer.subarray(0, 4).toString() === '\r\n\r\n') {
+                socket.write('\r\n');
+                buffer = buffer.subarray(4);
+                continue;
+            }
+
+            // Возможно неполный ping - ждем следующие данные
+            if (buffer.length < 4 && '\r\n\r\n'.startsWith(buffer.toString())) {
+                break;
+            }
+
+            // Одиночный CRLF (pong) перед сообщением пропускаем
+            if (buffer.subarray(0, 2).toString() === '\r\n') {
+                buffer = buffer.subarray(2);
+                continue;
+            }
+
+            const headerEnd = buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) {
+                if (buffer.length > MAX_MESSAGE_SIZE) {
+                    throw new Error('SIP message headers too large');
+                }
+                break;
+            }
+
+            const headerText = buffer.subarray(0, headerEnd).toString();
+            const lengthMatch = headerText.match(/^(?:Content-Length|l)\s*:\s*(\d+)\s*$/mi);
+            if (!lengthMatch) {
+                throw new Error('Content-Length is required for stream transports');
+            }
+
+            const contentLength = parseInt(lengthMatch[1]);
+            const messageLength = headerEnd + 4 + contentLength;
+            if (messageLength > MAX_MESSAGE_SIZE) {
+                throw new Error('SIP message too large');
+            }
+            if (buffer.length < messageLength) {
+                break;
+            }
+
+            messages.push(buffer.subarray(0, messageLength));
+            buffer = buffer.subarray(messageLength);
+        }
+
+        return { messages, rest: buffer };
+    }
+
+    // Отправка сообщения: используем существующее соединение или открываем новое
+    send(message, port, address) {
+        const key = this.getConnectionKey(address, port);
+        let socket = this.connections.get(key);
+
+        if (!socket || socket.destroyed) {
+            sipLogger.debug(`Opening SIP ${this.transportName} connection`, { address, port });
+            socket = this.addConnection(this.connect(port, address), address, port);
+        }
+
+        socket.write(message);
+    }
+
+    // Получение информации о соединениях
+    getConnections() {
+        return Array.from(this.connections.keys());
+    }
+
+    // Остановка сервера
+    stop() {
+        for (const socket of this.connections.values()) {
+            socket.destroy();
+        }
+        this.connections.clear();
+        if (this.server) {
+            this.server.close();
+        }
+        sipLogger.info(`SIP ${this.transportName} listener stopped`);
+    }
+}
+
+module.exports = TcpTransport;
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const tls = require('tls');
+const TcpTransport = require('./tcp-transport');
+const { sipLogger } = require('../logger');
+
+class TlsTransport extends TcpTransport {
+    constructor(config) {
+        super(config);
+        this.transportName = 'TLS';
+        this.port = config.tls.port;
+        this.credentials = null;
+    }
+
+    // Загрузка сертификата, ключа и CA из файлов, указанных в конфигурации
+    loadCredentials() {
+        const tlsConfig = this.config.tls;
+        const credentials = {
+            cert: fs.readFileSync(tlsConfig.certFile),
+            key: fs.readFileSync(tlsConfig.keyFile)
+        };
+
+        if (tlsConfig.caFile) {
+            credentials.ca = fs.readFileSync(tlsConfig.caFile);
+        }
+
+        return credentials;
+    }
+
+    // Создание TLS сервера
+    createServer(onConnection) {
+        const server = tls.createServer({
+            ...this.credentials,
+            // Проверка клиентского сертификата (mutual TLS)
+            requestCert: this.config.tls.verifyClient,
+            rejectUnauthorized: this.config.tls.verifyClient
+        }, onConnection);
+
+        server.on('tlsClientError', (error, socket) => {
+            sipLogger.warn(`TLS handshake failed`, {
+                error: error.message,
+                address: this.normalizeAddress(socket.remoteAddress),
+                port: socket.remotePort
+            });
+        });
+
+        return server;
+    }
+
+    // Исходящее TLS соединение
+    connect(port, address) {
+        return tls.connect({
+            ...this.credentials,
+            port,
+            host: address,
+            rejectUnauthorized: this.config.tls.verifyServer
+        });
+    }
+
+    // Запуск сервера: без сертификата TLS слушатель не поднимается
+    start() {
+        try {
+            this.credentials = this.loadCredentials();
+        } catch (error) {
+            sipLogger.error(`Cannot load TLS certificate`, {
+                error: error.message,
+                certFile: this.config.tls.certFile,
+                keyFile: this.config.tls.keyFile
+            });
+            return false;
+        }
+
+        super.start();
+        return true;
+    }
+}
+
+module.exports = TlsTransport;
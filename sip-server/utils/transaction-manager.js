@@ -0,0 +1,522 @@
+const crypto = require('crypto');
+const SipMessage = require('./sip-message');
+const { sipLogger } = require('../logger');
+
+// Magic cookie RFC 3261 для параметра branch
+const BRANCH_MAGIC_COOKIE = 'z9hG4bK';
+
+class TransactionManager {
+    constructor(config, transport) {
+        this.config = config;
+        this.transport = transport; // (message, port, address, transport) => void
+        this.t1 = config.sip.timers.t1;
+        this.t2 = config.sip.timers.t2;
+        this.t4 = config.sip.timers.t4;
+        this.timerC = config.sip.timers.c;
+        this.serverTransactions = new Map(); // key -> transaction
+        this.clientTransactions = new Map(); // key -> transaction
+        this.pendingAnswers = new Map(); // Call-ID:CSeq -> серверная INVITE транзакция, ожидающая ACK на 2xx
+    }
+
+    // Генерация нового branch для Via сервера
+    generateBranch() {
+        return `${BRANCH_MAGIC_COOKIE}-${crypto.randomBytes(8).toString('hex')}`;
+    }
+
+    // Branch для пересылки без состояния (ACK на 2xx): повтор запроса получает тот же branch
+    generateStatelessBranch(request) {
+        const source = this.getBranch(request) || request.toString();
+        return `${BRANCH_MAGIC_COOKIE}-${crypto.createHash('md5').update(source).digest('hex').substring(0, 16)}`;
+    }
+
+    // Извлечение branch из верхнего Via сообщения
+    getBranch(message) {
+        const via = message.getVia();
+        return via && via.params.branch ? via.params.branch : null;
+    }
+
+    // Ключ серверной транзакции (RFC 3261, 17.2.3)
+    getServerKey(parsed, method) {
+        const via = parsed.getVia();
+        const branch = this.getBranch(parsed);
+
+        if (branch && branch.startsWith(BRANCH_MAGIC_COOKIE)) {
+            const sentBy = via.port ? `${via.host}:${via.port}` : via.host;
+            return `${branch}:${sentBy}:${method}`;
+        }
+
+        // Клиенты RFC 2543 не передают branch - сопоставляем по Call-ID, CSeq и тегу From
+        const cseq = parsed.getCSeq();
+        const from = parsed.getFrom();
+        const fromTag = from && from.params.tag ? from.params.tag : '';
+        return `${parsed.getCallId()}:${cseq ? cseq.number : 0}:${fromTag}:${parsed.getHeader('Via')}:${method}`;
+    }
+
+    // Установка таймера транзакции
+    setTimer(transaction, name, delay, callback) {
+        this.clearTimer(transaction, name);
+        transaction.timers[name] = setTimeout(() => {
+            delete transaction.timers[name];
+            callback();
+        }, delay);
+    }
+
+    // Сброс таймера транзакции
+    clearTimer(transaction, name) {
+        if (transaction.timers[name]) {
+            clearTimeout(transaction.timers[name]);
+            delete transaction.timers[name];
+        }
+    }
+
+    // Отправка сообщения транзакции через ее транспорт
+    transmit(transaction, message) {
+        this.transport(message.toString(), transaction.port, transaction.address, transaction.transport);
+    }
+
+    // Надежный транспорт (TCP, TLS, WS) не требует ретрансмиссий
+    isReliable(transaction) {
+        return transaction.transport !== 'UDP';
+    }
+
+    // Завершение транзакции
+    terminate(transaction) {
+        for (const name of Object.keys(transaction.timers)) {
+            this.clearTimer(transaction, name);
+        }
+        transaction.state = 'TERMINATED';
+
+        const transactions = transaction.isServer ? this.serverTransactions : this.clientTransactions;
+        if (transactions.get(transaction.key) === transaction) {
+            transactions.delete(transaction.key);
+        }
+        if (transaction.ackKey && this.pendingAnswers.get(transaction.ackKey) === transaction) {
+            this.pendingAnswers.delete(transaction.ackKey);
+        }
+
+        sipLogger.debug(`Transaction terminated`, {
+            key: transaction.key,
+            method: transaction.method
+        });
+    }
+
+    // Обработка входящего запроса
+    // Возвращает { absorbed, transaction }: absorbed = true, если запрос - ретрансмиссия и уже обработан
+    receiveRequest(parsed, rinfo) {
+        const method = parsed.method;
+
+        if (method === 'ACK') {
+            // ACK на отрицательный ответ относится к INVITE транзакции
+            const inviteTransaction = this.serverTransactions.get(this.getServerKey(parsed, 'INVITE'));
+            if (inviteTransaction && inviteTransaction.state === 'COMPLETED') {
+                inviteTransaction.state = 'CONFIRMED';
+                this.clearTimer(inviteTransaction, 'G');
+                this.clearTimer(inviteTransaction, 'H');
+                const timerI = this.isReliable(inviteTransaction) ? 0 : this.t4;
+                this.setTimer(inviteTransaction, 'I', timerI, () => this.terminate(inviteTransaction));
+                return { absorbed: true, transaction: inviteTransaction };
+            }
+            if (inviteTransaction && inviteTransaction.state === 'CONFIRMED') {
+                return { absorbed: true, transaction: inviteTransaction };
+            }
+
+            // ACK на 2xx - отдельная транзакция, передаем обработчику
+            // Если 2xx сформировал сам сервер (sendAnswer) - прекращаем его повтор
+            const cseq = parsed.getCSeq();
+            const answered = cseq ? this.pendingAnswers.get(`${parsed.getCallId()}:${cseq.number}`) : null;
+            if (answered && !answered.acknowledged) {
+                answered.acknowledged = true;
+                this.clearTimer(answered, 'G');
+                sipLogger.debug(`ACK received for 2xx`, { key: answered.key, callId: parsed.getCallId() });
+            }
+            return { absorbed: false, transaction: null };
+        }
+
+        const key = this.getServerKey(parsed, method);
+        const existing = this.serverTransactions.get(key);
+        if (existing) {
+            // Ретрансмиссия запроса: повторяем последний ответ
+            if (existing.lastResponse) {
+                this.transmit(existing, existing.lastResponse);
+            }
+            sipLogger.debug(`Request retransmission absorbed`, {
+                key,
+                method,
+                state: existing.state,
+                address: rinfo.address,
+                port: rinfo.port
+            });
+            return { absorbed: true, transaction: existing };
+        }
+
+        const transaction = {
+            key,
+            method,
+            isServer: true,
+            isInvite: method === 'INVITE',
+            state: method === 'INVITE' ? 'PROCEEDING' : 'TRYING',
+            request: parsed,
+            address: rinfo.address,
+            port: rinfo.port,
+            transport: rinfo.transport || 'UDP',
+            lastResponse: null,
+            timers: {}
+        };
+        this.serverTransactions.set(key, transaction);
+
+        return { absorbed: false, transaction };
+    }
+
+    // Получение серверной транзакции по ключу
+    getServerTransaction(key) {
+        return key ? this.serverTransactions.get(key) : undefined;
+    }
+
+    // Отправка ответа (SipMessage) в рамках серверной транзакции
+    sendResponse(transaction, response) {
+        const statusCode = response.statusCode;
+
+        if (transaction.state === 'TERMINATED') {
+            sipLogger.warn(`Response sent on terminated transaction`, {
+                key: transaction.key,
+                statusCode
+            });
+            this.transmit(transaction, response);
+            return;
+        }
+
+        transaction.lastResponse = response.toString();
+        this.transmit(transaction, transaction.lastResponse);
+
+        if (statusCode < 200) {
+            transaction.state = 'PROCEEDING';
+            return;
+        }
+
+        if (!transaction.isInvite) {
+            // Timer J: поглощаем ретрансмиссии запроса
+            transaction.state = 'COMPLETED';
+            const timerJ = this.isReliable(transaction) ? 0 : 64 * this.t1;
+            this.setTimer(transaction, 'J', timerJ, () => this.terminate(transaction));
+            return;
+        }
+
+        if (statusCode < 300) {
+            // RFC 6026: ожидаем ретрансмиссии INVITE, 2xx повторяет вызываемая сторона
+            if (transaction.state !== 'ACCEPTED') {
+                transaction.state = 'ACCEPTED';
+                this.setTimer(transaction, 'L', 64 * this.t1, () => this.terminate(transaction));
+            }
+            return;
+        }
+
+        // Отрицательный ответ: Timer G повторяет ответ до получения ACK, Timer H ограничивает ожидание
+        transaction.state = 'COMPLETED';
+        if (!this.isReliable(transaction)) {
+            let interval = this.t1;
+            const retransmit = () => {
+                this.transmit(transaction, transaction.lastResponse);
+                interval = Math.min(interval * 2, this.t2);
+                this.setTimer(transaction, 'G', interval, retransmit);
+            };
+            this.setTimer(transaction, 'G', interval, retransmit);
+        }
+        this.setTimer(transaction, 'H', 64 * this.t1, () => {
+            sipLogger.warn(`ACK not received for final response`, {
+                key: transaction.key,
+                statusCode,
+                address: transaction.address,
+                port: transaction.port
+            });
+            this.terminate(transaction);
+        });
+    }
+
+    // 2xx на INVITE, который сервер формирует сам (UAS): повторяется с интервалом от T1 до T2 до получения ACK
+    // (RFC 3261, 13.3.1.4). Если ACK не пришел за 64*T1, вызывается onAckTimeout(transaction) - диалог нужно завершить
+    sendAnswer(transaction, response, onAckTimeout) {
+        this.sendResponse(transaction, response);
+        if (transaction.state !== 'ACCEPTED' || transaction.ackKey) {
+            return;
+        }
+
+        const request = transaction.request;
+        transaction.ackKey = `${request.getCallId()}:${request.getCSeq().number}`;
+        this.pendingAnswers.set(transaction.ackKey, transaction);
+
+        if (!this.isReliable(transaction)) {
+            let interval = this.t1;
+            const retransmit = () => {
+                this.transmit(transaction, transaction.lastResponse);
+                interval = Math.min(interval * 2, this.t2);
+                this.setTimer(transaction, 'G', interval, retransmit);
+            };
+            this.setTimer(transaction, 'G', interval, retransmit);
+        }
+        this.setTimer(transaction, 'L', 64 * this.t1, () => {
+            const acknowledged = transaction.acknowledged;
+            this.terminate(transaction);
+            if (!acknowledged) {
+                sipLogger.warn(`ACK not received for 2xx response`, {
+                    key: transaction.key,
+                    address: transaction.address,
+                    port: transaction.port
+                });
+                if (onAckTimeout) {
+                    onAckTimeout(transaction);
+                }
+            }
+        });
+    }
+
+    // Повторная отправка последнего ответа серверной транзакции
+    retransmitResponse(transaction) {
+        if (transaction && transaction.lastResponse) {
+            this.transmit(transaction, transaction.lastResponse);
+            return true;
+        }
+        return false;
+    }
+
+    // Отправка запроса (SipMessage) с созданием клиентской транзакции
+    // options.transport - транспорт (UDP, TCP, ...), по умолчанию UDP
+    // options.onResponse(parsed, transaction, rinfo) получает ответы вместо общего обработчика
+    // options.onTimeout(transaction) вызывается по Timer B / Timer C / Timer F
+    // options.serverTransaction - серверная транзакция проксируемого запроса, в нее пересылаются ответы
+    sendRequest(request, port, address, options = {}) {
+        const transport = options.transport || 'UDP';
+        const method = request.method;
+        const branch = this.getBranch(request);
+
+        if (!branch) {
+            sipLogger.error(`Client transaction requires Via branch`, { method, address, port });
+            this.transport(request.toString(), port, address, transport);
+            return null;
+        }
+
+        const transaction = {
+            key: `${branch}:${method}`,
+            method,
+            isServer: false,
+            isInvite: method === 'INVITE',
+            state: method === 'INVITE' ? 'CALLING' : 'TRYING',
+            request,
+            address,
+            port,
+            branch,
+            transport,
+            onResponse: options.onResponse,
+            onTimeout: options.onTimeout,
+            serverTransaction: options.serverTransaction || null,
+            sentAt: Date.now(),
+            timers: {}
+        };
+        this.clientTransactions.set(transaction.key, transaction);
+        this.transmit(transaction, request);
+
+        // Timer A / Timer E: повтор запроса с удвоением интервала
+        if (!this.isReliable(transaction)) {
+            let interval = this.t1;
+            const retransmitTimer = transaction.isInvite ? 'A' : 'E';
+            const retransmit = () => {
+                this.transmit(transaction, transaction.request);
+                interval = transaction.isInvite ? interval * 2 : Math.min(interval * 2, this.t2);
+                this.setTimer(transaction, retransmitTimer, interval, retransmit);
+            };
+            this.setTimer(transaction, retransmitTimer, interval, retransmit);
+        }
+
+        // Timer B / Timer F: таймаут транзакции
+        this.setTimer(transaction, transaction.isInvite ? 'B' : 'F', 64 * this.t1, () => this.handleTimeout(transaction));
+
+        return transaction;
+    }
+
+    // Таймаут клиентской транзакции
+    // Timer C (RFC 3261, 16.8): вызываемый уже звонит - отправляем CANCEL до onTimeout и держим транзакцию,
+    // пока не придет финальный ответ (487 подтверждается ACK); отменить ее повторно обработчик уже не сможет
+    handleTimeout(transaction) {
+        sipLogger.warn(`Client transaction timeout`, {
+            key: transaction.key,
+            method: transaction.method,
+            state: transaction.state,
+            address: transaction.address,
+            port: transaction.port
+        });
+        if (transaction.isInvite && transaction.state === 'PROCEEDING') {
+            transaction.timedOut = true;
+            this.cancel(transaction);
+            this.setTimer(transaction, 'B', 64 * this.t1, () => this.terminate(transaction));
+        } else {
+            this.terminate(transaction);
+        }
+        if (transaction.onTimeout) {
+            transaction.onTimeout(transaction);
+        }
+    }
+
+    // Формирование ACK на отрицательный ответ (RFC 3261, 17.1.1.3)
+    createAck(transaction, parsedResponse) {
+        const request = transaction.request;
+
+        return SipMessage.createRequest('ACK', request.uri, {
+            'Via': request.getHeader('Via'),
+            'From': request.getHeader('From'),
+            'To': parsedResponse.getHeader('To'),
+            'Call-ID': request.getCallId(),
+            'CSeq': `${request.getCSeq().number} ACK`,
+            'Route': request.getHeaders('Route')
+        });
+    }
+
+    // Формирование CANCEL для клиентской INVITE транзакции (RFC 3261, 9.1)
+    createCancel(transaction) {
+        const request = transaction.request;
+
+        return SipMessage.createRequest('CANCEL', request.uri, {
+            'Via': request.getHeader('Via'),
+            'From': request.getHeader('From'),
+            'To': request.getHeader('To'),
+            'Call-ID': request.getCallId(),
+            'CSeq': `${request.getCSeq().number} CANCEL`,
+            'Route': request.getHeaders('Route')
+        });
+    }
+
+    // Отмена клиентской INVITE транзакции
+    // Возвращает false, если транзакция уже получила финальный ответ
+    cancel(transaction) {
+        if (!transaction || !transaction.isInvite) {
+            return false;
+        }
+
+        if (transaction.state === 'CALLING') {
+            // CANCEL нельзя отправлять до получения предварительного ответа
+            transaction.cancelled = true;
+            transaction.cancelPending = true;
+            return true;
+        }
+
+        if (transaction.state === 'PROCEEDING') {
+            if (transaction.cancelled) {
+                // CANCEL уже отправлен (например, по Timer C)
+                return true;
+            }
+            transaction.cancelled = true;
+            this.sendRequest(this.createCancel(transaction), transaction.port, transaction.address, {
+                transport: transaction.transport
+            });
+            return true;
+        }
+
+        return false;
+    }
+
+    // Получение клиентской транзакции по branch и методу
+    getClientTransaction(branch, method) {
+        return this.clientTransactions.get(`${branch}:${method}`);
+    }
+
+    // Обработка входящего ответа
+    // Возвращает { absorbed, transaction, retransmission }
+    receiveResponse(parsed) {
+        const branch = this.getBranch(parsed);
+        const cseq = parsed.getCSeq();
+        const transaction = cseq ? this.clientTransactions.get(`${branch}:${cseq.method}`) : undefined;
+        const statusCode = parsed.statusCode;
+
+        if (!transaction) {
+            // Ответ вне транзакции (например, ретрансмиссия 2xx после ее завершения)
+            return { absorbed: false, transaction: null, retransmission: false };
+        }
+
+        if (transaction.isInvite) {
+            if (transaction.timedOut && transaction.state === 'PROCEEDING' && statusCode < 200) {
+                // После Timer C ждем только финальный ответ на CANCEL
+                return { absorbed: true, transaction, retransmission: false };
+            }
+
+            if (transaction.state === 'CALLING' || transaction.state === 'PROCEEDING') {
+                this.clearTimer(transaction, 'A');
+                this.clearTimer(transaction, 'B');
+
+                if (statusCode < 200) {
+                    // Timer C (прокси): ограничиваем ожидание финального ответа после 1xx
+                    transaction.state = 'PROCEEDING';
+                    this.setTimer(transaction, 'C', this.timerC, () => this.handleTimeout(transaction));
+
+                    // Отложенный CANCEL можно отправить после первого предварительного ответа
+                    if (transaction.cancelPending) {
+                        transaction.cancelPending = false;
+                        this.sendRequest(this.createCancel(transaction), transaction.port, transaction.address, {
+                            transport: transaction.transport
+                        });
+                    }
+                } else if (statusCode < 300) {
+                    this.clearTimer(transaction, 'C');
+                    // RFC 6026: ретрансмиссии 2xx передаются обработчику
+                    transaction.state = 'ACCEPTED';
+                    this.setTimer(transaction, 'M', 64 * this.t1, () => this.terminate(transaction));
+                } else {
+                    // Timer D: поглощаем ретрансмиссии отрицательного ответа
+                    this.clearTimer(transaction, 'C');
+                    transaction.state = 'COMPLETED';
+                    transaction.ack = this.createAck(transaction, parsed);
+                    this.transmit(transaction, transaction.ack);
+                    const timerD = this.isReliable(transaction) ? 0 : 32000;
+                    this.setTimer(transaction, 'D', timerD, () => this.terminate(transaction));
+                }
+                // Отказ после Timer C вызывающему уже не нужен: он получил 408 или звонок переадресован
+                const absorbed = !!transaction.timedOut && statusCode >= 300;
+                return { absorbed, transaction, retransmission: false };
+            }
+
+            if (transaction.state === 'ACCEPTED' && statusCode >= 200 && statusCode < 300) {
+                return { absorbed: false, transaction, retransmission: true };
+            }
+
+            if (transaction.state === 'COMPLETED' && statusCode >= 300) {
+                this.transmit(transaction, transaction.ack);
+            }
+            return { absorbed: true, transaction, retransmission: true };
+        }
+
+        if (transaction.state === 'TRYING' || transaction.state === 'PROCEEDING') {
+            if (statusCode < 200) {
+                transaction.state = 'PROCEEDING';
+            } else {
+                // Timer K: поглощаем ретрансмиссии финального ответа
+                transaction.state = 'COMPLETED';
+                this.clearTimer(transaction, 'E');
+                this.clearTimer(transaction, 'F');
+                const timerK = this.isReliable(transaction) ? 0 : this.t4;
+                this.setTimer(transaction, 'K', timerK, () => this.terminate(transaction));
+            }
+            return { absorbed: false, transaction, retransmission: false };
+        }
+
+        return { absorbed: true, transaction, retransmission: true };
+    }
+
+    // Отправка сообщения вне транзакции (ACK на 2xx, ретрансмиссии 2xx)
+    sendStateless(message, port, address, transport = 'UDP') {
+        this.transport(message.toString(), port, address, transport);
+    }
+
+    // Получение статистики транзакций
+    getStatistics() {
+        const stateStats = {};
+        for (const transaction of [...this.serverTransactions.values(), ...this.clientTransactions.values()]) {
+            const name = `${transaction.isServer ? 'server' : 'client'}:${transaction.method}:${transaction.state}`;
+            stateStats[name] = (stateStats[name] || 0) + 1;
+        }
+
+        return {
+            serverTransactions: this.serverTransactions.size,
+            clientTransactions: this.clientTransactions.size,
+            stateStats
+        };
+    }
+}
+
+module.exports = TransactionManager;
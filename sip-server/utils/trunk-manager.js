@@ -0,0 +1,322 @@
+const fs = require('fs');
+const net = require('net');
+const dns = require('dns');
+const crypto = require('crypto');
+const { sipLogger } = require('../logger');
+
+const TRUNK_NAME = /^[\w-]+$/;
+const TRUNK_TRANSPORTS = ['UDP', 'TCP', 'TLS'];
+const CALLER_ID = /^\+?\d{1,20}$/;
+
+// Куда направляется входящий вызов с линии: абонент, группа вызова, голосовое меню, голосовая почта
+const INBOUND_ACTIONS = ['extension', 'ringGroup', 'ivr', 'voicemail'];
+const DID_NUMBER = /^\+?\d{1,20}$/;
+
+// DID сравниваются без + в начале: провайдеры передают номер по-разному
+function normalizeDid(number) {
+    return number.startsWith('+') ? number.substring(1) : number;
+}
+
+// Внешние линии (SIP-транки): описания из JSON, состояние регистрации у провайдера и ее продление,
+// распознавание входящих вызовов с линий и их маршруты по DID
+class TrunkManager {
+    constructor(config) {
+        this.config = config;
+        this.trunks = new Map(); // имя -> { name, host, port, transport, username, password, authUsername, domain, callerId, register, expires,
+                                 //         addresses, hostAddresses, dids, defaultRoute, registration }
+        this.register = null; // отправка REGISTER провайдеру (задает сервер в startRegistration)
+    }
+
+    getTrunk(name) {
+        return this.trunks.get(name) || null;
+    }
+
+    // Линия принимает вызовы: без регистрации - всегда, с регистрацией - пока провайдер ее подтверждает
+    isAvailable(name) {
+        const trunk = this.getTrunk(name);
+        return !!trunk && (!trunk.register || trunk.registration.state === 'registered');
+    }
+
+    // Загрузка описаний из JSON-файла (массив линий); при ошибке линий нет
+    loadFromFile(configFile) {
+        let definitions;
+        try {
+            definitions = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        } catch (error) {
+            sipLogger.error(`Trunk definitions read failed`, { configFile, error: error.message });
+            return;
+        }
+
+        const list = Array.isArray(definitions) ? definitions : [definitions];
+        const trunks = new Map();
+        for (const [index, data] of list.entries()) {
+            const validation = this.validateTrunk(data || {}, index);
+            if (!validation.valid) {
+                sipLogger.error(`Invalid trunk definitions ignored`, { configFile, error: validation.error });
+                return;
+            }
+            if (trunks.has(validation.trunk.name)) {
+                sipLogger.error(`Invalid trunk definitions ignored`, { configFile, error: `Duplicate trunk name: ${validation.trunk.name}` });
+                return;
+            }
+            trunks.set(validation.trunk.name, validation.trunk);
+        }
+
+        this.trunks = trunks;
+        sipLogger.info(`Trunks loaded`, { trunks: Array.from(trunks.keys()).join(',') });
+        for (const trunk of trunks.values()) {
+            this.resolveHost(trunk);
+        }
+    }
+
+    // Адреса host линии: с них провайдер присылает входящие вызовы
+    resolveHost(trunk) {
+        dns.lookup(trunk.host, { all: true }, (error, addresses) => {
+            if (error) {
+                sipLogger.warn(`Trunk host resolution failed`, { trunk: trunk.name, host: trunk.host, error: error.message });
+                return;
+            }
+            trunk.hostAddresses = addresses.map(entry => entry.address);
+        });
+    }
+
+    // Проверка описания линии; возвращает { valid, error, trunk }
+    validateTrunk(data, index) {
+        const name = data.name !== undefined && data.name !== null ? String(data.name) : '';
+        if (!TRUNK_NAME.test(name)) {
+            return { valid: false, error: `Trunk ${index + 1}: name may contain only letters, digits, _ and -` };
+        }
+        const label = `Trunk ${name}`;
+
+        if (!data.host || typeof data.host !== 'string') {
+            return { valid: false, error: `${label}: host is required` };
+        }
+
+        const transport = data.transport ? String(data.transport).toUpperCase() : 'UDP';
+        if (!TRUNK_TRANSPORTS.includes(transport)) {
+            return { valid: false, error: `${label}: transport must be one of ${TRUNK_TRANSPORTS.join(', ')}` };
+        }
+
+        const port = data.port !== undefined ? parseInt(data.port) : (transport === 'TLS' ? 5061 : 5060);
+        if (isNaN(port) || port < 1 || port > 65535) {
+            return { valid: false, error: `${label}: port must be a number between 1 and 65535` };
+        }
+
+        const username = data.username !== undefined && data.username !== null ? String(data.username) : null;
+        const register = data.register !== undefined ? data.register : !!username;
+        if (typeof register !== 'boolean') {
+            return { valid: false, error: `${label}: register must be a boolean` };
+        }
+        if (register && !username) {
+            return { valid: false, error: `${label}: username is required for registration` };
+        }
+
+        if (data.password && !username && !data.authUsername) {
+            return { valid: false, error: `${label}: username or authUsername is required with password` };
+        }
+
+        const callerId = data.callerId !== undefined && data.callerId !== null ? String(data.callerId) : username;
+        if (!callerId || !CALLER_ID.test(callerId)) {
+            return { valid: false, error: `${label}: callerId (or numeric username) is required` };
+        }
+
+        const expires = data.expires !== undefined ? parseInt(data.expires) : this.config.trunks.registerExpires;
+        if (isNaN(expires) || expires < 60) {
+            return { valid: false, error: `${label}: expires must be a number of seconds, at least 60` };
+        }
+
+        const addresses = data.addresses !== undefined ? data.addresses : [];
+        if (!Array.isArray(addresses) || addresses.some(address => !net.isIP(String(address)))) {
+            return { valid: false, error: `${label}: addresses must be an array of IP addresses` };
+        }
+
+        // dids: { "номер": { action, target } }; defaultRoute - маршрут вызовов на номера, которых нет в dids
+        const dids = {};
+        const didDefinitions = data.dids !== undefined && data.dids !== null ? data.dids : {};
+        if (typeof didDefinitions !== 'object' || Array.isArray(didDefinitions)) {
+            return { valid: false, error: `${label}: dids must be an object mapping numbers to routes` };
+        }
+        for (const [number, routeData] of Object.entries(didDefinitions)) {
+            if (!DID_NUMBER.test(number)) {
+                return { valid: false, error: `${label}: invalid DID ${number}` };
+            }
+            const routeValidation = this.validateInboundRoute(routeData, `${label}, DID ${number}`);
+            if (!routeValidation.valid) {
+                return routeValidation;
+            }
+            dids[normalizeDid(number)] = routeValidation.route;
+        }
+
+        let defaultRoute = null;
+        if (data.defaultRoute !== undefined && data.defaultRoute !== null) {
+            const routeValidation = this.validateInboundRoute(data.defaultRoute, `${label}, defaultRoute`);
+            if (!routeValidation.valid) {
+                return routeValidation;
+            }
+            defaultRoute = routeValidation.route;
+        }
+
+        const trunk = {
+            name,
+            host: data.host,
+            port,
+            transport,
+            username,
+            password: data.password !== undefined && data.password !== null ? String(data.password) : null,
+            authUsername: data.authUsername ? String(data.authUsername) : username,
+            domain: data.domain ? String(data.domain) : data.host,
+            callerId,
+            register,
+            expires,
+            addresses: addresses.map(address => String(address)),
+            hostAddresses: net.isIP(data.host) ? [data.host] : [],
+            dids,
+            defaultRoute,
+            registration: {
+                state: register ? 'unregistered' : 'disabled',
+                callId: `${crypto.randomBytes(12).toString('hex')}@${this.config.sip.serverAddress}`,
+                tag: crypto.randomBytes(6).toString('hex'),
+                cseq: 0,
+                registeredAt: null,
+                expiresAt: null,
+                lastStatusCode: null,
+                lastError: null,
+                address: null,
+                timer: null
+            }
+        };
+        return { valid: true, trunk };
+    }
+
+    // Маршрут входящего вызова { action, target }; цель должна существовать в своем диапазоне
+    validateInboundRoute(data, label) {
+        if (!data || typeof data !== 'object' || !INBOUND_ACTIONS.includes(data.action)) {
+            return { valid: false, error: `${label}: action must be one of ${INBOUND_ACTIONS.join(', ')}` };
+        }
+
+        const target = data.target !== undefined && data.target !== null ? String(data.target) : '';
+        const value = parseInt(target);
+        const inRange = (range) => /^\d+$/.test(target) && value >= range.min && value <= range.max;
+        const exists = data.action === 'ringGroup' ? inRange(this.config.ringGroups)
+            : data.action === 'ivr' ? inRange(this.config.ivr)
+                : this.config.validExtensions.has(target);
+        if (!exists) {
+            return { valid: false, error: `${label}: invalid ${data.action} target ${target}` };
+        }
+        return { valid: true, route: { action: data.action, target } };
+    }
+
+    // Линия, с которой пришел запрос: адрес из addresses, адрес host или адрес, с которого провайдер подтвердил регистрацию;
+    // если адрес общий у нескольких линий, выбирается та, на чей Contact регистрации (username) пришел запрос
+    findInboundTrunk(address, requestUser) {
+        const trunks = Array.from(this.trunks.values()).filter(trunk => trunk.addresses.includes(address) ||
+            trunk.hostAddresses.includes(address) ||
+            (trunk.registration.state === 'registered' && trunk.registration.address === address));
+        return trunks.find(trunk => trunk.username && trunk.username === requestUser) || trunks[0] || null;
+    }
+
+    // Маршрут входящего вызова с линии: { number, action, target }, number - DID вызова
+    // DID ищется сначала в Request-URI, затем в To (у зарегистрированной линии Request-URI - Contact сервера);
+    // номер не найден в dids - defaultRoute линии, нет и его - action null
+    routeInbound(trunk, requestNumber, toNumber) {
+        for (const number of [requestNumber, toNumber]) {
+            const route = number ? trunk.dids[normalizeDid(number)] : null;
+            if (route) {
+                return { number, ...route };
+            }
+        }
+        const number = toNumber || requestNumber;
+        return trunk.defaultRoute ? { number, ...trunk.defaultRoute } : { number, action: null, target: null };
+    }
+
+    // Описание линии для API (без пароля и служебных полей регистрации)
+    getTrunkInfo(trunk) {
+        const { password, registration, ...info } = trunk;
+        const { callId, tag, cseq, timer, ...status } = registration;
+        return { ...info, registration: status };
+    }
+
+    getAllTrunks() {
+        return Array.from(this.trunks.values()).map(trunk => this.getTrunkInfo(trunk));
+    }
+
+    getStatistics() {
+        const trunks = this.getAllTrunks();
+        return {
+            total: trunks.length,
+            registered: trunks.filter(trunk => trunk.registration.state === 'registered').length,
+            trunks: trunks.map(trunk => ({
+                name: trunk.name,
+                host: trunk.host,
+                port: trunk.port,
+                transport: trunk.transport,
+                ...trunk.registration
+            }))
+        };
+    }
+
+    // Регистрация всех линий с register: true; register(trunk) отправляет REGISTER на trunk.expires секунд
+    startRegistration(register) {
+        this.register = register;
+        for (const trunk of this.trunks.values()) {
+            if (trunk.register) {
+                this.sendRegister(trunk);
+            }
+        }
+    }
+
+    sendRegister(trunk) {
+        clearTimeout(trunk.registration.timer);
+        if (trunk.registration.state !== 'registered') {
+            trunk.registration.state = 'registering';
+        }
+        this.register(trunk);
+    }
+
+    // Провайдер подтвердил регистрацию на expires секунд: продление на 90% срока
+    // address - адрес, с которого пришло подтверждение; пока линия зарегистрирована, вызовы с него считаются вызовами линии
+    setRegistered(name, expires, address) {
+        const trunk = this.getTrunk(name);
+        if (!trunk) {
+            return;
+        }
+
+        const registration = trunk.registration;
+        if (registration.state !== 'registered') {
+            sipLogger.info(`Trunk registered`, { trunk: name, host: trunk.host, expires });
+        }
+        Object.assign(registration, {
+            state: 'registered',
+            registeredAt: registration.state === 'registered' ? registration.registeredAt : new Date().toISOString(),
+            expiresAt: new Date(Date.now() + expires * 1000).toISOString(),
+            lastStatusCode: 200,
+            lastError: null,
+            address
+        });
+        clearTimeout(registration.timer);
+        registration.timer = setTimeout(() => this.sendRegister(trunk), expires * 900);
+    }
+
+    // Регистрация не удалась (отказ, неверные учетные данные, таймаут): повтор через retryInterval
+    setRegistrationFailed(name, statusCode, error) {
+        const trunk = this.getTrunk(name);
+        if (!trunk) {
+            return;
+        }
+
+        const registration = trunk.registration;
+        sipLogger.warn(`Trunk registration failed`, { trunk: name, host: trunk.host, statusCode, error });
+        Object.assign(registration, {
+            state: 'failed',
+            registeredAt: null,
+            expiresAt: null,
+            lastStatusCode: statusCode,
+            lastError: error,
+            address: null
+        });
+        clearTimeout(registration.timer);
+        registration.timer = setTimeout(() => this.sendRegister(trunk), this.config.trunks.retryInterval * 1000);
+    }
+}
+
+module.exports = TrunkManager;
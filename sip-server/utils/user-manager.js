@@ -1,42 +1,86 @@
+const SipMessage = require('./sip-message');
 const { sipLogger } = require('../logger');
 
 class UserManager {
     constructor(config) {
         this.config = config;
-        this.registeredUsers = new Map();
+        this.registeredUsers = new Map(); // номер -> { number, registeredAt, lastSeen, registrationCount, bindings: Map(ключ -> привязка) }
         this.registrationHistory = [];
         this.maxHistorySize = 1000;
+        this.credentials = new Map(config.security.extensionPasswords); // number -> password
+        this.pendingQualify = new Set(); // привязки (номер|ключ), для которых ожидается ответ на OPTIONS
         
         // Запускаем периодическую очистку
         this.startCleanupTimer();
     }
 
-    // Регистрация пользователя
-    registerUser(number, uri, address, port, expires = 3600) {
+    // Ключ привязки: instance ID устройства (RFC 5626) или, без него, URI из Contact
+    getBindingKey(uri, address, port, transport, instanceId) {
+        return instanceId || uri || `${transport}:${address}:${port}`;
+    }
+
+    // Регистрация устройства абонента (привязка Contact к номеру)
+    // connection - соединение WebSocket, через которое доступен браузерный абонент
+    // options: q - приоритет Contact (0..1), instanceId - +sip.instance устройства, callId и cseq - REGISTER привязки
+    registerUser(number, uri, address, port, expires = 3600, transport = 'UDP', connection = null, options = {}) {
         const now = new Date();
         const expiresAt = new Date(now.getTime() + expires * 1000);
+        const instanceId = options.instanceId || null;
+        const key = this.getBindingKey(uri, address, port, transport, instanceId);
 
-        const userData = {
-            number,
+        let user = this.registeredUsers.get(number);
+        if (!user) {
+            user = {
+                number,
+                registeredAt: now,
+                lastSeen: now,
+                registrationCount: 0,
+                bindings: new Map()
+            };
+            this.registeredUsers.set(number, user);
+        }
+
+        const binding = {
+            key,
             uri,
             address,
             port,
+            transport,
+            connection,
+            q: options.q !== undefined && options.q !== null ? options.q : 1,
+            instanceId,
+            callId: options.callId || null,
+            cseq: options.cseq || 0,
             expires,
             expiresAt,
             registeredAt: now,
             lastSeen: now,
             status: 'REGISTERED',
-            registrationCount: 1
+            // REGISTER только что пришел от устройства - считаем его доступным
+            reachability: 'REACHABLE',
+            latency: null,
+            lastQualified: null,
+            qualifyFailures: 0
         };
 
-        // Проверяем, был ли пользователь уже зарегистрирован
-        const existingUser = this.registeredUsers.get(number);
-        if (existingUser) {
-            userData.registrationCount = existingUser.registrationCount + 1;
-            userData.registeredAt = existingUser.registeredAt; // Сохраняем первоначальную дату регистрации
+        // Повторная регистрация того же устройства обновляет его привязку
+        const existingBinding = user.bindings.get(key);
+        if (existingBinding) {
+            binding.registeredAt = existingBinding.registeredAt; // Сохраняем первоначальную дату регистрации
+            binding.latency = existingBinding.latency;
+            binding.lastQualified = existingBinding.lastQualified;
+            user.bindings.delete(key);
+        }
+        user.bindings.set(key, binding);
+        user.registrationCount++;
+        user.lastSeen = now;
+
+        // Лимит устройств на номер: вытесняется давно не обновлявшаяся привязка
+        if (user.bindings.size > this.config.registrar.maxContacts) {
+            const [oldestKey, oldest] = user.bindings.entries().next().value;
+            user.bindings.delete(oldestKey);
+            sipLogger.warn(`Contact binding evicted`, { number, uri: oldest.uri, address: oldest.address, port: oldest.port });
         }
-
-        this.registeredUsers.set(number, userData);
 
         // Добавляем в историю
         this.addToHistory({
@@ -44,6 +88,7 @@ class UserManager {
             number,
             address,
             port,
+            transport,
             expires,
             timestamp: now
         });
@@ -52,67 +97,184 @@ class UserManager {
             number,
             address,
             port,
+            transport,
             expires,
             expiresAt,
-            registrationCount: userData.registrationCount
+            q: binding.q,
+            instanceId,
+            bindings: user.bindings.size,
+            registrationCount: user.registrationCount
         });
 
-        return userData;
+        return binding;
     }
 
-    // Отмена регистрации пользователя
-    unregisterUser(number) {
+    // Снятие одной привязки; последняя привязка снимает регистрацию номера
+    removeBinding(number, key) {
         const user = this.registeredUsers.get(number);
-        if (!user) {
-            sipLogger.warn(`Attempted to unregister non-existent user`, { number });
+        const binding = user ? user.bindings.get(key) : null;
+        if (!binding) {
             return false;
         }
 
-        this.registeredUsers.delete(number);
+        user.bindings.delete(key);
+        if (user.bindings.size === 0) {
+            this.registeredUsers.delete(number);
+        }
 
         // Добавляем в историю
         this.addToHistory({
             action: 'UNREGISTER',
             number,
-            address: user.address,
-            port: user.port,
+            address: binding.address,
+            port: binding.port,
+            transport: binding.transport,
             timestamp: new Date()
         });
 
         sipLogger.info(`User unregistered`, {
             number,
-            address: user.address,
-            port: user.port
+            address: binding.address,
+            port: binding.port,
+            bindings: user.bindings.size
         });
 
         return true;
     }
 
-    // Получение пользователя по номеру
-    getUser(number) {
-        return this.registeredUsers.get(number);
+    // Обработка REGISTER по правилам регистратора (RFC 3261, 10.3) для номера number
+    // request: { contacts (SipMessage.getContacts), expires (значение заголовка Expires или null), callId, cseq,
+    //            address, port, transport, connection }
+    // Без Contact привязки не меняются (запрос списка), "*" снимает все, expires 0 - одну привязку
+    // Возвращает { statusCode, reasonPhrase, minExpires, bindings }; запрос применяется целиком или не применяется совсем
+    processRegister(number, request) {
+        const { minExpires, maxExpires, defaultExpires } = this.config.registrar;
+        const headerExpires = request.expires !== null && request.expires !== undefined ? parseInt(request.expires) : null;
+        const user = this.registeredUsers.get(number);
+        const existingBindings = user ? Array.from(user.bindings.values()) : [];
+
+        // Повтор или устаревший REGISTER с тем же Call-ID (CSeq не больше сохраненного) не применяется
+        const isOutOfOrder = (binding) => !!binding && binding.callId === request.callId && request.cseq <= binding.cseq;
+
+        if (request.contacts.some(contact => contact.wildcard)) {
+            if (existingBindings.some(isOutOfOrder)) {
+                sipLogger.warn(`Out-of-order REGISTER rejected`, { number, callId: request.callId, cseq: request.cseq });
+                return { statusCode: 500, reasonPhrase: 'Server Internal Error', bindings: this.getBindings(number) };
+            }
+            if (user) {
+                this.unregisterUser(number);
+            }
+            return { statusCode: 200, reasonPhrase: 'OK', bindings: [] };
+        }
+
+        const changes = [];
+        for (const contact of request.contacts) {
+            const uri = SipMessage.formatUri(contact.uri);
+            const instanceId = contact.params['+sip.instance'] ? contact.params['+sip.instance'].replace(/^"|"$/g, '') : null;
+            const key = this.getBindingKey(uri, request.address, request.port, request.transport, instanceId);
+            const contactExpires = parseInt(contact.params.expires);
+            let expires = !isNaN(contactExpires) && contactExpires >= 0 ? contactExpires
+                : (headerExpires !== null ? headerExpires : defaultExpires);
+
+            if (expires > 0 && expires < minExpires) {
+                sipLogger.warn(`REGISTER interval too brief`, { number, expires, minExpires });
+                return { statusCode: 423, reasonPhrase: 'Interval Too Brief', minExpires, bindings: this.getBindings(number) };
+            }
+            if (isOutOfOrder(user ? user.bindings.get(key) : null)) {
+                sipLogger.warn(`Out-of-order REGISTER rejected`, { number, callId: request.callId, cseq: request.cseq });
+                return { statusCode: 500, reasonPhrase: 'Server Internal Error', bindings: this.getBindings(number) };
+            }
+            expires = Math.min(expires, maxExpires);
+
+            const q = parseFloat(contact.params.q);
+            changes.push({ key, uri, expires, q: isNaN(q) ? 1 : Math.min(Math.max(q, 0), 1), instanceId });
+        }
+
+        for (const change of changes) {
+            if (change.expires === 0) {
+                this.removeBinding(number, change.key);
+                continue;
+            }
+            this.registerUser(number, change.uri, request.address, request.port, change.expires, request.transport, request.connection, {
+                q: change.q,
+                instanceId: change.instanceId,
+                callId: request.callId,
+                cseq: request.cseq
+            });
+        }
+
+        return { statusCode: 200, reasonPhrase: 'OK', bindings: this.getBindings(number) };
     }
 
-    // Проверка, зарегистрирован ли пользователь
-    isUserRegistered(number) {
+    // Отмена регистрации пользователя (всех его устройств)
+    unregisterUser(number) {
         const user = this.registeredUsers.get(number);
         if (!user) {
+            sipLogger.warn(`Attempted to unregister non-existent user`, { number });
             return false;
         }
 
-        // Проверяем, не истекла ли регистрация
-        if (new Date() > user.expiresAt) {
-            sipLogger.warn(`User registration expired`, {
-                number,
-                expiresAt: user.expiresAt
-            });
-            this.registeredUsers.delete(number);
-            return false;
+        for (const key of Array.from(user.bindings.keys())) {
+            this.removeBinding(number, key);
         }
-
         return true;
     }
 
+    // Отмена регистраций, привязанных к закрытому соединению
+    unregisterConnection(connection) {
+        let removed = 0;
+
+        for (const [number, user] of this.registeredUsers.entries()) {
+            for (const [key, binding] of user.bindings.entries()) {
+                if (binding.connection === connection) {
+                    this.removeBinding(number, key);
+                    removed++;
+                }
+            }
+        }
+
+        return removed;
+    }
+
+    // Получение пароля абонента для digest-аутентификации
+    getPassword(number) {
+        if (!this.config.validExtensions.has(number)) {
+            return null;
+        }
+        if (this.credentials.has(number)) {
+            return this.credentials.get(number);
+        }
+        return this.config.security.defaultPassword;
+    }
+
+    // Получение пользователя по номеру: { number, registeredAt, lastSeen, registrationCount, bindings }
+    getUser(number) {
+        return this.registeredUsers.get(number);
+    }
+
+    // Действующие привязки абонента: сначала больший q, при равном - недавно зарегистрированные
+    getBindings(number) {
+        const user = this.registeredUsers.get(number);
+        if (!user) {
+            return [];
+        }
+
+        const now = new Date();
+        return Array.from(user.bindings.values())
+            .filter(binding => now <= binding.expiresAt)
+            .sort((first, second) => second.q - first.q || second.registeredAt - first.registeredAt);
+    }
+
+    // Устройства, на которые отправляется INVITE: действующие привязки, кроме недоступных по OPTIONS
+    getContacts(number) {
+        return this.getBindings(number).filter(binding => binding.reachability !== 'DOWN');
+    }
+
+    // Проверка, зарегистрирован ли пользователь
+    isUserRegistered(number) {
+        return this.getBindings(number).length > 0;
+    }
+
     // Обновление времени последней активности
     updateLastSeen(number) {
         const user = this.registeredUsers.get(number);
@@ -121,46 +283,117 @@ class UserManager {
         }
     }
 
-    // Получение всех зарегистрированных пользователей
+    // Привязка для API (без соединения WebSocket)
+    getBindingInfo(binding) {
+        const { key, connection, qualifyFailures, ...info } = binding;
+        return info;
+    }
+
+    // Получение всех зарегистрированных пользователей со всеми их привязками
     getAllUsers() {
-        const users = [];
-        const now = new Date();
+        this.cleanup();
+
+        return Array.from(this.registeredUsers.values()).map(user => ({
+            number: user.number,
+            registeredAt: user.registeredAt,
+            lastSeen: user.lastSeen,
+            registrationCount: user.registrationCount,
+            bindings: this.getBindings(user.number).map(binding => this.getBindingInfo(binding))
+        }));
+    }
 
-        for (const [number, user] of this.registeredUsers.entries()) {
-            // Проверяем, не истекла ли регистрация
-            if (now > user.expiresAt) {
-                this.registeredUsers.delete(number);
-                continue;
-            }
+    // Проверка, отвечает ли на OPTIONS хотя бы одно устройство абонента
+    isContactReachable(number) {
+        return this.getContacts(number).length > 0;
+    }
 
-            users.push({
+    // Обновление результата проверки доступности привязки
+    // latency - время ответа на OPTIONS в мс, null - ответа не было
+    updateQualifyResult(number, key, latency) {
+        const user = this.registeredUsers.get(number);
+        const binding = user ? user.bindings.get(key) : null;
+        if (!binding) {
+            return;
+        }
+
+        const oldReachability = binding.reachability;
+        binding.lastQualified = new Date();
+
+        if (latency !== null) {
+            binding.reachability = 'REACHABLE';
+            binding.latency = latency;
+            binding.qualifyFailures = 0;
+            binding.lastSeen = binding.lastQualified;
+        } else {
+            binding.latency = null;
+            binding.qualifyFailures++;
+            binding.reachability = binding.qualifyFailures >= this.config.qualify.maxFailures ? 'DOWN' : 'UNREACHABLE';
+        }
+
+        if (binding.reachability === 'DOWN' && oldReachability !== 'DOWN') {
+            sipLogger.warn(`Contact marked down`, {
+                number,
+                address: binding.address,
+                port: binding.port,
+                failures: binding.qualifyFailures
+            });
+        } else if (binding.reachability === 'REACHABLE' && oldReachability !== 'REACHABLE') {
+            sipLogger.info(`Contact reachable again`, {
                 number,
-                uri: user.uri,
-                address: user.address,
-                port: user.port,
-                expires: user.expires,
-                expiresAt: user.expiresAt,
-                registeredAt: user.registeredAt,
-                lastSeen: user.lastSeen,
-                status: user.status,
-                registrationCount: user.registrationCount
+                address: binding.address,
+                port: binding.port,
+                latency
             });
         }
+    }
 
-        return users;
+    // Проверка доступности всех зарегистрированных устройств
+    // pingContact(number, binding, callback) отправляет OPTIONS и вызывает callback(latency | null)
+    qualifyAll(pingContact) {
+        for (const [number, user] of this.registeredUsers.entries()) {
+            for (const [key, binding] of user.bindings.entries()) {
+                const pendingKey = `${number}|${key}`;
+                if (this.pendingQualify.has(pendingKey)) {
+                    continue;
+                }
+
+                this.pendingQualify.add(pendingKey);
+                pingContact(number, binding, (latency) => {
+                    this.pendingQualify.delete(pendingKey);
+                    this.updateQualifyResult(number, key, latency);
+                });
+            }
+        }
+    }
+
+    // Запуск таймера проверки доступности
+    startQualifyTimer(pingContact) {
+        if (!this.config.qualify.enabled) {
+            return;
+        }
+
+        setInterval(() => {
+            this.qualifyAll(pingContact);
+        }, this.config.qualify.interval * 1000);
+    }
+
+    // Все привязки всех абонентов
+    getAllBindings() {
+        return Array.from(this.registeredUsers.values()).flatMap(user => Array.from(user.bindings.values()));
     }
 
     // Получение статистики пользователей
     getUserStatistics() {
         const now = new Date();
+        const bindings = this.getAllBindings();
         const totalUsers = this.registeredUsers.size;
-        const activeUsers = Array.from(this.registeredUsers.values())
-            .filter(user => now <= user.expiresAt).length;
+        const activeUsers = Array.from(this.registeredUsers.keys())
+            .filter(number => this.isUserRegistered(number)).length;
 
         // Статистика по адресам
         const addressStats = {};
-        for (const user of this.registeredUsers.values()) {
-            addressStats[user.address] = (addressStats[user.address] || 0) + 1;
+        for (const binding of bindings) {
+            addressStats[binding.address] = (addressStats[binding.address] || 0) + 1;
         }
 
         // Статистика по времени регистрации
@@ -170,45 +403,55 @@ class UserManager {
                 return timeSinceRegistration < 24 * 60 * 60 * 1000; // Последние 24 часа
             }).length;
 
+        // Статистика доступности
+        const reachabilityStats = {};
+        for (const binding of bindings) {
+            reachabilityStats[binding.reachability] = (reachabilityStats[binding.reachability] || 0) + 1;
+        }
+
         return {
             totalUsers,
             activeUsers,
+            totalBindings: bindings.length,
+            reachabilityStats,
             addressStats,
             recentRegistrations,
             registrationHistory: this.registrationHistory.length
         };
     }
 
-    // Очистка истекших регистраций
+    // Очистка истекших привязок; номер без привязок больше не зарегистрирован
     cleanup() {
         const now = new Date();
-        const expiredUsers = [];
+        let expired = 0;
 
         for (const [number, user] of this.registeredUsers.entries()) {
-            if (now > user.expiresAt) {
-                expiredUsers.push(number);
-                sipLogger.warn(`User registration expired during cleanup`, {
-                    number,
-                    address: user.address,
-                    expiresAt: user.expiresAt
-                });
+            for (const [key, binding] of user.bindings.entries()) {
+                if (now > binding.expiresAt) {
+                    sipLogger.warn(`User registration expired during cleanup`, {
+                        number,
+                        address: binding.address,
+                        expiresAt: binding.expiresAt
+                    });
+                    user.bindings.delete(key);
+                    expired++;
+                }
+            }
+            if (user.bindings.size === 0) {
+                this.registeredUsers.delete(number);
             }
         }
 
-        for (const number of expiredUsers) {
-            this.registeredUsers.delete(number);
-        }
-
-        if (expiredUsers.length > 0) {
-            sipLogger.info(`Cleaned up ${expiredUsers.length} expired registrations`);
+        if (expired > 0) {
+            sipLogger.info(`Cleaned up ${expired} expired registrations`);
         }
     }
 
-    // Запуск таймера очистки
+    // Запуск таймера очистки; процесс может завершиться, не дожидаясь его
     startCleanupTimer() {
         setInterval(() => {
             this.cleanup();
-        }, this.config.timeouts.cleanup);
+        }, this.config.timeouts.cleanup).unref();
     }
 
     // Добавление в историю регистраций
@@ -230,6 +473,7 @@ class UserManager {
                 number: entry.number,
                 address: entry.address,
                 port: entry.port,
+                transport: entry.transport,
                 expires: entry.expires,
                 timestamp: entry.timestamp
             }));
@@ -240,34 +484,40 @@ class UserManager {
         const users = [];
         
         for (const [number, user] of this.registeredUsers.entries()) {
-            if (user.address === address) {
-                users.push({
-                    number,
-                    uri: user.uri,
-                    port: user.port,
-                    expiresAt: user.expiresAt,
-                    lastSeen: user.lastSeen
-                });
+            for (const binding of user.bindings.values()) {
+                if (binding.address === address) {
+                    users.push({
+                        number,
+                        uri: binding.uri,
+                        port: binding.port,
+                        expiresAt: binding.expiresAt,
+                        lastSeen: binding.lastSeen
+                    });
+                }
             }
         }
 
         return users;
     }
 
-    // Получение пользователей, которые скоро истекают
+    // Получение привязок, которые скоро истекают
     getExpiringUsers(withinMinutes = 30) {
         const now = new Date();
         const threshold = new Date(now.getTime() + withinMinutes * 60 * 1000);
         const expiringUsers = [];
 
         for (const [number, user] of this.registeredUsers.entries()) {
-            if (user.expiresAt <= threshold && user.expiresAt > now) {
-                expiringUsers.push({
-                    number,
-                    address: user.address,
-                    expiresAt: user.expiresAt,
-                    minutesUntilExpiry: Math.floor((user.expiresAt - now) / (60 * 1000))
-                });
+            for (const binding of user.bindings.values()) {
+                if (binding.expiresAt <= threshold && binding.expiresAt > now) {
+                    expiringUsers.push({
+                        number,
+                        uri: binding.uri,
+                        address: binding.address,
+                        port: binding.port,
+                        expiresAt: binding.expiresAt,
+                        minutesUntilExpiry: Math.floor((binding.expiresAt - now) / (60 * 1000))
+                    });
+                }
             }
         }
 
@@ -291,10 +541,7 @@ class UserManager {
             if (num >= start && num <= end) {
                 users.push({
                     number,
-                    uri: user.uri,
-                    address: user.address,
-                    port: user.port,
-                    expiresAt: user.expiresAt,
+                    bindings: this.getBindings(number).map(binding => this.getBindingInfo(binding)),
                     lastSeen: user.lastSeen
                 });
             }
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sipLogger } = require('../logger');
+const audio = require('./audio');
+
+// Голосовая почта: сообщения хранятся в <directory>/<ящик>/<id>.wav, список - в messages.json того же каталога
+class VoicemailManager {
+    constructor(config) {
+        this.config = config;
+        this.directory = path.resolve(config.voicemail.directory);
+        this.indexes = new Map(); // ящик -> массив сообщений { id, from, callId, codec, duration, receivedAt, read }
+    }
+
+    isEnabled() {
+        return this.config.voicemail.enabled;
+    }
+
+    // Ящик есть у каждого номера из диапазона абонентов
+    isMailbox(number) {
+        return this.config.validExtensions.has(number);
+    }
+
+    getMailboxDirectory(mailbox) {
+        return path.join(this.directory, mailbox);
+    }
+
+    loadIndex(mailbox) {
+        if (this.indexes.has(mailbox)) {
+            return this.indexes.get(mailbox);
+        }
+
+        let messages = [];
+        const indexFile = path.join(this.getMailboxDirectory(mailbox), 'messages.json');
+        if (fs.existsSync(indexFile)) {
+            try {
+                messages = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+            } catch (error) {
+                sipLogger.error(`Voicemail index read failed`, { mailbox, error: error.message });
+            }
+        }
+        this.indexes.set(mailbox, messages);
+        return messages;
+    }
+
+    saveIndex(mailbox) {
+        const mailboxDirectory = this.getMailboxDirectory(mailbox);
+        fs.mkdirSync(mailboxDirectory, { recursive: true });
+        fs.writeFileSync(path.join(mailboxDirectory, 'messages.json'), JSON.stringify(this.loadIndex(mailbox), null, 2));
+    }
+
+    // Сообщения ящика, новые первыми
+    getMessages(mailbox) {
+        return [...this.loadIndex(mailbox)].sort((first, second) => second.receivedAt.localeCompare(first.receivedAt));
+    }
+
+    getMessage(mailbox, messageId) {
+        return this.loadIndex(mailbox).find(message => message.id === messageId) || null;
+    }
+
+    getMessageFile(mailbox, messageId) {
+        return path.join(this.getMailboxDirectory(mailbox), `${messageId}.wav`);
+    }
+
+    // Сохранение записи; audioData - G.711 в кодеке codec
+    saveMessage(mailbox, { from, callId, codec, audioData }) {
+        const message = {
+            id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+            from,
+            callId,
+            codec,
+            duration: Math.round(audioData.length / audio.SAMPLE_RATE),
+            receivedAt: new Date().toISOString(),
+            read: false
+        };
+
+        fs.mkdirSync(this.getMailboxDirectory(mailbox), { recursive: true });
+        fs.writeFileSync(this.getMessageFile(mailbox, message.id), audio.createWav(audioData, codec));
+        this.loadIndex(mailbox).push(message);
+        this.saveIndex(mailbox);
+
+        sipLogger.info(`Voicemail message saved`, { mailbox, messageId: message.id, from, duration: message.duration });
+        return message;
+    }
+
+    // Отсчеты записанного сообщения (Int16Array) для воспроизведения в любом кодеке
+    readMessageAudio(mailbox, messageId) {
+        return audio.readWav(fs.readFileSync(this.getMessageFile(mailbox, messageId)));
+    }
+
+    setRead(mailbox, messageId, read) {
+        const message = this.getMessage(mailbox, messageId);
+        if (!message) {
+            return null;
+        }
+        message.read = read;
+        this.saveIndex(mailbox);
+        return message;
+    }
+
+    deleteMessage(mailbox, messageId) {
+        const messages = this.loadIndex(mailbox);
+        const index = messages.findIndex(message => message.id === messageId);
+        if (index === -1) {
+            return false;
+        }
+
+        messages.splice(index, 1);
+        const messageFile = this.getMessageFile(mailbox, messageId);
+        if (fs.existsSync(messageFile)) {
+            fs.unlinkSync(messageFile);
+        }
+        this.saveIndex(mailbox);
+        sipLogger.info(`Voicemail message deleted`, { mailbox, messageId });
+        return true;
+    }
+
+    // Приветствие: greeting.wav в каталоге ящика, затем общий файл из конфигурации, иначе короткий сигнал
+    getGreeting(mailbox) {
+        const candidates = [path.join(this.getMailboxDirectory(mailbox), 'greeting.wav'), this.config.voicemail.greetingFile];
+        for (const greetingFile of candidates) {
+            if (!greetingFile || !fs.existsSync(greetingFile)) {
+                continue;
+            }
+            try {
+                return audio.readWav(fs.readFileSync(greetingFile));
+            } catch (error) {
+                sipLogger.warn(`Voicemail greeting ignored`, { mailbox, greetingFile, error: error.message });
+            }
+        }
+        return audio.concatSamples([audio.generateTone(425, 400), audio.generateSilence(200), audio.generateTone(425, 400)]);
+    }
+
+    // Сигнал начала записи
+    getBeep() {
+        return audio.concatSamples([audio.generateSilence(300), audio.generateTone(1000, 300)]);
+    }
+
+    // Сигнал окончания: сообщений больше нет
+    getEndTone() {
+        return audio.concatSamples([
+            audio.generateSilence(300),
+            audio.generateTone(1000, 150),
+            audio.generateSilence(100),
+            audio.generateTone(1000, 150)
+        ]);
+    }
+}
+
+module.exports = VoicemailManager;
@@ -0,0 +1,138 @@
+const EventEmitter = require('events');
+const { WebSocketServer, WebSocket } = require('ws');
+const { sipLogger } = require('../logger');
+
+// Подпротокол WebSocket для SIP (RFC 7118)
+const SIP_SUBPROTOCOL = 'sip';
+
+// Максимальный размер SIP сообщения в одном фрейме
+const MAX_MESSAGE_SIZE = 65535;
+
+class WebSocketTransport extends EventEmitter {
+    constructor(config, secure = false) {
+        super();
+        this.config = config;
+        this.transportName = secure ? 'WSS' : 'WS';
+        this.path = config.websocket.path;
+        this.server = null;
+        this.wss = null;
+        this.connections = new Map(); // "address:port" -> socket
+    }
+
+    // Ключ соединения
+    getConnectionKey(address, port) {
+        return `${address}:${port}`;
+    }
+
+    // Нормализация IPv4-mapped адресов (::ffff:192.168.0.1)
+    normalizeAddress(address) {
+        return address && address.startsWith('::ffff:') ? address.substring(7) : address;
+    }
+
+    // Подключение к HTTP(S) серверу; если указан порт - сервер запускается здесь же
+    start(server, port = null) {
+        this.server = server;
+        this.wss = new WebSocketServer({
+            server,
+            path: this.path,
+            maxPayload: MAX_MESSAGE_SIZE,
+            // Соглашаемся только на подпротокол sip
+            handleProtocols: (protocols) => protocols.has(SIP_SUBPROTOCOL) ? SIP_SUBPROTOCOL : false
+        });
+
+        this.wss.on('connection', (socket, request) => this.addConnection(socket, request));
+
+        this.wss.on('error', (error) => {
+            sipLogger.error(`SIP ${this.transportName} server error`, { error: error.message });
+        });
+
+        if (port) {
+            server.on('error', (error) => {
+                sipLogger.error(`SIP ${this.transportName} server error`, { error: error.message });
+            });
+            server.listen(port, this.config.api.host, () => {
+                sipLogger.info(`SIP ${this.transportName} listener started`, { port, path: this.path });
+            });
+        } else {
+            sipLogger.info(`SIP ${this.transportName} endpoint attached`, { path: this.path });
+        }
+    }
+
+    // Регистрация соединения
+    addConnection(socket, request) {
+        const address = this.normalizeAddress(request.socket.remoteAddress);
+        const port = request.socket.remotePort;
+        const key = this.getConnectionKey(address, port);
+
+        if (socket.protocol !== SIP_SUBPROTOCOL) {
+            sipLogger.warn(`SIP ${this.transportName} connection without sip subprotocol rejected`, { address, port });
+            socket.close(1002, 'SIP subprotocol required');
+            return;
+        }
+
+        this.connections.set(key, socket);
+        sipLogger.debug(`SIP ${this.transportName} connection opened`, { address, port });
+
+        socket.on('message', (data) => {
+            const message = Buffer.isBuffer(data) ? data : Buffer.from(data);
+
+            // Keepalive CRLFCRLF (используется SIP.js) - отвечаем CRLF
+            if (message.toString() === '\r\n\r\n') {
+                socket.send('\r\n');
+                return;
+            }
+
+            // Каждый фрейм содержит ровно одно SIP сообщение
+            this.emit('message', message, {
+                address,
+                port,
+                transport: this.transportName,
+                size: message.length,
+                connection: socket
+            });
+        });
+
+        socket.on('error', (error) => {
+            sipLogger.warn(`SIP ${this.transportName} connection error`, { error: error.message, address, port });
+        });
+
+        socket.on('close', () => {
+            if (this.connections.get(key) === socket) {
+                this.connections.delete(key);
+            }
+            sipLogger.debug(`SIP ${this.transportName} connection closed`, { address, port });
+            this.emit('close', socket, { address, port });
+        });
+    }
+
+    // Отправка сообщения: браузер недоступен без открытого им соединения
+    send(message, port, address) {
+        const socket = this.connections.get(this.getConnectionKey(address, port));
+
+        if (!socket || socket.readyState !== WebSocket.OPEN) {
+            sipLogger.warn(`No SIP ${this.transportName} connection to destination`, { address, port });
+            return;
+        }
+
+        socket.send(message.toString());
+    }
+
+    // Получение информации о соединениях
+    getConnections() {
+        return Array.from(this.connections.keys());
+    }
+
+    // Остановка
+    stop() {
+        for (const socket of this.connections.values()) {
+            socket.terminate();
+        }
+        this.connections.clear();
+        if (this.wss) {
+            this.wss.close();
+        }
+        sipLogger.info(`SIP ${this.transportName} listener stopped`);
+    }
+}
+
+module.exports = WebSocketTransport;